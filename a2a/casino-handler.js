@@ -9,7 +9,12 @@
  *   e.g. slots_commit, lotto_buy, blackjack_deal
  *
  * System actions (always available):
- *   relay_fund, open_channel, close_channel, channel_status, info, stats, games
+ *   relay_fund, relay_credits, open_channel, close_channel, channel_status, info,
+ *   stats, games, set_client_seed, rotate_seed, seed_history
+ *
+ * Gasless channels: open_channel with an openAuthorization (+ payment) and
+ * close_channel with a closeAuthorization have the casino submit
+ * openChannelFor / closeChannelWithSig for the stealth address (privacy/relay.js).
  */
 
 const { ethers } = require('ethers');
@@ -66,9 +71,13 @@ class CasinoA2AHandler {
   _getSystemHandler(action) {
     const handlers = {
       relay_fund: (p) => this._relayFund(p),
+      relay_credits: (p) => this.relay.getCredits(p.account, p),
       open_channel: (p) => this._openChannel(p),
       close_channel: (p) => this._closeChannel(p),
       channel_status: (p) => this._channelStatus(p),
+      set_client_seed: (p) => this._setClientSeed(p),
+      rotate_seed: (p) => this._rotateSeed(p),
+      seed_history: (p) => this.engine.getSeedHistory(this._address(p)),
       info: () => this._info(),
       stats: () => this._stats(),
       games: () => this._games(),
@@ -81,7 +90,39 @@ class CasinoA2AHandler {
     return await this.relay.fundStealth(params.stealthAddress, params.amount, params.payment);
   }
 
-  _openChannel(params) {
+  async _openChannel(params) {
+    this._validateOpen(params);
+    if (params.openAuthorization) return await this._relayOpen(params);
+    // The agent opens onchain itself; sign for the channel it has or is about to open
+    const epoch = this.relay?.channelManager ? await this.relay.channelEpoch(params.stealthAddress) : 0;
+    return await this.engine.openChannel(params.stealthAddress, params.agentDeposit, params.casinoDeposit, {}, epoch);
+  }
+
+  /**
+   * Gasless open: payment + OpenAuthorization for the agent deposit. The
+   * casino opens the channel onchain, funds its side, then opens it here.
+   *
+   * If a step after openChannelFor fails, the deposit sits in a channel
+   * only the chain knows about. The error names its tx, and the same
+   * open_channel sent again (with a fresh authorization) picks that channel
+   * up instead of charging and opening another (relay.relayOpen).
+   */
+  async _relayOpen(params) {
+    const opened = await this.relay.relayOpen(
+      params.stealthAddress, params.agentDeposit, params.openAuthorization, params.payment,
+      { casinoDeposit: params.casinoDeposit }
+    );
+    let result;
+    try {
+      result = await this.engine.openChannel(params.stealthAddress, params.agentDeposit, params.casinoDeposit, {}, opened.epoch);
+    } catch (err) {
+      const tx = opened.txHash ? ` (tx ${opened.txHash})` : '';
+      throw new Error(`RELAY_OPEN_INCOMPLETE: channel opened onchain${tx} but not here (${err.message}); send open_channel again to finish`);
+    }
+    return { ...result, openTxHash: opened.txHash, fundTxHash: opened.fundTxHash, resumed: Boolean(opened.resumed) };
+  }
+
+  _validateOpen(params) {
     // Validate address
     if (!params.stealthAddress || !ethers.isAddress(params.stealthAddress)) {
       throw new Error('Invalid stealthAddress');
@@ -111,8 +152,6 @@ class CasinoA2AHandler {
     if (this.engine.channels.size >= MAX_CHANNELS) {
       throw new Error('Max concurrent channels reached');
     }
-
-    return this.engine.openChannel(params.stealthAddress, agentDep, casinoDep);
   }
 
   async _closeChannel(params) {
@@ -123,12 +162,96 @@ class CasinoA2AHandler {
     // Require signature proving ownership
     const channel = this.engine.channels.get(params.stealthAddress);
     if (!channel) throw new Error('No active channel for this address');
+    if (params.closeAuthorization) return await this._relayClose(params);
+    if (this.engine.isClosing(params.stealthAddress)) {
+      throw new Error('Channel is closing onchain: send close_channel with its closeAuthorization again to finish');
+    }
+
+    this._verifyOwner(params, 'close_channel', channel.nonce, 'to close channel');
+    return await this.engine.closeChannel(params.stealthAddress);
+  }
+
+  /**
+   * Gasless close. The CloseAuthorization (agent's consent, and its proof
+   * of ownership) must cover the current balances at nonce + 1, the state
+   * closeChannelWithSig settles, so an open hand or game must be finished
+   * first. The channel is locked while the tx is in flight and only closed
+   * here once the chain has settled it.
+   *
+   * A tx that never reached the chain unlocks the channel. Once one has
+   * been sent the lock stays: close_channel with the authorization again
+   * finishes the close if it landed, or relays it again.
+   */
+  async _relayClose(params) {
+    const agent = params.stealthAddress;
+    const channel = this.engine.channels.get(agent);
+    const retry = this.engine.isClosing(agent);
+    if (retry && !await this.relay.hasChannelOnchain(agent)) {
+      return await this._finishRelayClose(agent, { txHash: null, blockNumber: null });
+    }
+    if (this.engine.hasOpenRounds(agent)) {
+      throw new Error('Finish the open hand or game first: a relayed close settles the current state');
+    }
+
+    const state = {
+      epoch: channel.epoch || 0, agentBalance: channel.agentBalance, casinoBalance: channel.casinoBalance, nonce: channel.nonce + 1,
+    };
+    await this.relay.verifyCloseAuthorization(agent, state, params.closeAuthorization);
+    state.casinoSig = await this.engine._signState(agent, state.agentBalance, state.casinoBalance, state.nonce);
 
+    await this.engine.lockChannel(agent);
+    let relayed;
+    try {
+      relayed = await this.relay.relayClose(agent, state, params.closeAuthorization);
+    } catch (err) {
+      // An earlier attempt may still land, so only a first one that never left
+      // unlocks (if that write fails it stays locked and a retry relays again)
+      if (!err.sent && !retry) await this.engine.unlockChannel(agent).catch(() => {});
+      else err.message += `; the channel stays closing (tx ${err.txHash || 'unknown'}): send close_channel with the authorization again`;
+      throw err;
+    }
+    return await this._finishRelayClose(agent, relayed);
+  }
+
+  async _finishRelayClose(agent, relayed) {
+    const closed = await this.engine.closeChannel(agent);
+    return { ...closed, relayed: true, closeTxHash: relayed.txHash, closeBlock: relayed.blockNumber };
+  }
+
+  // ─── Seeds ──────────────────────────────────────────────
+
+  // Signed over the seed itself, so the casino can't pick the agent's client seed.
+  async _setClientSeed(params) {
+    const channel = this._ownedChannel(params);
+    this._verifyOwner(params, 'set_client_seed', channel.nonce, 'to set the client seed', { clientSeed: params.clientSeed });
+    return await this.engine.setClientSeed(params.stealthAddress, params.clientSeed);
+  }
+
+  async _rotateSeed(params) {
+    const channel = this._ownedChannel(params);
+    this._verifyOwner(params, 'rotate_seed', channel.nonce, 'to rotate the seed');
+    return await this.engine.rotateSeed(params.stealthAddress);
+  }
+
+  _ownedChannel(params) {
+    const channel = this.engine.channels.get(this._address(params));
+    if (!channel) throw new Error('No active channel for this address');
+    return channel;
+  }
+
+  /**
+   * Proof of ownership for a channel action: the stealth key signs
+   * "{action}:{stealthAddress}:{nonce}" (then the `extra` values) at the
+   * channel's current nonce. Each of these actions moves the nonce, so a
+   * signature works once.
+   */
+  _verifyOwner(params, action, nonce, purpose, extra = {}) {
     if (!params.signature) {
-      throw new Error('Signature required to close channel. Sign: "close_channel:{stealthAddress}:{nonce}"');
+      const fields = ['stealthAddress', 'nonce', ...Object.keys(extra)].map(f => `{${f}}`).join(':');
+      throw new Error(`Signature required ${purpose}. Sign: "${action}:${fields}"`);
     }
 
-    const message = `close_channel:${params.stealthAddress}:${channel.nonce}`;
+    const message = [action, params.stealthAddress, nonce, ...Object.values(extra)].join(':');
     let recovered;
     try {
       recovered = ethers.verifyMessage(message, params.signature);
@@ -139,15 +262,19 @@ class CasinoA2AHandler {
     if (recovered.toLowerCase() !== params.stealthAddress.toLowerCase()) {
       throw new Error('Signature does not match channel owner');
     }
-
-    return await this.engine.closeChannel(params.stealthAddress);
   }
 
   _channelStatus(params) {
+    const status = this.engine.getChannelStatus(this._address(params));
+    // Authorizations are signed for this chain (see the SDK's relayed close)
+    return status.status === 'open' ? { ...status, chainId: this.engine.chainId } : status;
+  }
+
+  _address(params) {
     if (!params.stealthAddress || !ethers.isAddress(params.stealthAddress)) {
       throw new Error('Invalid stealthAddress');
     }
-    return this.engine.getChannelStatus(params.stealthAddress);
+    return params.stealthAddress;
   }
 
   _info() {
@@ -165,7 +292,10 @@ class CasinoA2AHandler {
       },
       games: this.engine.getRegisteredGames(),
       actions: {
-        system: ['relay_fund', 'open_channel', 'close_channel', 'channel_status', 'info', 'stats', 'games'],
+        system: [
+          'relay_fund', 'relay_credits', 'open_channel', 'close_channel', 'channel_status', 'info',
+          'stats', 'games', 'set_client_seed', 'rotate_seed', 'seed_history',
+        ],
         games: this.engine.getAvailableActions(),
       },
     };
@@ -46,7 +46,15 @@ contract ChannelManager is CasinoOwnable, ReentrancyGuard, Pausable, EIP712 {
     uint256 public constant INSURANCE_BPS = 1000; // 10% of casino profit
 
     bytes32 public constant CHANNEL_STATE_TYPEHASH = keccak256(
-        "ChannelState(address agent,uint256 agentBalance,uint256 casinoBalance,uint256 nonce)"
+        "ChannelState(address agent,uint256 epoch,uint256 agentBalance,uint256 casinoBalance,uint256 nonce)"
+    );
+
+    bytes32 public constant CLOSE_AUTHORIZATION_TYPEHASH = keccak256(
+        "CloseAuthorization(address agent,uint256 epoch,uint256 agentBalance,uint256 casinoBalance,uint256 nonce,uint256 deadline)"
+    );
+
+    bytes32 public constant OPEN_AUTHORIZATION_TYPEHASH = keccak256(
+        "OpenAuthorization(address agent,uint256 deposit,uint256 deadline)"
     );
 
     // ─── Module References ───────────────────────────────────
@@ -59,6 +67,12 @@ contract ChannelManager is CasinoOwnable, ReentrancyGuard, Pausable, EIP712 {
     mapping(address => Channel) public channels;
     mapping(address => uint256) public pendingWithdrawals;
 
+    /// @notice Channels opened so far per agent. The current channel's epoch is
+    ///         signed into every state and close authorization, so signatures
+    ///         for an earlier channel never verify on a later one. Survives
+    ///         the channel's deletion at settlement.
+    mapping(address => uint256) public channelEpoch;
+
     // ─── Events ──────────────────────────────────────────────
 
     event ChannelOpened(address indexed agent, uint256 agentDeposit);
@@ -85,6 +99,7 @@ contract ChannelManager is CasinoOwnable, ReentrancyGuard, Pausable, EIP712 {
     error GamesPlayed();
     error NothingPending();
     error TransferFailed();
+    error AuthorizationExpired();
 
     // ─── Constructor ─────────────────────────────────────────
 
@@ -104,21 +119,26 @@ contract ChannelManager is CasinoOwnable, ReentrancyGuard, Pausable, EIP712 {
 
     /// @notice Agent opens channel with ETH deposit.
     function openChannel() external payable whenNotPaused {
-        if (msg.value < MIN_DEPOSIT || msg.value > MAX_DEPOSIT) revert InvalidDeposit();
-        if (channels[msg.sender].state != ChannelState.None) revert ChannelExists();
+        _open(msg.sender, msg.value);
+    }
 
-        channels[msg.sender] = Channel({
-            agentDeposit: msg.value,
-            casinoDeposit: 0,
-            agentBalance: msg.value,
-            casinoBalance: 0,
-            nonce: 0,
-            openedAt: block.timestamp,
-            disputeDeadline: 0,
-            state: ChannelState.Open
-        });
+    /// @notice Open a channel for an agent that holds no ETH (a stealth
+    ///         address). The relayer sends the deposit; the agent's
+    ///         OpenAuthorization consents to a channel of exactly that size.
+    ///         A replay only opens another channel the agent can exit, paid by the sender.
+    function openChannelFor(
+        address agent,
+        uint256 deadline,
+        bytes calldata agentSig
+    ) external payable whenNotPaused {
+        if (block.timestamp > deadline) revert AuthorizationExpired();
+        _verifyAgentSig(
+            agent,
+            keccak256(abi.encode(OPEN_AUTHORIZATION_TYPEHASH, agent, msg.value, deadline)),
+            agentSig
+        );
 
-        emit ChannelOpened(msg.sender, msg.value);
+        _open(agent, msg.value);
     }
 
     /// @notice Casino deposits collateral for an agent's channel.
@@ -151,6 +171,36 @@ contract ChannelManager is CasinoOwnable, ReentrancyGuard, Pausable, EIP712 {
         _settle(msg.sender, ch, agentBalance, casinoBalance);
     }
 
+    /// @notice Cooperative close submitted for the agent (the casino relays it).
+    ///         The agent signs a CloseAuthorization for the exact final state
+    ///         of this channel (its epoch); the deadline bounds how long the
+    ///         relayer may hold it.
+    function closeChannelWithSig(
+        address agent,
+        uint256 agentBalance,
+        uint256 casinoBalance,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata casinoSig,
+        bytes calldata agentSig
+    ) external nonReentrant {
+        if (block.timestamp > deadline) revert AuthorizationExpired();
+        Channel storage ch = channels[agent];
+        if (ch.state != ChannelState.Open) revert ChannelNotOpen();
+        if (nonce <= ch.nonce) revert StaleNonce();
+        _checkBalanceInvariant(ch, agentBalance, casinoBalance);
+        _verifyCasinoSig(agent, agentBalance, casinoBalance, nonce, casinoSig);
+        _verifyAgentSig(
+            agent,
+            keccak256(abi.encode(
+                CLOSE_AUTHORIZATION_TYPEHASH, agent, channelEpoch[agent], agentBalance, casinoBalance, nonce, deadline
+            )),
+            agentSig
+        );
+
+        _settle(agent, ch, agentBalance, casinoBalance);
+    }
+
     // ─── Dispute Resolution ──────────────────────────────────
 
     function startChallenge(
@@ -232,6 +282,26 @@ contract ChannelManager is CasinoOwnable, ReentrancyGuard, Pausable, EIP712 {
 
     // ─── Internal ────────────────────────────────────────────
 
+    function _open(address agent, uint256 deposit) internal {
+        if (deposit < MIN_DEPOSIT || deposit > MAX_DEPOSIT) revert InvalidDeposit();
+        if (channels[agent].state != ChannelState.None) revert ChannelExists();
+
+        channelEpoch[agent] += 1;
+
+        channels[agent] = Channel({
+            agentDeposit: deposit,
+            casinoDeposit: 0,
+            agentBalance: deposit,
+            casinoBalance: 0,
+            nonce: 0,
+            openedAt: block.timestamp,
+            disputeDeadline: 0,
+            state: ChannelState.Open
+        });
+
+        emit ChannelOpened(agent, deposit);
+    }
+
     function _settle(
         address agent,
         Channel storage ch,
@@ -292,6 +362,7 @@ contract ChannelManager is CasinoOwnable, ReentrancyGuard, Pausable, EIP712 {
         bytes32 structHash = keccak256(abi.encode(
             CHANNEL_STATE_TYPEHASH,
             agent,
+            channelEpoch[agent],
             agentBalance,
             casinoBalance,
             nonce
@@ -301,6 +372,17 @@ contract ChannelManager is CasinoOwnable, ReentrancyGuard, Pausable, EIP712 {
         if (signer != casino) revert InvalidSignature();
     }
 
+    /// @dev Agent authorizations for relayed calls (openChannelFor, closeChannelWithSig).
+    function _verifyAgentSig(
+        address agent,
+        bytes32 structHash,
+        bytes calldata signature
+    ) internal view {
+        bytes32 digest = _hashTypedDataV4(structHash);
+        address signer = digest.recover(signature);
+        if (signer != agent) revert InvalidSignature();
+    }
+
     function _checkBalanceInvariant(
         Channel storage ch,
         uint256 agentBalance,
@@ -0,0 +1,51 @@
+/**
+ * Shared GamingEngine for the Vercel functions.
+ *
+ * Same plugins and BigInt math as the VM server, backed by the Supabase
+ * PostgresStore. Functions are stateless, so handlers call
+ * engine.loadChannel(agent) before every game action.
+ *
+ * Every plugin is registered so entropy rounds can settle through
+ * engine.settleRound(); the A2A handler decides which actions it routes
+ * to handleGameAction.
+ *
+ * State updates are signed with the casino key (KMS, or CASINO_PRIVATE_KEY
+ * in dev) over the same EIP-712 domain as the VM, so every response is
+ * enforceable in ChannelManager.startChallenge. CHANNEL_MANAGER must be
+ * the deployed contract and CHAIN_ID its chain.
+ *
+ * Requires supabase/engine_store_schema.sql and supabase/atomic_write_rpcs.sql.
+ */
+
+const { rest } = require('./_supabase');
+const { getCasinoSigner } = require('./_signer');
+const GamingEngine = require('../../server/gaming-engine');
+const { PostgresStore } = require('../../server/stores');
+const SlotsGame = require('../../server/games/slots');
+const CoinflipGame = require('../../server/games/coinflip');
+const DiceGame = require('../../server/games/dice');
+const LottoGame = require('../../server/games/lotto');
+
+let _engine = null;
+function getEngine() {
+  if (_engine) return _engine;
+
+  const channelManager = process.env.CHANNEL_MANAGER;
+  if (!channelManager) {
+    throw new Error('Signing env missing (CHANNEL_MANAGER): state signatures must name the deployed contract');
+  }
+
+  _engine = new GamingEngine(
+    getCasinoSigner(),
+    channelManager,
+    Number(process.env.CHAIN_ID || 8453),
+    new PostgresStore({ rest })
+  );
+  _engine.registerGame(new SlotsGame());
+  _engine.registerGame(new CoinflipGame());
+  _engine.registerGame(new DiceGame());
+  _engine.registerGame(new LottoGame());
+  return _engine;
+}
+
+module.exports = { getEngine };
@@ -0,0 +1,416 @@
+/**
+ * Onchain indexer (supabase/chain_indexer_schema.sql).
+ *
+ * The A2A handler only knows the txs it was told about, and an agent can
+ * open, close or challenge straight on ChannelManager without calling the
+ * API. The indexer follows the contract instead:
+ *
+ *   sync()       folds ChannelOpened / CasinoFunded / ChannelClosed /
+ *                Challenge* / WithdrawalPending logs into
+ *                casino_onchain_channels, marks their txs mined in
+ *                casino_settlement_txs, fills tx hashes and blocks on
+ *                casino_channels and closes ledger channels that were
+ *                settled onchain. Submitted txs with no log are promoted
+ *                from their receipt (mined, or failed if reverted).
+ *   reconcile()  reads channels(agent) for every open ledger channel and
+ *                every channel open onchain and stores the mismatches.
+ *
+ * Only blocks `confirmations` below head are read, so a reorg cannot
+ * leave a log behind. Runs from the cron endpoint (api/cron/chain-index).
+ */
+
+const { ethers } = require('ethers');
+const { toEth, numericToWei } = require('../../server/wei');
+
+const CHANNEL_MANAGER_ABI = [
+  'function channels(address) view returns (uint256 agentDeposit, uint256 casinoDeposit, uint256 agentBalance, uint256 casinoBalance, uint256 nonce, uint256 openedAt, uint256 disputeDeadline, uint8 state)',
+  'function pendingWithdrawals(address) view returns (uint256)',
+  'event ChannelOpened(address indexed agent, uint256 agentDeposit)',
+  'event CasinoFunded(address indexed agent, uint256 amount, uint256 totalCasinoDeposit)',
+  'event ChannelClosed(address indexed agent, uint256 agentPayout, uint256 casinoPayout)',
+  'event ChallengeStarted(address indexed agent, uint256 agentBalance, uint256 nonce, uint256 deadline)',
+  'event ChallengeCountered(address indexed agent, uint256 agentBalance, uint256 nonce, uint256 newDeadline)',
+  'event ChallengeResolved(address indexed agent, uint256 agentPayout, uint256 casinoPayout)',
+  'event WithdrawalPending(address indexed recipient, uint256 amount)',
+];
+
+// ChannelState enum in ChannelManager. A settled channel is deleted, so it reads as none.
+const CHAIN_STATES = ['none', 'open', 'disputed', 'closed'];
+
+// casino_settlement_txs.action for each log's tx.
+const TX_ACTIONS = {
+  ChannelOpened: 'open',
+  CasinoFunded: 'fund',
+  ChannelClosed: 'close',
+  ChallengeStarted: 'challenge',
+  ChallengeCountered: 'counter',
+  ChallengeResolved: 'resolve',
+};
+
+// ~1 day of Base blocks (2s) when neither a cursor nor a start block is set.
+const LOOKBACK_BLOCKS = 43200;
+const BLOCK_RANGE = 2000;
+const MAX_BLOCKS_PER_RUN = 50000;
+const CONFIRMATIONS = 3;
+const STALE_TX_MS = 60 * 60 * 1000;
+const REPORT_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+const LEDGER_COLUMNS = 'id,agent,status,settlement_mode,agent_deposit::text,casino_deposit::text,agent_balance::text,nonce,open_tx_hash,fund_tx_hash,close_tx_hash';
+const MIRROR_COLUMNS = 'agent,chain_id,state,agent_deposit::text,casino_deposit::text,agent_balance::text,nonce,dispute_deadline,agent_payout::text,casino_payout::text,pending_withdrawal::text,open_tx_hash,close_tx_hash,last_event,last_block';
+
+const UPSERT = 'resolution=merge-duplicates,return=minimal';
+
+function nowIso() { return new Date().toISOString(); }
+
+class ChainIndexer {
+  /**
+   * @param {object} options
+   * @param {ethers.Provider} options.provider
+   * @param {string} options.address - ChannelManager
+   * @param {number} options.chainId
+   * @param {function} [options.rest] - PostgREST helper (default frontend/api/_supabase)
+   * @param {ethers.Contract} [options.contract] - defaults to ChannelManager on the provider
+   * @param {number} [options.startBlock] - first block to scan when there is no cursor (deploy block for a full backfill)
+   * @param {number} [options.confirmations]
+   * @param {number} [options.maxBlocks] - blocks scanned per sync()
+   */
+  constructor(options) {
+    this.provider = options.provider;
+    this.address = options.address;
+    this.chainId = options.chainId;
+    this.rest = options.rest || require('./_supabase').rest;
+    this.contract = options.contract || new ethers.Contract(options.address, CHANNEL_MANAGER_ABI, options.provider);
+    this.startBlock = options.startBlock;
+    this.confirmations = options.confirmations ?? CONFIRMATIONS;
+    this.maxBlocks = options.maxBlocks || MAX_BLOCKS_PER_RUN;
+    this.key = `channel_manager:${options.chainId}:${options.address.toLowerCase()}`;
+    this._mirror = new Map();
+  }
+
+  // ─── Sync ───────────────────────────────────────────────
+
+  /** Scan from the cursor up to head - confirmations (at most maxBlocks), then promote submitted txs. */
+  async sync() {
+    const head = await this.provider.getBlockNumber();
+    const safeHead = head - this.confirmations;
+    const state = await this._state();
+    let from = !state || state.cursor === null
+      ? (this.startBlock ?? Math.max(0, safeHead - LOOKBACK_BLOCKS))
+      : Number(state.cursor) + 1;
+    const until = Math.min(safeHead, from + this.maxBlocks - 1);
+
+    const summary = { from, to: null, events: 0, ledgerClosed: [], txs: { mined: 0, failed: 0, pending: 0 } };
+    this._mirror.clear();
+    while (from <= until) {
+      const to = Math.min(until, from + BLOCK_RANGE - 1);
+      const logs = await this.contract.queryFilter('*', from, to);
+      const events = logs
+        .filter(ev => ev.eventName && (TX_ACTIONS[ev.eventName] || ev.eventName === 'WithdrawalPending'))
+        .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+      for (const ev of events) {
+        const closed = await this._apply(ev);
+        if (closed) summary.ledgerClosed.push(closed);
+      }
+      summary.events += events.length;
+      summary.to = to;
+      await this._saveState({ cursor: to });
+      from = to + 1;
+    }
+
+    summary.txs = await this._promoteTxs(safeHead);
+    summary.behind = Math.max(0, safeHead - (summary.to ?? (from - 1)));
+    return summary;
+  }
+
+  /**
+   * Fold one log into the mirror, the settlement txs and the ledger.
+   * @returns {Promise<object|null>} the ledger channel it closed, if any
+   */
+  async _apply(ev) {
+    const { args } = ev;
+    const agent = args.agent || args.recipient;
+    const mirror = await this._mirrorRow(agent);
+    const tx = { hash: ev.transactionHash, block: ev.blockNumber };
+
+    if (ev.eventName === 'WithdrawalPending') {
+      // Also emitted for the casino; only agents have a mirror row.
+      if (!mirror) return null;
+      mirror.pending_withdrawal = toEth(numericToWei(mirror.pending_withdrawal) + args.amount);
+      await this._saveMirror(mirror, ev);
+      return null;
+    }
+
+    await this._saveTx(agent, TX_ACTIONS[ev.eventName], tx);
+
+    let row = mirror;
+    switch (ev.eventName) {
+      case 'ChannelOpened':
+        row = {
+          agent,
+          chain_id: this.chainId,
+          state: 'open',
+          agent_deposit: toEth(args.agentDeposit),
+          casino_deposit: '0',
+          agent_balance: toEth(args.agentDeposit),
+          nonce: 0,
+          dispute_deadline: null,
+          agent_payout: null,
+          casino_payout: null,
+          pending_withdrawal: '0',
+          open_tx_hash: tx.hash,
+          close_tx_hash: null,
+        };
+        await this._patchLedger(agent, 'open', tx);
+        break;
+      case 'CasinoFunded':
+        if (!row) return null;
+        row.casino_deposit = toEth(args.totalCasinoDeposit);
+        await this._patchLedger(agent, 'fund', tx);
+        break;
+      case 'ChallengeStarted':
+      case 'ChallengeCountered':
+        if (!row) return null;
+        row.state = 'disputed';
+        row.agent_balance = toEth(args.agentBalance);
+        row.nonce = Number(args.nonce);
+        row.dispute_deadline = new Date(Number(args.deadline ?? args.newDeadline) * 1000).toISOString();
+        break;
+      case 'ChannelClosed':
+        row = {
+          ...(row || { agent, chain_id: this.chainId, agent_deposit: '0', casino_deposit: '0', nonce: 0, pending_withdrawal: '0' }),
+          state: 'closed',
+          agent_payout: toEth(args.agentPayout),
+          casino_payout: toEth(args.casinoPayout),
+          close_tx_hash: tx.hash,
+        };
+        await this._saveMirror(row, ev);
+        return await this._closeLedger(agent, tx);
+      case 'ChallengeResolved':
+        // Same tx as its ChannelClosed; only the tx action changes.
+        if (!row) return null;
+        break;
+    }
+    await this._saveMirror(row, ev);
+    return null;
+  }
+
+  async _mirrorRow(agent) {
+    if (this._mirror.has(agent)) return this._mirror.get(agent);
+    const rows = await this.rest(`casino_onchain_channels?select=${MIRROR_COLUMNS}&agent=eq.${encodeURIComponent(agent)}&limit=1`) || [];
+    const row = rows[0] || null;
+    this._mirror.set(agent, row);
+    return row;
+  }
+
+  async _saveMirror(row, ev) {
+    const saved = { ...row, last_event: ev.eventName, last_block: ev.blockNumber, updated_at: nowIso() };
+    this._mirror.set(row.agent, saved);
+    await this.rest('casino_onchain_channels?on_conflict=agent', { method: 'POST', prefer: UPSERT, body: [saved] });
+  }
+
+  async _saveTx(agent, action, tx) {
+    await this.rest('casino_settlement_txs?on_conflict=tx_hash', {
+      method: 'POST',
+      prefer: UPSERT,
+      body: [{ agent, action, tx_hash: tx.hash, chain_id: this.chainId, status: 'mined', block_number: tx.block, error: null, updated_at: nowIso() }],
+    });
+  }
+
+  async _ledgerRow(agent) {
+    const rows = await this.rest(`casino_channels?select=${LEDGER_COLUMNS}&agent=eq.${encodeURIComponent(agent)}&order=id.desc&limit=1`) || [];
+    return rows[0] || null;
+  }
+
+  /** Fill open_/fund_ tx hash and block on the agent's open onchain-settle channel. */
+  async _patchLedger(agent, action, tx) {
+    const row = await this._ledgerRow(agent);
+    if (!row || row.status !== 'open' || row.settlement_mode !== 'onchain-settle') return;
+    const patch = { [`${action}_block`]: tx.block, updated_at: nowIso() };
+    if (!row[`${action}_tx_hash`]) patch[`${action}_tx_hash`] = tx.hash;
+    await this.rest(`casino_channels?id=eq.${row.id}`, { method: 'PATCH', prefer: 'return=minimal', body: patch });
+  }
+
+  /**
+   * The channel is gone onchain. A ledger channel still open would keep
+   * taking bets against funds that already left, so it is closed here.
+   * 'closing' is a relayed close whose request did not see the receipt.
+   */
+  async _closeLedger(agent, tx) {
+    const row = await this._ledgerRow(agent);
+    if (!row || row.settlement_mode !== 'onchain-settle') return null;
+    if (!['open', 'closing'].includes(row.status)) {
+      if (row.close_tx_hash && row.close_tx_hash !== tx.hash) return null;
+      await this.rest(`casino_channels?id=eq.${row.id}`, {
+        method: 'PATCH',
+        prefer: 'return=minimal',
+        body: { close_tx_hash: tx.hash, close_block: tx.block, updated_at: nowIso() },
+      });
+      return null;
+    }
+    await this.rest(`casino_channels?id=eq.${row.id}&status=eq.${row.status}`, {
+      method: 'PATCH',
+      prefer: 'return=minimal',
+      body: { status: 'closed', close_tx_hash: tx.hash, close_block: tx.block, settled_onchain: true, updated_at: nowIso() },
+    });
+    return { agent, channelId: row.id, txHash: tx.hash, block: tx.block };
+  }
+
+  /**
+   * Submitted txs with no log (reverted, or not from ChannelManager): settle
+   * them from the receipt. A reverted relayed close reopens its channel.
+   */
+  async _promoteTxs(safeHead) {
+    const counts = { mined: 0, failed: 0, pending: 0 };
+    const rows = await this.rest(`casino_settlement_txs?select=id,agent,action,tx_hash&status=eq.submitted&chain_id=eq.${this.chainId}&order=created_at.asc&limit=100`) || [];
+    for (const row of rows) {
+      const receipt = await this.provider.getTransactionReceipt(row.tx_hash);
+      if (!receipt || receipt.blockNumber > safeHead) {
+        counts.pending++;
+        continue;
+      }
+      const mined = receipt.status === 1;
+      await this.rest(`casino_settlement_txs?id=eq.${row.id}`, {
+        method: 'PATCH',
+        prefer: 'return=minimal',
+        body: { status: mined ? 'mined' : 'failed', block_number: receipt.blockNumber, error: mined ? null : 'reverted', updated_at: nowIso() },
+      });
+      counts[mined ? 'mined' : 'failed']++;
+      if (!mined && row.action === 'close') {
+        await this.rest(`casino_channels?agent=eq.${encodeURIComponent(row.agent)}&status=eq.closing`, {
+          method: 'PATCH',
+          prefer: 'return=minimal',
+          body: { status: 'open', updated_at: nowIso() },
+        });
+      }
+    }
+    return counts;
+  }
+
+  // ─── Reconciliation ─────────────────────────────────────
+
+  /**
+   * Compare channels(agent) with the ledger for every open onchain-settle
+   * channel and every channel the mirror has open, plus recent closes,
+   * failed txs and txs stuck as submitted. Stored as the latest report.
+   * @returns {Promise<{ generatedAt, block, checked, counts, mismatches: object[] }>}
+   */
+  async reconcile() {
+    const block = await this.provider.getBlockNumber();
+    const since = new Date(Date.now() - REPORT_WINDOW_MS).toISOString();
+    const staleBefore = new Date(Date.now() - STALE_TX_MS).toISOString();
+    const mismatches = [];
+    const add = (type, agent, detail) => mismatches.push({ type, agent, ...detail });
+
+    const ledger = await this.rest(`casino_channels?select=${LEDGER_COLUMNS}&status=in.(open,closing)&settlement_mode=eq.onchain-settle&limit=500`) || [];
+    const mirror = await this.rest(`casino_onchain_channels?select=${MIRROR_COLUMNS}&chain_id=eq.${this.chainId}&state=in.(open,disputed)&limit=500`) || [];
+    const ledgerByAgent = new Map(ledger.map(r => [r.agent, r]));
+    const mirrorByAgent = new Map(mirror.map(r => [r.agent, r]));
+    const agents = new Set([...ledgerByAgent.keys(), ...mirrorByAgent.keys()]);
+
+    for (const agent of agents) {
+      const ch = await this.contract.channels(agent);
+      const state = CHAIN_STATES[Number(ch.state ?? ch[7])];
+      const row = ledgerByAgent.get(agent);
+      const mirrored = mirrorByAgent.get(agent);
+
+      if (mirrored && state === 'none') {
+        add('indexer_behind', agent, { mirror: mirrored.state, chain: state, lastBlock: Number(mirrored.last_block) });
+      }
+      if (!row) {
+        if (state !== 'none') add('open_onchain_only', agent, { chain: state, agentDeposit: toEth(ch.agentDeposit) });
+        continue;
+      }
+      if (state === 'none') {
+        add('missing_onchain', agent, { channelId: row.id, closeTxHash: row.close_tx_hash || null });
+        continue;
+      }
+      if (BigInt(ch.agentDeposit) !== numericToWei(row.agent_deposit) || BigInt(ch.casinoDeposit) !== numericToWei(row.casino_deposit)) {
+        add('deposit_mismatch', agent, {
+          channelId: row.id,
+          onchain: { agentDeposit: toEth(ch.agentDeposit), casinoDeposit: toEth(ch.casinoDeposit) },
+          ledger: { agentDeposit: toEth(numericToWei(row.agent_deposit)), casinoDeposit: toEth(numericToWei(row.casino_deposit)) },
+        });
+      }
+      if (state === 'disputed') {
+        add('disputed', agent, {
+          channelId: row.id,
+          onchainNonce: Number(ch.nonce),
+          ledgerNonce: Number(row.nonce),
+          deadline: new Date(Number(ch.disputeDeadline) * 1000).toISOString(),
+        });
+      }
+    }
+
+    // Recent closes: the agent must have been paid what the ledger says.
+    const closed = await this.rest(`casino_onchain_channels?select=${MIRROR_COLUMNS}&chain_id=eq.${this.chainId}&state=eq.closed&updated_at=gte.${encodeURIComponent(since)}&limit=500`) || [];
+    const hashes = closed.map(r => r.close_tx_hash).filter(Boolean);
+    const ledgerClosed = hashes.length
+      ? await this.rest(`casino_channels?select=${LEDGER_COLUMNS}&close_tx_hash=in.(${hashes.join(',')})`) || []
+      : [];
+    const byCloseTx = new Map(ledgerClosed.map(r => [r.close_tx_hash, r]));
+    for (const r of closed) {
+      const row = byCloseTx.get(r.close_tx_hash);
+      if (row && numericToWei(row.agent_balance) !== numericToWei(r.agent_payout)) {
+        add('payout_mismatch', r.agent, {
+          channelId: row.id,
+          closeTxHash: r.close_tx_hash,
+          agentPayout: toEth(numericToWei(r.agent_payout)),
+          ledgerBalance: toEth(numericToWei(row.agent_balance)),
+        });
+      }
+      if (numericToWei(r.pending_withdrawal) > 0n) {
+        const pending = await this.contract.pendingWithdrawals(r.agent);
+        if (pending > 0n) add('withdrawal_pending', r.agent, { amount: toEth(pending) });
+      }
+    }
+
+    const failed = await this.rest(`casino_settlement_txs?select=agent,action,tx_hash,error&status=eq.failed&chain_id=eq.${this.chainId}&updated_at=gte.${encodeURIComponent(since)}&limit=100`) || [];
+    for (const t of failed) add('tx_failed', t.agent, { action: t.action, txHash: t.tx_hash, error: t.error });
+    const stuck = await this.rest(`casino_settlement_txs?select=agent,action,tx_hash,created_at&status=eq.submitted&chain_id=eq.${this.chainId}&created_at=lt.${encodeURIComponent(staleBefore)}&limit=100`) || [];
+    for (const t of stuck) add('tx_pending', t.agent, { action: t.action, txHash: t.tx_hash, submittedAt: t.created_at });
+
+    const counts = {};
+    for (const m of mismatches) counts[m.type] = (counts[m.type] || 0) + 1;
+    const report = { generatedAt: nowIso(), block, checked: agents.size, counts, mismatches };
+    await this._saveState({ report });
+    return report;
+  }
+
+  // ─── State ──────────────────────────────────────────────
+
+  /** Cursor and latest report. */
+  async _state() {
+    const rows = await this.rest(`casino_indexer_state?select=cursor,report,updated_at&key=eq.${encodeURIComponent(this.key)}&limit=1`) || [];
+    return rows[0] || null;
+  }
+
+  async getReport() {
+    const state = await this._state();
+    return state ? { cursor: state.cursor == null ? null : Number(state.cursor), updatedAt: state.updated_at, report: state.report || null } : null;
+  }
+
+  async _saveState(fields) {
+    await this.rest('casino_indexer_state?on_conflict=key', {
+      method: 'POST',
+      prefer: UPSERT,
+      body: [{ key: this.key, ...fields, updated_at: nowIso() }],
+    });
+  }
+}
+
+/** Indexer for the deployed ChannelManager (ONCHAIN_RPC_URL/BASE_RPC_URL, CHANNEL_MANAGER, CHAIN_ID). */
+function getIndexer() {
+  const rpc = process.env.ONCHAIN_RPC_URL || process.env.BASE_RPC_URL;
+  const address = process.env.CHANNEL_MANAGER;
+  if (!rpc || !address) throw new Error('Indexer env missing (ONCHAIN_RPC_URL/BASE_RPC_URL, CHANNEL_MANAGER)');
+  const start = process.env.INDEXER_START_BLOCK;
+  return new ChainIndexer({
+    provider: new ethers.JsonRpcProvider(rpc),
+    address,
+    chainId: Number(process.env.CHAIN_ID || 8453),
+    startBlock: start ? Number(start) : undefined,
+    confirmations: process.env.INDEXER_CONFIRMATIONS ? Number(process.env.INDEXER_CONFIRMATIONS) : undefined,
+  });
+}
+
+module.exports = { ChainIndexer, getIndexer, CHANNEL_MANAGER_ABI };
@@ -0,0 +1,165 @@
+/**
+ * Serverless lotto draws (supabase/lotto_draw_rpcs.sql).
+ *
+ * Same commitment scheme and draw math as LottoGame on the VM: the casino
+ * seed is committed when a draw opens, revealed when it runs, and the
+ * winning number is LottoGame.winningNumberFor(seed, agents, pool, drawId).
+ *
+ * runDueDraws() and creditWinnings() run from the cron endpoint
+ * (api/cron/lotto-draw); openDraw(), unpaidWinnings() and payWinnings()
+ * are also used by the A2A handler.
+ */
+
+const { rest } = require('./_supabase');
+const CommitReveal = require('../../server/commit-reveal');
+const { toEth, numericToWei } = require('../../server/wei');
+
+function shortAddr(addr = '') {
+  if (addr.startsWith('0x') && addr.length > 10) return `${addr.slice(0, 6)}...${addr.slice(-4)}`;
+  return addr;
+}
+
+// ─── Draws ────────────────────────────────────────────────
+
+/** Current open draw; opens the next one (with a fresh committed seed) if none. */
+async function openDraw(engine) {
+  const lotto = engine.games.get('lotto');
+  const { seed, commitment } = CommitReveal.commit();
+  return await rest('rpc/casino_lotto_open_draw', {
+    method: 'POST',
+    body: {
+      p_commitment: commitment,
+      p_seed: seed,
+      p_draw_time: new Date(Date.now() + lotto.drawIntervalMs).toISOString(),
+    },
+  });
+}
+
+async function executeDraw(lotto, drawId) {
+  const seeds = await rest(`casino_lotto_seeds?select=casino_seed&draw_id=eq.${drawId}`) || [];
+  if (seeds.length === 0) throw new Error(`DRAW_NOT_FOUND: no committed seed for draw ${drawId}`);
+  const casinoSeed = seeds[0].casino_seed;
+
+  const tickets = await rest(`casino_lotto_tickets?select=agent,picked_number,ticket_count,cost::text&draw_id=eq.${drawId}`) || [];
+  const totalTickets = tickets.reduce((s, t) => s + Number(t.ticket_count || 0), 0);
+  const totalPool = tickets.reduce((s, t) => s + numericToWei(t.cost), 0n);
+  const agentCount = new Set(tickets.map(t => t.agent)).size;
+
+  const winningNumber = lotto.winningNumberFor(casinoSeed, agentCount, totalPool, drawId);
+
+  const matches = new Map();
+  for (const t of tickets) {
+    if (Number(t.picked_number) !== winningNumber) continue;
+    matches.set(t.agent, (matches.get(t.agent) || 0) + Number(t.ticket_count || 0));
+  }
+  const winners = Array.from(matches, ([agent, count]) => ({
+    agent,
+    tickets: count,
+    amount: toEth(lotto.winningsFor(count)),
+  }));
+
+  const draw = await rest('rpc/casino_lotto_execute_draw', {
+    method: 'POST',
+    body: {
+      p_draw_id: drawId,
+      p_winning_number: winningNumber,
+      p_total_tickets: totalTickets,
+      p_total_pool: toEth(totalPool),
+      p_winners: winners,
+    },
+  });
+
+  return {
+    drawId,
+    winningNumber,
+    casinoSeed,
+    commitment: draw.commitment,
+    agentCount,
+    winners: winners.map(w => ({ agent: w.agent, tickets: w.tickets, payout: w.amount })),
+    totalPool: toEth(totalPool),
+    totalTickets,
+  };
+}
+
+/**
+ * Execute every draw past its draw time, then make sure a draw is open.
+ * A draw that fails (e.g. DRAW_CHANGED) is reported and retried next run.
+ */
+async function runDueDraws(engine) {
+  const lotto = engine.games.get('lotto');
+  const now = encodeURIComponent(new Date().toISOString());
+  const due = await rest(`casino_lotto_draws?select=draw_id&drawn=eq.false&draw_time=lte.${now}&order=draw_id.asc`) || [];
+
+  const results = [];
+  for (const { draw_id: drawId } of due) {
+    try {
+      const result = await executeDraw(lotto, Number(drawId));
+      results.push(result);
+      await rest('casino_events', {
+        method: 'POST',
+        body: [{
+          ts: new Date().toISOString(),
+          type: 'game',
+          action: 'lotto_draw',
+          agent: null,
+          result: { ...result, winners: result.winners.map(w => ({ ...w, agent: shortAddr(w.agent) })) },
+        }],
+      }).catch(() => {});
+    } catch (e) {
+      results.push({ drawId: Number(drawId), error: e.message });
+    }
+  }
+
+  await openDraw(engine);
+  return results;
+}
+
+// ─── Winnings ─────────────────────────────────────────────
+
+/** Won but not yet paid into a channel, in wei. */
+async function unpaidWinnings(agent) {
+  const rows = await rest(`casino_lotto_winnings?select=amount::text,paid::text&agent=eq.${encodeURIComponent(agent)}&settled=eq.false`) || [];
+  return rows.reduce((s, r) => s + numericToWei(r.amount) - numericToWei(r.paid), 0n);
+}
+
+/**
+ * Pay unpaid winnings into the agent's open channel as one signed state
+ * update. The channel must be loaded; the engine caps the payout to the
+ * casino balance and the remainder stays claimable.
+ */
+async function payWinnings(engine, agent, unpaidWei, tx = {}) {
+  const lotto = engine.games.get('lotto');
+  return await engine.settleRound(agent, 'lotto', {
+    betWei: 0n,
+    payoutWei: unpaidWei,
+    multiplier: Number(lotto.payoutMultiplier),
+    record: { bet: toEth(0n), won: true, result: 'winnings' },
+  }, { ...tx, rpc: 'casino_lotto_pay' });
+}
+
+/** Credit every open channel that has unpaid winnings. */
+async function creditWinnings(engine) {
+  const rows = await rest('casino_lotto_winnings?select=agent&settled=eq.false') || [];
+  const agents = Array.from(new Set(rows.map(r => r.agent)));
+
+  const credited = [];
+  for (const agent of agents) {
+    try {
+      const channel = await engine.loadChannel(agent);
+      if (!channel || channel.casinoBalance === 0n) continue;
+      const unpaid = await unpaidWinnings(agent);
+      if (unpaid === 0n) continue;
+
+      const settled = await payWinnings(engine, agent, unpaid, {
+        event: result => ({ type: 'game', action: 'lotto_win', agent: shortAddr(agent), result: { payout: result.payout } }),
+      });
+      credited.push({ agent: shortAddr(agent), payout: settled.payout, nonce: settled.nonce });
+    } catch (e) {
+      // Busy channel (NONCE_CONFLICT) or closed since: stays claimable.
+      credited.push({ agent: shortAddr(agent), error: e.message });
+    }
+  }
+  return credited;
+}
+
+module.exports = { openDraw, runDueDraws, unpaidWinnings, payWinnings, creditWinnings };
@@ -0,0 +1,30 @@
+/**
+ * Casino signer for the Vercel functions.
+ *
+ * Same key as the VM: GCP KMS (USE_KMS=true, or no CASINO_PRIVATE_KEY set).
+ * CASINO_PRIVATE_KEY is a local/dev fallback and is refused in production.
+ *
+ * Used for ChannelState EIP-712 signatures (engine) and onchain txs
+ * (fundCasinoSide, entropy requests).
+ */
+
+const { ethers } = require('ethers');
+
+function useKms() {
+  return String(process.env.USE_KMS || '').toLowerCase() === 'true' || !process.env.CASINO_PRIVATE_KEY;
+}
+
+function getCasinoSigner(provider = null) {
+  const env = String(process.env.NODE_ENV || '').toLowerCase();
+  if (env === 'production' && !useKms()) {
+    throw new Error('Production requires KMS signer (set USE_KMS=true and remove CASINO_PRIVATE_KEY fallback)');
+  }
+
+  if (useKms()) {
+    const { KmsSigner } = require('../../server/kms-signer');
+    return new KmsSigner(provider);
+  }
+  return new ethers.Wallet(process.env.CASINO_PRIVATE_KEY, provider);
+}
+
+module.exports = { getCasinoSigner, useKms };
@@ -1,16 +1,34 @@
 const crypto = require('crypto');
 const { ethers } = require('ethers');
 const { rest, hasConfig } = require('../_supabase');
+const { getEngine } = require('../_engine');
+const { getCasinoSigner } = require('../_signer');
+const { openDraw, unpaidWinnings, payWinnings } = require('../_lotto');
+const { toEth, numericToWei } = require('../../../server/wei');
+const RelayService = require('../../../privacy/relay');
 
 const CASINO_NAME = 'AgentCasino';
-const COMMIT_TTL_MS = 5 * 60 * 1000;
 const DEFAULT_SETTLEMENT_MODE = process.env.DEFAULT_SETTLEMENT_MODE || 'onchain-settle';
+const MIN_DEPOSIT_WEI = ethers.parseEther('0.001');
+const MIN_BET_WEI = ethers.parseEther('0.0001');
 
 const CHANNEL_MANAGER_ABI = [
   'function channels(address) view returns (uint256 agentDeposit, uint256 casinoDeposit, uint256 agentBalance, uint256 casinoBalance, uint256 nonce, bytes32 openingBlockHash, uint256 openingBlockNumber, uint8 state)',
+  'function channelEpoch(address) view returns (uint256)',
   'function fundCasinoSide(address agent) payable',
+  'function closeChannelWithSig(address agent, uint256 agentBalance, uint256 casinoBalance, uint256 nonce, uint256 deadline, bytes casinoSig, bytes agentSig)',
 ];
 
+const CHANNEL_STATE_TYPES = {
+  ChannelState: [
+    { name: 'agent', type: 'address' },
+    { name: 'epoch', type: 'uint256' },
+    { name: 'agentBalance', type: 'uint256' },
+    { name: 'casinoBalance', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+};
+
 const ENTROPY_COINFLIP_ABI = [
   'function quoteFee() view returns (uint256)',
   'function requestCoinflip(bytes32 roundId,address agent,uint8 choice,uint256 betAmount,bytes32 userRandom) payable returns (uint64)',
@@ -30,20 +48,7 @@ function getChain() {
   const provider = new ethers.JsonRpcProvider(rpc);
   const cmc = new ethers.Contract(cm, CHANNEL_MANAGER_ABI, provider);
 
-  let casino;
-  const env = String(process.env.NODE_ENV || '').toLowerCase();
-  const useKms = String(process.env.USE_KMS || '').toLowerCase() === 'true' || !process.env.CASINO_PRIVATE_KEY;
-
-  if (env === 'production' && !useKms) {
-    throw new Error('Production requires KMS signer (set USE_KMS=true and remove CASINO_PRIVATE_KEY fallback)');
-  }
-
-  if (useKms) {
-    const { KmsSigner } = require('../../../server/kms-signer');
-    casino = new KmsSigner(provider);
-  } else {
-    casino = new ethers.Wallet(process.env.CASINO_PRIVATE_KEY, provider);
-  }
+  const casino = getCasinoSigner(provider);
 
   _chain = { provider, casino, cmc, cm };
   return _chain;
@@ -66,23 +71,31 @@ async function recordSettlementTx(agent, action, txHash, chainId, status = 'subm
   }).catch(() => {});
 }
 
-async function onchainOpenAndFund(agentAddr, agentDepositEth, casinoDepositEth, openTxHash = null) {
+async function updateSettlementTx(txHash, fields) {
+  await rest(`casino_settlement_txs?tx_hash=eq.${encodeURIComponent(txHash)}`, {
+    method: 'PATCH',
+    prefer: 'return=minimal',
+    body: { ...fields, updated_at: nowIso() },
+  }).catch(() => {});
+}
+
+async function onchainOpenAndFund(agentAddr, agentDepositWei, casinoDepositWei, openTxHash = null) {
   const { provider, casino, cmc } = getChain();
   const network = await provider.getNetwork();
   const chainId = Number(network.chainId);
 
   // Agent opens channel from their own wallet externally.
   // We verify channel state and then fund casino side.
-  const ch = await cmc.channels(agentAddr);
+  const [ch, epoch] = await Promise.all([cmc.channels(agentAddr), cmc.channelEpoch(agentAddr)]);
   const state = Number(ch.state ?? ch[7] ?? 0);
   if (state !== 1) throw new Error('Onchain channel is not open. Agent must open channel first onchain.');
 
-  const onchainAgentDeposit = Number(ethers.formatEther(ch.agentDeposit ?? ch[0] ?? 0n));
-  if (onchainAgentDeposit + 1e-12 < Number(agentDepositEth)) {
-    throw new Error(`Onchain agent deposit too low. expected>=${agentDepositEth}, got=${onchainAgentDeposit}`);
+  const onchainAgentDeposit = BigInt(ch.agentDeposit ?? ch[0] ?? 0n);
+  if (onchainAgentDeposit < agentDepositWei) {
+    throw new Error(`Onchain agent deposit too low. expected>=${toEth(agentDepositWei)}, got=${toEth(onchainAgentDeposit)}`);
   }
 
-  const fundTx = await cmc.connect(casino).fundCasinoSide(agentAddr, { value: ethers.parseEther(String(casinoDepositEth)) });
+  const fundTx = await cmc.connect(casino).fundCasinoSide(agentAddr, { value: casinoDepositWei });
   const fundRcpt = await fundTx.wait();
   await recordSettlementTx(agentAddr, 'fund', fundTx.hash, chainId, 'mined', fundRcpt?.blockNumber || null);
   if (openTxHash) await recordSettlementTx(agentAddr, 'open', openTxHash, chainId, 'submitted', null, null);
@@ -94,32 +107,54 @@ async function onchainOpenAndFund(agentAddr, agentDepositEth, casinoDepositEth,
     openBlock: null,
     fundBlock: fundRcpt?.blockNumber || null,
     onchainAgent: agentAddr,
+    epoch: Number(epoch),
   };
 }
 
-async function onchainCloseSignature(agentAddr, agentBalanceEth, casinoBalanceEth, nonce) {
+// `epoch` is the onchain channel's channelEpoch (onchainOpenAndFund), kept with the channel.
+async function onchainCloseSignature(agentAddr, agentBalanceWei, casinoBalanceWei, nonce, epoch = 0) {
   const { provider, casino, cm } = getChain();
   const network = await provider.getNetwork();
   const chainId = Number(network.chainId);
 
   const domain = { name: 'AgentCasino', version: '1', chainId, verifyingContract: cm };
-  const types = {
-    ChannelState: [
-      { name: 'agent', type: 'address' },
-      { name: 'agentBalance', type: 'uint256' },
-      { name: 'casinoBalance', type: 'uint256' },
-      { name: 'nonce', type: 'uint256' },
-    ],
-  };
   const value = {
     agent: agentAddr,
-    agentBalance: ethers.parseEther(String(agentBalanceEth)),
-    casinoBalance: ethers.parseEther(String(casinoBalanceEth)),
+    epoch: BigInt(epoch),
+    agentBalance: agentBalanceWei,
+    casinoBalance: casinoBalanceWei,
     nonce: BigInt(nonce),
   };
-  const casinoSig = await casino.signTypedData(domain, types, value);
+  const casinoSig = await casino.signTypedData(domain, CHANNEL_STATE_TYPES, value);
 
-  return { chainId, casinoSig, onchainAgent: agentAddr };
+  return { chainId, epoch, casinoSig, onchainAgent: agentAddr };
+}
+
+/**
+ * Relayed cooperative close (privacy/relay.js). The agent's
+ * CloseAuthorization must cover exactly the state the casino signed
+ * (epoch, balances, nonce; `signed` from onchainCloseSignature); the casino signer
+ * sends closeChannelWithSig and waits for the receipt.
+ * Throws INVALID_AUTHORIZATION / AUTHORIZATION_EXPIRED before sending, and
+ * CLOSE_TX_FAILED (with `sent`/`txHash`) if the tx could not be confirmed.
+ */
+async function onchainRelayClose(agentAddr, agentBalanceWei, casinoBalanceWei, nonce, signed, authorization) {
+  const { casino, cmc } = getChain();
+  const relay = new RelayService(casino, null, { channelManager: cmc.connect(casino) });
+  const state = { epoch: signed.epoch, agentBalance: agentBalanceWei, casinoBalance: casinoBalanceWei, nonce, casinoSig: signed.casinoSig };
+  try {
+    const relayed = await relay.relayClose(agentAddr, state, authorization, {
+      onSubmitted: txHash => recordSettlementTx(agentAddr, 'close', txHash, signed.chainId, 'submitted', null, null),
+    });
+    await updateSettlementTx(relayed.txHash, { status: 'mined', block_number: relayed.blockNumber });
+    return { txHash: relayed.txHash, block: relayed.blockNumber };
+  } catch (e) {
+    if (e.code !== 'RELAY_TX_FAILED') throw e;
+    // Reverted: nothing changed onchain. Anything else: the tx may still land.
+    const detail = e.message.slice('RELAY_TX_FAILED: '.length);
+    if (e.txHash && !e.sent) await updateSettlementTx(e.txHash, { status: 'failed', block_number: e.blockNumber, error: detail });
+    throw Object.assign(new Error(`CLOSE_TX_FAILED: ${detail}`), { sent: e.sent, txHash: e.txHash });
+  }
 }
 
 function reply(res, content, status = 200) {
@@ -134,14 +169,59 @@ function err(res, message, status = 400, code = 'BAD_REQUEST') {
   return reply(res, { error: true, code, message }, status);
 }
 
+// Engine/plugin errors are plain Errors; map them to stable A2A codes.
+// Write RPC errors (supabase/atomic_write_rpcs.sql) already start with one.
+const ENGINE_ERRORS = [
+  ['NONCE_CONFLICT', 409, 'NONCE_CONFLICT'],
+  ['INVALID_AUTHORIZATION', 400, 'INVALID_AUTHORIZATION'],
+  ['AUTHORIZATION_EXPIRED', 400, 'AUTHORIZATION_EXPIRED'],
+  ['CLOSE_TX_FAILED', 502, 'CLOSE_TX_FAILED'],
+  ['CHANNEL_ALREADY_EXISTS', 409, 'CHANNEL_ALREADY_EXISTS'],
+  ['CHANNEL_NOT_FOUND', 404, 'CHANNEL_NOT_FOUND'],
+  ['ROUND_ALREADY_SETTLED', 409, 'ROUND_ALREADY_SETTLED'],
+  ['ROUND_NOT_FOUND', 404, 'ROUND_NOT_FOUND'],
+  ['INVARIANT_VIOLATION', 500, 'INVARIANT_VIOLATION'],
+  ['INVARIANT VIOLATION', 500, 'INVARIANT_VIOLATION'],
+  ['DRAW_CLOSED', 409, 'DRAW_CLOSED'],
+  ['WINNINGS_CHANGED', 409, 'WINNINGS_CHANGED'],
+  ['Channel already exists', 409, 'CHANNEL_ALREADY_EXISTS'],
+  ['Channel not found', 404, 'CHANNEL_NOT_FOUND'],
+  ['Already have a pending', 409, 'PENDING_COMMIT_EXISTS'],
+  ['No pending', 400, 'COMMIT_NOT_FOUND'],
+  ['expired', 400, 'COMMIT_EXPIRED'],
+  ['Max bet', 400, 'MAX_BET_EXCEEDED'],
+  ['Insufficient balance', 400, 'INSUFFICIENT_BALANCE'],
+  ['Bet must be positive', 400, 'INVALID_BET'],
+  ['Choice must be', 400, 'INVALID_CHOICE'],
+  ['Target must be', 400, 'INVALID_TARGET'],
+  ['Cannot roll', 400, 'INVALID_TARGET'],
+];
+
+function engineErr(res, e) {
+  const message = e.message || 'Internal error';
+  const match = ENGINE_ERRORS.find(([needle]) => message.includes(needle));
+  return match ? err(res, message, match[1], match[2]) : err(res, message);
+}
+
 function shortAddr(addr = '') {
   if (addr.startsWith('0x') && addr.length > 10) return `${addr.slice(0, 6)}...${addr.slice(-4)}`;
   return addr;
 }
 
-function toNum(x, d = 0) {
-  const n = Number(x);
-  return Number.isFinite(n) ? n : d;
+/**
+ * Parse an ETH amount from the request into wei.
+ * Returns null for anything that is not a plain decimal with at most
+ * 18 fractional digits (no floats, exponents or negative values).
+ */
+function weiParam(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  if (!/^\d+(\.\d{1,18})?$/.test(text)) return null;
+  return ethers.parseEther(text);
+}
+
+function firstParam(content, key) {
+  return content[key] !== undefined ? content[key] : content.params?.[key];
 }
 
 function sha256(s) {
@@ -159,27 +239,6 @@ async function getOpenChannel(agent) {
   return rows?.[0] || null;
 }
 
-async function updateChannel(id, patch) {
-  try {
-    const rows = await rest(`casino_channels?id=eq.${id}`, {
-      method: 'PATCH',
-      body: { ...patch, updated_at: nowIso() },
-      prefer: 'return=representation',
-    });
-    return rows?.[0] || null;
-  } catch (e) {
-    if (String(e.message || '').includes("updated_at")) {
-      const rows = await rest(`casino_channels?id=eq.${id}`, {
-        method: 'PATCH',
-        body: { ...patch },
-        prefer: 'return=representation',
-      });
-      return rows?.[0] || null;
-    }
-    throw e;
-  }
-}
-
 async function insertEvent(type, action, agent, result) {
   await rest('casino_events', {
     method: 'POST',
@@ -187,41 +246,17 @@ async function insertEvent(type, action, agent, result) {
   }).catch(() => {});
 }
 
-async function upsertGameStats(game, wagerDelta = 0, payoutDelta = 0, roundDelta = 1) {
-  const rows = await rest(`casino_game_stats?select=game,total_rounds,total_wagered,total_paid_out&game=eq.${encodeURIComponent(game)}&limit=1`).catch(() => []);
-  if (!rows || rows.length === 0) {
-    await rest('casino_game_stats', {
-      method: 'POST',
-      body: [{ game, total_rounds: roundDelta, total_wagered: wagerDelta, total_paid_out: payoutDelta }],
-    });
-    return;
-  }
-  const r = rows[0];
-  await rest(`casino_game_stats?game=eq.${encodeURIComponent(game)}`, {
-    method: 'PATCH',
-    body: {
-      total_rounds: toNum(r.total_rounds) + roundDelta,
-      total_wagered: toNum(r.total_wagered) + wagerDelta,
-      total_paid_out: toNum(r.total_paid_out) + payoutDelta,
-    },
-  });
-}
-
-async function insertRound(payload) {
-  await rest('casino_rounds', { method: 'POST', body: [payload] });
-}
-
 async function insertEntropyRound(payload) {
   await rest('casino_entropy_rounds', { method: 'POST', body: [payload] }).catch(() => {});
 }
 
 async function getEntropyRoundByRoundId(roundId) {
-  const rows = await rest(`casino_entropy_rounds?select=*&round_id=eq.${encodeURIComponent(roundId)}&limit=1`).catch(() => []);
+  const rows = await rest(`casino_entropy_rounds?select=*,bet_amount_text:bet_amount::text&round_id=eq.${encodeURIComponent(roundId)}&limit=1`).catch(() => []);
   return rows?.[0] || null;
 }
 
 async function getLatestEntropyRoundByAgent(agent) {
-  const rows = await rest(`casino_entropy_rounds?select=*&agent=eq.${encodeURIComponent(agent)}&order=created_at.desc&limit=1`).catch(() => []);
+  const rows = await rest(`casino_entropy_rounds?select=*,bet_amount_text:bet_amount::text&agent=eq.${encodeURIComponent(agent)}&order=created_at.desc&limit=1`).catch(() => []);
   return rows?.[0] || null;
 }
 
@@ -251,45 +286,23 @@ async function putStoredRequest(requestKey, action, agent, response, status = 'd
   });
 }
 
-function reelFromHash(hash, offset) {
-  const n = parseInt(hash.slice(offset, offset + 8), 16) % 100;
-  if (n < 30) return 0;
-  if (n < 55) return 1;
-  if (n < 75) return 2;
-  if (n < 90) return 3;
-  return 4;
-}
-
-function slotsOutcome(seedA, seedB, nonce) {
-  const h = sha256(`${seedA}${seedB}${nonce}`);
-  const r0 = reelFromHash(h, 0);
-  const r1 = reelFromHash(h, 8);
-  const r2 = reelFromHash(h, 16);
-  const names = ['cherry', 'lemon', 'orange', 'diamond', 'seven'];
-  const payouts = [5, 10, 25, 50, 290];
-  const same = r0 === r1 && r1 === r2;
-  const multiplier = same ? payouts[r0] : 0;
-  return { reelIndices: [r0, r1, r2], reels: [names[r0], names[r1], names[r2]], multiplier, resultHash: h };
-}
-
-function coinflipOutcome(seedA, seedB, nonce, choice) {
-  const h = sha256(`${seedA}${seedB}${nonce}`);
-  const bit = parseInt(h.slice(0, 2), 16) % 2;
-  const result = bit === 0 ? 'heads' : 'tails';
-  const won = result === choice;
-  return { result, won, resultHash: h };
-}
-
-function slotsOutcomeFromEntropy(randomHex) {
-  const h = sha256(String(randomHex || '0x0'));
-  const r0 = reelFromHash(h, 0);
-  const r1 = reelFromHash(h, 8);
-  const r2 = reelFromHash(h, 16);
-  const names = ['cherry', 'lemon', 'orange', 'diamond', 'seven'];
-  const payouts = [5, 10, 25, 50, 290];
-  const same = r0 === r1 && r1 === r2;
-  const multiplier = same ? payouts[r0] : 0;
-  return { reelIndices: [r0, r1, r2], reels: [names[r0], names[r1], names[r2]], multiplier, resultHash: h };
+/**
+ * Store context for an engine write. The casino_events row and the
+ * idempotent casino_requests response are written by the same RPC as the
+ * channel update, so a request is either fully applied or not at all.
+ * `respond` maps the engine result to the stored response; `logged` maps
+ * it to the event payload (public feed, so the signature is dropped).
+ * Remaining options go to the store as-is.
+ */
+function writeTx(idemKey, action, agent, { type = 'game', eventAction = action, respond = r => r, logged = respond, ...store } = {}) {
+  return {
+    ...store,
+    event: result => {
+      const { signature, ...safe } = logged(result);
+      return { type, action: eventAction, agent: shortAddr(agent), result: safe };
+    },
+    request: result => ({ request_key: idemKey, action, agent, response: respond(result) }),
+  };
 }
 
 function lottoOutcomeFromEntropy(randomHex, range = 100) {
@@ -297,41 +310,10 @@ function lottoOutcomeFromEntropy(randomHex, range = 100) {
   return n;
 }
 
-function diceOutcomeFromEntropy(randomHex, choice, target) {
-  const roll = (Number(BigInt(String(randomHex || '0x0')) % 100n) + 1); // 1-100
-  const won = choice === 'over' ? roll > target : roll < target;
-  
-  // Calculate multiplier: (100 / win_probability) × 0.95
-  let winProbability;
-  if (choice === 'over') {
-    winProbability = (100 - target) / 100;
-  } else {
-    winProbability = (target - 1) / 100;
-  }
-  const multiplier = winProbability > 0 ? (1 / winProbability) * 0.95 : 0;
-  
-  return { roll, won, multiplier };
-}
-
 function validateAddress(a) {
   return typeof a === 'string' && ethers.isAddress(a);
 }
 
-async function ensureDraw() {
-  const existing = await rest('casino_lotto_draws?select=*&drawn=eq.false&order=draw_id.desc&limit=1').catch(() => []);
-  if (existing && existing[0]) return existing[0];
-
-  const last = await rest('casino_lotto_draws?select=draw_id&order=draw_id.desc&limit=1').catch(() => []);
-  const nextId = (last?.[0]?.draw_id || 0) + 1;
-  const drawTime = new Date(Date.now() + 6 * 60 * 60 * 1000).toISOString();
-  const commitment = sha256(randHex(32));
-  const rows = await rest('casino_lotto_draws', {
-    method: 'POST',
-    body: [{ draw_id: nextId, commitment, draw_time: drawTime, drawn: false }],
-  });
-  return rows[0];
-}
-
 module.exports = async (req, res) => {
   if (!hasConfig()) return err(res, 'Supabase env not configured', 500, 'SERVER_CONFIG');
 
@@ -350,7 +332,7 @@ module.exports = async (req, res) => {
       entropyCoinflip: process.env.ENTROPY_COINFLIP || null,
       entropyCallbackGasLimit: Number(process.env.ENTROPY_CALLBACK_GAS_LIMIT || 120000),
       privacy: 'Stealth addresses + state updates in Supabase',
-      actions: ['open_channel','close_channel','channel_status','slots_commit','slots_reveal','slots_entropy_commit','slots_entropy_status','slots_entropy_finalize','coinflip_commit','coinflip_reveal','coinflip_entropy_commit','coinflip_entropy_status','coinflip_entropy_finalize','lotto_buy','lotto_status','lotto_entropy_buy','lotto_entropy_status','lotto_entropy_finalize','info','stats'],
+      actions: ['open_channel','close_channel','channel_status','slots_commit','slots_reveal','slots_entropy_commit','slots_entropy_status','slots_entropy_finalize','coinflip_commit','coinflip_reveal','coinflip_entropy_commit','coinflip_entropy_status','coinflip_entropy_finalize','dice_commit','dice_reveal','dice_entropy_commit','dice_entropy_status','dice_entropy_finalize','lotto_buy','lotto_status','lotto_history','lotto_claim','lotto_entropy_buy','lotto_entropy_status','lotto_entropy_finalize','info','stats'],
     });
   }
 
@@ -361,11 +343,57 @@ module.exports = async (req, res) => {
     return reply(res, out);
   }
 
+  if (action === 'lotto_status') {
+    const engine = getEngine();
+    const lotto = engine.games.get('lotto');
+    const draw = await openDraw(engine);
+    const tickets = await rest(`casino_lotto_tickets?select=ticket_count,cost::text&draw_id=eq.${draw.draw_id}`).catch(() => []);
+    const totalTickets = (tickets || []).reduce((s, t) => s + Number(t.ticket_count || 0), 0);
+    const totalPool = (tickets || []).reduce((s, t) => s + numericToWei(t.cost), 0n);
+    return reply(res, {
+      drawId: Number(draw.draw_id),
+      commitment: draw.commitment,
+      drawTime: new Date(draw.draw_time).getTime(),
+      ticketPrice: toEth(lotto.ticketPriceWei),
+      payoutMultiplier: Number(lotto.payoutMultiplier),
+      range: lotto.range,
+      totalTickets,
+      totalPool: toEth(totalPool),
+    });
+  }
+
+  // One draw by drawId (like the VM), or the most recent completed draws.
+  // casinoSeed is only published once the draw has run.
+  if (action === 'lotto_history') {
+    const drawId = content.drawId ?? content.params?.drawId;
+    const cols = 'draw_id,commitment,draw_time,drawn,drawn_at,result_number,casino_seed,total_tickets,total_pool::text,winners';
+    const toDraw = d => (d.drawn ? {
+      drawId: Number(d.draw_id),
+      status: 'completed',
+      winningNumber: d.result_number,
+      casinoSeed: d.casino_seed,
+      commitment: d.commitment,
+      totalTickets: Number(d.total_tickets || 0),
+      totalPool: toEth(numericToWei(d.total_pool)),
+      winners: (d.winners || []).map(w => ({ agent: shortAddr(w.agent), tickets: w.tickets, payout: w.amount })),
+      drawnAt: new Date(d.drawn_at).getTime(),
+    } : { drawId: Number(d.draw_id), status: 'pending', commitment: d.commitment, drawTime: new Date(d.draw_time).getTime() });
+
+    if (drawId !== undefined && drawId !== null) {
+      if (!Number.isInteger(Number(drawId))) return err(res, 'drawId must be an integer', 400, 'INVALID_DRAW');
+      const rows = await rest(`casino_lotto_draws?select=${cols}&draw_id=eq.${Number(drawId)}&limit=1`);
+      if (!rows || rows.length === 0) return err(res, 'Draw not found', 404, 'DRAW_NOT_FOUND');
+      return reply(res, toDraw(rows[0]));
+    }
+    const rows = await rest(`casino_lotto_draws?select=${cols}&drawn=eq.true&order=draw_id.desc&limit=10`) || [];
+    return reply(res, { draws: rows.map(toDraw) });
+  }
+
   if (!validateAddress(agent)) return err(res, 'Invalid or missing stealthAddress');
   agent = ethers.getAddress(agent);
 
   const idemKey = req.headers['x-idempotency-key'] || sha256(JSON.stringify(content));
-  if (['open_channel','close_channel','slots_reveal','coinflip_reveal','dice_reveal','slots_entropy_commit','slots_entropy_finalize','coinflip_entropy_commit','coinflip_entropy_finalize','dice_entropy_commit','dice_entropy_finalize','lotto_buy','lotto_entropy_buy','lotto_entropy_finalize'].includes(action)) {
+  if (['open_channel','close_channel','slots_reveal','coinflip_reveal','dice_reveal','slots_entropy_commit','slots_entropy_finalize','coinflip_entropy_commit','coinflip_entropy_finalize','dice_entropy_commit','dice_entropy_finalize','lotto_buy','lotto_claim','lotto_entropy_buy','lotto_entropy_finalize'].includes(action)) {
     const prev = await getStoredRequest(idemKey);
     if (prev?.response && prev.status === 'done') return reply(res, prev.response);
   }
@@ -376,11 +404,14 @@ module.exports = async (req, res) => {
       if (existing) return err(res, 'Channel already exists', 409, 'CHANNEL_ALREADY_EXISTS');
 
       const settlementMode = content.settlementMode || content.mode || DEFAULT_SETTLEMENT_MODE;
-      const agentDeposit = toNum(content.agentDeposit, toNum(content.params?.agentDeposit, 0));
-      const casinoDeposit = toNum(content.casinoDeposit, toNum(content.params?.casinoDeposit, agentDeposit));
-      if (agentDeposit < 0.001 || casinoDeposit <= 0) return err(res, 'Min deposit: 0.001 Ξ', 400, 'INVALID_DEPOSIT');
+      const agentDeposit = weiParam(firstParam(content, 'agentDeposit'));
+      const casinoDepositRaw = firstParam(content, 'casinoDeposit');
+      const casinoDeposit = casinoDepositRaw === undefined ? agentDeposit : weiParam(casinoDepositRaw);
+      if (agentDeposit === null || casinoDeposit === null || agentDeposit < MIN_DEPOSIT_WEI || casinoDeposit <= 0n) {
+        return err(res, `Min deposit: ${toEth(MIN_DEPOSIT_WEI)} Ξ`, 400, 'INVALID_DEPOSIT');
+      }
 
-      let onchain = { chainId: 8453, openTxHash: null, fundTxHash: null, openBlock: null, fundBlock: null, onchainAgent: null };
+      let onchain = { chainId: 8453, openTxHash: null, fundTxHash: null, openBlock: null, fundBlock: null, onchainAgent: null, epoch: 0 };
       if (settlementMode === 'onchain-settle') {
         const openTxHash = content.openTxHash || content.params?.openTxHash || null;
         onchain = await onchainOpenAndFund(agent, agentDeposit, casinoDeposit, openTxHash);
@@ -388,34 +419,6 @@ module.exports = async (req, res) => {
 
       const canonicalAgent = onchain.onchainAgent || agent;
 
-      const baseRow = {
-        agent: canonicalAgent,
-        status: 'open',
-        agent_deposit: agentDeposit,
-        casino_deposit: casinoDeposit,
-        agent_balance: agentDeposit,
-        casino_balance: casinoDeposit,
-        nonce: 0,
-        games_played: 0,
-        opened_at: nowIso(),
-      };
-      const extendedRow = {
-        ...baseRow,
-        settlement_mode: settlementMode,
-        chain_id: onchain.chainId,
-        open_tx_hash: onchain.openTxHash,
-        fund_tx_hash: onchain.fundTxHash,
-        open_block: onchain.openBlock,
-        fund_block: onchain.fundBlock,
-        settled_onchain: settlementMode === 'onchain-settle',
-      };
-
-      try {
-        await rest('casino_channels', { method: 'POST', body: [extendedRow] });
-      } catch (e) {
-        await rest('casino_channels', { method: 'POST', body: [baseRow] });
-      }
-
       const response = {
         status: 'open',
         settlementMode,
@@ -423,41 +426,66 @@ module.exports = async (req, res) => {
         openTxHash: onchain.openTxHash,
         fundTxHash: onchain.fundTxHash,
         onchainAgent: onchain.onchainAgent,
-        agentBalance: String(agentDeposit),
-        casinoBalance: String(casinoDeposit),
+        epoch: onchain.epoch,
+        agentBalance: toEth(agentDeposit),
+        casinoBalance: toEth(casinoDeposit),
       };
-      await insertEvent('channel', 'open', shortAddr(canonicalAgent), response);
-      await putStoredRequest(idemKey, action, canonicalAgent, response);
+
+      const engine = getEngine();
+      if (await engine.loadChannel(canonicalAgent)) return err(res, 'Channel already exists', 409, 'CHANNEL_ALREADY_EXISTS');
+      try {
+        await engine.openChannel(canonicalAgent, agentDeposit, casinoDeposit, writeTx(idemKey, action, canonicalAgent, {
+          type: 'channel',
+          eventAction: 'open',
+          respond: () => response,
+          row: {
+            settlement_mode: settlementMode,
+            chain_id: onchain.chainId,
+            open_tx_hash: onchain.openTxHash,
+            fund_tx_hash: onchain.fundTxHash,
+            open_block: onchain.openBlock,
+            fund_block: onchain.fundBlock,
+            settled_onchain: settlementMode === 'onchain-settle',
+          },
+        }), onchain.epoch);
+      } catch (e) {
+        return engineErr(res, e);
+      }
       return reply(res, response);
     }
 
     if (action === 'channel_status') {
-      const ch = await getOpenChannel(agent);
-      if (!ch) return err(res, 'Channel not found', 404, 'CHANNEL_NOT_FOUND');
+      const engine = getEngine();
+      const ch = await engine.loadChannel(agent);
+      const row = ch && await getOpenChannel(agent);
+      if (!row) return err(res, 'Channel not found', 404, 'CHANNEL_NOT_FOUND');
+      const status = engine.getChannelStatus(agent);
       return reply(res, {
         status: 'open',
-        settlementMode: ch.settlement_mode || 'offchain-ledger',
-        chainId: ch.chain_id || 8453,
-        openTxHash: ch.open_tx_hash || null,
-        fundTxHash: ch.fund_tx_hash || null,
-        agentBalance: String(ch.agent_balance),
-        casinoBalance: String(ch.casino_balance),
-        nonce: Number(ch.nonce || 0),
-        gamesPlayed: Number(ch.games_played || 0),
+        settlementMode: row.settlement_mode || 'offchain-ledger',
+        chainId: row.chain_id || 8453,
+        openTxHash: row.open_tx_hash || null,
+        fundTxHash: row.fund_tx_hash || null,
+        agentBalance: status.agentBalance,
+        casinoBalance: status.casinoBalance,
+        nonce: status.nonce,
+        gamesPlayed: Number(row.games_played || 0),
+        invariantOk: status.invariantOk,
       });
     }
 
     if (action === 'slots_entropy_commit') {
-      const ch = await getOpenChannel(agent);
+      const engine = getEngine();
+      const ch = await engine.loadChannel(agent);
       if (!ch) return err(res, 'Channel not found', 404, 'CHANNEL_NOT_FOUND');
 
-      const betAmount = toNum(content.betAmount, toNum(content.params?.betAmount, 0));
-      const minBet = 0.0001;
-      if (betAmount < minBet) return err(res, `Min bet: ${minBet} Ξ`, 400, 'INVALID_BET');
-
-      const casinoBal = toNum(ch.casino_balance);
-      const maxBet = casinoBal / (290 * 2);
-      if (betAmount > maxBet) return err(res, `Max bet: ${maxBet} Ξ (bankroll limit)`, 400, 'MAX_BET_EXCEEDED');
+      const betWei = weiParam(firstParam(content, 'betAmount'));
+      if (betWei === null || betWei < MIN_BET_WEI) return err(res, `Min bet: ${toEth(MIN_BET_WEI)} Ξ`, 400, 'INVALID_BET');
+      try {
+        engine.games.get('slots').validateBet(ch, betWei);
+      } catch (e) {
+        return engineErr(res, e);
+      }
 
       const { provider, casino, ec } = getEntropyChain();
       const net = await provider.getNetwork();
@@ -465,7 +493,6 @@ module.exports = async (req, res) => {
 
       const roundId = `0x${randHex(32)}`;
       const userRandom = `0x${randHex(32)}`;
-      const betWei = ethers.parseEther(String(betAmount));
 
       const fee = await ec.quoteFee();
       const tx = await ec.connect(casino).requestCoinflip(roundId, agent, 0, betWei, userRandom, { value: fee });
@@ -481,7 +508,7 @@ module.exports = async (req, res) => {
         round_id: roundId,
         agent,
         game: 'slots',
-        bet_amount: betAmount,
+        bet_amount: toEth(betWei),
         choice: null,
         request_id: sequenceNumber ? String(sequenceNumber) : null,
         request_tx_hash: tx.hash,
@@ -489,28 +516,27 @@ module.exports = async (req, res) => {
         created_at: nowIso(),
       });
 
-      const response = { roundId, requestId: sequenceNumber, requestTxHash: tx.hash, chainId, status: 'entropy_requested', betAmount: String(betAmount), game: 'slots' };
+      const response = { roundId, requestId: sequenceNumber, requestTxHash: tx.hash, chainId, status: 'entropy_requested', betAmount: toEth(betWei), game: 'slots' };
       await putStoredRequest(idemKey, action, agent, response);
       await insertEvent('game', action, shortAddr(agent), response);
       return reply(res, response);
     }
 
     if (action === 'coinflip_entropy_commit') {
-      const ch = await getOpenChannel(agent);
+      const engine = getEngine();
+      const ch = await engine.loadChannel(agent);
       if (!ch) return err(res, 'Channel not found', 404, 'CHANNEL_NOT_FOUND');
 
       const choiceRaw = String(content.choice || '').toLowerCase();
       if (!['heads', 'tails'].includes(choiceRaw)) return err(res, 'choice must be heads or tails', 400, 'INVALID_CHOICE');
 
-      const betAmount = toNum(content.betAmount, toNum(content.params?.betAmount, 0));
-      const minBet = 0.0001;
-      if (betAmount < minBet) return err(res, `Min bet: ${minBet} Ξ`, 400, 'INVALID_BET');
-
-      const casinoBal = toNum(ch.casino_balance);
-      const maxMultiplier = 2;
-      const safetyMargin = 2;
-      const maxBet = casinoBal / (maxMultiplier * safetyMargin);
-      if (betAmount > maxBet) return err(res, `Max bet: ${maxBet} Ξ (bankroll limit)`, 400, 'MAX_BET_EXCEEDED');
+      const betWei = weiParam(firstParam(content, 'betAmount'));
+      if (betWei === null || betWei < MIN_BET_WEI) return err(res, `Min bet: ${toEth(MIN_BET_WEI)} Ξ`, 400, 'INVALID_BET');
+      try {
+        engine.games.get('coinflip').validateBet(ch, betWei);
+      } catch (e) {
+        return engineErr(res, e);
+      }
 
       const { provider, casino, ec } = getEntropyChain();
       const net = await provider.getNetwork();
@@ -519,7 +545,6 @@ module.exports = async (req, res) => {
       const roundId = `0x${randHex(32)}`;
       const userRandom = `0x${randHex(32)}`;
       const choiceNum = choiceRaw === 'heads' ? 0 : 1;
-      const betWei = ethers.parseEther(String(betAmount));
 
       const fee = await ec.quoteFee();
       const tx = await ec.connect(casino).requestCoinflip(roundId, agent, choiceNum, betWei, userRandom, { value: fee });
@@ -535,7 +560,7 @@ module.exports = async (req, res) => {
         round_id: roundId,
         agent,
         game: 'coinflip',
-        bet_amount: betAmount,
+        bet_amount: toEth(betWei),
         choice: choiceRaw,
         request_id: sequenceNumber ? String(sequenceNumber) : null,
         request_tx_hash: tx.hash,
@@ -550,7 +575,7 @@ module.exports = async (req, res) => {
         chainId,
         status: 'entropy_requested',
         choice: choiceRaw,
-        betAmount: String(betAmount),
+        betAmount: toEth(betWei),
       };
       await putStoredRequest(idemKey, action, agent, response);
       await insertEvent('game', action, shortAddr(agent), response);
@@ -558,44 +583,21 @@ module.exports = async (req, res) => {
     }
 
     if (action === 'dice_entropy_commit') {
-      const ch = await getOpenChannel(agent);
+      const engine = getEngine();
+      const ch = await engine.loadChannel(agent);
       if (!ch) return err(res, 'Channel not found', 404, 'CHANNEL_NOT_FOUND');
 
       const choiceRaw = String(content.choice || '').toLowerCase();
-      if (!['over', 'under'].includes(choiceRaw)) return err(res, 'choice must be over or under', 400, 'INVALID_CHOICE');
-
       const target = Number(content.target || 0);
-      if (!Number.isInteger(target) || target < 1 || target > 99) {
-        return err(res, 'target must be integer 1-99', 400, 'INVALID_TARGET');
-      }
-
-      // Edge case validation
-      if (choiceRaw === 'over' && target >= 99) {
-        return err(res, 'Cannot roll over 99 (impossible to win)', 400, 'INVALID_TARGET');
-      }
-      if (choiceRaw === 'under' && target <= 1) {
-        return err(res, 'Cannot roll under 1 (impossible to win)', 400, 'INVALID_TARGET');
-      }
-
-      const betAmount = toNum(content.betAmount, toNum(content.params?.betAmount, 0));
-      const minBet = 0.0001;
-      if (betAmount < minBet) return err(res, `Min bet: ${minBet} Ξ`, 400, 'INVALID_BET');
+      const betWei = weiParam(firstParam(content, 'betAmount'));
+      if (betWei === null || betWei < MIN_BET_WEI) return err(res, `Min bet: ${toEth(MIN_BET_WEI)} Ξ`, 400, 'INVALID_BET');
 
-      // Calculate multiplier for this specific bet
-      let winProbability;
-      if (choiceRaw === 'over') {
-        winProbability = (100 - target) / 100;
-      } else {
-        winProbability = (target - 1) / 100;
-      }
-      const multiplier = winProbability > 0 ? (1 / winProbability) * 0.95 : 0;
-      const roundedMultiplier = Math.ceil(multiplier);
-
-      const casinoBal = toNum(ch.casino_balance);
-      const safetyMargin = 2;
-      const maxBet = casinoBal / (roundedMultiplier * safetyMargin);
-      if (betAmount > maxBet) {
-        return err(res, `Max bet: ${maxBet.toFixed(6)} Ξ (bankroll limit for ${multiplier.toFixed(2)}x)`, 400, 'MAX_BET_EXCEEDED');
+      // Same choice/target/bankroll checks as dice_commit (DiceGame)
+      let multiplier;
+      try {
+        multiplier = engine.games.get('dice')._validate(ch, betWei, choiceRaw, target);
+      } catch (e) {
+        return engineErr(res, e);
       }
 
       // Get entropy chain with EntropyDice contract
@@ -616,7 +618,6 @@ module.exports = async (req, res) => {
       const roundId = `0x${randHex(32)}`;
       const userRandom = `0x${randHex(32)}`;
       const choiceNum = choiceRaw === 'over' ? 0 : 1;
-      const betWei = ethers.parseEther(String(betAmount));
 
       const fee = await ed.quoteFee();
       const tx = await ed.connect(casino).requestDice(roundId, agent, choiceNum, target, betWei, userRandom, { value: fee });
@@ -632,7 +633,7 @@ module.exports = async (req, res) => {
         round_id: roundId,
         agent,
         game: 'dice',
-        bet_amount: betAmount,
+        bet_amount: toEth(betWei),
         choice: `${choiceRaw}:${target}`, // Store as "over:75" or "under:25"
         request_id: sequenceNumber ? String(sequenceNumber) : null,
         request_tx_hash: tx.hash,
@@ -648,7 +649,7 @@ module.exports = async (req, res) => {
         status: 'entropy_requested',
         choice: choiceRaw,
         target,
-        betAmount: String(betAmount),
+        betAmount: toEth(betWei),
         multiplier: multiplier.toFixed(2),
       };
       await putStoredRequest(idemKey, action, agent, response);
@@ -683,7 +684,7 @@ module.exports = async (req, res) => {
         state: fulfilled ? 'entropy_fulfilled' : (expired ? 'expired' : 'entropy_requested'),
         entropyRandom: fulfilled ? onchain.entropyRandom : null,
         choice: row.choice,
-        betAmount: String(row.bet_amount),
+        betAmount: toEth(numericToWei(row.bet_amount_text)),
         retryAfterSec: fulfilled ? 0 : 10,
       });
     }
@@ -695,7 +696,8 @@ module.exports = async (req, res) => {
         : (await getLatestEntropyRoundByAgent(agent));
       if (!row) return err(res, 'Entropy round not found', 404, 'ROUND_NOT_FOUND');
 
-      const ch = await getOpenChannel(agent);
+      const engine = getEngine();
+      const ch = await engine.loadChannel(agent);
       if (!ch) return err(res, 'Channel not found', 404, 'CHANNEL_NOT_FOUND');
 
       const { ec } = getEntropyChain();
@@ -713,154 +715,176 @@ module.exports = async (req, res) => {
       }
 
       const randomHex = onchain.entropyRandom;
-      const bet = toNum(row.bet_amount, 0);
       const game = row.game || (action.startsWith('slots') ? 'slots' : (action.startsWith('lotto') ? 'lotto' : (action.startsWith('dice') ? 'dice' : 'coinflip')));
+      const plugin = engine.games.get(game);
+      const lottoRange = Number(process.env.LOTTO_RANGE || engine.games.get('lotto').range);
 
+      const stakeWei = numericToWei(row.bet_amount_text);
+      let betWei = stakeWei;
+      let payoutWei = 0n;
       let result = null;
       let won = false;
-      let payout = 0;
       let multiplier = 0;
       let reels = null;
       let pickedNumber = null;
+      let ticketCount = null;
       let roll = null;
       let diceChoice = null;
       let diceTarget = null;
 
       if (game === 'coinflip') {
-        const resultBit = Number(BigInt(randomHex) % 2n);
-        result = resultBit === 0 ? 'heads' : 'tails';
+        result = BigInt(randomHex) % 2n === 0n ? 'heads' : 'tails';
         won = row.choice === result;
-        payout = won ? bet * 1.9 : 0;
+        payoutWei = plugin.payoutFor(betWei, won);
         multiplier = won ? 1.9 : 0;
       } else if (game === 'dice') {
         const parts = String(row.choice || '').split(':');
         diceChoice = parts[0]; // "over" or "under"
         diceTarget = Number(parts[1] || 50);
-        const out = diceOutcomeFromEntropy(randomHex, diceChoice, diceTarget);
-        roll = out.roll;
-        won = out.won;
-        multiplier = out.multiplier;
-        payout = bet * multiplier;
+        roll = Number(BigInt(randomHex) % 100n) + 1;
+        ({ won, multiplier } = plugin.outcomeFor(diceChoice, diceTarget, roll));
+        payoutWei = plugin.payoutFor(betWei, diceChoice, diceTarget, roll);
         result = String(roll);
       } else if (game === 'slots') {
-        const out = slotsOutcomeFromEntropy(randomHex);
-        reels = out.reelIndices;
-        result = out.reels.join('-');
-        multiplier = out.multiplier;
-        won = out.multiplier > 0;
-        payout = bet * out.multiplier;
+        reels = plugin.spin(sha256(String(randomHex || '0x0')));
+        result = plugin.symbolsFor(reels).join('-');
+        const m = plugin.multiplierFor(reels);
+        multiplier = Number(m);
+        won = m > 0n;
+        payoutWei = betWei * m;
       } else if (game === 'lotto') {
-        const range = Number(process.env.LOTTO_RANGE || 100);
         const parts = String(row.choice || '').split(':');
         pickedNumber = Number(parts[0] || 0);
-        const ticketCount = Number(parts[1] || 1);
-        const winningNumber = lottoOutcomeFromEntropy(randomHex, range);
+        ticketCount = Number(parts[1] || 1);
+        const winningNumber = lottoOutcomeFromEntropy(randomHex, lottoRange);
         result = String(winningNumber);
         won = pickedNumber === winningNumber;
-        const ticketPrice = 0.001;
-        const payoutMultiplier = 85;
-        payout = won ? ticketPrice * ticketCount * payoutMultiplier : 0;
-        multiplier = won ? payoutMultiplier : 0;
+        payoutWei = won ? plugin.ticketPriceWei * BigInt(ticketCount) * plugin.payoutMultiplier : 0n;
+        multiplier = won ? Number(plugin.payoutMultiplier) : 0;
+        // Tickets were paid at lotto_entropy_buy; only the prize moves now.
+        betWei = 0n;
       }
 
-      const nonce = Number(ch.nonce || 0) + 1;
-      const nextAgent = toNum(ch.agent_balance) - bet + payout;
-      const nextCasino = toNum(ch.casino_balance) + bet - payout;
-      if (nextAgent < 0 || nextCasino < 0) return err(res, 'Insufficient channel balance', 400, 'INSUFFICIENT_BALANCE');
-
-      const updated = await updateChannel(ch.id, {
-        agent_balance: nextAgent,
-        casino_balance: nextCasino,
-        nonce,
-        games_played: Number(ch.games_played || 0) + 1,
-      });
-
-      await insertRound({
-        agent,
-        game,
-        bet,
-        payout,
-        won,
-        multiplier,
-        reels,
-        choice: game === 'coinflip' ? row.choice : null,
-        result,
-        picked_number: game === 'lotto' ? pickedNumber : null,
-        nonce,
-        timestamp: nowIso(),
-      });
-      await upsertGameStats(game, bet, payout, 1);
-
       const onchainRequestId = Number(onchain.sequenceNumber || onchain[3] || 0) || null;
-      await updateEntropyRound(row.round_id, {
-        state: 'settled',
-        won,
-        payout,
-        request_id: onchainRequestId ? String(onchainRequestId) : (row.request_id || null),
-        entropy_value: randomHex,
-      });
-      await ec.markSettled(row.round_id).catch(() => {});
-
-      const response = {
+      const requestId = onchainRequestId ? String(onchainRequestId) : row.request_id;
+      const respond = settled => ({
         roundId: row.round_id,
-        requestId: onchainRequestId ? String(onchainRequestId) : row.request_id,
+        requestId,
         requestTxHash: row.request_tx_hash,
         provider: 'pyth_entropy',
         game,
+        bet: toEth(betWei),
         choice: game === 'coinflip' ? row.choice : (game === 'dice' ? diceChoice : undefined),
         target: game === 'dice' ? diceTarget : undefined,
         roll: game === 'dice' ? roll : undefined,
         result,
         reels: game === 'slots' ? reels : undefined,
         pickedNumber: game === 'lotto' ? pickedNumber : undefined,
+        ticketCount: game === 'lotto' ? ticketCount : undefined,
         won,
         multiplier: game === 'dice' ? multiplier.toFixed(2) : multiplier,
-        payout: String(payout),
-        agentBalance: String(updated.agent_balance),
-        casinoBalance: String(updated.casino_balance),
-        nonce,
+        payout: settled.payout,
+        agentBalance: settled.agentBalance,
+        casinoBalance: settled.casinoBalance,
+        nonce: settled.nonce,
+        signature: settled.signature,
         proof: {
-          requestId: onchainRequestId ? String(onchainRequestId) : row.request_id,
+          requestId,
           requestTxHash: row.request_tx_hash,
           randomValue: randomHex,
-          formula: game === 'coinflip' ? 'uint256(randomValue) % 2' : (game === 'dice' ? 'uint256(randomValue) % 100 + 1' : (game === 'slots' ? 'sha256(randomValue) -> weighted reels' : `uint256(randomValue) % ${Number(process.env.LOTTO_RANGE || 100)} + 1`)),
+          formula: game === 'coinflip' ? 'uint256(randomValue) % 2' : (game === 'dice' ? 'uint256(randomValue) % 100 + 1' : (game === 'slots' ? 'sha256(randomValue) -> weighted reels' : `uint256(randomValue) % ${lottoRange} + 1`)),
           derivedResult: result,
         },
-      };
+      });
 
-      await putStoredRequest(idemKey, action, agent, response);
-      await insertEvent('game', action, shortAddr(agent), response);
-      return reply(res, response);
+      // Balance update, round, stats and the entropy round's settled state
+      // commit together; a second finalize fails with ROUND_ALREADY_SETTLED.
+      let settled;
+      try {
+        settled = await engine.settleRound(agent, game, {
+          betWei,
+          payoutWei,
+          multiplier,
+          record: {
+            bet: toEth(betWei),
+            won,
+            multiplier: game === 'dice' ? multiplier.toFixed(2) : multiplier,
+            reels,
+            choice: game === 'coinflip' ? row.choice : (diceChoice || undefined),
+            target: diceTarget || undefined,
+            roll: roll || undefined,
+            result,
+            pickedNumber: pickedNumber || undefined,
+            ticketCount: ticketCount || undefined,
+            roundId: row.round_id,
+            provider: 'pyth_entropy',
+          },
+        }, writeTx(idemKey, action, agent, {
+          respond,
+          rpc: 'casino_entropy_finalize',
+          args: {
+            p_round_id: row.round_id,
+            p_entropy: { request_id: requestId || null, entropy_value: randomHex },
+          },
+        }));
+      } catch (e) {
+        return engineErr(res, e);
+      }
+      await ec.markSettled(row.round_id).catch(() => {});
+
+      return reply(res, respond(settled));
     }
 
     if (action === 'close_channel') {
-      const ch = await getOpenChannel(agent);
-      if (!ch) return err(res, 'Channel not found', 404, 'CHANNEL_NOT_FOUND');
+      const engine = getEngine();
+      const ch = await engine.loadChannel(agent);
+      const row = ch && await getOpenChannel(agent);
+      if (!row) return err(res, 'Channel not found', 404, 'CHANNEL_NOT_FOUND');
+      if (!engine.getChannelStatus(agent).invariantOk) {
+        return err(res, 'Conservation invariant violated. Channel not closed.', 500, 'INVARIANT_VIOLATION');
+      }
 
-      const settlementMode = ch.settlement_mode || DEFAULT_SETTLEMENT_MODE;
-      let closeTx = { closeTxHash: null, closeBlock: null, chainId: ch.chain_id || 8453, casinoSig: null, onchainAgent: agent };
+      const settlementMode = row.settlement_mode || DEFAULT_SETTLEMENT_MODE;
+      let closeTx = { closeTxHash: null, closeBlock: null, chainId: row.chain_id || 8453, casinoSig: null, onchainAgent: agent };
 
+      let patch = {};
       if (settlementMode === 'onchain-settle') {
-        // Agent handles close tx from their own wallet; server provides casino signature only.
+        // Agent sends closeChannel from their own wallet with this signature, or sends a
+        // closeAuthorization and the casino relays closeChannelWithSig.
         // Contract requires a strictly higher nonce on close; sign next nonce.
-        closeTx = await onchainCloseSignature(agent, ch.agent_balance, ch.casino_balance, Number(ch.nonce || 0) + 1);
+        closeTx = await onchainCloseSignature(agent, ch.agentBalance, ch.casinoBalance, ch.nonce + 1, ch.epoch || 0);
 
         const submittedCloseTxHash = content.closeTxHash || content.params?.closeTxHash || null;
+        const authorization = firstParam(content, 'closeAuthorization');
         if (submittedCloseTxHash) {
           closeTx.closeTxHash = submittedCloseTxHash;
           await recordSettlementTx(agent, 'close', submittedCloseTxHash, closeTx.chainId, 'submitted', null, null);
+          patch = { close_tx_hash: submittedCloseTxHash, settled_onchain: true };
+        } else if (authorization) {
+          // Relayed close: no rounds while the tx is in flight, or the chain
+          // would settle a state the ledger has already moved past.
+          const locked = await rest(`casino_channels?id=eq.${row.id}&status=eq.open&nonce=eq.${ch.nonce}`, {
+            method: 'PATCH',
+            body: { status: 'closing', updated_at: nowIso() },
+          });
+          if (!locked?.length) return err(res, 'Channel changed before the close was sent; retry', 409, 'NONCE_CONFLICT');
+
+          let relayed;
           try {
-            await updateChannel(ch.id, {
-              status: 'closed',
-              close_tx_hash: submittedCloseTxHash,
-              settled_onchain: true,
-            });
-          } catch {
-            await updateChannel(ch.id, { status: 'closed' });
+            relayed = await onchainRelayClose(agent, ch.agentBalance, ch.casinoBalance, ch.nonce + 1, closeTx, authorization);
+          } catch (e) {
+            // A sent tx that may still land keeps the lock; the indexer settles it.
+            if (!e.sent) {
+              await rest(`casino_channels?id=eq.${row.id}&status=eq.closing`, {
+                method: 'PATCH',
+                body: { status: 'open', updated_at: nowIso() },
+              }).catch(() => {});
+            }
+            return engineErr(res, e);
           }
+          closeTx = { ...closeTx, closeTxHash: relayed.txHash, closeBlock: relayed.block };
+          patch = { close_tx_hash: relayed.txHash, close_block: relayed.block, settled_onchain: true };
         }
-      } else {
-        await updateChannel(ch.id, { status: 'closed' });
       }
 
       const response = {
@@ -870,188 +894,91 @@ module.exports = async (req, res) => {
         closeTxHash: closeTx.closeTxHash,
         closeBlock: closeTx.closeBlock,
         onchainAgent: closeTx.onchainAgent,
-        agentBalance: String(ch.agent_balance),
-        casinoBalance: String(ch.casino_balance),
-        nonce: Number(ch.nonce || 0),
-        signature: closeTx.casinoSig || 'vercel-supabase-phase2',
-        totalGames: Number(ch.games_played || 0),
-        nextStep: settlementMode === 'onchain-settle' && !closeTx.closeTxHash ? 'Submit closeChannel tx from agent wallet, then call close_channel again with closeTxHash.' : null,
+        agentBalance: toEth(ch.agentBalance),
+        casinoBalance: toEth(ch.casinoBalance),
+        nonce: ch.nonce,
+        signature: closeTx.casinoSig,
+        totalGames: Number(row.games_played || 0),
+        nextStep: settlementMode === 'onchain-settle' && !closeTx.closeTxHash ? 'Submit closeChannel tx from agent wallet, then call close_channel again with closeTxHash (or send closeAuthorization to have the casino submit it).' : null,
       };
-      await insertEvent('channel', 'close', shortAddr(agent), response);
-      await putStoredRequest(idemKey, action, agent, response);
-      return reply(res, response);
-    }
-
-    if (action === 'slots_commit' || action === 'coinflip_commit') {
-      const ch = await getOpenChannel(agent);
-      if (!ch) return err(res, 'Channel not found', 404, 'CHANNEL_NOT_FOUND');
-
-      const game = action.startsWith('slots') ? 'slots' : 'coinflip';
-      const pendingKey = `pending:${game}:${agent}`;
-      const pending = await getStoredRequest(pendingKey);
-      if (pending && pending.status === 'pending') return err(res, 'Pending commit exists for this game', 409, 'PENDING_COMMIT_EXISTS');
 
-      const betAmount = toNum(content.betAmount, toNum(content.params?.betAmount, 0));
-      const minBet = 0.0001;
-      if (betAmount < minBet) return err(res, `Min bet: ${minBet} Ξ`, 400, 'INVALID_BET');
-
-      const casinoBal = toNum(ch.casino_balance);
-      const maxMultiplier = game === 'slots' ? 290 : 2;
-      const safetyMargin = 2;
-      const maxBet = casinoBal / (maxMultiplier * safetyMargin);
-      if (betAmount > maxBet) return err(res, `Max bet: ${maxBet} Ξ (bankroll limit)`, 400, 'MAX_BET_EXCEEDED');
-
-      if (game === 'coinflip' && !['heads', 'tails'].includes(content.choice)) {
-        return err(res, 'choice must be heads or tails', 400, 'INVALID_CHOICE');
+      // Still waiting on the agent's close tx: the channel stays open.
+      if (settlementMode === 'onchain-settle' && !closeTx.closeTxHash) {
+        const { signature, ...safe } = response;
+        await insertEvent('channel', 'close', shortAddr(agent), safe);
+        await putStoredRequest(idemKey, action, agent, response);
+        return reply(res, response);
       }
 
-      const casinoSeed = randHex(32);
-      const commitment = sha256(casinoSeed);
-      const pendingPayload = { commitment, casinoSeed, betAmount: String(betAmount), choice: content.choice || null };
-
-      await putStoredRequest(pendingKey, action, agent, pendingPayload, 'pending');
-      await rest('casino_commits', { method: 'POST', body: [{ agent, game, status: 'pending', created_at: nowIso() }] }).catch(() => {});
-
-      const out = game === 'coinflip'
-        ? { commitment, betAmount: String(betAmount), choice: content.choice }
-        : { commitment, betAmount: String(betAmount) };
-      return reply(res, out);
-    }
-
-    if (action === 'slots_reveal' || action === 'coinflip_reveal') {
-      const ch = await getOpenChannel(agent);
-      if (!ch) return err(res, 'Channel not found', 404, 'CHANNEL_NOT_FOUND');
-
-      const game = action.startsWith('slots') ? 'slots' : 'coinflip';
-      const pendingKey = `pending:${game}:${agent}`;
-      const pending = await getStoredRequest(pendingKey);
-      if (!pending || pending.status !== 'pending') return err(res, 'No pending commit', 400, 'COMMIT_NOT_FOUND');
-
-      const createdAt = new Date(pending.created_at).getTime();
-      if (Date.now() - createdAt > COMMIT_TTL_MS) {
-        await putStoredRequest(pendingKey, `${game}_commit`, agent, pending.response, 'expired');
-        return err(res, 'Commit expired', 400, 'COMMIT_EXPIRED');
+      // Offchain close: the casino's signature over the final state (current nonce).
+      const respond = closed => ({ ...response, signature: response.signature || closed.signature });
+      let closed;
+      try {
+        closed = await engine.closeChannel(agent, writeTx(idemKey, action, agent, {
+          type: 'channel',
+          eventAction: 'close',
+          respond,
+          patch,
+        }));
+      } catch (e) {
+        return engineErr(res, e);
       }
+      return reply(res, respond(closed));
+    }
 
-      const agentSeed = content.agentSeed;
-      if (!agentSeed) return err(res, 'agentSeed required', 400, 'INVALID_SEED');
-
-      const p = pending.response || {};
-      const bet = toNum(p.betAmount, 0);
-      const nonce = Number(ch.nonce || 0) + 1;
-      const agentBal = toNum(ch.agent_balance);
-      const casinoBal = toNum(ch.casino_balance);
-
-      let outcome;
-      let payout;
-      if (game === 'slots') {
-        outcome = slotsOutcome(p.casinoSeed, agentSeed, nonce);
-        payout = bet * outcome.multiplier;
-      } else {
-        outcome = coinflipOutcome(p.casinoSeed, agentSeed, nonce, p.choice);
-        payout = outcome.won ? bet * 1.9 : 0;
+    if (['slots_commit', 'slots_reveal', 'coinflip_commit', 'coinflip_reveal', 'dice_commit', 'dice_reveal'].includes(action)) {
+      const params = { ...(content.params || {}), ...content };
+      if (action.endsWith('_commit')) {
+        const betWei = weiParam(params.betAmount);
+        if (betWei === null || betWei < MIN_BET_WEI) return err(res, `Min bet: ${toEth(MIN_BET_WEI)} Ξ`, 400, 'INVALID_BET');
+        params.betAmount = betWei;
+        // DiceGame validates choice/target and the per-target bankroll limit.
+        if (action === 'dice_commit') {
+          params.choice = String(params.choice || '').toLowerCase();
+          params.target = Number(params.target);
+        }
+      } else if (!params.agentSeed) {
+        return err(res, 'agentSeed required', 400, 'INVALID_SEED');
       }
 
-      const nextAgent = agentBal - bet + payout;
-      const nextCasino = casinoBal + bet - payout;
-      if (nextAgent < 0 || nextCasino < 0) return err(res, 'Insufficient channel balance', 400, 'INSUFFICIENT_BALANCE');
-
-      const updated = await updateChannel(ch.id, {
-        agent_balance: nextAgent,
-        casino_balance: nextCasino,
-        nonce,
-        games_played: Number(ch.games_played || 0) + 1,
-      });
-
-      const round = {
-        agent,
-        game,
-        bet,
-        payout,
-        won: game === 'slots' ? outcome.multiplier > 0 : outcome.won,
-        multiplier: game === 'slots' ? outcome.multiplier : (outcome.won ? 1.9 : 0),
-        reels: game === 'slots' ? outcome.reelIndices : null,
-        choice: game === 'coinflip' ? p.choice : null,
-        result: game === 'coinflip' ? outcome.result : null,
-        nonce,
-        timestamp: nowIso(),
-      };
-      await insertRound(round);
-      await upsertGameStats(game, bet, payout, 1);
-      await insertEvent('game', action, shortAddr(agent), {
-        ...round,
-        reels: game === 'slots' ? outcome.reels : undefined,
-      });
+      const engine = getEngine();
+      if (!(await engine.loadChannel(agent))) return err(res, 'Channel not found', 404, 'CHANNEL_NOT_FOUND');
 
-      await putStoredRequest(pendingKey, `${game}_commit`, agent, p, 'resolved');
-      await rest(`casino_commits?agent=eq.${encodeURIComponent(agent)}&game=eq.${encodeURIComponent(game)}&status=eq.pending`, {
-        method: 'PATCH', body: { status: 'resolved' },
-      }).catch(() => {});
-
-      const response = game === 'slots'
-        ? {
-            reels: outcome.reels,
-            reelIndices: outcome.reelIndices,
-            multiplier: outcome.multiplier,
-            payout: String(payout),
-            agentBalance: String(updated.agent_balance),
-            casinoBalance: String(updated.casino_balance),
-            nonce,
-            signature: 'vercel-supabase-phase2',
-            proof: { casinoSeed: p.casinoSeed, agentSeed, resultHash: outcome.resultHash },
-          }
-        : {
-            choice: p.choice,
-            result: outcome.result,
-            won: outcome.won,
-            payout: String(payout),
-            agentBalance: String(updated.agent_balance),
-            casinoBalance: String(updated.casino_balance),
-            nonce,
-            signature: 'vercel-supabase-phase2',
-            proof: { casinoSeed: p.casinoSeed, agentSeed, resultHash: outcome.resultHash },
-          };
+      // Reveals log the settled round; commits only write casino_commits.
+      const tx = action.endsWith('_reveal')
+        ? writeTx(idemKey, action, agent, {
+          logged: r => {
+            const { games } = engine.channels.get(agent);
+            return { ...games[games.length - 1], reels: r.reels };
+          },
+        })
+        : {};
 
-      await putStoredRequest(idemKey, action, agent, response);
+      let response;
+      try {
+        response = await engine.handleGameAction(action, agent, params, tx);
+      } catch (e) {
+        return engineErr(res, e);
+      }
       return reply(res, response);
     }
 
-    if (action === 'lotto_status') {
-      const draw = await ensureDraw();
-      const tickets = await rest(`casino_lotto_tickets?select=ticket_count,cost&draw_id=eq.${draw.draw_id}`).catch(() => []);
-      const totalTickets = (tickets || []).reduce((s, t) => s + Number(t.ticket_count || 0), 0);
-      const totalPool = (tickets || []).reduce((s, t) => s + Number(t.cost || 0), 0);
-      return reply(res, {
-        drawId: Number(draw.draw_id),
-        commitment: draw.commitment,
-        drawTime: new Date(draw.draw_time).getTime(),
-        ticketPrice: '0.001',
-        payoutMultiplier: 85,
-        range: 100,
-        totalTickets,
-        totalPool: String(totalPool),
-      });
-    }
-
     if (action === 'lotto_entropy_buy') {
-      const ch = await getOpenChannel(agent);
+      const engine = getEngine();
+      const ch = await engine.loadChannel(agent);
       if (!ch) return err(res, 'Channel not found', 404, 'CHANNEL_NOT_FOUND');
 
-      const range = Number(process.env.LOTTO_RANGE || 100);
+      const lotto = engine.games.get('lotto');
+      const range = Number(process.env.LOTTO_RANGE || lotto.range);
       const pickedNumber = Number(content.pickedNumber);
       const ticketCount = Number(content.ticketCount || 1);
       if (!Number.isInteger(pickedNumber) || pickedNumber < 1 || pickedNumber > range) return err(res, `pickedNumber must be 1-${range}`, 400, 'INVALID_PICK');
       if (!Number.isInteger(ticketCount) || ticketCount < 1 || ticketCount > 10) return err(res, 'ticketCount must be 1-10', 400, 'INVALID_TICKET_COUNT');
 
-      const price = 0.001;
-      const betAmount = price * ticketCount;
-      const payoutMultiplier = 85;
-      const maxLiability = betAmount * payoutMultiplier;
-
-      const agentBal = toNum(ch.agent_balance);
-      const casinoBal = toNum(ch.casino_balance);
-      if (agentBal < betAmount) return err(res, 'Insufficient balance for tickets', 400, 'INSUFFICIENT_BALANCE');
-      if (casinoBal < maxLiability) return err(res, `Casino can't cover max payout. Max possible payout: ${maxLiability} Ξ, casino balance: ${casinoBal} Ξ`, 400, 'MAX_BET_EXCEEDED');
+      const betWei = lotto.ticketPriceWei * BigInt(ticketCount);
+      const maxLiability = betWei * lotto.payoutMultiplier;
+      if (ch.agentBalance < betWei) return err(res, 'Insufficient balance for tickets', 400, 'INSUFFICIENT_BALANCE');
+      if (ch.casinoBalance < maxLiability) return err(res, `Casino can't cover max payout. Max possible payout: ${toEth(maxLiability)} Ξ, casino balance: ${toEth(ch.casinoBalance)} Ξ`, 400, 'MAX_BET_EXCEEDED');
 
       const { provider, casino, ec } = getEntropyChain();
       const net = await provider.getNetwork();
@@ -1059,7 +986,6 @@ module.exports = async (req, res) => {
 
       const roundId = `0x${randHex(32)}`;
       const userRandom = `0x${randHex(32)}`;
-      const betWei = ethers.parseEther(String(betAmount));
       const fee = await ec.quoteFee();
       const tx = await ec.connect(casino).requestCoinflip(roundId, agent, 0, betWei, userRandom, { value: fee });
       await tx.wait();
@@ -1070,91 +996,112 @@ module.exports = async (req, res) => {
         sequenceNumber = Number(onchainRound.sequenceNumber || onchainRound[3] || 0) || null;
       } catch (_) {}
 
-      const nonce = Number(ch.nonce || 0) + 1;
-      const updated = await updateChannel(ch.id, {
-        agent_balance: agentBal - betAmount,
-        casino_balance: casinoBal + betAmount,
-        nonce,
-        games_played: Number(ch.games_played || 0) + 1,
-      });
+      const respond = updated => ({ roundId, requestId: sequenceNumber, requestTxHash: tx.hash, chainId, status: 'entropy_requested', pickedNumber, ticketCount, totalCost: toEth(betWei), agentBalance: updated.agentBalance, casinoBalance: updated.casinoBalance, nonce: updated.nonce, signature: updated.signature, game: 'lotto' });
 
-      await insertEntropyRound({
-        round_id: roundId,
-        agent,
-        game: 'lotto',
-        bet_amount: betAmount,
-        choice: `${pickedNumber}:${ticketCount}`,
-        request_id: sequenceNumber ? String(sequenceNumber) : null,
-        request_tx_hash: tx.hash,
-        state: 'entropy_requested',
-        created_at: nowIso(),
-      });
-
-      const response = { roundId, requestId: sequenceNumber, requestTxHash: tx.hash, chainId, status: 'entropy_requested', pickedNumber, ticketCount, totalCost: String(betAmount), agentBalance: String(updated.agent_balance), casinoBalance: String(updated.casino_balance), nonce, game: 'lotto' };
-      await putStoredRequest(idemKey, action, agent, response);
-      await insertEvent('game', action, shortAddr(agent), response);
-      return reply(res, response);
+      let updated;
+      try {
+        updated = await engine.settleRound(agent, 'lotto', {
+          betWei,
+          payoutWei: 0n,
+          record: { bet: toEth(betWei), won: false, pickedNumber, ticketCount, roundId, provider: 'pyth_entropy' },
+        }, writeTx(idemKey, action, agent, {
+          respond,
+          rpc: 'casino_lotto_buy',
+          args: {
+            p_entropy_round: {
+              round_id: roundId,
+              bet_amount: toEth(betWei),
+              choice: `${pickedNumber}:${ticketCount}`,
+              request_id: sequenceNumber ? String(sequenceNumber) : null,
+              request_tx_hash: tx.hash,
+            },
+          },
+        }));
+      } catch (e) {
+        return engineErr(res, e);
+      }
+      return reply(res, respond(updated));
     }
 
     if (action === 'lotto_buy') {
-      const ch = await getOpenChannel(agent);
+      const engine = getEngine();
+      const ch = await engine.loadChannel(agent);
       if (!ch) return err(res, 'Channel not found', 404, 'CHANNEL_NOT_FOUND');
 
+      const lotto = engine.games.get('lotto');
       const pickedNumber = Number(content.pickedNumber);
       const ticketCount = Number(content.ticketCount || 1);
-      if (!Number.isInteger(pickedNumber) || pickedNumber < 1 || pickedNumber > 100) return err(res, 'pickedNumber must be 1-100', 400, 'INVALID_PICK');
+      if (!Number.isInteger(pickedNumber) || pickedNumber < 1 || pickedNumber > lotto.range) return err(res, `pickedNumber must be 1-${lotto.range}`, 400, 'INVALID_PICK');
       if (!Number.isInteger(ticketCount) || ticketCount < 1 || ticketCount > 10) return err(res, 'ticketCount must be 1-10', 400, 'INVALID_TICKET_COUNT');
 
-      const price = 0.001;
-      const cost = price * ticketCount;
-      const payoutMultiplier = 85;
-      const maxLiability = cost * payoutMultiplier;
-
-      const agentBal = toNum(ch.agent_balance);
-      const casinoBal = toNum(ch.casino_balance);
-      if (agentBal < cost) return err(res, 'Insufficient balance for tickets', 400, 'INSUFFICIENT_BALANCE');
-      if (casinoBal < maxLiability) return err(res, `Casino can't cover max payout. Max tickets with current bankroll: ${Math.floor(casinoBal / (price * payoutMultiplier))}. Max possible payout: ${maxLiability} Ξ, casino balance: ${casinoBal} Ξ`, 400, 'MAX_BET_EXCEEDED');
-
-      const draw = await ensureDraw();
-      const nonce = Number(ch.nonce || 0) + 1;
-      const updated = await updateChannel(ch.id, {
-        agent_balance: agentBal - cost,
-        casino_balance: casinoBal + cost,
-        nonce,
-        games_played: Number(ch.games_played || 0) + 1,
-      });
+      const costWei = lotto.ticketPriceWei * BigInt(ticketCount);
+      const maxLiability = costWei * lotto.payoutMultiplier;
+      if (ch.agentBalance < costWei) return err(res, 'Insufficient balance for tickets', 400, 'INSUFFICIENT_BALANCE');
+      if (ch.casinoBalance < maxLiability) {
+        const maxTickets = ch.casinoBalance / (lotto.ticketPriceWei * lotto.payoutMultiplier);
+        return err(res, `Casino can't cover max payout. Max tickets with current bankroll: ${maxTickets}. Max possible payout: ${toEth(maxLiability)} Ξ, casino balance: ${toEth(ch.casinoBalance)} Ξ`, 400, 'MAX_BET_EXCEEDED');
+      }
 
-      await rest('casino_lotto_tickets', {
-        method: 'POST',
-        body: [{ draw_id: draw.draw_id, agent, picked_number: pickedNumber, ticket_count: ticketCount, cost, created_at: nowIso() }],
+      const draw = await openDraw(engine);
+      const respond = updated => ({
+        drawId: Number(draw.draw_id),
+        pickedNumber,
+        ticketCount,
+        totalCost: toEth(costWei),
+        agentBalance: updated.agentBalance,
+        casinoBalance: updated.casinoBalance,
+        nonce: updated.nonce,
+        signature: updated.signature,
       });
 
-      await insertRound({
-        agent,
-        game: 'lotto',
-        bet: cost,
-        payout: 0,
-        won: false,
-        picked_number: pickedNumber,
-        draw_id: draw.draw_id,
-        ticket_count: ticketCount,
-        nonce,
-        timestamp: nowIso(),
+      // Repeat picks for the same draw add to the existing ticket row.
+      let updated;
+      try {
+        updated = await engine.settleRound(agent, 'lotto', {
+          betWei: costWei,
+          payoutWei: 0n,
+          record: { bet: toEth(costWei), won: false, pickedNumber, drawId: Number(draw.draw_id), ticketCount },
+        }, writeTx(idemKey, action, agent, {
+          respond,
+          logged: () => ({ drawId: draw.draw_id, pickedNumber, ticketCount, cost: toEth(costWei) }),
+          rpc: 'casino_lotto_buy',
+          args: {
+            p_ticket: { draw_id: draw.draw_id, picked_number: pickedNumber, ticket_count: ticketCount, cost: toEth(costWei) },
+          },
+        }));
+      } catch (e) {
+        return engineErr(res, e);
+      }
+      return reply(res, respond(updated));
+    }
+
+    // Unpaid draw winnings (kept per agent, so they survive a channel close)
+    // move into the open channel as one signed update.
+    if (action === 'lotto_claim') {
+      const engine = getEngine();
+      const ch = await engine.loadChannel(agent);
+      if (!ch) return err(res, 'Channel not found', 404, 'CHANNEL_NOT_FOUND');
+
+      const unpaid = await unpaidWinnings(agent);
+      if (unpaid === 0n) return reply(res, { claimed: '0', message: 'No unclaimed winnings' });
+      if (ch.casinoBalance === 0n) return err(res, 'Casino balance in this channel cannot cover winnings', 400, 'INSUFFICIENT_BALANCE');
+
+      const respond = settled => ({
+        claimed: settled.payout,
+        remaining: toEth(unpaid - ethers.parseEther(settled.payout)),
+        agentBalance: settled.agentBalance,
+        casinoBalance: settled.casinoBalance,
+        nonce: settled.nonce,
+        signature: settled.signature,
       });
-      await upsertGameStats('lotto', cost, 0, 1);
-      await insertEvent('game', 'lotto_buy', shortAddr(agent), { drawId: draw.draw_id, pickedNumber, ticketCount, cost: String(cost) });
 
-      const response = {
-        drawId: Number(draw.draw_id),
-        pickedNumber,
-        ticketCount,
-        totalCost: String(cost),
-        agentBalance: String(updated.agent_balance),
-        casinoBalance: String(updated.casino_balance),
-        nonce,
-      };
-      await putStoredRequest(idemKey, action, agent, response);
-      return reply(res, response);
+      let settled;
+      try {
+        settled = await payWinnings(engine, agent, unpaid, writeTx(idemKey, action, agent, { respond }));
+      } catch (e) {
+        return engineErr(res, e);
+      }
+      return reply(res, respond(settled));
     }
 
     return err(res, `Unsupported action: ${action}`, 400, 'UNSUPPORTED_ACTION');
@@ -0,0 +1,20 @@
+const { hasConfig } = require('../_supabase');
+const { getIndexer } = require('../_indexer');
+
+// Latest chain vs ledger reconciliation report (written by api/cron/chain-index).
+// Operator only: Authorization: Bearer $CRON_SECRET.
+module.exports = async (req, res) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ error: true, message: 'Unauthorized' });
+  }
+  if (!hasConfig()) return res.status(500).json({ error: true, message: 'Supabase env not configured' });
+
+  try {
+    const state = await getIndexer().getReport();
+    if (!state) return res.status(404).json({ error: true, message: 'Indexer has not run yet' });
+    return res.status(200).json(state);
+  } catch (err) {
+    return res.status(500).json({ error: true, message: err.message });
+  }
+};
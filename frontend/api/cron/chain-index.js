@@ -0,0 +1,22 @@
+const { hasConfig } = require('../_supabase');
+const { getIndexer } = require('../_indexer');
+
+// Vercel cron (vercel.json "crons"): follows ChannelManager logs into the
+// ledger, then stores a fresh reconciliation report. Vercel sends
+// Authorization: Bearer $CRON_SECRET.
+module.exports = async (req, res) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ error: true, message: 'Unauthorized' });
+  }
+  if (!hasConfig()) return res.status(500).json({ error: true, message: 'Supabase env not configured' });
+
+  try {
+    const indexer = getIndexer();
+    const sync = await indexer.sync();
+    const report = await indexer.reconcile();
+    return res.status(200).json({ sync, report, timestamp: Date.now() });
+  } catch (err) {
+    return res.status(500).json({ error: true, message: err.message });
+  }
+};
@@ -0,0 +1,23 @@
+const { hasConfig } = require('../_supabase');
+const { getEngine } = require('../_engine');
+const { runDueDraws, creditWinnings } = require('../_lotto');
+
+// Vercel cron (vercel.json "crons"): executes due draws, opens the next one
+// and credits winners with an open channel. Vercel sends
+// Authorization: Bearer $CRON_SECRET.
+module.exports = async (req, res) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ error: true, message: 'Unauthorized' });
+  }
+  if (!hasConfig()) return res.status(500).json({ error: true, message: 'Supabase env not configured' });
+
+  try {
+    const engine = getEngine();
+    const draws = await runDueDraws(engine);
+    const credited = await creditWinnings(engine);
+    return res.status(200).json({ draws, credited, timestamp: Date.now() });
+  } catch (err) {
+    return res.status(500).json({ error: true, message: err.message });
+  }
+};
@@ -1,4 +1,5 @@
 const { rest, hasConfig } = require('./_supabase');
+const { getIndexer } = require('./_indexer');
 
 async function entropyStats() {
   try {
@@ -27,6 +28,16 @@ async function entropyStats() {
   }
 }
 
+async function indexerStats() {
+  try {
+    const state = await getIndexer().getReport();
+    if (!state) return null;
+    return { cursor: state.cursor, updatedAt: state.updatedAt, mismatches: state.report?.counts || {} };
+  } catch {
+    return null;
+  }
+}
+
 function kmsHealth() {
   const useKms = String(process.env.USE_KMS || '').toLowerCase() === 'true';
   const hasServiceAccount = Boolean(
@@ -64,6 +75,7 @@ module.exports = async (req, res) => {
     // lightweight connectivity probe
     await rest('casino_channels?select=agent&limit=1');
     const stats = await entropyStats();
+    const indexer = await indexerStats();
 
     return res.status(200).json({
       status: 'ok',
@@ -74,6 +86,7 @@ module.exports = async (req, res) => {
         ...entropyHealth(),
         stats,
       },
+      indexer,
       timestamp: Date.now(),
     });
   } catch (err) {
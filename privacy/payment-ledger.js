@@ -0,0 +1,134 @@
+/**
+ * Payment Ledger
+ *
+ * What the relay has been paid with, so no payment funds two stealth
+ * addresses, and the prepaid credit balances relays are debited from.
+ *
+ * One JSON document (like the watchtower's), written before the relay
+ * sends anything:
+ *   payments  reference → { type, amount, at }
+ *             (tx:<hash> for direct transfers, x402:<receipt id>)
+ *   accounts  payer address → { balance (wei), nonce }
+ *
+ * Nothing here ties a payer to the stealth address it funded: spent
+ * payments don't name either, and accounts are keyed by payer alone.
+ *
+ * Claims and debits are checked and applied without awaiting in between,
+ * so concurrent requests can't spend the same payment or credit twice.
+ * A change whose write fails is taken back out of memory before the error
+ * is thrown, so what the relay acts on is what is on disk.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class PaymentLedger {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.path] - ledger file (default ./data/relay-payments.json)
+   */
+  constructor(options = {}) {
+    this.filePath = options.path || './data/relay-payments.json';
+    this._doc = { payments: {}, accounts: {} };
+    this._saving = Promise.resolve();
+  }
+
+  async load() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    try {
+      const doc = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+      this._doc = { payments: doc.payments || {}, accounts: doc.accounts || {} };
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    return this;
+  }
+
+  // ─── One-time payments ──────────────────────────────────
+
+  /**
+   * Mark a payment reference as spent, crediting any surplus in the same
+   * write: a payment is never spent without its surplus, or the reverse.
+   * @param {string} reference
+   * @param {{ type: string, amount: BigInt }} record - wei
+   * @param {{ account: string, amount: BigInt }} [surplus] - wei
+   * @returns {Promise<boolean>} false if it was spent before
+   */
+  async claim(reference, { type, amount }, surplus = null) {
+    if (this._doc.payments[reference]) return false;
+    const entry = { type, amount: amount.toString(), at: Date.now() };
+    this._doc.payments[reference] = entry;
+    if (surplus) this._adjust(surplus.account, surplus.amount);
+    try {
+      await this._write();
+    } catch (err) {
+      // Not recorded, so not spent: the payment can be presented again
+      if (this._doc.payments[reference] === entry) delete this._doc.payments[reference];
+      if (surplus) this._adjust(surplus.account, -surplus.amount);
+      throw err;
+    }
+    return true;
+  }
+
+  getPayment(reference) {
+    return this._doc.payments[reference] || null;
+  }
+
+  // ─── Prepaid credits ────────────────────────────────────
+
+  /** @returns {{ balance: BigInt, nonce: number }} */
+  getAccount(account) {
+    const entry = this._doc.accounts[account.toLowerCase()];
+    return { balance: entry ? BigInt(entry.balance) : 0n, nonce: entry ? entry.nonce : 0 };
+  }
+
+  /** Add wei to an account (surplus of a payment, refund of a failed relay). */
+  async credit(account, amountWei) {
+    this._adjust(account, amountWei);
+    try {
+      await this._write();
+    } catch (err) {
+      this._adjust(account, -amountWei);
+      throw err;
+    }
+  }
+
+  /**
+   * Take wei from an account. `nonce` must be the account's current one
+   * (the owner signed it), so a signed debit can't be replayed.
+   * If the write fails the wei goes back but the nonce stays used: the
+   * signature was seen, so it must not work a second time.
+   */
+  async debit(account, amountWei, nonce) {
+    const { balance, nonce: current } = this.getAccount(account);
+    if (nonce !== current) throw new Error(`Stale prepaid nonce ${nonce} (current ${current})`);
+    if (balance < amountWei) throw new Error('Insufficient prepaid credits');
+    this._adjust(account, -amountWei, 1);
+    try {
+      await this._write();
+    } catch (err) {
+      this._adjust(account, amountWei);
+      throw err;
+    }
+  }
+
+  _adjust(account, deltaWei, nonceStep = 0) {
+    const { balance, nonce } = this.getAccount(account);
+    this._doc.accounts[account.toLowerCase()] = { balance: (balance + deltaWei).toString(), nonce: nonce + nonceStep };
+  }
+
+  /** Writes are queued: concurrent ones would race on the tmp file. */
+  _write() {
+    const next = this._saving.then(() => this._flush());
+    this._saving = next.catch(() => {});
+    return next;
+  }
+
+  async _flush() {
+    const tmp = `${this.filePath}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({ ...this._doc, savedAt: Date.now() }), { mode: 0o600 });
+    await fs.rename(tmp, this.filePath);
+  }
+}
+
+module.exports = PaymentLedger;
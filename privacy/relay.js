@@ -8,15 +8,93 @@
  *   2. Casino calls relayFund() on contract → funds stealth address
  *   3. Onchain: casino → stealth (no agent identity visible)
  *
+ * Payment proofs (each spent once, recorded in the PaymentLedger first):
+ *   direct_transfer  { txHash, signature }: mined, successful ETH transfer to
+ *                    the casino wallet with MIN_CONFIRMATIONS; its sender signs
+ *                    "relay_transfer:{txHash}:{stealthAddress}:{amountWei}";
+ *                    surplus becomes credits
+ *   x402             { receipt, signature }: PaymentReceipt signed (EIP-712)
+ *                    by the configured facilitator, paid to the casino
+ *   prepaid          { account, signature }: the account signs
+ *                    "relay_prepaid:{stealthAddress}:{amountWei}:{nonce}"
+ *                    and its credits are debited
+ * A paid relay (fund or open) that never reaches the chain, unsent or
+ * reverted, credits the payer back. Closes are not paid for.
+ *
  * The agent's real address never appears in any casino transaction.
+ *
+ * Gasless channels (ChannelManager meta-transactions):
+ *   relayOpen()   agent signs an OpenAuthorization for the deposit it paid
+ *                 for off-chain; casino sends openChannelFor() with the ETH
+ *   relayClose()  agent signs a CloseAuthorization over the casino-signed
+ *                 final state; casino sends closeChannelWithSig()
+ * The stealth address only signs, so it never needs ETH for gas.
  */
 
 const { ethers } = require('ethers');
 
+const OPEN_AUTHORIZATION_TYPES = {
+  OpenAuthorization: [
+    { name: 'agent', type: 'address' },
+    { name: 'deposit', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+const CLOSE_AUTHORIZATION_TYPES = {
+  CloseAuthorization: [
+    { name: 'agent', type: 'address' },
+    { name: 'epoch', type: 'uint256' },
+    { name: 'agentBalance', type: 'uint256' },
+    { name: 'casinoBalance', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+// Leaves the relayer time to get the tx mined before the authorization lapses.
+const MIN_AUTHORIZATION_SECONDS = 60;
+
+// ChannelManager.ChannelState; a settled channel is deleted, so it reads None.
+const CHANNEL_NONE = 0;
+const CHANNEL_OPEN = 1;
+
+const X402_DOMAIN = { name: 'x402', version: '1' };
+const X402_RECEIPT_TYPES = {
+  PaymentReceipt: [
+    { name: 'id', type: 'string' },
+    { name: 'payer', type: 'address' },
+    { name: 'payTo', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'issuedAt', type: 'uint256' },
+  ],
+};
+
+const MIN_CONFIRMATIONS = 3;
+const RECEIPT_MAX_AGE = 60 * 60; // seconds
+const CREDITS_QUERY_MAX_AGE = 5 * 60; // seconds
+
 class RelayService {
-  constructor(casinoWallet, channelContract) {
+  /**
+   * @param {ethers.Signer} casinoWallet
+   * @param {ethers.Contract} channelContract - relayFund() target (RelayRouter or ChannelManager)
+   * @param {object} [options]
+   * @param {ethers.Contract} [options.channelManager] - ChannelManager connected to the casino signer, for relayOpen/relayClose
+   * @param {PaymentLedger} [options.ledger] - spent payments and prepaid credits; no payment is accepted without it
+   * @param {string} [options.x402Facilitator] - address whose signed receipts are accepted for x402
+   * @param {number} [options.minConfirmations] - for direct transfers (default 3)
+   * @param {ethers.Provider} [options.provider] - default casinoWallet.provider
+   */
+  constructor(casinoWallet, channelContract, options = {}) {
     this.casino = casinoWallet;
     this.contract = channelContract;
+    this.channelManager = options.channelManager || null;
+    this.ledger = options.ledger || null;
+    this.x402Facilitator = options.x402Facilitator || null;
+    this.minConfirmations = options.minConfirmations || MIN_CONFIRMATIONS;
+    this.provider = options.provider || casinoWallet?.provider || null;
+    this._domain = null;
   }
 
   /**
@@ -28,29 +106,16 @@ class RelayService {
    * @returns {object} Transaction details
    */
   async fundStealth(stealthAddress, amountEth, paymentProof) {
-    if (!this._verifyPayment(paymentProof, amountEth)) {
-      throw new Error('Off-chain payment not verified');
-    }
-
     if (!ethers.isAddress(stealthAddress)) {
       throw new Error('Invalid stealth address');
     }
 
-    const amountWei = ethers.parseEther(amountEth.toString());
-
-    const tx = await this.contract.relayFund(stealthAddress, {
-      value: amountWei,
-    });
-
-    const receipt = await tx.wait();
+    const payment = await this._verifyPayment(paymentProof, amountEth, stealthAddress);
+    const sent = await this._spend(payment, () => (
+      this._send('relayFund', [stealthAddress, { value: payment.amount }], {}, this.contract)
+    ));
 
-    return {
-      stealthAddress,
-      amountEth,
-      txHash: tx.hash,
-      blockNumber: receipt.blockNumber,
-      gasUsed: receipt.gasUsed.toString(),
-    };
+    return { stealthAddress, amountEth, ...sent };
   }
 
   /**
@@ -73,27 +138,376 @@ class RelayService {
     };
   }
 
+  // ─── Meta-transactions ──────────────────────────────────
+
+  /**
+   * Open a channel for a stealth address with no ETH: the casino sends
+   * openChannelFor() with the deposit the agent paid for off-chain.
+   *
+   * If openChannelFor() was mined but funding the casino side failed, the
+   * error (RELAY_OPEN_INCOMPLETE) carries `openTxHash`. Calling again with
+   * a valid authorization for the same deposit resumes that channel: no
+   * payment is taken and no second channel opened, only the casino side
+   * is funded (`resumed: true`).
+   *
+   * @param {string} stealthAddress - Channel owner, signer of the authorization
+   * @param {number|string} amountEth - Agent deposit in ETH
+   * @param {{ deadline: number|string, signature: string }} authorization - OpenAuthorization
+   * @param {object} paymentProof - Proof that agent paid off-chain
+   * @param {object} [options]
+   * @param {number|string} [options.casinoDeposit] - ETH for fundCasinoSide() once open
+   * @param {function} [options.onSubmitted] - (txHash) once the tx is sent
+   * @returns {object} Transaction details
+   */
+  async relayOpen(stealthAddress, amountEth, authorization, paymentProof, options = {}) {
+    if (!ethers.isAddress(stealthAddress)) {
+      throw new Error('Invalid stealth address');
+    }
+
+    const deposit = ethers.parseEther(amountEth.toString());
+    const { deadline, signature } = await this._verifyAuthorization(
+      stealthAddress, OPEN_AUTHORIZATION_TYPES, { agent: stealthAddress, deposit }, authorization
+    );
+
+    const casinoDeposit = options.casinoDeposit ? ethers.parseEther(options.casinoDeposit.toString()) : 0n;
+    const onchain = await this.channelOnchain(stealthAddress);
+    const resumable = onchain.state === CHANNEL_OPEN && onchain.agentDeposit === deposit && onchain.nonce === 0n
+      && (onchain.casinoDeposit === 0n || onchain.casinoDeposit === casinoDeposit);
+    if (onchain.state !== CHANNEL_NONE && !resumable) {
+      throw this._fail('CHANNEL_EXISTS', `${stealthAddress} already has a channel onchain`);
+    }
+
+    let result;
+    if (resumable) {
+      result = { stealthAddress, amountEth, epoch: onchain.epoch, txHash: null, blockNumber: null, resumed: true };
+    } else {
+      const payment = await this._verifyPayment(paymentProof, amountEth, stealthAddress);
+      const sent = await this._spend(payment, () => (
+        this._send('openChannelFor', [stealthAddress, deadline, signature, { value: deposit }], options)
+      ));
+      // Opening bumps channelEpoch by one, and only from CHANNEL_NONE.
+      result = { stealthAddress, amountEth, epoch: onchain.epoch + 1, ...sent };
+    }
+
+    if (casinoDeposit > 0n && !(resumable && onchain.casinoDeposit === casinoDeposit)) {
+      try {
+        result.fundTxHash = (await this._send('fundCasinoSide', [stealthAddress, { value: casinoDeposit }], options)).txHash;
+      } catch (err) {
+        const opened = result.txHash ? ` (tx ${result.txHash})` : '';
+        throw this._fail('RELAY_OPEN_INCOMPLETE', `channel opened onchain${opened} but its casino side was not funded (${err.message}); relay the open again to finish`, {
+          sent: err.sent, txHash: err.txHash, openTxHash: result.txHash,
+        });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * The ChannelManager's record for an agent (state CHANNEL_NONE once
+   * settled or if never opened). Balances in wei. `epoch` is the agent's
+   * channelEpoch: the current channel's, or the last one's once settled.
+   * @returns {Promise<{ state: number, agentDeposit: BigInt, casinoDeposit: BigInt, nonce: BigInt, epoch: number }>}
+   */
+  async channelOnchain(stealthAddress) {
+    if (!this.channelManager) throw new Error('Meta-transactions need options.channelManager');
+    const [channel, epoch] = await Promise.all([
+      this.channelManager.getChannel(stealthAddress),
+      this.channelManager.channelEpoch(stealthAddress),
+    ]);
+    return {
+      state: Number(channel.state),
+      agentDeposit: channel.agentDeposit,
+      casinoDeposit: channel.casinoDeposit,
+      nonce: channel.nonce,
+      epoch: Number(epoch),
+    };
+  }
+
+  /**
+   * Epoch of the agent's channel onchain, or, with none open, the one its
+   * next open gets. States the casino signs for the channel carry it.
+   */
+  async channelEpoch(stealthAddress) {
+    const onchain = await this.channelOnchain(stealthAddress);
+    return onchain.state === CHANNEL_NONE ? onchain.epoch + 1 : onchain.epoch;
+  }
+
+  /** False once a close has settled the agent's channel onchain. */
+  async hasChannelOnchain(stealthAddress) {
+    return (await this.channelOnchain(stealthAddress)).state !== CHANNEL_NONE;
+  }
+
+  /**
+   * Submit a cooperative close for a stealth address via closeChannelWithSig().
+   * The authorization must cover exactly the casino-signed state, epoch
+   * included.
+   *
+   * @param {string} stealthAddress
+   * @param {{ epoch: number, agentBalance: BigInt, casinoBalance: BigInt, nonce: number, casinoSig: string }} state - wei
+   * @param {{ deadline: number|string, signature: string }} authorization - CloseAuthorization
+   * @param {object} [options]
+   * @param {function} [options.onSubmitted] - (txHash) once the tx is sent
+   * @returns {object} Transaction details
+   */
+  async relayClose(stealthAddress, state, authorization, options = {}) {
+    if (!ethers.isAddress(stealthAddress)) {
+      throw new Error('Invalid stealth address');
+    }
+    const { deadline, signature } = await this.verifyCloseAuthorization(stealthAddress, state, authorization);
+
+    const sent = await this._send('closeChannelWithSig', [
+      stealthAddress, state.agentBalance, state.casinoBalance, BigInt(state.nonce), deadline, state.casinoSig, signature,
+    ], options);
+    return { stealthAddress, nonce: Number(state.nonce), ...sent };
+  }
+
+  /**
+   * Check a CloseAuthorization against a state without sending anything.
+   * @param {{ epoch: number, agentBalance: BigInt, casinoBalance: BigInt, nonce: number }} state - wei
+   * @returns {Promise<{ deadline: BigInt, signature: string }>}
+   */
+  async verifyCloseAuthorization(stealthAddress, state, authorization) {
+    const value = {
+      agent: stealthAddress,
+      epoch: BigInt(state.epoch || 0),
+      agentBalance: state.agentBalance,
+      casinoBalance: state.casinoBalance,
+      nonce: BigInt(state.nonce),
+    };
+    return this._verifyAuthorization(stealthAddress, CLOSE_AUTHORIZATION_TYPES, value, authorization);
+  }
+
+  /**
+   * Check an agent authorization before paying gas for it: the deadline
+   * leaves time to mine and the signer is the agent. Throws with `code`
+   * INVALID_AUTHORIZATION or AUTHORIZATION_EXPIRED.
+   */
+  async _verifyAuthorization(agent, types, value, authorization) {
+    const signature = authorization?.signature;
+    let deadline;
+    try { deadline = BigInt(authorization?.deadline); } catch { deadline = null; }
+    if (typeof signature !== 'string' || deadline === null) {
+      throw this._fail('INVALID_AUTHORIZATION', 'authorization needs { deadline, signature }');
+    }
+    if (deadline < BigInt(Math.floor(Date.now() / 1000) + MIN_AUTHORIZATION_SECONDS)) {
+      throw this._fail('AUTHORIZATION_EXPIRED', `deadline must be at least ${MIN_AUTHORIZATION_SECONDS}s away`);
+    }
+
+    const [type] = Object.keys(types);
+    let signer = null;
+    try { signer = ethers.verifyTypedData(await this.domain(), types, { ...value, deadline }, signature); } catch {}
+    if (!signer || signer.toLowerCase() !== agent.toLowerCase()) {
+      throw this._fail('INVALID_AUTHORIZATION', `${type} not signed by ${agent}`);
+    }
+    return { deadline, signature };
+  }
+
+  /** EIP-712 domain of the ChannelManager (same as the engine's state signatures). */
+  async domain() {
+    if (!this.channelManager) throw new Error('Meta-transactions need options.channelManager');
+    if (!this._domain) {
+      const [network, verifyingContract] = await Promise.all([
+        this.channelManager.runner.provider.getNetwork(),
+        this.channelManager.getAddress(),
+      ]);
+      this._domain = { name: 'AgentCasino', version: '1', chainId: Number(network.chainId), verifyingContract };
+    }
+    return this._domain;
+  }
+
   /**
-   * Verify off-chain payment proof.
-   * Supports: x402 receipt, direct ETH transfer to casino.
+   * Send and wait (on the ChannelManager unless `contract` is given).
+   * Failures throw RELAY_TX_FAILED with `sent` (the tx may still land) and
+   * `txHash`; a revert is never `sent`.
    */
-  _verifyPayment(proof, expectedAmount) {
-    if (!proof) return false;
+  async _send(method, args, options, contract = this.channelManager) {
+    let tx;
+    try {
+      tx = await contract[method](...args);
+    } catch (err) {
+      throw this._fail('RELAY_TX_FAILED', err.shortMessage || err.message, { sent: false });
+    }
+    if (options.onSubmitted) await options.onSubmitted(tx.hash);
+
+    try {
+      const receipt = await tx.wait();
+      return {
+        txHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+      };
+    } catch (err) {
+      const reverted = err.code === 'CALL_EXCEPTION';
+      throw this._fail('RELAY_TX_FAILED', err.shortMessage || err.message, {
+        sent: !reverted,
+        txHash: tx.hash,
+        blockNumber: err.receipt?.blockNumber || null,
+      });
+    }
+  }
+
+  _fail(code, detail, fields = {}) {
+    return Object.assign(new Error(`${code}: ${detail}`), { code, ...fields });
+  }
+
+  // ─── Payments ───────────────────────────────────────────
+
+  /**
+   * Prepaid credits of a payer address (direct-transfer surplus, refunds).
+   * Only the account itself may look: it signs
+   * "relay_credits:{account}:{issuedAt}" (unix seconds, within 5 minutes).
+   * @param {string} account
+   * @param {{ signature: string, issuedAt: number }} query
+   */
+  getCredits(account, { signature, issuedAt } = {}) {
+    if (!ethers.isAddress(account)) throw new Error('Invalid account');
+    if (!this.ledger) throw new Error('No payment ledger configured');
+
+    const message = `relay_credits:${account}:${issuedAt}`;
+    let signer = null;
+    try { signer = ethers.verifyMessage(message, signature); } catch {}
+    if (!signer || signer.toLowerCase() !== account.toLowerCase()) {
+      throw new Error(`Sign "relay_credits:${account}:{issuedAt}" with the account (issuedAt in unix seconds)`);
+    }
+    if (!(Math.abs(Math.floor(Date.now() / 1000) - Number(issuedAt)) <= CREDITS_QUERY_MAX_AGE)) {
+      throw new Error('Credits query expired: sign it again with the current time');
+    }
+
+    const { balance, nonce } = this.ledger.getAccount(account);
+    return { account, credits: ethers.formatEther(balance), nonce };
+  }
+
+  /**
+   * Verify an off-chain payment proof for `expectedAmount` ETH and spend
+   * it: the tx hash or receipt id is claimed, or prepaid credits debited.
+   * Throws unless it is a real, unspent payment of at least that much.
+   * @returns {Promise<{ type: string, payer: string, amount: BigInt }>} amount in wei
+   */
+  async _verifyPayment(proof, expectedAmount, stealthAddress) {
+    const reject = (reason) => new Error(`Off-chain payment not verified: ${reason}`);
+    if (!this.ledger) throw reject('no payment ledger configured');
+    if (!proof || typeof proof !== 'object') throw reject('missing payment proof');
+
+    let expected;
+    try { expected = ethers.parseEther(expectedAmount.toString()); } catch { throw reject('invalid amount'); }
+    if (expected <= 0n) throw reject('invalid amount');
 
     switch (proof.type) {
       case 'x402':
-        return proof.verified && proof.amount >= expectedAmount;
+        return this._verifyX402(proof, expected, stealthAddress, reject);
 
       case 'direct_transfer':
-        // Verify ETH was sent to casino address
-        return proof.txHash && proof.amount >= expectedAmount && proof.confirmed;
+        return this._verifyTransfer(proof, expected, stealthAddress, reject);
 
       case 'prepaid':
-        // Agent has prepaid credits
-        return proof.credits >= expectedAmount;
+        return this._verifyPrepaid(proof, expected, stealthAddress, reject);
 
       default:
-        return false;
+        throw reject(`unknown payment type ${proof.type}`);
+    }
+  }
+
+  /**
+   * ETH sent straight to the casino wallet, checked onchain. The transfer
+   * is public, so only its sender may spend it: they sign which stealth
+   * address it funds.
+   */
+  async _verifyTransfer(proof, expected, stealthAddress, reject) {
+    if (typeof proof.txHash !== 'string' || !ethers.isHexString(proof.txHash, 32)) throw reject('invalid txHash');
+    if (typeof proof.signature !== 'string') throw reject('direct_transfer proof needs { txHash, signature }');
+    if (!this.provider) throw reject('no provider to check transfers');
+
+    const [tx, receipt, head, casino] = await Promise.all([
+      this.provider.getTransaction(proof.txHash),
+      this.provider.getTransactionReceipt(proof.txHash),
+      this.provider.getBlockNumber(),
+      this.casino.getAddress(),
+    ]);
+    if (!tx || !receipt) throw reject('transaction not mined');
+    if (receipt.status !== 1) throw reject('transaction reverted');
+    if (!tx.to || tx.to.toLowerCase() !== casino.toLowerCase()) throw reject('transaction not sent to the casino wallet');
+    if (tx.value < expected) throw reject(`transfer of ${ethers.formatEther(tx.value)} ETH is below ${ethers.formatEther(expected)}`);
+    const confirmations = head - receipt.blockNumber + 1;
+    if (confirmations < this.minConfirmations) throw reject(`${confirmations}/${this.minConfirmations} confirmations`);
+
+    const txHash = proof.txHash.toLowerCase();
+    const message = `relay_transfer:${txHash}:${stealthAddress}:${expected}`;
+    let signer = null;
+    try { signer = ethers.verifyMessage(message, proof.signature); } catch {}
+    if (!signer || signer.toLowerCase() !== tx.from.toLowerCase()) throw reject(`sign "${message}" with the sender of the transfer`);
+
+    return this._claim(`tx:${txHash}`, 'direct_transfer', tx.from, tx.value, expected, reject);
+  }
+
+  /** Receipt from the x402 facilitator, which saw the payment settle. */
+  async _verifyX402(proof, expected, stealthAddress, reject) {
+    if (!this.x402Facilitator) throw reject('x402 not configured');
+    const { receipt, signature } = proof;
+    if (!receipt || typeof signature !== 'string') throw reject('x402 proof needs { receipt, signature }');
+    if (!this.provider) throw reject('no provider to check receipts');
+
+    let signer = null;
+    try { signer = ethers.verifyTypedData(X402_DOMAIN, X402_RECEIPT_TYPES, receipt, signature); } catch {}
+    if (!signer || signer.toLowerCase() !== this.x402Facilitator.toLowerCase()) throw reject('receipt not signed by the facilitator');
+
+    const [casino, network] = await Promise.all([this.casino.getAddress(), this.provider.getNetwork()]);
+    if (receipt.payTo.toLowerCase() !== casino.toLowerCase()) throw reject('receipt not paid to the casino');
+    if (BigInt(receipt.chainId) !== network.chainId) throw reject(`receipt for chain ${receipt.chainId}`);
+    if (Number(receipt.issuedAt) < Math.floor(Date.now() / 1000) - RECEIPT_MAX_AGE) throw reject('receipt expired');
+    const amount = BigInt(receipt.amount);
+    if (amount < expected) throw reject(`receipt of ${ethers.formatEther(amount)} ETH is below ${ethers.formatEther(expected)}`);
+
+    return this._claim(`x402:${receipt.id}`, 'x402', receipt.payer, amount, expected, reject);
+  }
+
+  /** Credits left from earlier payments, spent with the account's signature. */
+  async _verifyPrepaid(proof, expected, stealthAddress, reject) {
+    const { account, signature } = proof;
+    if (!ethers.isAddress(account) || typeof signature !== 'string') throw reject('prepaid proof needs { account, signature }');
+
+    // No await between reading the nonce and the debit
+    const { nonce } = this.ledger.getAccount(account);
+    let signer = null;
+    try { signer = ethers.verifyMessage(`relay_prepaid:${stealthAddress}:${expected}:${nonce}`, signature); } catch {}
+    if (!signer || signer.toLowerCase() !== account.toLowerCase()) {
+      throw reject(`sign "relay_prepaid:${stealthAddress}:${expected}:${nonce}" with the account`);
+    }
+    try {
+      await this.ledger.debit(account, expected, nonce);
+    } catch (err) {
+      throw reject(err.message);
+    }
+    return { type: 'prepaid', payer: account, amount: expected };
+  }
+
+  async _claim(reference, type, payer, paid, expected, reject) {
+    const surplus = paid > expected ? { account: payer, amount: paid - expected } : null;
+    if (!await this.ledger.claim(reference, { type, amount: paid }, surplus)) {
+      throw reject('payment already used');
+    }
+    return { type, payer, amount: expected };
+  }
+
+  /**
+   * Send a relay that was paid for. If it never reached the chain (not
+   * sent, or reverted) the payer gets the amount back as credits; a tx
+   * that may still land is not refunded.
+   */
+  async _spend(payment, send) {
+    try {
+      return await send();
+    } catch (err) {
+      if (!err.sent) await this._refund(payment, err);
+      throw err;
+    }
+  }
+
+  /** Nothing reached the chain: the payer keeps the amount as credits. */
+  async _refund(payment, err) {
+    try {
+      await this.ledger.credit(payment.payer, payment.amount);
+    } catch (refundErr) {
+      err.message += ` (refund of ${ethers.formatEther(payment.amount)} ETH not recorded: ${refundErr.message})`;
     }
   }
 }
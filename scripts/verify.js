@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Verify casino rounds without trusting the casino.
+ *
+ * Usage:
+ *   node scripts/verify.js <round.json | backup-dir> [options]
+ *
+ *   round.json   one response (slots_reveal, dice_play, *_batch_play,
+ *                *_entropy_finalize, a lotto draw, ...) or an array of them
+ *   backup-dir   AgentCasinoClient backupDir (default ./casino-states)
+ *
+ * Options:
+ *   --casino <address>     expected state signer      (env CASINO_ADDRESS)
+ *   --contract <address>   ChannelManager             (env CHANNEL_MANAGER)
+ *   --chain-id <id>        chain of the contract      (env CHAIN_ID, 8453)
+ *   --epoch <n>            channelEpoch of the channel (backups record it, else 0)
+ *   --agent <address>      stealth address, for single round files
+ *   --commitment <hex>     *_commit commitment, for single reveal files
+ *   --game <name>          slots | coinflip | dice, if the record doesn't say
+ *   --json                 print the full report as JSON
+ *
+ * Exits 1 if any check fails.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const { verifyRound, verifyBackupDir } = require('../server/verify');
+
+function parseArgs(argv) {
+  const args = { target: null, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') args.json = true;
+    else if (arg.startsWith('--')) args[arg.slice(2)] = argv[++i];
+    else args.target = arg;
+  }
+  return args;
+}
+
+function mark(ok) {
+  if (ok === null) return '➖';
+  return ok ? '✅' : '❌';
+}
+
+function printRound(round, indent) {
+  const label = [round.game, round.kind, round.nonce === null ? null : `nonce ${round.nonce}`].filter(Boolean).join(' ');
+  console.log(`${indent}${mark(round.ok)} ${label}`);
+  for (const c of round.checks) {
+    if (c.ok !== true) console.log(`${indent}   ${mark(c.ok)} ${c.check}: ${c.detail}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const target = args.target || './casino-states';
+  const options = {
+    casino: args.casino || process.env.CASINO_ADDRESS,
+    contract: args.contract || process.env.CHANNEL_MANAGER,
+    chainId: parseInt(args['chain-id'] || process.env.CHAIN_ID || '8453'),
+    agent: args.agent,
+    epoch: args.epoch === undefined ? undefined : parseInt(args.epoch),
+    commitment: args.commitment,
+    game: args.game,
+  };
+
+  let ok;
+  if (fs.statSync(target).isDirectory()) {
+    const report = await verifyBackupDir(target, options);
+    ok = report.ok;
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      console.log(`=== Backup ${target}: ${report.channels.length} channel(s) ===\n`);
+      for (const ch of report.channels) {
+        console.log(`${mark(ch.ok)} ${ch.agent}  ${ch.states} states, ${ch.rounds.length} rounds, ${ch.files.length} file(s)`);
+        for (const c of ch.checks) {
+          if (c.ok !== true) console.log(`   ${mark(c.ok)} ${c.check}: ${c.detail}`);
+        }
+        for (const round of ch.rounds) printRound(round, '   ');
+      }
+    }
+  } else {
+    const data = JSON.parse(fs.readFileSync(target, 'utf-8'));
+    const rounds = (Array.isArray(data) ? data : [data]).map(r => verifyRound(r, options));
+    ok = rounds.every(r => r.ok);
+    if (args.json) console.log(JSON.stringify(rounds, null, 2));
+    else rounds.forEach(r => printRound(r, ''));
+  }
+
+  if (!args.json) {
+    console.log(ok ? '\nPASS: every check passed' : '\nFAIL: see ❌ above');
+    if (!options.contract) console.log('Signatures not checked: pass --contract (or set CHANNEL_MANAGER).');
+  }
+  process.exit(ok ? 0 : 1);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -5,11 +5,50 @@
  */
 
 const { ethers } = require('ethers');
+const { createHash } = require('crypto');
 const StealthAddress = require('../privacy/stealth');
 const CommitReveal = require('../server/commit-reveal');
+const { recoverSigner } = require('../server/verify');
 const fs = require('fs').promises;
 const path = require('path');
 
+// The ChannelManager calls an agent needs to settle without the casino.
+const CHANNEL_MANAGER_ABI = [
+  'function casino() view returns (address)',
+  'function channelEpoch(address) view returns (uint256)',
+  'function channels(address) view returns (uint256 agentDeposit, uint256 casinoDeposit, uint256 agentBalance, uint256 casinoBalance, uint256 nonce, uint256 openedAt, uint256 disputeDeadline, uint8 state)',
+  'function pendingWithdrawals(address) view returns (uint256)',
+  'function startChallenge(uint256 agentBalance, uint256 casinoBalance, uint256 nonce, bytes casinoSig)',
+  'function counterChallenge(address agent, uint256 agentBalance, uint256 casinoBalance, uint256 nonce, bytes casinoSig)',
+  'function resolveChallenge(address agent)',
+  'function emergencyExit()',
+  'function withdrawPending()',
+  'event ChallengeCountered(address indexed agent, uint256 agentBalance, uint256 nonce, uint256 newDeadline)',
+  'event ChallengeResolved(address indexed agent, uint256 agentPayout, uint256 casinoPayout)',
+];
+const CHANNEL_STATES = ['none', 'open', 'disputed', 'closed'];
+
+// Signed by the stealth key so the casino can submit openChannelFor /
+// closeChannelWithSig for us.
+const OPEN_AUTHORIZATION_TYPES = {
+  OpenAuthorization: [
+    { name: 'agent', type: 'address' },
+    { name: 'deposit', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+const CLOSE_AUTHORIZATION_TYPES = {
+  CloseAuthorization: [
+    { name: 'agent', type: 'address' },
+    { name: 'epoch', type: 'uint256' },
+    { name: 'agentBalance', type: 'uint256' },
+    { name: 'casinoBalance', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
 class AgentCasinoClient {
   constructor(casinoUrl, options = {}) {
     const normalized = String(casinoUrl || 'https://www.agentroyale.xyz/api/a2a/casino').replace(/\/$/, '');
@@ -17,12 +56,26 @@ class AgentCasinoClient {
     this.apiBase = this.casinoUrl.replace(/\/a2a\/casino$/, '');
 
     this.backupDir = options.backupDir || './casino-states';
+    // Onchain disputes: RPC (or an ethers provider) and the ChannelManager address
+    this.rpcUrl = options.rpcUrl || null;
+    this.provider = options.provider || null;
+    this.channelManagerAddress = options.channelManager || null;
     this.stealth = null;
     this.states = [];
     this.gamesPlayed = 0;
   }
 
   // Session
+
+  /**
+   * @param {number|string} depositEth
+   * @param {object} [options]
+   * @param {object} [options.relay] - gasless open: the casino opens the channel
+   *   onchain for the stealth address (needs options.channelManager)
+   * @param {object} options.relay.payment - proof of the off-chain payment for the deposit
+   * @param {number} [options.relay.chainId] - chain of the ChannelManager (default 8453)
+   * @param {number} [options.relay.deadlineSec] - authorization lifetime (default 600)
+   */
   async startSession(depositEth, options = {}) {
     if (typeof depositEth === 'number') depositEth = depositEth.toString();
 
@@ -39,8 +92,19 @@ class AgentCasinoClient {
       agentDeposit: depositEth,
       casinoDeposit: String(options.casinoDeposit || depositEth),
       ...(options.settlementMode ? { settlementMode: options.settlementMode } : {}),
+      ...(options.relay ? { openAuthorization: await this._openAuthorization(depositEth, options.relay), payment: options.relay.payment } : {}),
     });
 
+    // Opening commitment for *_play rounds; every seed revealed later must link back to it.
+    this.seedChain = channelResult.seedCommitment
+      ? { commitment: channelResult.seedCommitment, index: 0 }
+      : null;
+    this.clientSeed = null;
+    this.nonce = 0;
+    // Onchain channel the casino signs states for (ChannelManager.channelEpoch)
+    this.epoch = channelResult.epoch || 0;
+    this.dispute = null;
+
     await this._backup();
 
     return {
@@ -49,11 +113,18 @@ class AgentCasinoClient {
     };
   }
 
-  async closeSession() {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.relay] - onchain-settle: authorize the casino to
+   *   submit the close onchain and return once it is mined (needs options.channelManager)
+   * @param {number} [options.deadlineSec] - authorization lifetime (default 600)
+   */
+  async closeSession(options = {}) {
     this._assertSession();
 
     const result = await this._request('close_channel', {
       stealthAddress: this.stealth.stealthAddress,
+      ...(options.relay ? { closeAuthorization: await this._closeAuthorization(options.deadlineSec) } : {}),
     });
 
     this.states.push({
@@ -62,10 +133,12 @@ class AgentCasinoClient {
       nonce: result.nonce,
       signature: result.signature,
       final: true,
+      ...(result.seedHistory ? { seedHistory: result.seedHistory } : {}),
       timestamp: Date.now(),
     });
 
     await this._backup();
+    if (result.seedHistory) await this._verifyRetiredChain(result.seedHistory.closedChain, result);
 
     return {
       ...result,
@@ -94,7 +167,7 @@ class AgentCasinoClient {
     });
 
     this._verifyCommitment(commitResult.commitment, result);
-    this._storeState(result);
+    this._storeState(result, { game: 'slots', commitment: commitResult.commitment });
     this.gamesPlayed++;
     await this._backup();
 
@@ -120,7 +193,7 @@ class AgentCasinoClient {
     });
 
     this._verifyCommitment(commitResult.commitment, result);
-    this._storeState(result);
+    this._storeState(result, { game: 'coinflip', commitment: commitResult.commitment });
     this.gamesPlayed++;
     await this._backup();
 
@@ -150,10 +223,513 @@ class AgentCasinoClient {
     });
 
     this._verifyCommitment(commitResult.commitment, result);
+    this._storeState(result, { game: 'dice', commitment: commitResult.commitment });
+    this.gamesPlayed++;
+    await this._backup();
+
+    return result;
+  }
+
+  // target: auto-cash-out multiplier, e.g. 2.5 (1.01-1000, 2 decimals)
+  async playCrash(betEth, target) {
+    this._assertSession();
+    if (typeof betEth === 'number') betEth = betEth.toString();
+
+    const commitResult = await this._request('crash_commit', {
+      stealthAddress: this.stealth.stealthAddress,
+      betAmount: betEth,
+      target: String(target),
+    });
+
+    const agentSeed = ethers.hexlify(ethers.randomBytes(32));
+
+    const result = await this._request('crash_reveal', {
+      stealthAddress: this.stealth.stealthAddress,
+      agentSeed,
+    });
+
+    this._verifyCommitment(commitResult.commitment, result);
+    this._storeState(result, { game: 'crash', commitment: commitResult.commitment });
+    this.gamesPlayed++;
+    await this._backup();
+
+    return result;
+  }
+
+  // rows: 8-16, risk: 'low' | 'medium' | 'high' (payout tables in getInfo)
+  async playPlinko(betEth, rows, risk) {
+    this._assertSession();
+    if (typeof betEth === 'number') betEth = betEth.toString();
+
+    const commitResult = await this._request('plinko_commit', {
+      stealthAddress: this.stealth.stealthAddress,
+      betAmount: betEth,
+      rows,
+      risk,
+    });
+
+    const agentSeed = ethers.hexlify(ethers.randomBytes(32));
+
+    const result = await this._request('plinko_reveal', {
+      stealthAddress: this.stealth.stealthAddress,
+      agentSeed,
+    });
+
+    this._verifyCommitment(commitResult.commitment, result);
+    this._storeState(result, { game: 'plinko', commitment: commitResult.commitment });
+    this.gamesPlayed++;
+    await this._backup();
+
+    return result;
+  }
+
+  // numbers: 1-10 distinct picks from 1-40, e.g. [3, 17, 22, 38]
+  async playKeno(betEth, numbers) {
+    this._assertSession();
+    if (typeof betEth === 'number') betEth = betEth.toString();
+
+    const commitResult = await this._request('keno_commit', {
+      stealthAddress: this.stealth.stealthAddress,
+      betAmount: betEth,
+      numbers,
+    });
+
+    const agentSeed = ethers.hexlify(ethers.randomBytes(32));
+
+    const result = await this._request('keno_reveal', {
+      stealthAddress: this.stealth.stealthAddress,
+      agentSeed,
+    });
+
+    this._verifyCommitment(commitResult.commitment, result);
+    this._storeState(result, { game: 'keno', commitment: commitResult.commitment });
+    this.gamesPlayed++;
+    await this._backup();
+
+    return result;
+  }
+
+  // bets: [{ type: 'straight', numbers: [17], amount: '0.001' }, { type: 'red', amount: '0.002' }, ...]
+  async playRoulette(bets) {
+    this._assertSession();
+    if (!Array.isArray(bets) || bets.length === 0) throw new Error('bets must be a non-empty array');
+    bets = bets.map(b => ({ ...b, amount: typeof b.amount === 'number' ? b.amount.toString() : b.amount }));
+
+    const commitResult = await this._request('roulette_commit', {
+      stealthAddress: this.stealth.stealthAddress,
+      bets,
+    });
+
+    const agentSeed = ethers.hexlify(ethers.randomBytes(32));
+
+    const result = await this._request('roulette_reveal', {
+      stealthAddress: this.stealth.stealthAddress,
+      agentSeed,
+    });
+
+    this._verifyCommitment(commitResult.commitment, result);
+    this._storeState(result, { game: 'roulette', commitment: commitResult.commitment });
+    this.gamesPlayed++;
+    await this._backup();
+
+    return result;
+  }
+
+  // Blackjack (multi-step): deal, then hit/stand/double/split/insurance
+  // until status === 'resolved'. Stakes come back as signed states.
+  async blackjackDeal(betEth) {
+    this._assertSession();
+    if (typeof betEth === 'number') betEth = betEth.toString();
+
+    const commitResult = await this._request('blackjack_commit', {
+      stealthAddress: this.stealth.stealthAddress,
+      betAmount: betEth,
+    });
+    this._blackjackCommitment = commitResult.commitment;
+
+    const agentSeed = ethers.hexlify(ethers.randomBytes(32));
+
+    const result = await this._request('blackjack_deal', {
+      stealthAddress: this.stealth.stealthAddress,
+      agentSeed,
+    });
+    return await this._blackjackResult(result);
+  }
+
+  async blackjackAction(action) {
+    this._assertSession();
+    if (!['hit', 'stand', 'double', 'split', 'insurance'].includes(action)) {
+      throw new Error('Action must be hit, stand, double, split or insurance');
+    }
+    const result = await this._request(`blackjack_${action}`, {
+      stealthAddress: this.stealth.stealthAddress,
+    });
+    return await this._blackjackResult(result);
+  }
+
+  async _blackjackResult(result) {
+    if (result.status === 'resolved') {
+      if (this._blackjackCommitment) this._verifyCommitment(this._blackjackCommitment, result);
+      this._blackjackCommitment = null;
+      this.gamesPlayed++;
+    }
+    if (result.signature) {
+      this._storeState(result);
+      await this._backup();
+    }
+    return result;
+  }
+
+  async videoPokerDeal(betEth) {
+    this._assertSession();
+    if (typeof betEth === 'number') betEth = betEth.toString();
+
+    const commitResult = await this._request('videopoker_commit', {
+      stealthAddress: this.stealth.stealthAddress,
+      betAmount: betEth,
+    });
+    this._videoPokerCommitment = commitResult.commitment;
+
+    const agentSeed = ethers.hexlify(ethers.randomBytes(32));
+
+    const result = await this._request('videopoker_deal', {
+      stealthAddress: this.stealth.stealthAddress,
+      agentSeed,
+    });
+    if (result.signature) {
+      this._storeState(result);
+      await this._backup();
+    }
+    return result;
+  }
+
+  // hold: "10010" or [true, false, false, true, false] (1 = keep that card)
+  async videoPokerDraw(hold) {
+    this._assertSession();
+    const result = await this._request('videopoker_draw', {
+      stealthAddress: this.stealth.stealthAddress,
+      hold,
+    });
+    if (this._videoPokerCommitment) this._verifyCommitment(this._videoPokerCommitment, result);
+    this._videoPokerCommitment = null;
     this._storeState(result);
     this.gamesPlayed++;
     await this._backup();
+    return result;
+  }
+
+  // gridSize: 3-8 (tiles 0..gridSize²-1, row by row), mines: 1..tiles-1
+  async minesStart(betEth, gridSize, mines) {
+    this._assertSession();
+    if (typeof betEth === 'number') betEth = betEth.toString();
+
+    const commitResult = await this._request('mines_commit', {
+      stealthAddress: this.stealth.stealthAddress,
+    });
+    this._minesCommitment = commitResult.commitment;
+
+    const agentSeed = ethers.hexlify(ethers.randomBytes(32));
 
+    const result = await this._request('mines_start', {
+      stealthAddress: this.stealth.stealthAddress,
+      betAmount: betEth,
+      gridSize,
+      mines,
+      agentSeed,
+    });
+    this._minesLayoutHash = result.layoutHash;
+    return await this._minesResult(result);
+  }
+
+  async minesPick(tile) {
+    this._assertSession();
+    const result = await this._request('mines_pick', {
+      stealthAddress: this.stealth.stealthAddress,
+      tile,
+    });
+    return await this._minesResult(result);
+  }
+
+  async minesCashout() {
+    this._assertSession();
+    const result = await this._request('mines_cashout', {
+      stealthAddress: this.stealth.stealthAddress,
+    });
+    return await this._minesResult(result);
+  }
+
+  async _minesResult(result) {
+    if (result.status !== 'playing') {
+      if (this._minesCommitment) this._verifyCommitment(this._minesCommitment, result);
+      // The layout revealed at the end must be the one committed at start.
+      const layoutHash = createHash('sha256')
+        .update(`${result.layout.join(',')}:${result.proof.casinoSeed}`)
+        .digest('hex');
+      if (this._minesLayoutHash && layoutHash !== this._minesLayoutHash) {
+        await this._saveEvidence('mines_layout_mismatch', {
+          layoutHash: this._minesLayoutHash,
+          result,
+          timestamp: Date.now(),
+        }).catch(() => {});
+        throw new Error('Casino cheated: mines layout does not match the start commitment. Evidence saved.');
+      }
+      this._minesCommitment = null;
+      this._minesLayoutHash = null;
+      this.gamesPlayed++;
+    }
+    if (result.signature) {
+      this._storeState(result);
+      await this._backup();
+    }
+    return result;
+  }
+
+  // One round on the channel seed chain, no commit round trip (slots, coinflip, dice).
+  // bet: { betAmount, ...game params }, e.g. { betAmount: '0.001', choice: 'over', target: 50 }
+  async play(game, bet, options = {}) {
+    this._assertSession();
+    if (!this.seedChain) throw new Error('Channel has no seed chain; open a new session');
+    if (!options.clientSeed && !this.clientSeed) await this.setClientSeed(ethers.hexlify(ethers.randomBytes(32)));
+
+    let result;
+    try {
+      result = await this._request(`${game}_play`, {
+        stealthAddress: this.stealth.stealthAddress,
+        ...bet,
+        betAmount: String(bet.betAmount),
+        ...(options.clientSeed ? { clientSeed: options.clientSeed } : {}),
+        nonce: this.nonce || 0,
+      });
+    } catch (err) {
+      // Another flow (a duel settled by the opponent) moved the nonce: resync once.
+      if (!/nonce must be/.test(err.message) || options.retried) throw err;
+      const status = await this._request('channel_status', { stealthAddress: this.stealth.stealthAddress });
+      this.nonce = status.nonce;
+      return await this.play(game, bet, { ...options, retried: true });
+    }
+
+    await this.verifySeed(result.proof);
+    if (result.nextSeedCommitment) this.seedChain = { commitment: result.nextSeedCommitment, index: 0 };
+
+    this._storeState(result, { game });
+    this.gamesPlayed++;
+    await this._backup();
+    return result;
+  }
+
+  // Persistent client seed for play(); the casino uses it until it is changed.
+  async setClientSeed(clientSeed) {
+    this._assertSession();
+    const result = await this._request('set_client_seed', {
+      stealthAddress: this.stealth.stealthAddress,
+      clientSeed,
+      signature: await this._ownerSignature('set_client_seed', [clientSeed]),
+    });
+    this.clientSeed = result.clientSeed;
+    this._storeState(result);
+    await this._backup();
+    return result;
+  }
+
+  // Retire the casino's seed chain: its tip is revealed and checked, a new chain is committed.
+  async rotateSeed() {
+    this._assertSession();
+    const result = await this._request('rotate_seed', {
+      stealthAddress: this.stealth.stealthAddress,
+      signature: await this._ownerSignature('rotate_seed'),
+    });
+    await this._verifyRetiredChain(result.previous, result);
+    this.seedChain = { commitment: result.seedCommitment, index: 0 };
+    this._storeState(result);
+    await this._backup();
+    return result;
+  }
+
+  // A retired chain's revealed tip must hash to the commitment we were given.
+  async _verifyRetiredChain(retired, result) {
+    if (this.seedChain && (
+      !retired
+      || retired.seedCommitment !== this.seedChain.commitment
+      || !CommitReveal.verifyChainSeed(retired.seedCommitment, retired.serverSeed, retired.length)
+    )) {
+      await this._saveEvidence('seed_rotation_mismatch', {
+        expected: this.seedChain,
+        result,
+        timestamp: Date.now(),
+      }).catch(() => {});
+      throw new Error('Casino cheated: revealed server seed does not match the committed chain. Evidence saved.');
+    }
+  }
+
+  // Every (server seed, client seed, nonce range) used by this channel.
+  async seedHistory() {
+    this._assertSession();
+    return await this._request('seed_history', {
+      stealthAddress: this.stealth.stealthAddress,
+    });
+  }
+
+  /**
+   * Check a *_play proof: the seed is the next one in the chain committed
+   * at open (or at the last rotation), and the result hash comes from it.
+   * Saves evidence and throws on any mismatch.
+   */
+  async verifySeed(proof) {
+    const chain = this.seedChain;
+    const ok = chain
+      && proof.seedCommitment === chain.commitment
+      && proof.chainIndex === chain.index + 1
+      && CommitReveal.verifyChainSeed(chain.commitment, proof.casinoSeed, proof.chainIndex)
+      && CommitReveal.computeResult(proof.casinoSeed, proof.clientSeed, proof.nonce).hash === proof.resultHash;
+    if (!ok) {
+      await this._saveEvidence('seed_chain_mismatch', {
+        expected: chain,
+        proof,
+        timestamp: Date.now(),
+      }).catch(() => {});
+      throw new Error('Casino cheated: revealed seed does not link to the committed chain. Evidence saved.');
+    }
+    chain.index = proof.chainIndex;
+  }
+
+  // Batch play (slots, coinflip, dice): many bets, one request, one signed state.
+  // bets: [{ betAmount, ...game params }], e.g. [{ betAmount: '0.001', choice: 'heads' }]
+  async playBatch(game, bets, options = {}) {
+    this._assertSession();
+    if (!this._chains) this._chains = {};
+
+    let chain = this._chains[game];
+    if (!chain || chain.remaining < bets.length) {
+      const committed = await this._request(`${game}_batch_commit`, {
+        stealthAddress: this.stealth.stealthAddress,
+        rounds: options.chainLength || 1000,
+      });
+      chain = { commitment: committed.commitment, link: committed.commitment, remaining: committed.rounds };
+      this._chains[game] = chain;
+    }
+
+    let result;
+    try {
+      result = await this._request(`${game}_batch_play`, {
+        stealthAddress: this.stealth.stealthAddress,
+        bets: bets.map(b => ({
+          ...b,
+          betAmount: String(b.betAmount),
+          agentSeed: ethers.hexlify(ethers.randomBytes(32)),
+        })),
+      });
+    } catch (err) {
+      // The server dropped the chain (expired or replaced): commit a new one once.
+      if (!/seed chain/i.test(err.message) || options.retried) throw err;
+      delete this._chains[game];
+      return await this.playBatch(game, bets, { ...options, retried: true });
+    }
+
+    // Every casino seed must extend the chain from the last one revealed,
+    // and every result hash must come from that seed and ours.
+    const seeds = result.rounds.map(r => r.proof.casinoSeed);
+    const badRound = result.rounds.find(r => (
+      CommitReveal.computeResult(r.proof.casinoSeed, r.proof.agentSeed, r.proof.nonce).hash !== r.proof.resultHash
+    ));
+    if (!CommitReveal.verifyChain(chain.link, seeds) || badRound) {
+      await this._saveEvidence('batch_chain_mismatch', {
+        commitment: chain.commitment,
+        previous: chain.link,
+        result,
+        timestamp: Date.now(),
+      }).catch(() => {});
+      throw new Error('Casino cheated: batch seeds do not extend the committed chain. Evidence saved.');
+    }
+    chain.link = seeds[seeds.length - 1];
+    chain.remaining = result.chain.remaining;
+
+    this._storeState(result, { game });
+    this.gamesPlayed += result.rounds.length;
+    await this._backup();
+    return result;
+  }
+
+  // PvP duels. variant: 'coinflip' (side: 'heads' | 'tails') or 'dice'.
+  // The creator's seed stays local until duelReveal().
+  async duelCreate(betEth, variant, side) {
+    this._assertSession();
+    if (typeof betEth === 'number') betEth = betEth.toString();
+
+    const seed = ethers.hexlify(ethers.randomBytes(32));
+    const result = await this._request('duel_create', {
+      stealthAddress: this.stealth.stealthAddress,
+      betAmount: betEth,
+      variant,
+      ...(side ? { side } : {}),
+      seedHash: createHash('sha256').update(seed).digest('hex'),
+    });
+    this._duel = { duelId: result.duelId, role: 'creator', seed, commitment: result.commitment };
+    this._storeState(result);
+    await this._backup();
+    return result;
+  }
+
+  async listDuels() {
+    return await this._request('duel_status', {});
+  }
+
+  async duelJoin(duelId) {
+    this._assertSession();
+    const open = await this._request('duel_status', { duelId });
+
+    const result = await this._request('duel_join', {
+      stealthAddress: this.stealth.stealthAddress,
+      duelId,
+      agentSeed: ethers.hexlify(ethers.randomBytes(32)),
+    });
+    this._duel = { duelId, role: 'joiner', commitment: open.commitment };
+    this._storeState(result);
+    await this._backup();
+    return result;
+  }
+
+  async duelReveal() {
+    this._assertSession();
+    if (!this._duel || this._duel.role !== 'creator') throw new Error('No duel created in this session');
+    const result = await this._request('duel_reveal', {
+      stealthAddress: this.stealth.stealthAddress,
+      agentSeed: this._duel.seed,
+    });
+    return await this._duelResult(result);
+  }
+
+  // Joiner: fetch the settled duel (the creator's reveal settles both channels).
+  async duelResult(duelId = this._duel && this._duel.duelId) {
+    this._assertSession();
+    const result = await this._request('duel_result', {
+      stealthAddress: this.stealth.stealthAddress,
+      duelId,
+    });
+    return await this._duelResult(result);
+  }
+
+  async duelClaim() {
+    this._assertSession();
+    const result = await this._request('duel_claim', {
+      stealthAddress: this.stealth.stealthAddress,
+    });
+    return await this._duelResult(result);
+  }
+
+  async duelCancel() {
+    this._assertSession();
+    const result = await this._request('duel_cancel', {
+      stealthAddress: this.stealth.stealthAddress,
+    });
+    return await this._duelResult(result);
+  }
+
+  async _duelResult(result) {
+    if (this._duel && this._duel.commitment) this._verifyCommitment(this._duel.commitment, result);
+    this._duel = null;
+    this.gamesPlayed++;
+    this._storeState(result);
+    await this._backup();
     return result;
   }
 
@@ -175,7 +751,7 @@ class AgentCasinoClient {
       roundId: committed.roundId,
     });
 
-    this._storeState(result);
+    this._storeState(result, { game: 'slots' });
     this.gamesPlayed++;
     await this._backup();
     return result;
@@ -200,7 +776,7 @@ class AgentCasinoClient {
       roundId: committed.roundId,
     });
 
-    this._storeState(result);
+    this._storeState(result, { game: 'coinflip' });
     this.gamesPlayed++;
     await this._backup();
     return result;
@@ -229,7 +805,7 @@ class AgentCasinoClient {
       roundId: committed.roundId,
     });
 
-    this._storeState(result);
+    this._storeState(result, { game: 'dice' });
     this.gamesPlayed++;
     await this._backup();
     return result;
@@ -252,7 +828,7 @@ class AgentCasinoClient {
       roundId: committed.roundId,
     });
 
-    this._storeState(result);
+    this._storeState(result, { game: 'lotto' });
     this.gamesPlayed++;
     await this._backup();
     return result;
@@ -277,12 +853,275 @@ class AgentCasinoClient {
     return await this._request('lotto_status', {});
   }
 
-  async getLottoHistory() {
-    throw new Error('lotto_history is not available in current API');
+  async getLottoHistory(drawId) {
+    return await this._request('lotto_history', drawId === undefined ? {} : { drawId });
   }
 
   async claimLottoWinnings() {
-    throw new Error('lotto_claim is not available in current API');
+    this._assertSession();
+    const result = await this._request('lotto_claim', {
+      stealthAddress: this.stealth.stealthAddress,
+    });
+
+    if (result.signature) {
+      this._storeState(result);
+      await this._backup();
+    }
+    return result;
+  }
+
+  // Onchain disputes (ChannelManager), for when the casino stops answering.
+  // Transactions are sent from the stealth wallet, which needs gas.
+  // recoverFunds() runs the whole flow: challenge with the latest signed
+  // state, counter any older state the casino answers with, resolve after
+  // the challenge period, withdraw anything left pending.
+  async recoverFunds(options = {}) {
+    this._assertSession();
+    let onchain = await this.getOnchainChannel();
+    if (onchain.state === 'open' && onchain.nonce === 0 && !(await this.disputeState(0))) {
+      // Nothing was ever signed: take both deposits back instead.
+      const exit = await this.emergencyExit();
+      return { dispute: null, emergencyExit: exit, withdrawn: await this.withdrawPending() };
+    }
+    if (onchain.state === 'open') {
+      await this.startChallenge();
+      onchain = await this.getOnchainChannel();
+    }
+    if (onchain.state === 'disputed') {
+      await this.watchChallenge(options);
+      await this.resolveChallenge();
+    }
+    const withdrawn = await this.withdrawPending();
+    return { dispute: this.dispute, withdrawn };
+  }
+
+  async getOnchainChannel() {
+    const cm = this._channelManager();
+    const ch = await cm.channels(this.stealth.stealthAddress);
+    return {
+      state: CHANNEL_STATES[Number(ch.state)],
+      agentDeposit: ethers.formatEther(ch.agentDeposit),
+      casinoDeposit: ethers.formatEther(ch.casinoDeposit),
+      agentBalance: ethers.formatEther(ch.agentBalance),
+      casinoBalance: ethers.formatEther(ch.casinoBalance),
+      nonce: Number(ch.nonce),
+      disputeDeadline: Number(ch.disputeDeadline),
+    };
+  }
+
+  // Submit the highest-nonce state the casino signed; opens the 24h challenge period.
+  async startChallenge() {
+    this._assertSession();
+    const cm = this._channelManager();
+    const onchain = await this.getOnchainChannel();
+    if (onchain.state !== 'open') throw new Error(`Channel is ${onchain.state} onchain; only an open channel can be challenged`);
+
+    const state = await this.disputeState(onchain.nonce);
+    if (!state) throw new Error(`No casino-signed state above onchain nonce ${onchain.nonce}`);
+
+    const tx = await cm.startChallenge(state.agentBalance, state.casinoBalance, state.nonce, state.signature);
+    const receipt = await tx.wait();
+    const { disputeDeadline } = await this.getOnchainChannel();
+    this.dispute = {
+      startTxHash: receipt.hash,
+      startBlock: receipt.blockNumber,
+      nonce: state.nonce,
+      deadline: disputeDeadline,
+      counters: [],
+      startedAt: Date.now(),
+    };
+    await this._backup();
+    return this.dispute;
+  }
+
+  // Follow the challenge until it can be resolved. A ChallengeCountered with
+  // a lower nonce than a state we hold is countered back straight away.
+  // options: { pollMs, timeoutMs, onCounter(counter) }
+  async watchChallenge(options = {}) {
+    this._assertSession();
+    const cm = this._channelManager();
+    const agent = this.stealth.stealthAddress;
+    const pollMs = Number(options.pollMs || 60000);
+    const timeoutMs = Number(options.timeoutMs || Infinity);
+    const started = Date.now();
+    if (!this.dispute) this.dispute = { counters: [], startedAt: Date.now() };
+
+    while (Date.now() - started < timeoutMs) {
+      const onchain = await this.getOnchainChannel();
+      if (onchain.state !== 'disputed') return { state: onchain.state, resolvable: false, dispute: this.dispute };
+
+      const events = await cm.queryFilter(cm.filters.ChallengeCountered(agent), this.dispute.startBlock || 0);
+      for (const ev of events) {
+        if (this.dispute.counters.some(c => c.txHash === ev.transactionHash)) continue;
+        const counter = {
+          txHash: ev.transactionHash,
+          block: ev.blockNumber,
+          nonce: Number(ev.args.nonce),
+          agentBalance: ethers.formatEther(ev.args.agentBalance),
+          deadline: Number(ev.args.newDeadline),
+        };
+        this.dispute.counters.push(counter);
+        if (options.onCounter) options.onCounter(counter);
+      }
+      this.dispute.nonce = onchain.nonce;
+      this.dispute.deadline = onchain.disputeDeadline;
+
+      const better = await this.disputeState(onchain.nonce);
+      if (better) {
+        const tx = await cm.counterChallenge(agent, better.agentBalance, better.casinoBalance, better.nonce, better.signature);
+        const receipt = await tx.wait();
+        this.dispute.counters.push({ txHash: receipt.hash, block: receipt.blockNumber, nonce: better.nonce, ours: true });
+        await this._backup();
+        continue;
+      }
+      await this._backup();
+
+      const { timestamp } = await cm.runner.provider.getBlock('latest');
+      if (timestamp >= onchain.disputeDeadline) return { state: 'disputed', resolvable: true, dispute: this.dispute };
+
+      const waitMs = Math.min(pollMs, (onchain.disputeDeadline - timestamp) * 1000 + 1000);
+      await new Promise(r => setTimeout(r, waitMs));
+    }
+
+    throw new Error(`Challenge still open after ${timeoutMs}ms (deadline ${this.dispute.deadline})`);
+  }
+
+  // Settle at the last submitted state once the challenge period is over.
+  async resolveChallenge() {
+    this._assertSession();
+    const cm = this._channelManager();
+    const tx = await cm.resolveChallenge(this.stealth.stealthAddress);
+    const receipt = await tx.wait();
+    const resolved = receipt.logs
+      .map(log => { try { return cm.interface.parseLog(log); } catch { return null; } })
+      .find(ev => ev && ev.name === 'ChallengeResolved');
+
+    this.dispute = {
+      ...this.dispute,
+      resolveTxHash: receipt.hash,
+      agentPayout: resolved ? ethers.formatEther(resolved.args.agentPayout) : null,
+      resolvedAt: Date.now(),
+    };
+    await this._backup();
+    return this.dispute;
+  }
+
+  // Exit with the deposits when no game was ever signed (ChannelManager.emergencyExit).
+  async emergencyExit() {
+    this._assertSession();
+    const tx = await this._channelManager().emergencyExit();
+    const receipt = await tx.wait();
+    return { txHash: receipt.hash };
+  }
+
+  // Payouts the contract could not push to the stealth address.
+  async withdrawPending() {
+    this._assertSession();
+    const cm = this._channelManager();
+    const amount = await cm.pendingWithdrawals(this.stealth.stealthAddress);
+    if (amount === 0n) return { withdrawn: '0.0', txHash: null };
+    const tx = await cm.withdrawPending();
+    const receipt = await tx.wait();
+    return { withdrawn: ethers.formatEther(amount), txHash: receipt.hash };
+  }
+
+  // Highest-nonce stored state, above `aboveNonce`, that the contract will accept.
+  async disputeState(aboveNonce = -1) {
+    const cm = this._channelManager();
+    const [casino, network, contract, epoch] = await Promise.all([
+      cm.casino(),
+      cm.runner.provider.getNetwork(),
+      cm.getAddress(),
+      cm.channelEpoch(this.stealth.stealthAddress),
+    ]);
+    return this._bestSignedState({ casino, chainId: Number(network.chainId), contract, epoch: Number(epoch) }, aboveNonce);
+  }
+
+  // Closing states from onchain-settle channels are signed at nonce + 1,
+  // so final states are tried at both.
+  _bestSignedState({ casino, chainId, contract, epoch }, aboveNonce) {
+    const options = { agent: this.stealth.stealthAddress, chainId, contract, epoch };
+    let best = null;
+    for (const s of this.states) {
+      if (!s.signature) continue;
+      for (const nonce of s.final ? [s.nonce, s.nonce + 1] : [s.nonce]) {
+        if (nonce <= aboveNonce || (best && nonce <= best.nonce)) continue;
+        const signer = recoverSigner(s, options, nonce);
+        if (!signer || signer.toLowerCase() !== casino.toLowerCase()) continue;
+        best = {
+          agentBalance: ethers.parseEther(s.agentBalance),
+          casinoBalance: ethers.parseEther(s.casinoBalance),
+          nonce,
+          signature: s.signature,
+        };
+      }
+    }
+    return best;
+  }
+
+  // Sign the casino's current state (which must be our latest) for closeChannelWithSig at nonce + 1.
+  async _closeAuthorization(deadlineSec = 600) {
+    if (!this.channelManagerAddress) throw new Error('No ChannelManager address: pass options.channelManager');
+    if (!this.stealth.stealthPrivateKey) throw new Error('Stealth private key needed to authorize a relayed close');
+
+    const status = await this._request('channel_status', { stealthAddress: this.stealth.stealthAddress });
+    const last = this.states[this.states.length - 1];
+    if (status.nonce !== (this.nonce || 0) || (last && (last.agentBalance !== status.agentBalance || last.casinoBalance !== status.casinoBalance))) {
+      throw new Error(`Casino state (nonce ${status.nonce}, ${status.agentBalance}) does not match this session's latest (nonce ${this.nonce || 0}); not authorizing`);
+    }
+    // The epoch pins the authorization to this channel; the chain's word beats the casino's
+    const epoch = this.provider || this.rpcUrl
+      ? Number(await this._channelManager().channelEpoch(this.stealth.stealthAddress))
+      : (this.epoch || 0);
+    if ((status.epoch || 0) !== epoch) {
+      throw new Error(`Casino reports channel epoch ${status.epoch || 0}, this channel's is ${epoch}; not authorizing`);
+    }
+
+    const deadline = Math.floor(Date.now() / 1000) + deadlineSec;
+    const domain = { name: 'AgentCasino', version: '1', chainId: status.chainId, verifyingContract: this.channelManagerAddress };
+    const signature = await StealthAddress.toWallet(this.stealth.stealthPrivateKey).signTypedData(domain, CLOSE_AUTHORIZATION_TYPES, {
+      agent: this.stealth.stealthAddress,
+      epoch,
+      agentBalance: ethers.parseEther(status.agentBalance),
+      casinoBalance: ethers.parseEther(status.casinoBalance),
+      nonce: status.nonce + 1,
+      deadline,
+    });
+    return { deadline, signature };
+  }
+
+  // Ownership proof for seed actions: "{action}:{stealthAddress}:{nonce}[:{extra}]" at our latest nonce.
+  async _ownerSignature(action, extra = []) {
+    if (!this.stealth.stealthPrivateKey) throw new Error(`Stealth private key needed to sign ${action}`);
+    const message = [action, this.stealth.stealthAddress, this.nonce || 0, ...extra].join(':');
+    return await StealthAddress.toWallet(this.stealth.stealthPrivateKey).signMessage(message);
+  }
+
+  async _openAuthorization(depositEth, { chainId = 8453, deadlineSec = 600 } = {}) {
+    if (!this.channelManagerAddress) throw new Error('No ChannelManager address: pass options.channelManager');
+
+    const deadline = Math.floor(Date.now() / 1000) + deadlineSec;
+    const domain = { name: 'AgentCasino', version: '1', chainId, verifyingContract: this.channelManagerAddress };
+    const signature = await StealthAddress.toWallet(this.stealth.stealthPrivateKey).signTypedData(domain, OPEN_AUTHORIZATION_TYPES, {
+      agent: this.stealth.stealthAddress,
+      deposit: ethers.parseEther(depositEth),
+      deadline,
+    });
+    return { deadline, signature };
+  }
+
+  _channelManager() {
+    this._assertSession();
+    if (!this.channelManagerAddress) throw new Error('No ChannelManager address: pass options.channelManager');
+    if (!this.stealth.stealthPrivateKey) {
+      throw new Error('Stealth private key needed to send transactions: restoreSession(file, { stealthPrivateKey })');
+    }
+    if (!this.provider) {
+      if (!this.rpcUrl) throw new Error('No RPC: pass options.rpcUrl or options.provider');
+      this.provider = new ethers.JsonRpcProvider(this.rpcUrl);
+    }
+    const wallet = StealthAddress.toWallet(this.stealth.stealthPrivateKey, this.provider);
+    return new ethers.Contract(this.channelManagerAddress, CHANNEL_MANAGER_ABI, wallet);
   }
 
   // Info
@@ -316,11 +1155,22 @@ class AgentCasinoClient {
     return [...this.states];
   }
 
-  async restoreSession(backupFile) {
+  // Backups never hold the stealth key; pass it (or the master key and
+  // index it was derived from) to send dispute transactions.
+  async restoreSession(backupFile, options = {}) {
     const data = JSON.parse(await fs.readFile(backupFile, 'utf-8'));
-    this.stealth = { stealthAddress: data.stealthAddress };
+    let key = options.stealthPrivateKey || null;
+    if (!key && options.masterKey && options.index !== undefined) {
+      key = StealthAddress.deriveFromMaster(options.masterKey, options.index).stealthPrivateKey;
+    }
+    if (key && new ethers.Wallet(key).address.toLowerCase() !== data.stealthAddress.toLowerCase()) {
+      throw new Error('Stealth key does not match the backup address');
+    }
+    this.stealth = { stealthAddress: data.stealthAddress, ...(key ? { stealthPrivateKey: key } : {}) };
     this.states = data.states || [];
     this.gamesPlayed = data.gamesPlayed || 0;
+    this.epoch = data.epoch || 0;
+    this.dispute = data.dispute || null;
     return data;
   }
 
@@ -361,13 +1211,17 @@ class AgentCasinoClient {
     }
   }
 
-  _storeState(result) {
+  // round: { game, commitment? } keeps the full result with the state,
+  // so the backup can be replayed by server/verify.js.
+  _storeState(result, round) {
     if (!result || (result.nonce === undefined || result.nonce === null)) return;
+    this.nonce = result.nonce;
     this.states.push({
       agentBalance: result.agentBalance,
       casinoBalance: result.casinoBalance,
       nonce: result.nonce,
       signature: result.signature,
+      ...(round ? { round: { ...round, ...result } } : {}),
       timestamp: Date.now(),
     });
   }
@@ -427,6 +1281,10 @@ class AgentCasinoClient {
           stealthAddress: this.stealth.stealthAddress,
           states: this.states,
           gamesPlayed: this.gamesPlayed,
+          epoch: this.epoch || 0,
+          seedChain: this.seedChain || null,
+          clientSeed: this.clientSeed || null,
+          dispute: this.dispute || null,
           exportedAt: Date.now(),
         },
         null,
@@ -5,12 +5,18 @@
  * Casino commits hash(seed) BEFORE agent sends their seed.
  * Neither party can manipulate the result.
  *
- * Flow:
+ * Flow (one commit per round):
  *   1. Casino: seed = random(), commitment = sha256(seed) → send commitment
  *   2. Agent: sees commitment → sends agentSeed
  *   3. Casino: reveals seed
  *   4. Result: sha256(casinoSeed + agentSeed + nonce)
  *   5. Agent: verifies sha256(casinoSeed) === commitment
+ *
+ * Flow (hash chain, see commitChain):
+ *   1. Casino: commits to the anchor of a seed chain once (channel open)
+ *   2. Agent: sends clientSeed + the channel nonce with each bet
+ *   3. Casino: reveals the next seed in the chain with the result
+ *   4. Agent: verifies the seed links back to the anchor
  */
 
 const { createHash, randomBytes } = require('crypto');
@@ -48,6 +54,76 @@ class CommitReveal {
     const expected = createHash('sha256').update(casinoSeed).digest('hex');
     return expected === commitment;
   }
+
+  // ─── Hash Chains ────────────────────────────────────────
+  //
+  // One commitment for many rounds. The casino picks a random tip and
+  // hashes it `length` times; the last hash is the commitment (anchor).
+  // Round i (1-based) uses the seed i hashes short of the anchor:
+  //   seed_length = tip, seed_(i-1) = sha256(seed_i), seed_0 = anchor
+  // Revealing seed_i says nothing about seed_(i+1), and every revealed
+  // seed can be checked against the one before it.
+
+  /**
+   * Generate a chain. The tip stays private; the anchor is published.
+   * @param {number} length - number of seeds in the chain
+   * @returns {{ tip: string, anchor: string, length: number }}
+   */
+  static commitChain(length) {
+    if (!Number.isInteger(length) || length < 1) throw new Error('Chain length must be a positive integer');
+    const tip = randomBytes(32).toString('hex');
+    let anchor = tip;
+    for (let i = 0; i < length; i++) anchor = sha256(anchor);
+    return { tip, anchor, length };
+  }
+
+  /**
+   * Seeds `from` .. `from + count - 1` (1-based) of a chain, in play order.
+   * @returns {string[]}
+   */
+  static chainSeeds(tip, length, from, count) {
+    if (from < 1 || from + count - 1 > length) throw new Error('Chain position out of range');
+    const seeds = new Array(count);
+    let seed = tip;
+    for (let i = length; i >= from; i--) {
+      if (i < from + count) seeds[i - from] = seed;
+      seed = sha256(seed);
+    }
+    return seeds;
+  }
+
+  /**
+   * Check one revealed seed straight against the chain commitment:
+   * hashing seed_i i times must give the anchor. Lets an agent verify
+   * any round without the seeds revealed before it.
+   * @param {string} anchor - the chain commitment
+   * @param {string} seed - revealed seed
+   * @param {number} index - its 1-based chain position
+   */
+  static verifyChainSeed(anchor, seed, index) {
+    if (!Number.isInteger(index) || index < 1) return false;
+    let link = seed;
+    for (let i = 0; i < index; i++) link = sha256(link);
+    return link === anchor;
+  }
+
+  /**
+   * Check revealed chain seeds against the last known link (the anchor,
+   * or the last seed already revealed): sha256(seeds[0]) === previous
+   * and each seed hashes to the one before it.
+   */
+  static verifyChain(previous, seeds) {
+    let link = previous;
+    for (const seed of seeds) {
+      if (sha256(seed) !== link) return false;
+      link = seed;
+    }
+    return true;
+  }
+}
+
+function sha256(value) {
+  return createHash('sha256').update(value).digest('hex');
 }
 
 module.exports = CommitReveal;
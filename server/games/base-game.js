@@ -6,6 +6,11 @@
  */
 
 const { toEth, ZERO } = require('../wei');
+const { drawSeed, validateClientSeed } = require('../seed-chain');
+
+const MAX_BATCH = 100;
+const MAX_CHAIN = 1000;
+const BATCH_TIMEOUT = 30 * 60 * 1000;
 
 class BaseGame {
   constructor() {
@@ -47,7 +52,7 @@ class BaseGame {
    * @param {string} action
    * @param {object} channel - { agent, agentBalance (BigInt), casinoBalance (BigInt), nonce, games }
    * @param {object} params - Raw params from A2A (ETH strings)
-   * @param {object} context - { signState, commitReveal, pendingCommits }
+   * @param {object} context - { signState, commitReveal, pendingCommits, channel, settleAcross }
    * @returns {Promise<object>} Result (ETH strings for balances)
    */
   async handleAction(action, channel, params, context) {
@@ -72,6 +77,259 @@ class BaseGame {
     }
   }
 
+  /**
+   * Validate a bet whose worst-case payout the game computes itself:
+   * several bets settled on one outcome (a roulette slip) or one bet with
+   * a chosen multiplier (a crash target). The bankroll check uses that
+   * payout, not totalWei * maxMultiplier.
+   * @param {object} channel
+   * @param {BigInt} totalWei - sum of all stakes
+   * @param {BigInt} maxPayoutWei - largest total payout any single outcome can produce
+   */
+  validateBetSlip(channel, totalWei, maxPayoutWei, safetyMargin = 2) {
+    if (totalWei <= 0n) throw new Error('Bet must be positive');
+    if (channel.agentBalance < totalWei) {
+      throw new Error(`Insufficient balance: have ${toEth(channel.agentBalance)} ETH, need ${toEth(totalWei)} ETH`);
+    }
+
+    if (maxPayoutWei * BigInt(safetyMargin) > channel.casinoBalance) {
+      const limitWei = channel.casinoBalance / BigInt(safetyMargin);
+      throw new Error(`Max payout: ${toEth(maxPayoutWei)} ETH exceeds bankroll limit ${toEth(limitWei)} ETH`);
+    }
+  }
+
+  // ─── Settlement (BigInt) ────────────────────────────────
+
+  /**
+   * Apply a resolved round to the channel: move funds, bump nonce,
+   * append history, track stats and sign the new state.
+   * Payout caps are the caller's job (they differ per game).
+   * @param {object} channel
+   * @param {object} ctx - needs signState
+   * @param {BigInt} betWei
+   * @param {BigInt} payoutWei
+   * @param {object} record - game-specific history fields (ETH strings)
+   * @param {number} multiplier - for stats
+   * @returns {Promise<string>} casino signature over the new state
+   */
+  async settle(channel, ctx, betWei, payoutWei, record, multiplier = 0) {
+    this._apply(channel, betWei, payoutWei, record, multiplier);
+    return await ctx.signState(
+      channel.agent, channel.agentBalance, channel.casinoBalance, channel.nonce
+    );
+  }
+
+  /**
+   * Multi-step games (blackjack, mines): move a stake to the casino side
+   * as soon as it is placed and sign the new state, so the agent cannot
+   * walk away from a losing position with an older state.
+   * @returns {Promise<string>} casino signature over the new state
+   */
+  async escrow(channel, ctx, amountWei) {
+    channel.agentBalance -= amountWei;
+    channel.casinoBalance += amountWei;
+    channel.nonce++;
+    return await ctx.signState(channel.agent, channel.agentBalance, channel.casinoBalance, channel.nonce);
+  }
+
+  /**
+   * Pay the gross return of a round whose stakes were escrowed and record
+   * it as one round. Only the payout moves here.
+   * @param {BigInt} stakeWei - total escrowed for the round (for stats)
+   * @returns {Promise<string>} casino signature over the new state
+   */
+  async settleEscrowed(channel, ctx, stakeWei, payoutWei, record, multiplier = 0) {
+    channel.agentBalance += payoutWei;
+    channel.casinoBalance -= payoutWei;
+    channel.nonce++;
+
+    channel.games.push({
+      nonce: channel.nonce,
+      game: this.name,
+      ...record,
+      timestamp: Date.now(),
+    });
+
+    this.recordRound(stakeWei, payoutWei, multiplier);
+
+    return await ctx.signState(channel.agent, channel.agentBalance, channel.casinoBalance, channel.nonce);
+  }
+
+  /** settle() without the signature: one round of several signed together. */
+  _apply(channel, betWei, payoutWei, record, multiplier = 0) {
+    channel.agentBalance = channel.agentBalance - betWei + payoutWei;
+    channel.casinoBalance = channel.casinoBalance + betWei - payoutWei;
+    channel.nonce++;
+
+    channel.games.push({
+      nonce: channel.nonce,
+      game: this.name,
+      ...record,
+      timestamp: Date.now(),
+    });
+
+    this.recordRound(betWei, payoutWei, multiplier);
+  }
+
+  // ─── Chain Play ─────────────────────────────────────────
+  //
+  // For single-step games that implement chainBet() and chainRound().
+  // Rounds draw casino seeds from a SHA-256 hash chain
+  // (CommitReveal.commitChain) instead of a fresh commit per round.
+  //
+  // play: one round on the channel's seed chain, committed at open
+  // (server/seed-chain.js). The agent sends the channel nonce and a client
+  // seed, or relies on the one set with set_client_seed; the next
+  // preimage is revealed with the result. A spent chain is replaced and
+  // the new commitment returned before any of its seeds is used.
+  //
+  // batch_commit publishes the anchor of a seed hash chain
+  // (CommitReveal.commitChain); each batch_play takes up to MAX_BATCH
+  // bets with the agent's own seeds, plays them on the next unused chain
+  // seeds, and returns every outcome with a single signed state.
+  //
+  // The whole batch is checked up front as if every round paid its
+  // maximum, so no round can fail or be capped once play starts: the
+  // outcome of one round can never decide whether the next one happens.
+
+  /**
+   * Normalise and validate one bet (override to enable chain play).
+   * In a batch it runs against the channel as it was before the batch.
+   * @param {object} channel
+   * @param {object} bet - raw A2A bet: { betAmount, ...game params }
+   * @returns {{ betWei: BigInt, maxPayoutWei: BigInt }} plus game fields
+   */
+  chainBet(channel, bet) {
+    throw new Error(`${this.name} does not support chain play`);
+  }
+
+  /**
+   * Resolve one round (override to enable chain play).
+   * @param {object} bet - as returned by chainBet()
+   * @param {string} resultHash - hex, from CommitReveal.computeResult
+   * @returns {{ payoutWei: BigInt, multiplier: number, record: object }}
+   */
+  chainRound(bet, resultHash) {
+    throw new Error(`${this.name} does not support chain play`);
+  }
+
+  async chainPlay(channel, params, ctx) {
+    if (!channel.seedChain) throw new Error('This channel has no seed chain. Open a new channel to use chain play.');
+    if (Number(params.nonce) !== channel.nonce) {
+      throw new Error(`nonce must be the current channel nonce (${channel.nonce})`);
+    }
+    const clientSeed = params.clientSeed !== undefined ? validateClientSeed(params.clientSeed) : channel.clientSeed;
+    if (!clientSeed) throw new Error('Missing clientSeed. Send one or set it with set_client_seed.');
+
+    const bet = this.chainBet(channel, params);
+    const nonce = channel.nonce;
+    const { seed, index, commitment, nextCommitment } = drawSeed(channel, clientSeed, nonce);
+    const { proof } = ctx.commitReveal.computeResult(seed, clientSeed, nonce);
+    const { payoutWei, multiplier, record } = this.chainRound(bet, proof.resultHash);
+
+    const signature = await this.settle(channel, ctx, bet.betWei, payoutWei, {
+      ...record,
+      clientSeed,
+      chainIndex: index,
+    }, multiplier);
+
+    return {
+      ...record,
+      agentBalance: toEth(channel.agentBalance),
+      casinoBalance: toEth(channel.casinoBalance),
+      nonce: channel.nonce,
+      signature,
+      proof: {
+        casinoSeed: seed,
+        clientSeed,
+        nonce,
+        resultHash: proof.resultHash,
+        seedCommitment: commitment,
+        chainIndex: index,
+      },
+      ...(nextCommitment ? { nextSeedCommitment: nextCommitment } : {}),
+    };
+  }
+
+  batchCommit(channel, params, ctx) {
+    const length = params.rounds === undefined ? MAX_BATCH : Number(params.rounds);
+    if (!Number.isInteger(length) || length < 1 || length > MAX_CHAIN) {
+      throw new Error(`rounds must be an integer between 1 and ${MAX_CHAIN}`);
+    }
+
+    // A new chain replaces the old one; its unused seeds are never revealed.
+    const { tip, anchor } = ctx.commitReveal.commitChain(length);
+    ctx.pendingCommits.set(`${channel.agent}:${this.name}:batch`, {
+      tip,
+      anchor,
+      length,
+      used: 0,
+      game: this.name,
+      timestamp: Date.now(),
+    });
+
+    return { commitment: anchor, rounds: length, maxBatch: MAX_BATCH };
+  }
+
+  async batchPlay(channel, params, ctx) {
+    const commitKey = `${channel.agent}:${this.name}:batch`;
+    const chain = ctx.pendingCommits.get(commitKey);
+    if (!chain) throw new Error(`No ${this.name} seed chain. Call ${this.name}_batch_commit first.`);
+    if (Date.now() - chain.timestamp > BATCH_TIMEOUT) {
+      ctx.pendingCommits.delete(commitKey);
+      throw new Error('Seed chain expired');
+    }
+
+    const raw = params.bets;
+    if (!Array.isArray(raw) || raw.length < 1 || raw.length > MAX_BATCH) {
+      throw new Error(`bets must be an array of 1-${MAX_BATCH} bets`);
+    }
+    if (raw.length > chain.length - chain.used) {
+      throw new Error(`Seed chain has ${chain.length - chain.used} seeds left; commit a new chain`);
+    }
+
+    const bets = raw.map((b, i) => {
+      if (!b || !b.agentSeed) throw new Error(`Bet ${i}: missing agentSeed`);
+      return { ...this.chainBet(channel, b), agentSeed: String(b.agentSeed) };
+    });
+    const totalWei = bets.reduce((sum, b) => sum + b.betWei, 0n);
+    const maxPayoutWei = bets.reduce((sum, b) => sum + b.maxPayoutWei, 0n);
+    this.validateBetSlip(channel, totalWei, maxPayoutWei, 1);
+
+    const seeds = ctx.commitReveal.chainSeeds(chain.tip, chain.length, chain.used + 1, bets.length);
+    const rounds = [];
+    let paidWei = 0n;
+    for (const [i, bet] of bets.entries()) {
+      const nonce = channel.nonce;
+      const { proof } = ctx.commitReveal.computeResult(seeds[i], bet.agentSeed, nonce);
+      const { payoutWei, multiplier, record } = this.chainRound(bet, proof.resultHash);
+      this._apply(channel, bet.betWei, payoutWei, record, multiplier);
+      paidWei += payoutWei;
+      rounds.push({
+        round: chain.used + i + 1,
+        ...record,
+        proof: { casinoSeed: seeds[i], agentSeed: bet.agentSeed, nonce, resultHash: proof.resultHash },
+      });
+    }
+
+    const used = chain.used + bets.length;
+    if (used === chain.length) ctx.pendingCommits.delete(commitKey);
+    else ctx.pendingCommits.set(commitKey, { ...chain, used, timestamp: Date.now() });
+
+    const signature = await ctx.signState(channel.agent, channel.agentBalance, channel.casinoBalance, channel.nonce);
+
+    return {
+      rounds,
+      totalBet: toEth(totalWei),
+      totalPayout: toEth(paidWei),
+      agentBalance: toEth(channel.agentBalance),
+      casinoBalance: toEth(channel.casinoBalance),
+      nonce: channel.nonce,
+      signature,
+      chain: { commitment: chain.anchor, used, remaining: chain.length - used },
+    };
+  }
+
   // ─── Stats Tracking ──────────────────────────────────────
 
   /**
@@ -0,0 +1,545 @@
+/**
+ * Blackjack Game Plugin (BigInt/Wei)
+ *
+ * Multi-step game: commit → deal → hit / stand / double / split / insurance.
+ *
+ * Fairness:
+ *   The casino commits to a seed before the agent sends theirs. At deal the
+ *   shoe is shuffled from computeResult(casinoSeed, agentSeed, nonce) and
+ *   every card comes off that shoe in order. The casino seed is revealed
+ *   when the hand resolves, so the agent can rebuild the shoe with
+ *   BlackjackGame.prototype.shoe() and check every card.
+ *
+ * Money:
+ *   Unlike single-shot games, the agent sees cards before the hand is over,
+ *   so stakes move to the casino side as soon as they are placed (deal,
+ *   double, split, insurance), each as a signed state. Walking away from a
+ *   bad hand with an older state is not possible. When the hand resolves the
+ *   gross return is paid back as one signed state and recorded as one round.
+ *
+ * Rules (constructor options, defaults in config/game-math.json):
+ *   decks             6
+ *   dealerHitsSoft17  true
+ *   blackjackPays     [3, 2]
+ *   maxHands          4      (split up to 3 times)
+ *   doubleAfterSplit  true
+ *   resplitAces       false  (split aces get one card each)
+ *
+ * Dealer peeks for blackjack with a ten or ace up. With an ace up,
+ * insurance (half the bet, pays 2:1) is offered until the first action.
+ */
+
+const { createHash } = require('crypto');
+const BaseGame = require('./base-game');
+const { toWei, toEth } = require('../wei');
+
+const COMMIT_TIMEOUT = 5 * 60 * 1000;
+
+const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+const SUITS = ['S', 'H', 'D', 'C'];
+
+const DEFAULT_RULES = {
+  decks: 6,
+  dealerHitsSoft17: true,
+  blackjackPays: [3, 2],
+  maxHands: 4,
+  doubleAfterSplit: true,
+  resplitAces: false,
+};
+
+class BlackjackGame extends BaseGame {
+  constructor(rules = {}) {
+    super();
+    this.rules = { ...DEFAULT_RULES, ...rules };
+    const [num, den] = this.rules.blackjackPays;
+    if (!Number.isInteger(num) || !Number.isInteger(den) || num <= 0 || den <= 0) {
+      throw new Error('blackjackPays must be [numerator, denominator] integers');
+    }
+    if (!Number.isInteger(this.rules.maxHands) || this.rules.maxHands < 1) {
+      throw new Error('maxHands must be a positive integer');
+    }
+  }
+
+  get name() { return 'blackjack'; }
+  get displayName() { return 'Agent Blackjack'; }
+  get description() {
+    const [num, den] = this.rules.blackjackPays;
+    return `Beat the dealer to 21. Blackjack pays ${num}:${den}, dealer ${this.rules.dealerHitsSoft17 ? 'hits' : 'stands on'} soft 17.`;
+  }
+
+  /** Basic strategy, 6 decks: 3:2 S17 ≈ 99.5%; H17 costs ~0.2%, 6:5 ~1.4%. */
+  get rtp() {
+    let rtp = 0.995;
+    if (this.rules.dealerHitsSoft17) rtp -= 0.002;
+    const [num, den] = this.rules.blackjackPays;
+    if (num * 2 < den * 3) rtp -= 0.014;
+    return rtp;
+  }
+
+  /** Most a hand can return per unit of the initial bet: every split hand doubled and won. */
+  get maxMultiplier() { return this.rules.maxHands * 4; }
+
+  get actions() { return ['commit', 'deal', 'hit', 'stand', 'double', 'split', 'insurance']; }
+
+  async handleAction(action, channel, params, ctx) {
+    switch (action) {
+      case 'commit': return this._commit(channel, params, ctx);
+      case 'deal': return await this._deal(channel, params, ctx);
+      case 'hit':
+      case 'stand':
+      case 'double':
+      case 'split':
+      case 'insurance':
+        return await this._play(action, channel, ctx);
+      default: throw new Error(`Unknown blackjack action: ${action}`);
+    }
+  }
+
+  // ─── Step 1: Casino Commits ─────────────────────────────
+
+  _commit(channel, params, ctx) {
+    const betWei = toWei(params.betAmount);
+    if (betWei <= 0n) throw new Error('Bet must be positive');
+    if (channel.agentBalance < betWei) {
+      throw new Error(`Insufficient balance: have ${toEth(channel.agentBalance)} ETH, need ${toEth(betWei)} ETH`);
+    }
+
+    // Worst case for a fresh hand: split to maxHands, double and win each.
+    const maxPayout = betWei * BigInt(this.maxMultiplier);
+    if (maxPayout > channel.casinoBalance + betWei) {
+      const maxBetWei = channel.casinoBalance / BigInt(this.maxMultiplier - 1);
+      throw new Error(`Max bet: ${toEth(maxBetWei)} ETH (bankroll limit incl. splits and doubles)`);
+    }
+
+    const commitKey = `${channel.agent}:blackjack`;
+    const pending = ctx.pendingCommits.get(commitKey);
+    if (pending) {
+      if (pending.hands) throw new Error('Finish the current blackjack hand first');
+      if (Date.now() - pending.timestamp <= COMMIT_TIMEOUT) {
+        throw new Error('Already have a pending blackjack hand. Deal or wait for timeout.');
+      }
+    }
+
+    const { seed, commitment } = ctx.commitReveal.commit();
+
+    ctx.pendingCommits.set(commitKey, {
+      seed,
+      commitment,
+      betWei,
+      game: 'blackjack',
+      timestamp: Date.now(),
+    });
+
+    return {
+      commitment,
+      betAmount: toEth(betWei),
+      rules: this._publicRules(),
+    };
+  }
+
+  // ─── Step 2: Deal ───────────────────────────────────────
+
+  async _deal(channel, params, ctx) {
+    const { agentSeed } = params;
+    if (!agentSeed) throw new Error('Missing agentSeed');
+
+    const commitKey = `${channel.agent}:blackjack`;
+    const pending = ctx.pendingCommits.get(commitKey);
+    if (!pending) throw new Error('No pending blackjack hand');
+    if (pending.hands) throw new Error('Hand already dealt');
+    if (Date.now() - pending.timestamp > COMMIT_TIMEOUT) {
+      ctx.pendingCommits.delete(commitKey);
+      throw new Error('Commitment expired');
+    }
+
+    const { betWei } = pending;
+    if (channel.agentBalance < betWei) {
+      ctx.pendingCommits.delete(commitKey);
+      throw new Error(`Insufficient balance at deal: have ${toEth(channel.agentBalance)}, need ${toEth(betWei)}`);
+    }
+
+    const { proof } = ctx.commitReveal.computeResult(pending.seed, agentSeed, channel.nonce);
+    const shoe = this.shoe(proof.resultHash);
+
+    const hand = {
+      ...pending,
+      agentSeed,
+      nonce: channel.nonce,
+      resultHash: proof.resultHash,
+      hands: [{ cards: [shoe[0], shoe[2]], betWei, doubled: false, done: false, splitAces: false }],
+      dealer: [shoe[1], shoe[3]],
+      cursor: 4,
+      active: 0,
+      stakeWei: betWei,
+      insuranceWei: 0n,
+      insuranceOpen: false,
+      peeked: false,
+      timestamp: Date.now(),
+    };
+
+    const signature = await this.escrow(channel, ctx, betWei);
+
+    // Dealer peeks now unless an ace is up (insurance first). A natural
+    // on either side ends the hand.
+    const natural = this.isBlackjack(hand.hands[0].cards);
+    hand.peeked = natural || this.cardValue(hand.dealer[0]) !== 11;
+    hand.insuranceOpen = !hand.peeked;
+    if (natural || (hand.peeked && this.isBlackjack(hand.dealer))) {
+      return await this._resolve(channel, hand, ctx);
+    }
+
+    ctx.pendingCommits.set(commitKey, hand);
+    return { ...this._view(hand), ...this._balances(channel), signature };
+  }
+
+  // ─── Step 3: Player Decisions ───────────────────────────
+
+  async _play(action, channel, ctx) {
+    const commitKey = `${channel.agent}:blackjack`;
+    const stored = ctx.pendingCommits.get(commitKey);
+    if (!stored || !stored.hands) throw new Error('No blackjack hand in progress');
+    // Work on a copy: a rejected action must leave the stored hand as it was.
+    const hand = structuredClone(stored);
+
+    let signature = null;
+
+    if (action === 'insurance') {
+      if (!hand.insuranceOpen) throw new Error('Insurance is only offered against a dealer ace, before any other action');
+      const insuranceWei = hand.betWei / 2n;
+      if (channel.agentBalance < insuranceWei) {
+        throw new Error(`Insufficient balance for insurance: need ${toEth(insuranceWei)} ETH`);
+      }
+      hand.insuranceWei = insuranceWei;
+      signature = await this.escrow(channel, ctx, insuranceWei);
+    }
+
+    // Any action closes insurance and lets the dealer peek.
+    hand.insuranceOpen = false;
+    if (!hand.peeked) {
+      hand.peeked = true;
+      if (this.isBlackjack(hand.dealer)) return await this._resolve(channel, hand, ctx);
+    }
+
+    if (action !== 'insurance') {
+      const current = hand.hands[hand.active];
+      const available = this._available(hand);
+      if (!available.includes(action)) {
+        throw new Error(`Cannot ${action} now. Available: ${available.join(', ')}`);
+      }
+
+      const shoe = this.shoe(hand.resultHash);
+      const draw = () => shoe[hand.cursor++];
+
+      switch (action) {
+        case 'hit':
+          current.cards.push(draw());
+          if (this.handTotal(current.cards).total >= 21) current.done = true;
+          break;
+
+        case 'stand':
+          current.done = true;
+          break;
+
+        case 'double':
+          this._assertCanStake(channel, hand, current.betWei, 0);
+          signature = await this.escrow(channel, ctx, current.betWei);
+          hand.stakeWei += current.betWei;
+          current.betWei *= 2n;
+          current.doubled = true;
+          current.cards.push(draw());
+          current.done = true;
+          break;
+
+        case 'split': {
+          this._assertCanStake(channel, hand, current.betWei, 1);
+          signature = await this.escrow(channel, ctx, current.betWei);
+          hand.stakeWei += current.betWei;
+          const splitAces = this.cardValue(current.cards[0]) === 11;
+          const second = { cards: [current.cards[1]], betWei: current.betWei, doubled: false, done: false, splitAces };
+          current.cards = [current.cards[0], draw()];
+          second.cards.push(draw());
+          current.splitAces = splitAces;
+          hand.hands.splice(hand.active + 1, 0, second);
+          for (const h of [current, second]) {
+            // Split aces take one card; 21 on a split hand stands automatically.
+            if (splitAces && !this.rules.resplitAces) h.done = true;
+            if (this.handTotal(h.cards).total === 21) h.done = true;
+          }
+          break;
+        }
+      }
+    }
+
+    while (hand.active < hand.hands.length && hand.hands[hand.active].done) hand.active++;
+    if (hand.active >= hand.hands.length) return await this._resolve(channel, hand, ctx);
+
+    ctx.pendingCommits.set(commitKey, hand);
+    return {
+      ...this._view(hand),
+      ...this._balances(channel),
+      ...(signature ? { signature } : {}),
+    };
+  }
+
+  /**
+   * Called by the engine before a channel closes: stand on every open hand
+   * so the escrowed stake is settled in the closing state.
+   */
+  async resolveOpenRounds(channel, ctx) {
+    const commitKey = `${channel.agent}:blackjack`;
+    const hand = ctx.pendingCommits.get(commitKey);
+    if (!hand) return null;
+    if (!hand.hands) {
+      ctx.pendingCommits.delete(commitKey);
+      return null;
+    }
+    for (const h of hand.hands) h.done = true;
+    hand.insuranceOpen = false;
+    hand.peeked = true;
+    return await this._resolve(channel, hand, ctx);
+  }
+
+  // ─── Resolution ─────────────────────────────────────────
+
+  async _resolve(channel, hand, ctx) {
+    const shoe = this.shoe(hand.resultHash);
+    const dealerBlackjack = this.isBlackjack(hand.dealer);
+    const single = hand.hands.length === 1;
+
+    // Dealer draws only if some hand is still live (not bust, not a natural).
+    const live = hand.hands.some(h => this.handTotal(h.cards).total <= 21
+      && !(single && this.isBlackjack(h.cards)));
+    if (live && !dealerBlackjack) {
+      while (this._dealerHits(hand.dealer)) hand.dealer.push(shoe[hand.cursor++]);
+    }
+    const dealerTotal = this.handTotal(hand.dealer).total;
+
+    let payoutWei = 0n;
+    const hands = hand.hands.map(h => {
+      const { outcome, payoutWei: handPayout } = this.outcomeFor(h, dealerTotal, dealerBlackjack, single);
+      payoutWei += handPayout;
+      return {
+        cards: h.cards,
+        total: this.handTotal(h.cards).total,
+        bet: toEth(h.betWei),
+        doubled: h.doubled,
+        outcome,
+        payout: toEth(handPayout),
+      };
+    });
+
+    let insurancePayoutWei = 0n;
+    if (hand.insuranceWei > 0n && dealerBlackjack) insurancePayoutWei = hand.insuranceWei * 3n;
+    payoutWei += insurancePayoutWei;
+
+    const stakeWei = hand.stakeWei + hand.insuranceWei;
+    // Stakes are already on the casino side, so it can always cover them.
+    if (payoutWei > channel.casinoBalance) payoutWei = channel.casinoBalance;
+
+    const multiplier = stakeWei > 0n ? Number((payoutWei * 10000n) / stakeWei) / 10000 : 0;
+    const won = payoutWei > stakeWei;
+    const dealer = { cards: hand.dealer, total: dealerTotal, blackjack: dealerBlackjack };
+
+    const signature = await this.settleEscrowed(channel, ctx, stakeWei, payoutWei, {
+      bet: toEth(stakeWei),
+      hands,
+      dealer,
+      insurance: toEth(hand.insuranceWei),
+      result: hands.map(h => h.outcome).join(','),
+      won,
+      multiplier: multiplier.toFixed(4),
+      payout: toEth(payoutWei),
+    }, multiplier);
+
+    ctx.pendingCommits.delete(`${channel.agent}:blackjack`);
+
+    return {
+      status: 'resolved',
+      hands,
+      dealer,
+      insurance: toEth(hand.insuranceWei),
+      insurancePayout: toEth(insurancePayoutWei),
+      totalBet: toEth(stakeWei),
+      won,
+      payout: toEth(payoutWei),
+      ...this._balances(channel),
+      signature,
+      proof: {
+        casinoSeed: hand.seed,
+        agentSeed: hand.agentSeed,
+        nonce: hand.nonce,
+        resultHash: hand.resultHash,
+        cardsUsed: hand.cursor,
+      },
+    };
+  }
+
+  /**
+   * Outcome and gross return (stake included) for one player hand.
+   * @returns {{ outcome: string, payoutWei: BigInt }}
+   */
+  outcomeFor(h, dealerTotal, dealerBlackjack, single = true) {
+    const total = this.handTotal(h.cards).total;
+    const natural = single && this.isBlackjack(h.cards);
+    const [num, den] = this.rules.blackjackPays;
+
+    if (total > 21) return { outcome: 'bust', payoutWei: 0n };
+    if (natural && dealerBlackjack) return { outcome: 'push', payoutWei: h.betWei };
+    if (natural) return { outcome: 'blackjack', payoutWei: h.betWei + (h.betWei * BigInt(num)) / BigInt(den) };
+    if (dealerBlackjack) return { outcome: 'lose', payoutWei: 0n };
+    if (dealerTotal > 21 || total > dealerTotal) return { outcome: 'win', payoutWei: h.betWei * 2n };
+    if (total === dealerTotal) return { outcome: 'push', payoutWei: h.betWei };
+    return { outcome: 'lose', payoutWei: 0n };
+  }
+
+  // ─── Bankroll ───────────────────────────────────────────
+
+  /**
+   * Check a double or split: the agent covers the extra stake and the
+   * casino covers the worst case of the hand afterwards.
+   */
+  _assertCanStake(channel, hand, extraWei, newHands) {
+    if (channel.agentBalance < extraWei) {
+      throw new Error(`Insufficient balance: have ${toEth(channel.agentBalance)} ETH, need ${toEth(extraWei)} ETH`);
+    }
+    const base = hand.betWei;
+    const openHands = hand.hands.filter(h => !h.done).length + newHands;
+    const doneMax = hand.hands.filter(h => h.done).reduce((s, h) => s + h.betWei * 2n, 0n);
+    const splitsLeft = BigInt(Math.max(0, this.rules.maxHands - hand.hands.length - newHands));
+    const worstWei = doneMax + base * 4n * (BigInt(openHands) + splitsLeft);
+    if (worstWei > channel.casinoBalance + extraWei) {
+      throw new Error('Casino bankroll cannot cover this hand after the extra stake');
+    }
+  }
+
+  // ─── Game Math ──────────────────────────────────────────
+
+  /**
+   * The shoe for a hand: Fisher-Yates over `decks` decks, each swap index
+   * drawn from sha256(resultHash:i). Anyone with the revealed seeds can
+   * rebuild it.
+   * @param {string} resultHash - hex, from CommitReveal.computeResult
+   * @returns {string[]} cards like 'AS', '10H', 'KD'
+   */
+  shoe(resultHash) {
+    const cards = [];
+    for (let d = 0; d < this.rules.decks; d++) {
+      for (const suit of SUITS) {
+        for (const rank of RANKS) cards.push(rank + suit);
+      }
+    }
+    for (let i = cards.length - 1; i > 0; i--) {
+      const h = createHash('sha256').update(`${resultHash}:${i}`).digest('hex');
+      const j = Number(BigInt('0x' + h) % BigInt(i + 1));
+      [cards[i], cards[j]] = [cards[j], cards[i]];
+    }
+    return cards;
+  }
+
+  /** Ace counts 11 here; handTotal() softens it. */
+  cardValue(card) {
+    const rank = card.slice(0, -1);
+    if (rank === 'A') return 11;
+    if (['J', 'Q', 'K'].includes(rank)) return 10;
+    return Number(rank);
+  }
+
+  /** @returns {{ total: number, soft: boolean }} */
+  handTotal(cards) {
+    let total = 0;
+    let aces = 0;
+    for (const c of cards) {
+      const v = this.cardValue(c);
+      total += v;
+      if (v === 11) aces++;
+    }
+    while (total > 21 && aces > 0) {
+      total -= 10;
+      aces--;
+    }
+    return { total, soft: aces > 0 };
+  }
+
+  isBlackjack(cards) {
+    return cards.length === 2 && this.handTotal(cards).total === 21;
+  }
+
+  _dealerHits(cards) {
+    const { total, soft } = this.handTotal(cards);
+    if (total < 17) return true;
+    return total === 17 && soft && this.rules.dealerHitsSoft17;
+  }
+
+  // ─── Views ──────────────────────────────────────────────
+
+  _available(hand) {
+    const h = hand.hands[hand.active];
+    if (!h || h.done) return [];
+    const actions = ['hit', 'stand'];
+    const twoCards = h.cards.length === 2;
+    const afterSplit = hand.hands.length > 1;
+    if (twoCards && !h.splitAces && (!afterSplit || this.rules.doubleAfterSplit)) actions.push('double');
+    if (twoCards
+      && this.cardValue(h.cards[0]) === this.cardValue(h.cards[1])
+      && hand.hands.length < this.rules.maxHands
+      && (!h.splitAces || this.rules.resplitAces)) {
+      actions.push('split');
+    }
+    if (hand.insuranceOpen) actions.push('insurance');
+    return actions;
+  }
+
+  /** In-progress hand as the agent may see it: hole card and seeds stay hidden. */
+  _view(hand) {
+    return {
+      status: 'playing',
+      commitment: hand.commitment,
+      hands: hand.hands.map(h => ({
+        cards: h.cards,
+        total: this.handTotal(h.cards).total,
+        bet: toEth(h.betWei),
+        doubled: h.doubled,
+        done: h.done,
+      })),
+      activeHand: hand.active,
+      dealerUpcard: hand.dealer[0],
+      insurance: toEth(hand.insuranceWei),
+      totalBet: toEth(hand.stakeWei + hand.insuranceWei),
+      available: this._available(hand),
+    };
+  }
+
+  _balances(channel) {
+    return {
+      agentBalance: toEth(channel.agentBalance),
+      casinoBalance: toEth(channel.casinoBalance),
+      nonce: channel.nonce,
+    };
+  }
+
+  _publicRules() {
+    const [num, den] = this.rules.blackjackPays;
+    return {
+      decks: this.rules.decks,
+      dealerHitsSoft17: this.rules.dealerHitsSoft17,
+      blackjackPays: `${num}:${den}`,
+      maxHands: this.rules.maxHands,
+      doubleAfterSplit: this.rules.doubleAfterSplit,
+      resplitAces: this.rules.resplitAces,
+      insurancePays: '2:1',
+    };
+  }
+
+  // ─── Info ───────────────────────────────────────────────
+
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      rules: this._publicRules(),
+      minBet: '0.0001 ETH',
+      flow: ['commit (betAmount)', 'deal (agentSeed)', 'hit | stand | double | split | insurance', 'resolved: signed state + proof'],
+    };
+  }
+}
+
+module.exports = BlackjackGame;
@@ -27,12 +27,15 @@ class CoinflipGame extends BaseGame {
   get description() { return 'Heads or tails. 1.9x payout. 50/50 odds.'; }
   get rtp() { return 0.95; }
   get maxMultiplier() { return 2; } // Round up for bankroll safety (actual is 1.9)
-  get actions() { return ['commit', 'reveal']; }
+  get actions() { return ['commit', 'reveal', 'play', 'batch_commit', 'batch_play']; }
 
   async handleAction(action, channel, params, ctx) {
     switch (action) {
       case 'commit': return this._commit(channel, params, ctx);
       case 'reveal': return await this._reveal(channel, params, ctx);
+      case 'play': return await this.chainPlay(channel, params, ctx);
+      case 'batch_commit': return this.batchCommit(channel, params, ctx);
+      case 'batch_play': return await this.batchPlay(channel, params, ctx);
       default: throw new Error(`Unknown coinflip action: ${action}`);
     }
   }
@@ -85,45 +88,28 @@ class CoinflipGame extends BaseGame {
 
     const { proof } = ctx.commitReveal.computeResult(casinoSeed, agentSeed, channel.nonce);
 
-    const hashBuf = Buffer.from(proof.resultHash, 'hex');
-    const result = hashBuf.readUInt32BE(0) % 2 === 0 ? 'heads' : 'tails';
+    const result = this.flip(proof.resultHash);
     const won = result === choice;
 
     // [FIX #1] BigInt payout: 1.9x = betWei * 19 / 10
-    let payoutWei = 0n;
-    if (won) {
-      payoutWei = betWei * 19n / 10n;
-      if (payoutWei > channel.casinoBalance + betWei) {
-        payoutWei = channel.casinoBalance + betWei;
-      }
+    let payoutWei = this.payoutFor(betWei, won);
+    if (payoutWei > channel.casinoBalance + betWei) {
+      payoutWei = channel.casinoBalance + betWei;
     }
 
-    // Update balances (BigInt)
-    channel.agentBalance = channel.agentBalance - betWei + payoutWei;
-    channel.casinoBalance = channel.casinoBalance + betWei - payoutWei;
-    channel.nonce++;
-
-    // Track stats
-    this.recordRound(betWei, payoutWei, won ? 1.9 : 0);
-
-    channel.games.push({
-      nonce: channel.nonce,
-      game: 'coinflip',
+    // Update balances (BigInt), record, track stats, sign
+    const signature = await this.settle(channel, ctx, betWei, payoutWei, {
       bet: toEth(betWei),
       choice,
       result,
       won,
       payout: toEth(payoutWei),
-      timestamp: Date.now(),
-    });
-
-    const signature = await ctx.signState(
-      channel.agent, channel.agentBalance, channel.casinoBalance, channel.nonce
-    );
+    }, won ? 1.9 : 0);
 
     ctx.pendingCommits.delete(commitKey);
 
     return {
+      bet: toEth(betWei),
       choice,
       result,
       won,
@@ -136,6 +122,47 @@ class CoinflipGame extends BaseGame {
     };
   }
 
+  // ─── Chain Play (see BaseGame) ──────────────────────────
+
+  chainBet(channel, bet) {
+    if (!['heads', 'tails'].includes(bet.choice)) {
+      throw new Error('Choice must be "heads" or "tails"');
+    }
+    const betWei = toWei(bet.betAmount);
+    this.validateBet(channel, betWei);
+    return { betWei, choice: bet.choice, maxPayoutWei: this.payoutFor(betWei, true) };
+  }
+
+  chainRound(bet, resultHash) {
+    const result = this.flip(resultHash);
+    const won = result === bet.choice;
+    const payoutWei = this.payoutFor(bet.betWei, won);
+    return {
+      payoutWei,
+      multiplier: won ? 1.9 : 0,
+      record: {
+        bet: toEth(bet.betWei),
+        choice: bet.choice,
+        result,
+        won,
+        payout: toEth(payoutWei),
+      },
+    };
+  }
+
+  // ─── Game Math ──────────────────────────────────────────
+
+  /** Derive heads/tails from a 32-byte result hash (hex). */
+  flip(resultHash) {
+    const hashBuf = Buffer.from(resultHash, 'hex');
+    return hashBuf.readUInt32BE(0) % 2 === 0 ? 'heads' : 'tails';
+  }
+
+  /** @returns {BigInt} 1.9x on a win, 0n on a loss */
+  payoutFor(betWei, won) {
+    return won ? betWei * 19n / 10n : 0n;
+  }
+
   getInfo() {
     return {
       ...super.getInfo(),
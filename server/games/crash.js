@@ -0,0 +1,205 @@
+/**
+ * Crash Game Plugin (BigInt/Wei)
+ *
+ * Agent commits a bet and an auto-cash-out target (e.g. 2.50x). The crash
+ * point comes from the commit-reveal hash; if it reaches the target the
+ * agent is paid bet × target, otherwise the bet is lost.
+ *
+ * Crash point (multipliers ×100, BigInt, floored to 2 decimals):
+ *   h     = first 52 bits of resultHash, uniform in [0, 2^52)
+ *   crash = max(1.00, (1 - edge) × 2^52 / (2^52 - h))
+ *
+ *   P(crash ≥ m) = (1 - edge) / m for every target m ≥ 1.01, so
+ *   RTP = m × (1 - edge) / m = 1 - edge whatever target the agent picks.
+ *
+ * House edge is configurable in basis points (default 100 = 1%, RTP 99%).
+ *
+ * Fixes applied:
+ *   [FIX #1] BigInt precision
+ *   [FIX #2] Re-validate at reveal
+ *   [FIX #6] Pending commits keyed by agent:game
+ */
+
+const BaseGame = require('./base-game');
+const { toWei, toEth } = require('../wei');
+
+const COMMIT_TIMEOUT = 5 * 60 * 1000;
+const MIN_TARGET_X100 = 101n;      // 1.01x
+const MAX_TARGET_X100 = 100000n;   // 1000x
+const E = 2n ** 52n;
+
+class CrashGame extends BaseGame {
+  constructor({ houseEdgeBps = 100 } = {}) {
+    super();
+    if (!Number.isInteger(houseEdgeBps) || houseEdgeBps < 0 || houseEdgeBps >= 10000) {
+      throw new Error('houseEdgeBps must be an integer between 0 and 9999');
+    }
+    this.houseEdgeBps = houseEdgeBps;
+  }
+
+  get name() { return 'crash'; }
+  get displayName() { return 'Agent Crash'; }
+  get description() { return 'Set an auto-cash-out multiplier. Paid if the crash point reaches it.'; }
+  get rtp() { return 1 - this.houseEdgeBps / 10000; }
+  get maxMultiplier() { return Number(MAX_TARGET_X100 / 100n); }
+  get actions() { return ['commit', 'reveal']; }
+
+  async handleAction(action, channel, params, ctx) {
+    switch (action) {
+      case 'commit': return this._commit(channel, params, ctx);
+      case 'reveal': return await this._reveal(channel, params, ctx);
+      default: throw new Error(`Unknown crash action: ${action}`);
+    }
+  }
+
+  // ─── Step 1: Casino Commits ─────────────────────────────
+
+  _commit(channel, params, ctx) {
+    const targetX100 = this.parseTarget(params.target);
+    const betWei = toWei(params.betAmount);
+
+    // Worst case is exactly bet × target
+    this.validateBetSlip(channel, betWei, this.payoutFor(betWei, targetX100, targetX100));
+
+    const commitKey = `${channel.agent}:crash`;
+    if (ctx.pendingCommits.has(commitKey)) {
+      throw new Error('Already have a pending crash round. Reveal or wait for timeout.');
+    }
+
+    const { seed, commitment } = ctx.commitReveal.commit();
+
+    ctx.pendingCommits.set(commitKey, {
+      seed,
+      betWei,
+      targetX100,
+      game: 'crash',
+      timestamp: Date.now(),
+    });
+
+    return {
+      commitment,
+      betAmount: toEth(betWei),
+      target: this.formatX100(targetX100),
+      winChance: `${this.winChance(targetX100).toFixed(2)}%`,
+    };
+  }
+
+  // ─── Step 2: Reveal + Resolve ───────────────────────────
+
+  async _reveal(channel, params, ctx) {
+    const { agentSeed } = params;
+    const commitKey = `${channel.agent}:crash`;
+    const pending = ctx.pendingCommits.get(commitKey);
+
+    if (!pending) throw new Error('No pending crash round');
+    if (Date.now() - pending.timestamp > COMMIT_TIMEOUT) {
+      ctx.pendingCommits.delete(commitKey);
+      throw new Error('Commitment expired');
+    }
+
+    const { seed: casinoSeed, betWei, targetX100 } = pending;
+
+    // [FIX #2] Re-validate
+    if (channel.agentBalance < betWei) {
+      ctx.pendingCommits.delete(commitKey);
+      throw new Error(`Insufficient balance at reveal: have ${toEth(channel.agentBalance)}, need ${toEth(betWei)}`);
+    }
+
+    const { proof } = ctx.commitReveal.computeResult(casinoSeed, agentSeed, channel.nonce);
+    const crashX100 = this.crashPointX100(proof.resultHash);
+    const reached = crashX100 >= targetX100;
+    let payoutWei = this.payoutFor(betWei, targetX100, crashX100);
+
+    // Cap to casino balance
+    if (payoutWei > channel.casinoBalance + betWei) {
+      payoutWei = channel.casinoBalance + betWei;
+    }
+
+    const multiplier = reached ? Number(targetX100) / 100 : 0;
+    const signature = await this.settle(channel, ctx, betWei, payoutWei, {
+      bet: toEth(betWei),
+      target: this.formatX100(targetX100),
+      result: this.formatX100(crashX100),
+      won: reached,
+      multiplier: multiplier.toFixed(2),
+      payout: toEth(payoutWei),
+    }, multiplier);
+
+    ctx.pendingCommits.delete(commitKey);
+
+    return {
+      crashPoint: this.formatX100(crashX100),
+      target: this.formatX100(targetX100),
+      reached,
+      won: reached,
+      multiplier: multiplier.toFixed(2),
+      payout: toEth(payoutWei),
+      agentBalance: toEth(channel.agentBalance),
+      casinoBalance: toEth(channel.casinoBalance),
+      nonce: channel.nonce,
+      signature,
+      proof: { casinoSeed, agentSeed, resultHash: proof.resultHash },
+    };
+  }
+
+  // ─── Game Math ──────────────────────────────────────────
+
+  /**
+   * Crash point ×100 from a 32-byte result hash (hex).
+   * @returns {BigInt} e.g. 327n for 3.27x, never below 100n
+   */
+  crashPointX100(resultHash) {
+    const h = BigInt('0x' + resultHash.slice(0, 13));
+    const x100 = (E * BigInt(10000 - this.houseEdgeBps)) / ((E - h) * 100n);
+    return x100 < 100n ? 100n : x100;
+  }
+
+  /** Gross payout in wei: bet × target if the crash point reached it. */
+  payoutFor(betWei, targetX100, crashX100) {
+    if (crashX100 < targetX100) return 0n;
+    return (betWei * targetX100) / 100n;
+  }
+
+  /** P(crash ≥ target) in percent. */
+  winChance(targetX100) {
+    return (10000 - this.houseEdgeBps) / Number(targetX100);
+  }
+
+  /**
+   * Parse a target like 2, "2.5" or "1.01" into ×100 BigInt.
+   * At most two decimals; 1.01x to 1000x.
+   */
+  parseTarget(target) {
+    const str = String(target ?? '').trim();
+    if (!/^\d+(\.\d{1,2})?$/.test(str)) {
+      throw new Error('Target must be a multiplier with at most 2 decimals (e.g. 2.5)');
+    }
+    const [whole, frac = ''] = str.split('.');
+    const x100 = BigInt(whole) * 100n + BigInt(frac.padEnd(2, '0'));
+    if (x100 < MIN_TARGET_X100 || x100 > MAX_TARGET_X100) {
+      throw new Error(`Target must be between ${this.formatX100(MIN_TARGET_X100)} and ${this.formatX100(MAX_TARGET_X100)}`);
+    }
+    return x100;
+  }
+
+  formatX100(x100) {
+    return `${x100 / 100n}.${(x100 % 100n).toString().padStart(2, '0')}`;
+  }
+
+  // ─── Info ───────────────────────────────────────────────
+
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      houseEdgeBps: this.houseEdgeBps,
+      targetRange: `${this.formatX100(MIN_TARGET_X100)}-${this.formatX100(MAX_TARGET_X100)}`,
+      minBet: '0.0001 ETH',
+      examples: [101n, 200n, 1000n, 10000n].map(t => ({
+        target: `${this.formatX100(t)}x`,
+        winChance: `${this.winChance(t).toFixed(2)}%`,
+      })),
+    };
+  }
+}
+
+module.exports = CrashGame;
@@ -31,12 +31,15 @@ class DiceGame extends BaseGame {
   get description() { return 'Roll over or under. You choose the risk and reward.'; }
   get rtp() { return 0.95; }
   get maxMultiplier() { return 96; } // Theoretical max (roll over 1 or under 99)
-  get actions() { return ['commit', 'reveal']; }
+  get actions() { return ['commit', 'reveal', 'play', 'batch_commit', 'batch_play']; }
 
   async handleAction(action, channel, params, ctx) {
     switch (action) {
       case 'commit': return this._commit(channel, params, ctx);
       case 'reveal': return await this._reveal(channel, params, ctx);
+      case 'play': return await this.chainPlay(channel, params, ctx);
+      case 'batch_commit': return this.batchCommit(channel, params, ctx);
+      case 'batch_play': return await this.batchPlay(channel, params, ctx);
       default: throw new Error(`Unknown dice action: ${action}`);
     }
   }
@@ -45,7 +48,39 @@ class DiceGame extends BaseGame {
 
   _commit(channel, params, ctx) {
     const { choice, target } = params;
+    const betWei = toWei(params.betAmount);
+    const multiplier = this._validate(channel, betWei, choice, target);
+
+    const commitKey = `${channel.agent}:dice`;
+    if (ctx.pendingCommits.has(commitKey)) {
+      throw new Error('Already have a pending dice roll. Reveal or wait for timeout.');
+    }
 
+    const { seed, commitment } = ctx.commitReveal.commit();
+
+    ctx.pendingCommits.set(commitKey, {
+      seed,
+      betWei,
+      choice,
+      target,
+      game: 'dice',
+      timestamp: Date.now(),
+    });
+
+    return {
+      commitment,
+      betAmount: toEth(betWei),
+      choice,
+      target,
+      multiplier: multiplier.toFixed(2),
+    };
+  }
+
+  /**
+   * Choice, target and bankroll checks for one bet.
+   * @returns {number} the multiplier for this choice/target
+   */
+  _validate(channel, betWei, choice, target) {
     // Validate choice
     if (!['over', 'under'].includes(choice)) {
       throw new Error('Choice must be "over" or "under"');
@@ -64,48 +99,23 @@ class DiceGame extends BaseGame {
       throw new Error('Cannot roll under 1 (impossible to win)');
     }
 
-    const betWei = toWei(params.betAmount);
-
-    // Calculate multiplier for bankroll check
+    // Bankroll check on the winning payout itself (same BigInt math as payoutFor)
     const multiplier = this._calculateMultiplier(choice, target);
-    const roundedMultiplier = Math.ceil(multiplier);
-    
-    // Validate bet with actual max multiplier for this specific bet
     if (betWei <= 0n) throw new Error('Bet must be positive');
     if (channel.agentBalance < betWei) {
       throw new Error(`Insufficient balance: have ${toEth(channel.agentBalance)} ETH, need ${toEth(betWei)} ETH`);
     }
 
-    const maxPayout = betWei * BigInt(roundedMultiplier);
-    const safetyMargin = 2;
-    if (maxPayout * BigInt(safetyMargin) > channel.casinoBalance) {
-      const maxBetWei = channel.casinoBalance / BigInt(roundedMultiplier * safetyMargin);
+    const winningRoll = choice === 'over' ? 100 : 1;
+    const maxPayout = this.payoutFor(betWei, choice, target, winningRoll);
+    const safetyMargin = 2n;
+    if (maxPayout * safetyMargin > channel.casinoBalance) {
+      const multiplierScaled = BigInt(Math.round(multiplier * 10000));
+      const maxBetWei = (channel.casinoBalance * 10000n) / (multiplierScaled * safetyMargin);
       throw new Error(`Max bet: ${toEth(maxBetWei)} ETH (bankroll limit for ${multiplier.toFixed(2)}x multiplier)`);
     }
 
-    const commitKey = `${channel.agent}:dice`;
-    if (ctx.pendingCommits.has(commitKey)) {
-      throw new Error('Already have a pending dice roll. Reveal or wait for timeout.');
-    }
-
-    const { seed, commitment } = ctx.commitReveal.commit();
-
-    ctx.pendingCommits.set(commitKey, {
-      seed,
-      betWei,
-      choice,
-      target,
-      game: 'dice',
-      timestamp: Date.now(),
-    });
-
-    return {
-      commitment,
-      betAmount: toEth(betWei),
-      choice,
-      target,
-      multiplier: multiplier.toFixed(2),
-    };
+    return multiplier;
   }
 
   // ─── Step 2: Reveal + Resolve ───────────────────────────
@@ -131,41 +141,19 @@ class DiceGame extends BaseGame {
 
     // Compute result (1-100)
     const { proof } = ctx.commitReveal.computeResult(casinoSeed, agentSeed, channel.nonce);
-    const hashBuf = Buffer.from(proof.resultHash, 'hex');
-    const roll = (hashBuf.readUInt32BE(0) % 100) + 1; // 1-100
+    const roll = this.roll(proof.resultHash);
 
-    // Determine win
-    const won = choice === 'over' ? roll > target : roll < target;
+    // Determine win + payout (BigInt math with precision)
+    const { won, multiplier } = this.outcomeFor(choice, target, roll);
+    let payoutWei = this.payoutFor(betWei, choice, target, roll);
 
-    // Calculate payout (BigInt math with precision)
-    let payoutWei = 0n;
-    let multiplier = 0;
-    
-    if (won) {
-      multiplier = this._calculateMultiplier(choice, target);
-      
-      // Convert to BigInt: multiply by 10000, then divide to preserve precision
-      // Example: 1.94x → 19400 / 10000 → betWei * 19400n / 10000n
-      const multiplierScaled = BigInt(Math.round(multiplier * 10000));
-      payoutWei = (betWei * multiplierScaled) / 10000n;
-      
-      // Cap to casino balance
-      if (payoutWei > channel.casinoBalance + betWei) {
-        payoutWei = channel.casinoBalance + betWei;
-      }
+    // Cap to casino balance
+    if (payoutWei > channel.casinoBalance + betWei) {
+      payoutWei = channel.casinoBalance + betWei;
     }
 
-    // Update balances (BigInt)
-    channel.agentBalance = channel.agentBalance - betWei + payoutWei;
-    channel.casinoBalance = channel.casinoBalance + betWei - payoutWei;
-    channel.nonce++;
-
-    // Track stats
-    this.recordRound(betWei, payoutWei, multiplier);
-
-    channel.games.push({
-      nonce: channel.nonce,
-      game: 'dice',
+    // Update balances (BigInt), record, track stats, sign
+    const signature = await this.settle(channel, ctx, betWei, payoutWei, {
       bet: toEth(betWei),
       choice,
       target,
@@ -173,16 +161,12 @@ class DiceGame extends BaseGame {
       won,
       multiplier: multiplier.toFixed(2),
       payout: toEth(payoutWei),
-      timestamp: Date.now(),
-    });
-
-    const signature = await ctx.signState(
-      channel.agent, channel.agentBalance, channel.casinoBalance, channel.nonce
-    );
+    }, multiplier);
 
     ctx.pendingCommits.delete(commitKey);
 
     return {
+      bet: toEth(betWei),
       choice,
       target,
       roll,
@@ -197,8 +181,62 @@ class DiceGame extends BaseGame {
     };
   }
 
+  // ─── Chain Play (see BaseGame) ──────────────────────────
+
+  chainBet(channel, bet) {
+    const { choice, target } = bet;
+    const betWei = toWei(bet.betAmount);
+    this._validate(channel, betWei, choice, target);
+    const winningRoll = choice === 'over' ? 100 : 1;
+    return { betWei, choice, target, maxPayoutWei: this.payoutFor(betWei, choice, target, winningRoll) };
+  }
+
+  chainRound(bet, resultHash) {
+    const { betWei, choice, target } = bet;
+    const roll = this.roll(resultHash);
+    const { won, multiplier } = this.outcomeFor(choice, target, roll);
+    const payoutWei = this.payoutFor(betWei, choice, target, roll);
+    return {
+      payoutWei,
+      multiplier,
+      record: {
+        bet: toEth(betWei),
+        choice,
+        target,
+        roll,
+        won,
+        multiplier: multiplier.toFixed(2),
+        payout: toEth(payoutWei),
+      },
+    };
+  }
+
   // ─── Game Math ──────────────────────────────────────────
 
+  /** Derive a 1-100 roll from a 32-byte result hash (hex). */
+  roll(resultHash) {
+    const hashBuf = Buffer.from(resultHash, 'hex');
+    return (hashBuf.readUInt32BE(0) % 100) + 1;
+  }
+
+  /** @returns {{ won: boolean, multiplier: number }} multiplier is 0 on a loss */
+  outcomeFor(choice, target, roll) {
+    const won = choice === 'over' ? roll > target : roll < target;
+    return { won, multiplier: won ? this._calculateMultiplier(choice, target) : 0 };
+  }
+
+  /**
+   * Payout in wei for a roll.
+   * Multiplier is scaled by 10000 so BigInt keeps 4 decimals:
+   * 1.94x → betWei * 19400n / 10000n
+   */
+  payoutFor(betWei, choice, target, roll) {
+    const { won, multiplier } = this.outcomeFor(choice, target, roll);
+    if (!won) return 0n;
+    const multiplierScaled = BigInt(Math.round(multiplier * 10000));
+    return (betWei * multiplierScaled) / 10000n;
+  }
+
   /**
    * Calculate payout multiplier based on choice and target.
    * Formula: (100 / win_probability) × 0.95
@@ -0,0 +1,469 @@
+/**
+ * Duel Game Plugin (BigInt/Wei) - agent vs agent
+ *
+ * Two agents with open channels stake the same amount into a pot. The
+ * winner takes the pot minus the house rake; a dice tie refunds both.
+ *
+ * Flow: create → join → reveal (or cancel / claim)
+ *   create  Creator picks the variant (coinflip: a side; dice: higher roll
+ *           wins), the stake, and sends sha256(creatorSeed). The casino
+ *           commits to its own seed. The stake is escrowed.
+ *   join    Joiner sends their seed in the clear. The stake is escrowed.
+ *   reveal  Creator sends creatorSeed; the duel settles on both channels.
+ *   cancel  Creator takes the stake back while nobody has joined.
+ *   claim   Joiner wins by forfeit if the creator has not revealed within
+ *           REVEAL_TIMEOUT of the join.
+ *   result  Either agent fetches the settled duel and a signature over
+ *           their channel's latest state (the opponent's call settled it).
+ *
+ * Fairness:
+ *   result = sha256(casinoSeed : creatorSeed : joinerSeed : duelId)
+ *   The casino seed and creator seed are both fixed by hashes before the
+ *   joiner's seed exists, and the creator's seed is hidden until reveal,
+ *   so no single party (or the casino with either agent) can steer the
+ *   result. Withholding the reveal only forfeits.
+ *
+ * Money:
+ *   Both stakes are escrowed to the casino side of their own channel
+ *   (BaseGame.escrow). Settlement goes through GamingEngine.settleAcross:
+ *   the winner's channel pays out the pot from its casino side, the
+ *   loser's keeps the stake, and both channels are signed and persisted
+ *   together. Each channel stays balanced on its own; across the two, the
+ *   casino keeps only the rake.
+ *
+ * Closing a channel mid-duel forfeits the duel (an unjoined duel is
+ * refunded). Neither agent knows the outcome before the reveal, so this
+ * gives no one an option.
+ */
+
+const BaseGame = require('./base-game');
+const { toWei, toEth } = require('../wei');
+
+const OPEN_TIMEOUT = 10 * 60 * 1000;
+const REVEAL_TIMEOUT = 5 * 60 * 1000;
+const VARIANTS = ['coinflip', 'dice'];
+
+class DuelGame extends BaseGame {
+  constructor({ rakeBps = 200 } = {}) {
+    super();
+    if (!Number.isInteger(rakeBps) || rakeBps < 0 || rakeBps >= 10000) {
+      throw new Error('rakeBps must be an integer between 0 and 9999');
+    }
+    this.rakeBps = rakeBps;
+  }
+
+  get name() { return 'duel'; }
+  get displayName() { return 'Agent Duel'; }
+  get description() { return 'Coinflip or dice against another agent. Winner takes the pot minus rake.'; }
+  get rtp() { return 1 - this.rakeBps / 10000; }
+  get maxMultiplier() { return 2; }
+  get actions() { return ['create', 'join', 'reveal', 'claim', 'cancel', 'result', 'status']; }
+
+  async handleAction(action, channel, params, ctx) {
+    switch (action) {
+      case 'create': return await this._create(channel, params, ctx);
+      case 'join': return await this._join(channel, params, ctx);
+      case 'reveal': return await this._reveal(channel, params, ctx);
+      case 'claim': return await this._claim(channel, ctx);
+      case 'cancel': return await this._cancel(channel, ctx);
+      case 'result': return await this._result(channel, params, ctx);
+      case 'status': return this._status(params, ctx);
+      default: throw new Error(`Unknown duel action: ${action}`);
+    }
+  }
+
+  // ─── Create ─────────────────────────────────────────────
+
+  async _create(channel, params, ctx) {
+    const variant = String(params.variant || '').toLowerCase();
+    if (!VARIANTS.includes(variant)) throw new Error(`variant must be one of: ${VARIANTS.join(', ')}`);
+    const side = variant === 'coinflip' ? params.side : null;
+    if (variant === 'coinflip' && !['heads', 'tails'].includes(side)) {
+      throw new Error('side must be "heads" or "tails"');
+    }
+    const seedHash = String(params.seedHash || '').toLowerCase();
+    if (!/^[0-9a-f]{64}$/.test(seedHash)) throw new Error('seedHash must be sha256(creatorSeed) as 64 hex characters');
+
+    const betWei = toWei(params.betAmount);
+    this._assertCanStake(channel, betWei);
+
+    const commitKey = `${channel.agent}:duel`;
+    if (ctx.pendingCommits.has(commitKey)) throw new Error('Already in a duel. Finish or cancel it first.');
+
+    const { seed, commitment } = ctx.commitReveal.commit();
+    const duel = {
+      game: 'duel',
+      role: 'creator',
+      duelId: commitment.slice(0, 16),
+      variant,
+      side,
+      betWei,
+      seed,
+      commitment,
+      seedHash,
+      timestamp: Date.now(),
+    };
+
+    ctx.pendingCommits.set(commitKey, duel);
+    let signature;
+    try {
+      signature = await this.escrow(channel, ctx, betWei);
+    } catch (err) {
+      ctx.pendingCommits.delete(commitKey);
+      throw err;
+    }
+
+    return {
+      ...this._public(duel),
+      status: 'open',
+      ...this._balances(channel),
+      signature,
+    };
+  }
+
+  // ─── Join ───────────────────────────────────────────────
+
+  async _join(channel, params, ctx) {
+    const { duelId, agentSeed } = params;
+    if (!agentSeed) throw new Error('Missing agentSeed');
+
+    const found = this._find(ctx, 'creator', duelId);
+    if (!found) throw new Error('Duel not found');
+    const { agent: creator, entry: duel } = found;
+    if (creator === channel.agent) throw new Error('Cannot join your own duel');
+    if (this._find(ctx, 'joiner', duelId)) throw new Error('Duel already joined');
+    if (Date.now() - duel.timestamp > OPEN_TIMEOUT) throw new Error('Duel expired');
+    if (!ctx.channel(creator)) throw new Error('Duel creator channel is closed');
+
+    const commitKey = `${channel.agent}:duel`;
+    if (ctx.pendingCommits.has(commitKey)) throw new Error('Already in a duel. Finish or cancel it first.');
+    this._assertCanStake(channel, duel.betWei);
+
+    const joined = {
+      game: 'duel',
+      role: 'joiner',
+      duelId: duel.duelId,
+      creator,
+      betWei: duel.betWei,
+      agentSeed: String(agentSeed),
+      timestamp: Date.now(),
+    };
+
+    ctx.pendingCommits.set(commitKey, joined);
+    let signature;
+    try {
+      signature = await this.escrow(channel, ctx, duel.betWei);
+    } catch (err) {
+      ctx.pendingCommits.delete(commitKey);
+      throw err;
+    }
+
+    return {
+      ...this._public(duel),
+      status: 'joined',
+      side: duel.side ? this._otherSide(duel.side) : null,
+      revealBy: joined.timestamp + REVEAL_TIMEOUT,
+      ...this._balances(channel),
+      signature,
+    };
+  }
+
+  // ─── Reveal / Claim / Cancel ────────────────────────────
+
+  async _reveal(channel, params, ctx) {
+    const duel = ctx.pendingCommits.get(`${channel.agent}:duel`);
+    if (!duel || duel.role !== 'creator') throw new Error('No duel to reveal');
+    const found = this._find(ctx, 'joiner', duel.duelId);
+    if (!found) throw new Error('Nobody has joined this duel yet');
+    const { agent: joiner, entry: joined } = found;
+
+    const { agentSeed } = params;
+    if (!agentSeed || !ctx.commitReveal.verify(duel.seedHash, String(agentSeed))) {
+      throw new Error('Seed does not match the seedHash committed at create');
+    }
+
+    const { proof } = ctx.commitReveal.computeResult(duel.seed, `${agentSeed}:${joined.agentSeed}`, duel.duelId);
+    const outcome = this.outcome(duel, proof.resultHash);
+    const settled = await this._settle(ctx, channel.agent, duel, joiner, joined, outcome);
+
+    return this._view(channel.agent, duel, outcome, settled, {
+      casinoSeed: duel.seed,
+      creatorSeed: String(agentSeed),
+      joinerSeed: joined.agentSeed,
+      duelId: duel.duelId,
+      resultHash: proof.resultHash,
+    });
+  }
+
+  async _claim(channel, ctx) {
+    const joined = ctx.pendingCommits.get(`${channel.agent}:duel`);
+    if (!joined || joined.role !== 'joiner') throw new Error('No joined duel to claim');
+    const wait = joined.timestamp + REVEAL_TIMEOUT - Date.now();
+    if (wait > 0) throw new Error(`Creator has ${Math.ceil(wait / 1000)}s left to reveal`);
+
+    const duel = ctx.pendingCommits.get(`${joined.creator}:duel`);
+    if (!duel) throw new Error('Duel not found');
+    const outcome = { winner: 'joiner', result: 'forfeit' };
+    const settled = await this._settle(ctx, joined.creator, duel, channel.agent, joined, outcome);
+    return this._view(channel.agent, duel, outcome, settled, null);
+  }
+
+  async _cancel(channel, ctx) {
+    const commitKey = `${channel.agent}:duel`;
+    const duel = ctx.pendingCommits.get(commitKey);
+    if (!duel || duel.role !== 'creator') throw new Error('No duel to cancel');
+    if (this._find(ctx, 'joiner', duel.duelId)) throw new Error('Duel already joined; reveal to settle it');
+    return await this._refund(channel, duel, ctx);
+  }
+
+  /**
+   * A duel is usually settled by the other agent's call. Return this
+   * channel's record of it with a signature over the channel's current
+   * state, which is at or after the settlement.
+   */
+  async _result(channel, params, ctx) {
+    const record = channel.games.slice().reverse().find(g => g.game === 'duel' && g.duelId === params.duelId);
+    if (!record) {
+      const pending = ctx.pendingCommits.get(`${channel.agent}:duel`);
+      if (pending && pending.duelId === params.duelId) throw new Error('Duel not settled yet');
+      throw new Error('Duel not found in this channel');
+    }
+    const signature = await ctx.signState(channel.agent, channel.agentBalance, channel.casinoBalance, channel.nonce);
+    return {
+      status: 'resolved',
+      ...record,
+      ...this._balances(channel),
+      signature,
+    };
+  }
+
+  /**
+   * Called by the engine before a channel closes. An unjoined duel is
+   * refunded; a joined duel is forfeited by the agent who is leaving.
+   */
+  async resolveOpenRounds(channel, ctx) {
+    const entry = ctx.pendingCommits.get(`${channel.agent}:duel`);
+    if (!entry) return null;
+
+    if (entry.role === 'creator') {
+      const found = this._find(ctx, 'joiner', entry.duelId);
+      if (!found) return await this._refund(channel, entry, ctx);
+      return await this._settle(ctx, channel.agent, entry, found.agent, found.entry, { winner: 'joiner', result: 'forfeit' });
+    }
+    const duel = ctx.pendingCommits.get(`${entry.creator}:duel`);
+    if (!duel) {
+      ctx.pendingCommits.delete(`${channel.agent}:duel`);
+      return null;
+    }
+    return await this._settle(ctx, entry.creator, duel, channel.agent, entry, { winner: 'creator', result: 'forfeit' });
+  }
+
+  // ─── Settlement ─────────────────────────────────────────
+
+  /**
+   * Pay both channels in one cross-channel settlement. The pending entries
+   * are removed in the same write; if it fails they are restored.
+   */
+  async _settle(ctx, creator, duel, joiner, joined, outcome) {
+    const betWei = duel.betWei;
+    const potWei = betWei * 2n;
+    const rakeWei = (potWei * BigInt(this.rakeBps)) / 10000n;
+
+    const payoutFor = (role) => {
+      if (outcome.winner === null) return betWei;
+      return outcome.winner === role ? potWei - rakeWei : 0n;
+    };
+    const leg = (agent, role, opponent, side) => {
+      const payoutWei = payoutFor(role);
+      const multiplier = Number((payoutWei * 10000n) / betWei) / 10000;
+      return {
+        agent,
+        stakeWei: betWei,
+        payoutWei,
+        multiplier,
+        record: {
+          bet: toEth(betWei),
+          duelId: duel.duelId,
+          variant: duel.variant,
+          opponent,
+          choice: side,
+          result: outcome.result,
+          won: payoutWei > betWei,
+          multiplier: multiplier.toFixed(4),
+          payout: toEth(payoutWei),
+        },
+      };
+    };
+
+    const creatorSide = duel.side;
+    const legs = [
+      leg(creator, 'creator', joiner, creatorSide),
+      leg(joiner, 'joiner', creator, creatorSide ? this._otherSide(creatorSide) : null),
+    ];
+
+    ctx.pendingCommits.delete(`${creator}:duel`);
+    ctx.pendingCommits.delete(`${joiner}:duel`);
+    try {
+      return await ctx.settleAcross(this.name, legs);
+    } catch (err) {
+      // The deletes were never written, so put the entries back quietly.
+      ctx.pendingCommits.hydrate(`${creator}:duel`, duel);
+      ctx.pendingCommits.hydrate(`${joiner}:duel`, joined);
+      throw err;
+    }
+  }
+
+  async _refund(channel, duel, ctx) {
+    const signature = await this.settleEscrowed(channel, ctx, duel.betWei, duel.betWei, {
+      bet: toEth(duel.betWei),
+      duelId: duel.duelId,
+      variant: duel.variant,
+      choice: duel.side,
+      result: 'cancelled',
+      won: false,
+      multiplier: '1.0000',
+      payout: toEth(duel.betWei),
+    }, 1);
+    ctx.pendingCommits.delete(`${channel.agent}:duel`);
+    return {
+      duelId: duel.duelId,
+      status: 'cancelled',
+      payout: toEth(duel.betWei),
+      ...this._balances(channel),
+      signature,
+    };
+  }
+
+  // ─── Game Math ──────────────────────────────────────────
+
+  /**
+   * Winner from the combined result hash.
+   *   coinflip: readUInt32BE(0) even = heads (as CoinflipGame.flip)
+   *   dice:     creator rolls readUInt32BE(0) % 100 + 1, joiner
+   *             readUInt32BE(4) % 100 + 1; higher wins, equal is a tie
+   * @returns {{ winner: 'creator'|'joiner'|null, result: string }}
+   */
+  outcome(duel, resultHash) {
+    const hashBuf = Buffer.from(resultHash, 'hex');
+    if (duel.variant === 'coinflip') {
+      const flip = hashBuf.readUInt32BE(0) % 2 === 0 ? 'heads' : 'tails';
+      return { winner: flip === duel.side ? 'creator' : 'joiner', result: flip };
+    }
+    const creatorRoll = (hashBuf.readUInt32BE(0) % 100) + 1;
+    const joinerRoll = (hashBuf.readUInt32BE(4) % 100) + 1;
+    let winner = null;
+    if (creatorRoll > joinerRoll) winner = 'creator';
+    if (joinerRoll > creatorRoll) winner = 'joiner';
+    return { winner, result: `${creatorRoll}-${joinerRoll}`, creatorRoll, joinerRoll };
+  }
+
+  /**
+   * Both stakes must be coverable: the agent pays the stake, and the
+   * casino side of their channel (after escrow) must hold the pot minus
+   * rake in case they win.
+   */
+  _assertCanStake(channel, betWei) {
+    if (betWei <= 0n) throw new Error('Bet must be positive');
+    if (channel.agentBalance < betWei) {
+      throw new Error(`Insufficient balance: have ${toEth(channel.agentBalance)} ETH, need ${toEth(betWei)} ETH`);
+    }
+    const winWei = betWei * 2n - (betWei * 2n * BigInt(this.rakeBps)) / 10000n;
+    if (channel.casinoBalance + betWei < winWei) {
+      throw new Error(`Casino side of this channel cannot cover a duel win of ${toEth(winWei)} ETH`);
+    }
+  }
+
+  // ─── Lookup ─────────────────────────────────────────────
+
+  /**
+   * Pending duel entry by role and duel id.
+   * @returns {{ agent: string, entry: object }|null}
+   */
+  _find(ctx, role, duelId) {
+    for (const [key, entry] of ctx.pendingCommits) {
+      if (entry.game === 'duel' && entry.role === role && entry.duelId === duelId) {
+        return { agent: key.slice(0, key.lastIndexOf(':')), entry };
+      }
+    }
+    return null;
+  }
+
+  _otherSide(side) {
+    return side === 'heads' ? 'tails' : 'heads';
+  }
+
+  // ─── Views ──────────────────────────────────────────────
+
+  _status(params, ctx) {
+    const now = Date.now();
+    const open = [];
+    for (const [key, entry] of ctx.pendingCommits) {
+      if (entry.game !== 'duel' || entry.role !== 'creator') continue;
+      if (params.duelId && entry.duelId !== params.duelId) continue;
+      const joined = this._find(ctx, 'joiner', entry.duelId)?.entry;
+      if (!params.duelId && (joined || now - entry.timestamp > OPEN_TIMEOUT)) continue;
+      open.push({
+        ...this._public(entry),
+        status: joined ? 'joined' : (now - entry.timestamp > OPEN_TIMEOUT ? 'expired' : 'open'),
+        ...(joined ? { revealBy: joined.timestamp + REVEAL_TIMEOUT } : {}),
+      });
+    }
+    if (params.duelId) {
+      if (open.length === 0) throw new Error('Duel not found');
+      return open[0];
+    }
+    return { duels: open, rake: `${this.rakeBps / 100}%` };
+  }
+
+  _public(duel) {
+    return {
+      duelId: duel.duelId,
+      variant: duel.variant,
+      side: duel.side,
+      bet: toEth(duel.betWei),
+      commitment: duel.commitment,
+      seedHash: duel.seedHash,
+      expiresAt: duel.timestamp + OPEN_TIMEOUT,
+    };
+  }
+
+  /** Result for the agent who made the call (their leg + the duel). */
+  _view(agent, duel, outcome, settled, proof) {
+    const mine = settled[agent];
+    return {
+      duelId: duel.duelId,
+      status: 'resolved',
+      variant: duel.variant,
+      result: outcome.result,
+      winner: outcome.winner,
+      won: toWei(mine.payout) > duel.betWei,
+      bet: toEth(duel.betWei),
+      ...mine,
+      ...(proof ? { proof } : {}),
+    };
+  }
+
+  _balances(channel) {
+    return {
+      agentBalance: toEth(channel.agentBalance),
+      casinoBalance: toEth(channel.casinoBalance),
+      nonce: channel.nonce,
+    };
+  }
+
+  // ─── Info ───────────────────────────────────────────────
+
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      variants: VARIANTS,
+      rakeBps: this.rakeBps,
+      openTimeout: `${OPEN_TIMEOUT / 60000} min`,
+      revealTimeout: `${REVEAL_TIMEOUT / 60000} min`,
+      flow: 'duel_create (seedHash) → duel_join (agentSeed) → duel_reveal (creator seed)',
+      minBet: '0.0001 ETH',
+    };
+  }
+}
+
+module.exports = DuelGame;
@@ -0,0 +1,270 @@
+/**
+ * Keno Game Plugin (BigInt/Wei)
+ *
+ * Agent picks 1-10 distinct numbers from 1-40. Ten numbers are drawn by
+ * shuffling 1-40 with the commit-reveal hash (Fisher-Yates, swap index i
+ * from sha256(resultHash:i)) and taking the first ten. Payout depends on
+ * how many picks were drawn.
+ *
+ * Payout tables (multipliers, stake included) live in config/game-math.json
+ * under keno.payouts[picks][hits], parsed to ×100 BigInts.
+ *
+ * P(hits = k | p picks) = C(p, k) × C(40 - p, 10 - k) / C(40, 10)
+ * RTP per table is exact and published in getInfo() (98.7%-99%).
+ *
+ * Fixes applied:
+ *   [FIX #1] BigInt precision
+ *   [FIX #2] Re-validate at reveal
+ *   [FIX #6] Pending commits keyed by agent:game
+ */
+
+const { createHash } = require('crypto');
+const BaseGame = require('./base-game');
+const { toWei, toEth } = require('../wei');
+const gameMath = require('../../config/game-math.json');
+
+const COMMIT_TIMEOUT = 5 * 60 * 1000;
+const NUMBERS = 40;
+const DRAWN = 10;
+const MAX_PICKS = 10;
+
+class KenoGame extends BaseGame {
+  /**
+   * @param {object} payouts - { [picks]: string[] } indexed by hits, defaults to config/game-math.json
+   */
+  constructor(payouts = gameMath.keno.payouts) {
+    super();
+    this.tables = {};
+    for (let picks = 1; picks <= MAX_PICKS; picks++) {
+      const table = payouts[picks];
+      if (!Array.isArray(table) || table.length !== picks + 1) {
+        throw new Error(`Keno table for ${picks} picks must have ${picks + 1} entries`);
+      }
+      this.tables[picks] = table.map(m => this.parseX100(m));
+    }
+  }
+
+  get name() { return 'keno'; }
+  get displayName() { return 'Agent Keno'; }
+  get description() { return `Pick 1-${MAX_PICKS} numbers from 1-${NUMBERS}. ${DRAWN} are drawn.`; }
+
+  /** Lowest table RTP; every table's exact RTP is in getInfo(). */
+  get rtp() {
+    let min = Infinity;
+    for (let picks = 1; picks <= MAX_PICKS; picks++) {
+      const { num, den } = this.rtpFor(picks);
+      min = Math.min(min, Number((num * 1000000n) / den) / 1000000);
+    }
+    return min;
+  }
+
+  get maxMultiplier() {
+    let max = 0n;
+    for (let picks = 1; picks <= MAX_PICKS; picks++) {
+      for (const m of this.tables[picks]) if (m > max) max = m;
+    }
+    return Number(max) / 100;
+  }
+
+  get actions() { return ['commit', 'reveal']; }
+
+  async handleAction(action, channel, params, ctx) {
+    switch (action) {
+      case 'commit': return this._commit(channel, params, ctx);
+      case 'reveal': return await this._reveal(channel, params, ctx);
+      default: throw new Error(`Unknown keno action: ${action}`);
+    }
+  }
+
+  // ─── Step 1: Casino Commits ─────────────────────────────
+
+  _commit(channel, params, ctx) {
+    const picks = this.parsePicks(params.numbers);
+    const betWei = toWei(params.betAmount);
+    const table = this.tables[picks.length];
+    const maxX100 = table.reduce((a, b) => (b > a ? b : a), 0n);
+    this.validateBetSlip(channel, betWei, (betWei * maxX100) / 100n);
+
+    const commitKey = `${channel.agent}:keno`;
+    if (ctx.pendingCommits.has(commitKey)) {
+      throw new Error('Already have a pending keno draw. Reveal or wait for timeout.');
+    }
+
+    const { seed, commitment } = ctx.commitReveal.commit();
+
+    ctx.pendingCommits.set(commitKey, {
+      seed,
+      betWei,
+      picks,
+      game: 'keno',
+      timestamp: Date.now(),
+    });
+
+    return {
+      commitment,
+      betAmount: toEth(betWei),
+      numbers: picks,
+      payouts: table.map(m => this.formatX100(m)),
+    };
+  }
+
+  // ─── Step 2: Reveal + Resolve ───────────────────────────
+
+  async _reveal(channel, params, ctx) {
+    const { agentSeed } = params;
+    const commitKey = `${channel.agent}:keno`;
+    const pending = ctx.pendingCommits.get(commitKey);
+
+    if (!pending) throw new Error('No pending keno draw');
+    if (Date.now() - pending.timestamp > COMMIT_TIMEOUT) {
+      ctx.pendingCommits.delete(commitKey);
+      throw new Error('Commitment expired');
+    }
+
+    const { seed: casinoSeed, betWei, picks } = pending;
+
+    // [FIX #2] Re-validate
+    if (channel.agentBalance < betWei) {
+      ctx.pendingCommits.delete(commitKey);
+      throw new Error(`Insufficient balance at reveal: have ${toEth(channel.agentBalance)}, need ${toEth(betWei)}`);
+    }
+
+    const { proof } = ctx.commitReveal.computeResult(casinoSeed, agentSeed, channel.nonce);
+    const drawn = this.draw(proof.resultHash);
+    const hits = picks.filter(n => drawn.includes(n));
+    const multiplierX100 = this.tables[picks.length][hits.length];
+    let payoutWei = (betWei * multiplierX100) / 100n;
+
+    // Cap to casino balance
+    if (payoutWei > channel.casinoBalance + betWei) {
+      payoutWei = channel.casinoBalance + betWei;
+    }
+
+    const multiplier = Number(multiplierX100) / 100;
+    const won = payoutWei > betWei;
+    const signature = await this.settle(channel, ctx, betWei, payoutWei, {
+      bet: toEth(betWei),
+      numbers: picks,
+      result: drawn,
+      hits: hits.length,
+      won,
+      multiplier: this.formatX100(multiplierX100),
+      payout: toEth(payoutWei),
+    }, multiplier);
+
+    ctx.pendingCommits.delete(commitKey);
+
+    return {
+      numbers: picks,
+      drawn,
+      hits,
+      multiplier: this.formatX100(multiplierX100),
+      won,
+      payout: toEth(payoutWei),
+      agentBalance: toEth(channel.agentBalance),
+      casinoBalance: toEth(channel.casinoBalance),
+      nonce: channel.nonce,
+      signature,
+      proof: { casinoSeed, agentSeed, resultHash: proof.resultHash, drawn },
+    };
+  }
+
+  // ─── Game Math ──────────────────────────────────────────
+
+  /**
+   * Normalise picks from A2A params: 1-10 distinct integers in 1-40.
+   * @returns {number[]} sorted ascending
+   */
+  parsePicks(raw) {
+    if (!Array.isArray(raw) || raw.length < 1 || raw.length > MAX_PICKS) {
+      throw new Error(`numbers must be an array of 1-${MAX_PICKS} picks`);
+    }
+    const picks = raw.map(Number);
+    for (const n of picks) {
+      if (!Number.isInteger(n) || n < 1 || n > NUMBERS) {
+        throw new Error(`Picks must be integers between 1 and ${NUMBERS}`);
+      }
+    }
+    if (new Set(picks).size !== picks.length) throw new Error('Picks must be distinct');
+    return picks.sort((a, b) => a - b);
+  }
+
+  /**
+   * The ten drawn numbers, in draw order: Fisher-Yates over 1-40 with each
+   * swap index from sha256(resultHash:i), first ten taken.
+   * @param {string} resultHash - hex, from CommitReveal.computeResult
+   * @returns {number[]}
+   */
+  draw(resultHash) {
+    const balls = Array.from({ length: NUMBERS }, (_, i) => i + 1);
+    for (let i = balls.length - 1; i > 0; i--) {
+      const h = createHash('sha256').update(`${resultHash}:${i}`).digest('hex');
+      const j = Number(BigInt('0x' + h) % BigInt(i + 1));
+      [balls[i], balls[j]] = [balls[j], balls[i]];
+    }
+    return balls.slice(0, DRAWN);
+  }
+
+  /**
+   * Exact RTP of one table as a reduced fraction.
+   * @returns {{ num: BigInt, den: BigInt }}
+   */
+  rtpFor(picks) {
+    const table = this.tables[picks];
+    let num = 0n;
+    for (let k = 0; k <= picks; k++) {
+      num += choose(picks, k) * choose(NUMBERS - picks, DRAWN - k) * table[k];
+    }
+    const den = 100n * choose(NUMBERS, DRAWN);
+    const g = gcd(num, den);
+    return { num: num / g, den: den / g };
+  }
+
+  parseX100(m) {
+    const str = String(m);
+    if (!/^\d+(\.\d{1,2})?$/.test(str)) throw new Error(`Invalid keno multiplier: ${str}`);
+    const [whole, frac = ''] = str.split('.');
+    return BigInt(whole) * 100n + BigInt(frac.padEnd(2, '0'));
+  }
+
+  formatX100(x100) {
+    return `${x100 / 100n}.${(x100 % 100n).toString().padStart(2, '0')}`;
+  }
+
+  // ─── Info ───────────────────────────────────────────────
+
+  getInfo() {
+    const tables = {};
+    for (let picks = 1; picks <= MAX_PICKS; picks++) {
+      const { num, den } = this.rtpFor(picks);
+      const pct = (num * 1000000n) / den; // percent with 4 decimals, ×10^4
+      tables[picks] = {
+        payouts: this.tables[picks].map(m => this.formatX100(m)),
+        rtp: `${pct / 10000n}.${(pct % 10000n).toString().padStart(4, '0')}%`,
+        rtpExact: `${num}/${den}`,
+      };
+    }
+    return {
+      ...super.getInfo(),
+      numbers: `1-${NUMBERS}`,
+      drawn: DRAWN,
+      picks: `1-${MAX_PICKS}`,
+      minBet: '0.0001 ETH',
+      tables,
+    };
+  }
+}
+
+function choose(n, k) {
+  if (k < 0 || k > n) return 0n;
+  let r = 1n;
+  for (let i = 0; i < k; i++) r = (r * BigInt(n - i)) / BigInt(i + 1);
+  return r;
+}
+
+function gcd(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+module.exports = KenoGame;
@@ -37,6 +37,11 @@ class LottoGame extends BaseGame {
   get maxMultiplier() { return Number(PAYOUT_MULTIPLIER); }
   get actions() { return ['buy', 'status', 'history', 'claim']; }
 
+  get range() { return RANGE; }
+  get ticketPriceWei() { return TICKET_PRICE; }
+  get payoutMultiplier() { return PAYOUT_MULTIPLIER; }
+  get drawIntervalMs() { return DRAW_INTERVAL; }
+
   async handleAction(action, channel, params, ctx) {
     switch (action) {
       case 'buy': return await this._buy(channel, params, ctx);
@@ -136,11 +141,7 @@ class LottoGame extends BaseGame {
     if (!draw) throw new Error(`Draw ${drawId} not found`);
     if (draw.drawn) throw new Error(`Draw ${drawId} already executed`);
 
-    const agentEntropy = draw.tickets.size.toString() + ':' + draw.totalPool.toString();
-    const { proof } = CommitReveal.computeResult(draw.casinoSeed, agentEntropy, drawId);
-
-    const hashBuf = Buffer.from(proof.resultHash, 'hex');
-    const winningNumber = (hashBuf.readUInt32BE(0) % RANGE) + 1;
+    const winningNumber = this.winningNumberFor(draw.casinoSeed, draw.tickets.size, draw.totalPool, drawId);
 
     draw.winningNumber = winningNumber;
     draw.drawn = true;
@@ -150,7 +151,7 @@ class LottoGame extends BaseGame {
     for (const [agent, tickets] of draw.tickets) {
       const matchCount = tickets.filter(t => t === winningNumber).length;
       if (matchCount > 0) {
-        const payoutWei = TICKET_PRICE * PAYOUT_MULTIPLIER * BigInt(matchCount);
+        const payoutWei = this.winningsFor(matchCount);
 
         // [FIX #4] Store winnings for claiming (survives channel close)
         const existing = this.unclaimedWinnings.get(agent) || 0n;
@@ -168,7 +169,7 @@ class LottoGame extends BaseGame {
 
     // Track payouts
     for (const w of winners) {
-      const payWei = TICKET_PRICE * PAYOUT_MULTIPLIER * BigInt(w.tickets);
+      const payWei = this.winningsFor(w.tickets);
       this._stats.totalPaidOut += payWei;
       this._stats.agentWins++;
       if (payWei > this._stats.biggestWin) {
@@ -187,12 +188,32 @@ class LottoGame extends BaseGame {
       winningNumber,
       casinoSeed: draw.casinoSeed,
       commitment: draw.commitment,
+      agentCount: draw.tickets.size,
       winners,
       totalPool: toEth(draw.totalPool),
       totalTickets: Array.from(draw.tickets.values()).flat().length,
     };
   }
 
+  // ─── Draw Math ──────────────────────────────────────────
+
+  /**
+   * Winning number for a draw. Entropy is the committed casino seed plus
+   * what was sold (agents holding tickets, pool in wei), so the result is
+   * fixed once sales close and checkable against the commitment.
+   */
+  winningNumberFor(casinoSeed, agentCount, totalPoolWei, drawId) {
+    const agentEntropy = agentCount.toString() + ':' + totalPoolWei.toString();
+    const { proof } = CommitReveal.computeResult(casinoSeed, agentEntropy, drawId);
+    const hashBuf = Buffer.from(proof.resultHash, 'hex');
+    return (hashBuf.readUInt32BE(0) % RANGE) + 1;
+  }
+
+  /** Payout in wei for `matchCount` winning tickets. */
+  winningsFor(matchCount) {
+    return TICKET_PRICE * PAYOUT_MULTIPLIER * BigInt(matchCount);
+  }
+
   // ─── [FIX #4] Claim Unclaimed Winnings ──────────────────
 
   async _claim(channel, ctx) {
@@ -288,6 +309,7 @@ class LottoGame extends BaseGame {
       winningNumber: draw.winningNumber,
       casinoSeed: draw.casinoSeed,
       commitment: draw.commitment,
+      agentCount: draw.tickets.size,
       totalPool: toEth(draw.totalPool),
       drawnAt: draw.drawnAt,
     };
@@ -0,0 +1,342 @@
+/**
+ * Mines Game Plugin (BigInt/Wei)
+ *
+ * Multi-step game: commit → start → pick ... → cashout.
+ *
+ * The agent picks a grid (3x3 to 8x8) and a mine count at start, then
+ * uncovers tiles one at a time. Each safe tile raises the multiplier; a
+ * mine loses the stake. The agent can cash out after any safe pick.
+ *
+ * Fairness:
+ *   The casino commits to a seed before the agent sends theirs. At start
+ *   the mines are placed from computeResult(casinoSeed, agentSeed, nonce)
+ *   (Fisher-Yates over the tiles, swap index i from sha256(resultHash:i),
+ *   first `mines` tiles are mines) and the casino publishes
+ *   layoutHash = sha256("<sorted mine tiles>:<casinoSeed>"). The layout
+ *   cannot change between picks; when the game ends the seeds and layout
+ *   are revealed so the agent can check both hashes.
+ *
+ * Money:
+ *   The stake is escrowed to the casino side as a signed state at start
+ *   (BaseGame.escrow), so the bet stays locked in the channel for as many
+ *   round trips as the game takes. Cash-out or a mine settles it as one
+ *   round. Closing the channel mid-game cashes out what has been uncovered
+ *   (or refunds the stake if nothing has).
+ *
+ * Multiplier after k safe picks on n tiles with m mines:
+ *   (1 - edge) × C(n, k) / C(n - m, k) = (1 - edge) × Π (n - i) / (n - m - i)
+ *   P(k safe picks) = C(n - m, k) / C(n, k), so every cash-out point
+ *   returns exactly 1 - edge. Payouts are capped at maxMultiplier and the
+ *   game cashes out automatically when the cap or the last safe tile is hit.
+ */
+
+const { createHash } = require('crypto');
+const BaseGame = require('./base-game');
+const { toWei, toEth } = require('../wei');
+
+const COMMIT_TIMEOUT = 5 * 60 * 1000;
+const MIN_GRID = 3;
+const MAX_GRID = 8;
+
+class MinesGame extends BaseGame {
+  constructor({ houseEdgeBps = 100, maxMultiplier = 1000 } = {}) {
+    super();
+    if (!Number.isInteger(houseEdgeBps) || houseEdgeBps < 0 || houseEdgeBps >= 10000) {
+      throw new Error('houseEdgeBps must be an integer between 0 and 9999');
+    }
+    if (!Number.isInteger(maxMultiplier) || maxMultiplier < 2) {
+      throw new Error('maxMultiplier must be an integer of at least 2');
+    }
+    this.houseEdgeBps = houseEdgeBps;
+    this.cap = maxMultiplier;
+  }
+
+  get name() { return 'mines'; }
+  get displayName() { return 'Agent Mines'; }
+  get description() { return 'Uncover safe tiles, avoid the mines, cash out whenever you like.'; }
+  get rtp() { return 1 - this.houseEdgeBps / 10000; }
+  get maxMultiplier() { return this.cap; }
+  get actions() { return ['commit', 'start', 'pick', 'cashout']; }
+
+  async handleAction(action, channel, params, ctx) {
+    switch (action) {
+      case 'commit': return this._commit(channel, params, ctx);
+      case 'start': return await this._start(channel, params, ctx);
+      case 'pick': return await this._pick(channel, params, ctx);
+      case 'cashout': return await this._cashout(channel, ctx);
+      default: throw new Error(`Unknown mines action: ${action}`);
+    }
+  }
+
+  // ─── Step 1: Casino Commits ─────────────────────────────
+
+  _commit(channel, params, ctx) {
+    const commitKey = `${channel.agent}:mines`;
+    const pending = ctx.pendingCommits.get(commitKey);
+    if (pending) {
+      if (pending.layout) throw new Error('Finish the current mines game first');
+      if (Date.now() - pending.timestamp <= COMMIT_TIMEOUT) {
+        throw new Error('Already have a pending mines game. Start or wait for timeout.');
+      }
+    }
+
+    const { seed, commitment } = ctx.commitReveal.commit();
+
+    ctx.pendingCommits.set(commitKey, {
+      seed,
+      commitment,
+      game: 'mines',
+      timestamp: Date.now(),
+    });
+
+    return { commitment };
+  }
+
+  // ─── Step 2: Start (place mines, escrow stake) ──────────
+
+  async _start(channel, params, ctx) {
+    const { agentSeed } = params;
+    if (!agentSeed) throw new Error('Missing agentSeed');
+
+    const commitKey = `${channel.agent}:mines`;
+    const pending = ctx.pendingCommits.get(commitKey);
+    if (!pending) throw new Error('No pending mines game. Call mines_commit first.');
+    if (pending.layout) throw new Error('Mines game already started');
+    if (Date.now() - pending.timestamp > COMMIT_TIMEOUT) {
+      ctx.pendingCommits.delete(commitKey);
+      throw new Error('Commitment expired');
+    }
+
+    const gridSize = Number(params.gridSize ?? 5);
+    if (!Number.isInteger(gridSize) || gridSize < MIN_GRID || gridSize > MAX_GRID) {
+      throw new Error(`gridSize must be an integer between ${MIN_GRID} and ${MAX_GRID}`);
+    }
+    const tiles = gridSize * gridSize;
+    const mines = Number(params.mines);
+    if (!Number.isInteger(mines) || mines < 1 || mines >= tiles) {
+      throw new Error(`mines must be an integer between 1 and ${tiles - 1}`);
+    }
+
+    const betWei = toWei(params.betAmount);
+    this.validateBetSlip(channel, betWei, this.payoutFor(betWei, tiles, mines, tiles - mines));
+
+    const { proof } = ctx.commitReveal.computeResult(pending.seed, agentSeed, channel.nonce);
+    const layout = this.layout(proof.resultHash, tiles, mines);
+
+    const game = {
+      ...pending,
+      agentSeed,
+      nonce: channel.nonce,
+      resultHash: proof.resultHash,
+      gridSize,
+      tiles,
+      mines,
+      layout,
+      layoutHash: this.layoutHash(layout, pending.seed),
+      betWei,
+      revealed: [],
+      timestamp: Date.now(),
+    };
+
+    const signature = await this.escrow(channel, ctx, betWei);
+    ctx.pendingCommits.set(commitKey, game);
+
+    return { ...this._view(game), ...this._balances(channel), signature };
+  }
+
+  // ─── Step 3: Picks ──────────────────────────────────────
+
+  async _pick(channel, params, ctx) {
+    const commitKey = `${channel.agent}:mines`;
+    const stored = ctx.pendingCommits.get(commitKey);
+    if (!stored || !stored.layout) throw new Error('No mines game in progress');
+
+    const tile = Number(params.tile);
+    if (!Number.isInteger(tile) || tile < 0 || tile >= stored.tiles) {
+      throw new Error(`tile must be an integer between 0 and ${stored.tiles - 1}`);
+    }
+    if (stored.revealed.includes(tile)) throw new Error(`Tile ${tile} is already uncovered`);
+
+    const game = structuredClone(stored);
+    game.revealed.push(tile);
+
+    if (game.layout.includes(tile)) return await this._resolve(channel, game, ctx, tile);
+
+    const safeLeft = game.tiles - game.mines - game.revealed.length;
+    const atCap = this.payoutFor(game.betWei, game.tiles, game.mines, game.revealed.length)
+      >= game.betWei * BigInt(this.cap);
+    if (safeLeft === 0 || atCap) return await this._resolve(channel, game, ctx);
+
+    ctx.pendingCommits.set(commitKey, game);
+    return { ...this._view(game), ...this._balances(channel) };
+  }
+
+  // ─── Step 4: Cash Out ───────────────────────────────────
+
+  async _cashout(channel, ctx) {
+    const game = ctx.pendingCommits.get(`${channel.agent}:mines`);
+    if (!game || !game.layout) throw new Error('No mines game in progress');
+    if (game.revealed.length === 0) throw new Error('Uncover at least one tile before cashing out');
+    return await this._resolve(channel, structuredClone(game), ctx);
+  }
+
+  /**
+   * Called by the engine before a channel closes: cash out an open game
+   * so the escrowed stake is settled in the closing state.
+   */
+  async resolveOpenRounds(channel, ctx) {
+    const commitKey = `${channel.agent}:mines`;
+    const game = ctx.pendingCommits.get(commitKey);
+    if (!game) return null;
+    if (!game.layout) {
+      ctx.pendingCommits.delete(commitKey);
+      return null;
+    }
+    return await this._resolve(channel, game, ctx);
+  }
+
+  // ─── Resolution ─────────────────────────────────────────
+
+  /**
+   * Settle a game: a mine (hitTile set) pays nothing, otherwise the
+   * multiplier for the safe tiles uncovered. Nothing uncovered refunds
+   * the stake (only reachable from resolveOpenRounds).
+   */
+  async _resolve(channel, game, ctx, hitTile = null) {
+    const safe = hitTile === null ? game.revealed.length : game.revealed.length - 1;
+    let payoutWei = 0n;
+    if (hitTile === null) {
+      payoutWei = safe === 0 ? game.betWei : this.payoutFor(game.betWei, game.tiles, game.mines, safe);
+    }
+    // The stake is already on the casino side, so it can always cover it.
+    if (payoutWei > channel.casinoBalance) payoutWei = channel.casinoBalance;
+
+    const multiplier = Number((payoutWei * 10000n) / game.betWei) / 10000;
+    const won = payoutWei > game.betWei;
+    const status = hitTile === null ? 'cashed_out' : 'mine';
+
+    const signature = await this.settleEscrowed(channel, ctx, game.betWei, payoutWei, {
+      bet: toEth(game.betWei),
+      gridSize: game.gridSize,
+      mines: game.mines,
+      picks: game.revealed,
+      result: status,
+      won,
+      multiplier: multiplier.toFixed(4),
+      payout: toEth(payoutWei),
+    }, multiplier);
+
+    ctx.pendingCommits.delete(`${channel.agent}:mines`);
+
+    return {
+      status,
+      gridSize: game.gridSize,
+      mines: game.mines,
+      revealed: game.revealed,
+      ...(hitTile !== null ? { mineHit: hitTile } : {}),
+      layout: game.layout,
+      bet: toEth(game.betWei),
+      won,
+      multiplier: multiplier.toFixed(4),
+      payout: toEth(payoutWei),
+      ...this._balances(channel),
+      signature,
+      proof: {
+        casinoSeed: game.seed,
+        agentSeed: game.agentSeed,
+        nonce: game.nonce,
+        resultHash: game.resultHash,
+        layoutHash: game.layoutHash,
+      },
+    };
+  }
+
+  // ─── Game Math ──────────────────────────────────────────
+
+  /**
+   * Mine tiles for a game: Fisher-Yates over 0..tiles-1, each swap index
+   * from sha256(resultHash:i), first `mines` tiles taken.
+   * @param {string} resultHash - hex, from CommitReveal.computeResult
+   * @returns {number[]} sorted ascending
+   */
+  layout(resultHash, tiles, mines) {
+    const order = Array.from({ length: tiles }, (_, i) => i);
+    for (let i = order.length - 1; i > 0; i--) {
+      const h = createHash('sha256').update(`${resultHash}:${i}`).digest('hex');
+      const j = Number(BigInt('0x' + h) % BigInt(i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    return order.slice(0, mines).sort((a, b) => a - b);
+  }
+
+  /** sha256 of the sorted mine tiles and the casino seed, published at start. */
+  layoutHash(layout, casinoSeed) {
+    return createHash('sha256').update(`${layout.join(',')}:${casinoSeed}`).digest('hex');
+  }
+
+  /**
+   * Gross payout in wei after `safe` safe picks, capped at maxMultiplier.
+   * bet × (1 - edge) × Π_{i<safe} (tiles - i) / (tiles - mines - i)
+   */
+  payoutFor(betWei, tiles, mines, safe) {
+    let num = betWei * BigInt(10000 - this.houseEdgeBps);
+    let den = 10000n;
+    for (let i = 0; i < safe; i++) {
+      num *= BigInt(tiles - i);
+      den *= BigInt(tiles - mines - i);
+    }
+    const payoutWei = num / den;
+    const capWei = betWei * BigInt(this.cap);
+    return payoutWei > capWei ? capWei : payoutWei;
+  }
+
+  // ─── Views ──────────────────────────────────────────────
+
+  /** Game state the agent may see: never the layout while in progress. */
+  _view(game) {
+    const safe = game.revealed.length;
+    const unit = toWei('1');
+    const current = safe === 0 ? null : this.payoutFor(unit, game.tiles, game.mines, safe);
+    const next = this.payoutFor(unit, game.tiles, game.mines, safe + 1);
+    return {
+      status: 'playing',
+      gridSize: game.gridSize,
+      mines: game.mines,
+      revealed: game.revealed,
+      bet: toEth(game.betWei),
+      multiplier: current === null ? null : toEth(current),
+      nextMultiplier: toEth(next),
+      cashout: current === null ? null : toEth(this.payoutFor(game.betWei, game.tiles, game.mines, safe)),
+      commitment: game.commitment,
+      layoutHash: game.layoutHash,
+    };
+  }
+
+  _balances(channel) {
+    return {
+      agentBalance: toEth(channel.agentBalance),
+      casinoBalance: toEth(channel.casinoBalance),
+      nonce: channel.nonce,
+    };
+  }
+
+  // ─── Info ───────────────────────────────────────────────
+
+  getInfo() {
+    const unit = toWei('1');
+    return {
+      ...super.getInfo(),
+      houseEdgeBps: this.houseEdgeBps,
+      gridSizes: `${MIN_GRID}x${MIN_GRID}-${MAX_GRID}x${MAX_GRID}`,
+      tiles: 'numbered 0 to gridSize² - 1, row by row',
+      minBet: '0.0001 ETH',
+      examples: [[5, 1], [5, 3], [5, 10], [5, 24]].map(([grid, mines]) => ({
+        grid: `${grid}x${grid}`,
+        mines,
+        firstPick: `${toEth(this.payoutFor(unit, grid * grid, mines, 1))}x`,
+      })),
+    };
+  }
+}
+
+module.exports = MinesGame;
@@ -0,0 +1,266 @@
+/**
+ * Plinko Game Plugin (BigInt/Wei)
+ *
+ * Agent picks rows (8-16) and risk (low/medium/high). The ball falls
+ * through `rows` pegs; bounce i is bit i of the commit-reveal result hash
+ * (most significant bit first, 1 = right). The slot is the number of right
+ * bounces, so the proof replays every bounce.
+ *
+ * Payout tables (multipliers, stake included) live in config/game-math.json
+ * under plinko.payouts[risk][rows]. They are parsed to ×100 BigInts; no
+ * float touches a payout.
+ *
+ * RTP per table is exact: Σ C(rows, k) × m_k / 2^rows, published as a
+ * fraction and a percentage in getInfo().
+ *
+ * Fixes applied:
+ *   [FIX #1] BigInt precision
+ *   [FIX #2] Re-validate at reveal
+ *   [FIX #6] Pending commits keyed by agent:game
+ */
+
+const BaseGame = require('./base-game');
+const { toWei, toEth } = require('../wei');
+const gameMath = require('../../config/game-math.json');
+
+const COMMIT_TIMEOUT = 5 * 60 * 1000;
+const MIN_ROWS = 8;
+const MAX_ROWS = 16;
+const RISKS = ['low', 'medium', 'high'];
+
+class PlinkoGame extends BaseGame {
+  /**
+   * @param {object} payouts - { [risk]: { [rows]: string[] } }, defaults to config/game-math.json
+   */
+  constructor(payouts = gameMath.plinko.payouts) {
+    super();
+    this.tables = {};
+    for (const risk of RISKS) {
+      this.tables[risk] = {};
+      for (let rows = MIN_ROWS; rows <= MAX_ROWS; rows++) {
+        const table = payouts[risk] && payouts[risk][rows];
+        if (!Array.isArray(table) || table.length !== rows + 1) {
+          throw new Error(`Plinko table ${risk}/${rows} must have ${rows + 1} slots`);
+        }
+        this.tables[risk][rows] = table.map(m => this.parseX100(m));
+      }
+    }
+  }
+
+  get name() { return 'plinko'; }
+  get displayName() { return 'Agent Plinko'; }
+  get description() { return `Drop a ball through ${MIN_ROWS}-${MAX_ROWS} rows. Pick low, medium or high risk.`; }
+
+  /** Lowest table RTP; every table's exact RTP is in getInfo(). */
+  get rtp() {
+    let min = Infinity;
+    for (const risk of RISKS) {
+      for (let rows = MIN_ROWS; rows <= MAX_ROWS; rows++) {
+        const { num, den } = this.rtpFor(risk, rows);
+        min = Math.min(min, Number((num * 1000000n) / den) / 1000000);
+      }
+    }
+    return min;
+  }
+
+  get maxMultiplier() {
+    let max = 0n;
+    for (const risk of RISKS) {
+      for (let rows = MIN_ROWS; rows <= MAX_ROWS; rows++) {
+        for (const m of this.tables[risk][rows]) if (m > max) max = m;
+      }
+    }
+    return Number(max) / 100;
+  }
+
+  get actions() { return ['commit', 'reveal']; }
+
+  async handleAction(action, channel, params, ctx) {
+    switch (action) {
+      case 'commit': return this._commit(channel, params, ctx);
+      case 'reveal': return await this._reveal(channel, params, ctx);
+      default: throw new Error(`Unknown plinko action: ${action}`);
+    }
+  }
+
+  // ─── Step 1: Casino Commits ─────────────────────────────
+
+  _commit(channel, params, ctx) {
+    const rows = Number(params.rows);
+    const risk = String(params.risk || '').toLowerCase();
+    if (!Number.isInteger(rows) || rows < MIN_ROWS || rows > MAX_ROWS) {
+      throw new Error(`Rows must be an integer between ${MIN_ROWS} and ${MAX_ROWS}`);
+    }
+    if (!RISKS.includes(risk)) {
+      throw new Error(`Risk must be one of: ${RISKS.join(', ')}`);
+    }
+
+    const betWei = toWei(params.betAmount);
+    const table = this.tables[risk][rows];
+    const maxX100 = table.reduce((a, b) => (b > a ? b : a), 0n);
+    this.validateBetSlip(channel, betWei, (betWei * maxX100) / 100n);
+
+    const commitKey = `${channel.agent}:plinko`;
+    if (ctx.pendingCommits.has(commitKey)) {
+      throw new Error('Already have a pending plinko drop. Reveal or wait for timeout.');
+    }
+
+    const { seed, commitment } = ctx.commitReveal.commit();
+
+    ctx.pendingCommits.set(commitKey, {
+      seed,
+      betWei,
+      rows,
+      risk,
+      game: 'plinko',
+      timestamp: Date.now(),
+    });
+
+    return {
+      commitment,
+      betAmount: toEth(betWei),
+      rows,
+      risk,
+      payouts: table.map(m => this.formatX100(m)),
+    };
+  }
+
+  // ─── Step 2: Reveal + Resolve ───────────────────────────
+
+  async _reveal(channel, params, ctx) {
+    const { agentSeed } = params;
+    const commitKey = `${channel.agent}:plinko`;
+    const pending = ctx.pendingCommits.get(commitKey);
+
+    if (!pending) throw new Error('No pending plinko drop');
+    if (Date.now() - pending.timestamp > COMMIT_TIMEOUT) {
+      ctx.pendingCommits.delete(commitKey);
+      throw new Error('Commitment expired');
+    }
+
+    const { seed: casinoSeed, betWei, rows, risk } = pending;
+
+    // [FIX #2] Re-validate
+    if (channel.agentBalance < betWei) {
+      ctx.pendingCommits.delete(commitKey);
+      throw new Error(`Insufficient balance at reveal: have ${toEth(channel.agentBalance)}, need ${toEth(betWei)}`);
+    }
+
+    const { proof } = ctx.commitReveal.computeResult(casinoSeed, agentSeed, channel.nonce);
+    const path = this.pathFor(proof.resultHash, rows);
+    const slot = path.filter(b => b === 'R').length;
+    const multiplierX100 = this.tables[risk][rows][slot];
+    let payoutWei = (betWei * multiplierX100) / 100n;
+
+    // Cap to casino balance
+    if (payoutWei > channel.casinoBalance + betWei) {
+      payoutWei = channel.casinoBalance + betWei;
+    }
+
+    const multiplier = Number(multiplierX100) / 100;
+    const won = payoutWei > betWei;
+    const signature = await this.settle(channel, ctx, betWei, payoutWei, {
+      bet: toEth(betWei),
+      rows,
+      risk,
+      path: path.join(''),
+      result: slot,
+      won,
+      multiplier: this.formatX100(multiplierX100),
+      payout: toEth(payoutWei),
+    }, multiplier);
+
+    ctx.pendingCommits.delete(commitKey);
+
+    return {
+      rows,
+      risk,
+      path: path.join(''),
+      slot,
+      multiplier: this.formatX100(multiplierX100),
+      won,
+      payout: toEth(payoutWei),
+      agentBalance: toEth(channel.agentBalance),
+      casinoBalance: toEth(channel.casinoBalance),
+      nonce: channel.nonce,
+      signature,
+      proof: { casinoSeed, agentSeed, resultHash: proof.resultHash },
+    };
+  }
+
+  // ─── Game Math ──────────────────────────────────────────
+
+  /**
+   * Bounces from the result hash: bit i (MSB first) is row i.
+   * @returns {string[]} 'L' / 'R' per row
+   */
+  pathFor(resultHash, rows) {
+    const bits = BigInt('0x' + resultHash);
+    const width = BigInt(resultHash.length * 4);
+    const path = [];
+    for (let i = 0; i < rows; i++) {
+      path.push((bits >> (width - 1n - BigInt(i))) & 1n ? 'R' : 'L');
+    }
+    return path;
+  }
+
+  /**
+   * Exact RTP of one table as a reduced fraction.
+   * @returns {{ num: BigInt, den: BigInt }}
+   */
+  rtpFor(risk, rows) {
+    const table = this.tables[risk][rows];
+    let num = 0n;
+    let ways = 1n; // C(rows, k)
+    for (let k = 0; k <= rows; k++) {
+      num += ways * table[k];
+      ways = (ways * BigInt(rows - k)) / BigInt(k + 1);
+    }
+    const den = 100n * (1n << BigInt(rows));
+    const g = gcd(num, den);
+    return { num: num / g, den: den / g };
+  }
+
+  parseX100(m) {
+    const str = String(m);
+    if (!/^\d+(\.\d{1,2})?$/.test(str)) throw new Error(`Invalid plinko multiplier: ${str}`);
+    const [whole, frac = ''] = str.split('.');
+    return BigInt(whole) * 100n + BigInt(frac.padEnd(2, '0'));
+  }
+
+  formatX100(x100) {
+    return `${x100 / 100n}.${(x100 % 100n).toString().padStart(2, '0')}`;
+  }
+
+  // ─── Info ───────────────────────────────────────────────
+
+  getInfo() {
+    const tables = {};
+    for (const risk of RISKS) {
+      tables[risk] = {};
+      for (let rows = MIN_ROWS; rows <= MAX_ROWS; rows++) {
+        const { num, den } = this.rtpFor(risk, rows);
+        const pct = (num * 1000000n) / den; // percent with 4 decimals, ×10^4
+        tables[risk][rows] = {
+          payouts: this.tables[risk][rows].map(m => this.formatX100(m)),
+          rtp: `${pct / 10000n}.${(pct % 10000n).toString().padStart(4, '0')}%`,
+          rtpExact: `${num}/${den}`,
+        };
+      }
+    }
+    return {
+      ...super.getInfo(),
+      rows: `${MIN_ROWS}-${MAX_ROWS}`,
+      risks: RISKS,
+      minBet: '0.0001 ETH',
+      tables,
+    };
+  }
+}
+
+function gcd(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+module.exports = PlinkoGame;
@@ -0,0 +1,276 @@
+/**
+ * European Roulette Game Plugin (BigInt/Wei)
+ *
+ * Single-zero wheel (0-36). Any number of bets on one spin: the whole
+ * slip is placed in roulette_commit and settled together at reveal.
+ *
+ * Bets (gross payout = 36 / numbers covered, stake included):
+ *   straight  [n]                    36x
+ *   split     [a, b] adjacent        18x   (incl. 0-1, 0-2, 0-3)
+ *   street    [n, n+1, n+2]          12x   (incl. 0-1-2, 0-2-3)
+ *   corner    [n, n+1, n+3, n+4]      9x   (incl. 0-1-2-3)
+ *   line      [n .. n+5]              6x
+ *   dozen     value 1-3               3x
+ *   column    value 1-3               3x
+ *   red/black/odd/even/high/low       2x
+ *
+ * Zero loses every outside bet (no la partage).
+ * RTP = 36/37 ≈ 97.3% for every bet type, House Edge ≈ 2.7%
+ *
+ * Bankroll check uses the worst-case spin for the whole slip
+ * (BaseGame.validateBetSlip), so ten straights on one number count
+ * as 360x while red + black counts as 2x.
+ */
+
+const BaseGame = require('./base-game');
+const { toWei, toEth } = require('../wei');
+
+const COMMIT_TIMEOUT = 5 * 60 * 1000;
+const MAX_BETS = 20;
+const POCKETS = 37;
+
+const RED = new Set([1, 3, 5, 7, 9, 12, 14, 16, 18, 19, 21, 23, 25, 27, 30, 32, 34, 36]);
+
+// Every legal inside bet, keyed by its sorted numbers ("1,2,4,5").
+const INSIDE = (() => {
+  const range = (from, n) => Array.from({ length: n }, (_, i) => from + i);
+  const sets = { straight: [], split: [], street: [], corner: [], line: [] };
+
+  for (let n = 0; n <= 36; n++) sets.straight.push([n]);
+  for (let n = 1; n <= 36; n++) {
+    if (n % 3 !== 0) sets.split.push([n, n + 1]);
+    if (n <= 33) sets.split.push([n, n + 3]);
+    if (n % 3 !== 0 && n <= 32) sets.corner.push([n, n + 1, n + 3, n + 4]);
+  }
+  for (let n = 1; n <= 34; n += 3) sets.street.push(range(n, 3));
+  for (let n = 1; n <= 31; n += 3) sets.line.push(range(n, 6));
+  sets.split.push([0, 1], [0, 2], [0, 3]);
+  sets.street.push([0, 1, 2], [0, 2, 3]);
+  sets.corner.push([0, 1, 2, 3]);
+
+  const out = {};
+  for (const [type, list] of Object.entries(sets)) out[type] = new Set(list.map(ns => ns.join(',')));
+  return out;
+})();
+
+const OUTSIDE = {
+  red: n => RED.has(n),
+  black: n => n !== 0 && !RED.has(n),
+  odd: n => n !== 0 && n % 2 === 1,
+  even: n => n !== 0 && n % 2 === 0,
+  low: n => n >= 1 && n <= 18,
+  high: n => n >= 19,
+};
+
+class RouletteGame extends BaseGame {
+  get name() { return 'roulette'; }
+  get displayName() { return 'Agent Roulette'; }
+  get description() { return 'European single-zero roulette. Combine any bets on one spin.'; }
+  get rtp() { return 36 / 37; }
+  get maxMultiplier() { return 36; }
+  get actions() { return ['commit', 'reveal']; }
+
+  async handleAction(action, channel, params, ctx) {
+    switch (action) {
+      case 'commit': return this._commit(channel, params, ctx);
+      case 'reveal': return await this._reveal(channel, params, ctx);
+      default: throw new Error(`Unknown roulette action: ${action}`);
+    }
+  }
+
+  // ─── Step 1: Casino Commits ─────────────────────────────
+
+  _commit(channel, params, ctx) {
+    const bets = this.parseBets(params.bets);
+    const totalWei = bets.reduce((s, b) => s + b.amountWei, 0n);
+    const maxPayoutWei = this.maxPayoutFor(bets);
+
+    this.validateBetSlip(channel, totalWei, maxPayoutWei);
+
+    const commitKey = `${channel.agent}:roulette`;
+    if (ctx.pendingCommits.has(commitKey)) {
+      throw new Error('Already have a pending roulette spin. Reveal or wait for timeout.');
+    }
+
+    const { seed, commitment } = ctx.commitReveal.commit();
+
+    ctx.pendingCommits.set(commitKey, {
+      seed,
+      bets,
+      betWei: totalWei,
+      game: 'roulette',
+      timestamp: Date.now(),
+    });
+
+    return {
+      commitment,
+      bets: bets.map(b => this._betView(b)),
+      totalBet: toEth(totalWei),
+      maxPayout: toEth(maxPayoutWei),
+    };
+  }
+
+  // ─── Step 2: Reveal + Resolve ───────────────────────────
+
+  async _reveal(channel, params, ctx) {
+    const { agentSeed } = params;
+    const commitKey = `${channel.agent}:roulette`;
+    const pending = ctx.pendingCommits.get(commitKey);
+
+    if (!pending) throw new Error('No pending roulette spin');
+    if (Date.now() - pending.timestamp > COMMIT_TIMEOUT) {
+      ctx.pendingCommits.delete(commitKey);
+      throw new Error('Commitment expired');
+    }
+
+    const { seed: casinoSeed, bets, betWei } = pending;
+
+    // [FIX #2] Re-validate
+    if (channel.agentBalance < betWei) {
+      ctx.pendingCommits.delete(commitKey);
+      throw new Error(`Insufficient balance at reveal: have ${toEth(channel.agentBalance)}, need ${toEth(betWei)}`);
+    }
+
+    const { proof } = ctx.commitReveal.computeResult(casinoSeed, agentSeed, channel.nonce);
+    const number = this.spin(proof.resultHash);
+
+    const settled = bets.map(b => ({ ...this._betView(b), payout: toEth(this.payoutFor(b, number)) }));
+    let payoutWei = bets.reduce((s, b) => s + this.payoutFor(b, number), 0n);
+
+    // Cap to casino balance
+    if (payoutWei > channel.casinoBalance + betWei) {
+      payoutWei = channel.casinoBalance + betWei;
+    }
+
+    const won = payoutWei > betWei;
+    const multiplier = Number((payoutWei * 10000n) / betWei) / 10000;
+    const color = this.colorOf(number);
+
+    const signature = await this.settle(channel, ctx, betWei, payoutWei, {
+      bet: toEth(betWei),
+      bets: settled,
+      result: number,
+      color,
+      won,
+      multiplier: multiplier.toFixed(4),
+      payout: toEth(payoutWei),
+    }, multiplier);
+
+    ctx.pendingCommits.delete(commitKey);
+
+    return {
+      number,
+      color,
+      bets: settled,
+      totalBet: toEth(betWei),
+      won,
+      payout: toEth(payoutWei),
+      agentBalance: toEth(channel.agentBalance),
+      casinoBalance: toEth(channel.casinoBalance),
+      nonce: channel.nonce,
+      signature,
+      proof: { casinoSeed, agentSeed, resultHash: proof.resultHash },
+    };
+  }
+
+  // ─── Bet Slip ───────────────────────────────────────────
+
+  /**
+   * Normalise a bet slip from A2A params.
+   * Inside bets: { type, numbers: [...], amount }.
+   * Dozen/column: { type, value: 1-3, amount }. Even-money: { type, amount }.
+   * @returns {{ type: string, numbers: number[], amountWei: BigInt }[]}
+   */
+  parseBets(raw) {
+    if (!Array.isArray(raw) || raw.length === 0) throw new Error('bets must be a non-empty array');
+    if (raw.length > MAX_BETS) throw new Error(`At most ${MAX_BETS} bets per spin`);
+    return raw.map(b => {
+      const type = String(b && b.type || '').toLowerCase();
+      const amountWei = toWei(b.amount);
+      if (amountWei <= 0n) throw new Error('Bet must be positive');
+      return { type, numbers: this._covered(type, b), amountWei };
+    });
+  }
+
+  _covered(type, bet) {
+    if (INSIDE[type]) {
+      const numbers = Array.isArray(bet.numbers) ? bet.numbers.map(Number).sort((a, b) => a - b) : [];
+      if (!INSIDE[type].has(numbers.join(','))) {
+        throw new Error(`Invalid ${type} bet: ${JSON.stringify(bet.numbers)}`);
+      }
+      return numbers;
+    }
+
+    const all = Array.from({ length: 36 }, (_, i) => i + 1);
+    if (type === 'dozen' || type === 'column') {
+      const value = Number(bet.value);
+      if (![1, 2, 3].includes(value)) throw new Error(`${type} value must be 1, 2 or 3`);
+      return type === 'dozen'
+        ? all.filter(n => Math.ceil(n / 12) === value)
+        : all.filter(n => ((n - 1) % 3) + 1 === value);
+    }
+    if (OUTSIDE[type]) return all.filter(OUTSIDE[type]);
+
+    throw new Error(`Unknown bet type: ${type || '(missing)'}`);
+  }
+
+  /** Largest total payout any single pocket produces for this slip. */
+  maxPayoutFor(bets) {
+    let max = 0n;
+    for (let n = 0; n < POCKETS; n++) {
+      const total = bets.reduce((s, b) => s + this.payoutFor(b, n), 0n);
+      if (total > max) max = total;
+    }
+    return max;
+  }
+
+  _betView(b) {
+    return {
+      type: b.type,
+      numbers: b.numbers,
+      amount: toEth(b.amountWei),
+      multiplier: 36 / b.numbers.length,
+    };
+  }
+
+  // ─── Game Math ──────────────────────────────────────────
+
+  /** Derive a 0-36 pocket from a 32-byte result hash (hex). */
+  spin(resultHash) {
+    const hashBuf = Buffer.from(resultHash, 'hex');
+    return hashBuf.readUInt32BE(0) % POCKETS;
+  }
+
+  /** Gross payout in wei for one bet (0 on a loss). */
+  payoutFor(bet, number) {
+    if (!bet.numbers.includes(number)) return 0n;
+    return bet.amountWei * BigInt(36 / bet.numbers.length);
+  }
+
+  colorOf(number) {
+    if (number === 0) return 'green';
+    return RED.has(number) ? 'red' : 'black';
+  }
+
+  // ─── Info ───────────────────────────────────────────────
+
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      wheel: 'european (0-36)',
+      maxBetsPerSpin: MAX_BETS,
+      minBet: '0.0001 ETH',
+      bets: {
+        straight: '36x', split: '18x', street: '12x', corner: '9x', line: '6x',
+        dozen: '3x', column: '3x', red: '2x', black: '2x', odd: '2x', even: '2x', low: '2x', high: '2x',
+      },
+      example: [
+        { type: 'straight', numbers: [17], amount: '0.001' },
+        { type: 'corner', numbers: [1, 2, 4, 5], amount: '0.001' },
+        { type: 'red', amount: '0.002' },
+      ],
+    };
+  }
+}
+
+module.exports = RouletteGame;
@@ -25,12 +25,15 @@ class SlotsGame extends BaseGame {
   get description() { return '3-reel slot machine. Match three symbols to win.'; }
   get rtp() { return 0.95; }
   get maxMultiplier() { return 290; }
-  get actions() { return ['commit', 'reveal']; }
+  get actions() { return ['commit', 'reveal', 'play', 'batch_commit', 'batch_play']; }
 
   async handleAction(action, channel, params, ctx) {
     switch (action) {
       case 'commit': return this._commit(channel, params, ctx);
       case 'reveal': return await this._reveal(channel, params, ctx);
+      case 'play': return await this.chainPlay(channel, params, ctx);
+      case 'batch_commit': return this.batchCommit(channel, params, ctx);
+      case 'batch_play': return await this.batchPlay(channel, params, ctx);
       default: throw new Error(`Unknown slots action: ${action}`);
     }
   }
@@ -87,56 +90,30 @@ class SlotsGame extends BaseGame {
 
     // Compute provably fair result
     const { proof } = ctx.commitReveal.computeResult(casinoSeed, agentSeed, channel.nonce);
-
-    // Generate 3 independent reels
-    const hashBuf = Buffer.from(proof.resultHash, 'hex');
-    const reels = [
-      this._getSymbol(hashBuf.readUInt32BE(0) % 100),
-      this._getSymbol(hashBuf.readUInt32BE(4) % 100),
-      this._getSymbol(hashBuf.readUInt32BE(8) % 100),
-    ];
+    const reels = this.spin(proof.resultHash);
 
     // Calculate payout (BigInt math - zero precision loss)
-    let multiplier = 0n;
-    let payoutWei = 0n;
-    if (reels[0] === reels[1] && reels[1] === reels[2]) {
-      multiplier = PAYOUTS[reels[0]];
-      payoutWei = betWei * multiplier;
-    }
+    const multiplier = this.multiplierFor(reels);
+    let payoutWei = betWei * multiplier;
 
     // Cap to casino balance
     if (payoutWei > channel.casinoBalance) {
       payoutWei = channel.casinoBalance;
     }
 
-    // Update balances (BigInt - exact, no drift)
-    channel.agentBalance = channel.agentBalance - betWei + payoutWei;
-    channel.casinoBalance = channel.casinoBalance + betWei - payoutWei;
-    channel.nonce++;
-
-    // Record
-    channel.games.push({
-      nonce: channel.nonce,
-      game: 'slots',
+    // Update balances, record, track stats, sign (BigInt - exact, no drift)
+    const signature = await this.settle(channel, ctx, betWei, payoutWei, {
       bet: toEth(betWei),
       reels,
       multiplier: Number(multiplier),
       payout: toEth(payoutWei),
-      timestamp: Date.now(),
-    });
-
-    // Track stats
-    this.recordRound(betWei, payoutWei, Number(multiplier));
-
-    // Sign state (BigInt passed directly - no conversion)
-    const signature = await ctx.signState(
-      channel.agent, channel.agentBalance, channel.casinoBalance, channel.nonce
-    );
+    }, Number(multiplier));
 
     ctx.pendingCommits.delete(commitKey);
 
     return {
-      reels: reels.map(i => SYMBOLS[i]),
+      bet: toEth(betWei),
+      reels: this.symbolsFor(reels),
       reelIndices: reels,
       multiplier: Number(multiplier),
       payout: toEth(payoutWei),
@@ -152,6 +129,55 @@ class SlotsGame extends BaseGame {
     };
   }
 
+  // ─── Chain Play (see BaseGame) ──────────────────────────
+
+  chainBet(channel, bet) {
+    const betWei = toWei(bet.betAmount);
+    this.validateBet(channel, betWei);
+    return { betWei, maxPayoutWei: betWei * BigInt(this.maxMultiplier) };
+  }
+
+  chainRound(bet, resultHash) {
+    const reels = this.spin(resultHash);
+    const multiplier = this.multiplierFor(reels);
+    const payoutWei = bet.betWei * multiplier;
+    return {
+      payoutWei,
+      multiplier: Number(multiplier),
+      record: {
+        bet: toEth(bet.betWei),
+        reels,
+        multiplier: Number(multiplier),
+        payout: toEth(payoutWei),
+      },
+    };
+  }
+
+  // ─── Game Math ──────────────────────────────────────────
+
+  /**
+   * Derive 3 independent reels from a 32-byte result hash (hex).
+   * Shared by commit-reveal and entropy settlement.
+   */
+  spin(resultHash) {
+    const hashBuf = Buffer.from(resultHash, 'hex');
+    return [
+      this._getSymbol(hashBuf.readUInt32BE(0) % 100),
+      this._getSymbol(hashBuf.readUInt32BE(4) % 100),
+      this._getSymbol(hashBuf.readUInt32BE(8) % 100),
+    ];
+  }
+
+  /** @returns {BigInt} payout multiplier for reel indices (0n on no match) */
+  multiplierFor(reels) {
+    if (reels[0] === reels[1] && reels[1] === reels[2]) return PAYOUTS[reels[0]];
+    return 0n;
+  }
+
+  symbolsFor(reels) {
+    return reels.map(i => SYMBOLS[i]);
+  }
+
   _getSymbol(rng) {
     let cumulative = 0;
     for (let i = 0; i < WEIGHTS.length; i++) {
@@ -0,0 +1,318 @@
+/**
+ * Video Poker Game Plugin (BigInt/Wei) - Jacks or Better, 9/6
+ *
+ * Multi-step game: commit → deal → draw.
+ *
+ * Fairness:
+ *   The casino commits to a seed before the agent sends theirs. At deal a
+ *   single 52-card deck is shuffled from computeResult(casinoSeed, agentSeed,
+ *   nonce) (Fisher-Yates, swap index i from sha256(resultHash:i)). The first
+ *   five cards are dealt; replacements come off the deck in order from the
+ *   sixth card. The casino seed is revealed at draw, so the agent can
+ *   rebuild the deck with VideoPokerGame.prototype.deck().
+ *
+ * Money:
+ *   The agent sees the hand before drawing, so the stake is escrowed to the
+ *   casino side at deal (BaseGame.escrow). Draw pays the gross return as one
+ *   round. Closing the channel between deal and draw holds all five cards.
+ *
+ * Pay table (gross, stake included), 9/6 full-pay:
+ *   Royal flush 800, straight flush 50, four of a kind 25, full house 9,
+ *   flush 6, straight 4, three of a kind 3, two pair 2, jacks or better 1
+ *   RTP ≈ 99.54% with optimal hold strategy; less with anything else.
+ */
+
+const { createHash } = require('crypto');
+const BaseGame = require('./base-game');
+const { toWei, toEth } = require('../wei');
+
+const COMMIT_TIMEOUT = 5 * 60 * 1000;
+
+const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+const SUITS = ['S', 'H', 'D', 'C'];
+
+// Best hand first; multipliers are gross (1 = stake back).
+const PAY_TABLE = [
+  { rank: 'royal_flush', hand: 'Royal Flush', multiplier: 800 },
+  { rank: 'straight_flush', hand: 'Straight Flush', multiplier: 50 },
+  { rank: 'four_of_a_kind', hand: 'Four of a Kind', multiplier: 25 },
+  { rank: 'full_house', hand: 'Full House', multiplier: 9 },
+  { rank: 'flush', hand: 'Flush', multiplier: 6 },
+  { rank: 'straight', hand: 'Straight', multiplier: 4 },
+  { rank: 'three_of_a_kind', hand: 'Three of a Kind', multiplier: 3 },
+  { rank: 'two_pair', hand: 'Two Pair', multiplier: 2 },
+  { rank: 'jacks_or_better', hand: 'Jacks or Better', multiplier: 1 },
+  { rank: 'nothing', hand: 'No Win', multiplier: 0 },
+];
+const PAYS = Object.fromEntries(PAY_TABLE.map(p => [p.rank, p]));
+
+class VideoPokerGame extends BaseGame {
+  get name() { return 'videopoker'; }
+  get displayName() { return 'Agent Video Poker'; }
+  get description() { return 'Jacks or Better, 9/6 full pay. Deal five, hold any, draw once.'; }
+
+  /** Optimal strategy; every hold decision that deviates costs RTP. */
+  get rtp() { return 0.9954; }
+  get maxMultiplier() { return PAYS.royal_flush.multiplier; }
+  get actions() { return ['commit', 'deal', 'draw']; }
+
+  async handleAction(action, channel, params, ctx) {
+    switch (action) {
+      case 'commit': return this._commit(channel, params, ctx);
+      case 'deal': return await this._deal(channel, params, ctx);
+      case 'draw': return await this._draw(channel, params, ctx);
+      default: throw new Error(`Unknown videopoker action: ${action}`);
+    }
+  }
+
+  // ─── Step 1: Casino Commits ─────────────────────────────
+
+  _commit(channel, params, ctx) {
+    const betWei = toWei(params.betAmount);
+    this.validateBetSlip(channel, betWei, betWei * BigInt(this.maxMultiplier));
+
+    const commitKey = `${channel.agent}:videopoker`;
+    const pending = ctx.pendingCommits.get(commitKey);
+    if (pending) {
+      if (pending.cards) throw new Error('Draw the current video poker hand first');
+      if (Date.now() - pending.timestamp <= COMMIT_TIMEOUT) {
+        throw new Error('Already have a pending video poker hand. Deal or wait for timeout.');
+      }
+    }
+
+    const { seed, commitment } = ctx.commitReveal.commit();
+
+    ctx.pendingCommits.set(commitKey, {
+      seed,
+      commitment,
+      betWei,
+      game: 'videopoker',
+      timestamp: Date.now(),
+    });
+
+    return {
+      commitment,
+      betAmount: toEth(betWei),
+      payTable: this._payTable(),
+    };
+  }
+
+  // ─── Step 2: Deal ───────────────────────────────────────
+
+  async _deal(channel, params, ctx) {
+    const { agentSeed } = params;
+    if (!agentSeed) throw new Error('Missing agentSeed');
+
+    const commitKey = `${channel.agent}:videopoker`;
+    const pending = ctx.pendingCommits.get(commitKey);
+    if (!pending) throw new Error('No pending video poker hand');
+    if (pending.cards) throw new Error('Hand already dealt');
+    if (Date.now() - pending.timestamp > COMMIT_TIMEOUT) {
+      ctx.pendingCommits.delete(commitKey);
+      throw new Error('Commitment expired');
+    }
+
+    const { betWei } = pending;
+    if (channel.agentBalance < betWei) {
+      ctx.pendingCommits.delete(commitKey);
+      throw new Error(`Insufficient balance at deal: have ${toEth(channel.agentBalance)}, need ${toEth(betWei)}`);
+    }
+
+    const { proof } = ctx.commitReveal.computeResult(pending.seed, agentSeed, channel.nonce);
+    const cards = this.deck(proof.resultHash).slice(0, 5);
+
+    const hand = {
+      ...pending,
+      agentSeed,
+      nonce: channel.nonce,
+      resultHash: proof.resultHash,
+      cards,
+      timestamp: Date.now(),
+    };
+
+    const signature = await this.escrow(channel, ctx, betWei);
+    ctx.pendingCommits.set(commitKey, hand);
+
+    const { rank, hand: name } = this.evaluate(cards);
+    return {
+      status: 'dealt',
+      cards,
+      rank,
+      hand: name,
+      bet: toEth(betWei),
+      ...this._balances(channel),
+      signature,
+    };
+  }
+
+  // ─── Step 3: Draw ───────────────────────────────────────
+
+  async _draw(channel, params, ctx) {
+    const hand = ctx.pendingCommits.get(`${channel.agent}:videopoker`);
+    if (!hand || !hand.cards) throw new Error('No video poker hand dealt');
+    const held = this.parseHold(params.hold);
+    return await this._resolve(channel, hand, held, ctx);
+  }
+
+  /**
+   * Called by the engine before a channel closes: hold all five cards
+   * so the escrowed stake is settled in the closing state.
+   */
+  async resolveOpenRounds(channel, ctx) {
+    const commitKey = `${channel.agent}:videopoker`;
+    const hand = ctx.pendingCommits.get(commitKey);
+    if (!hand) return null;
+    if (!hand.cards) {
+      ctx.pendingCommits.delete(commitKey);
+      return null;
+    }
+    return await this._resolve(channel, hand, [true, true, true, true, true], ctx);
+  }
+
+  // ─── Resolution ─────────────────────────────────────────
+
+  async _resolve(channel, hand, held, ctx) {
+    const deck = this.deck(hand.resultHash);
+    let cursor = 5;
+    const cards = hand.cards.map((card, i) => (held[i] ? card : deck[cursor++]));
+
+    const { rank, hand: name, multiplier } = this.evaluate(cards);
+    let payoutWei = hand.betWei * BigInt(multiplier);
+    // The stake is already on the casino side, so it can always cover it.
+    if (payoutWei > channel.casinoBalance) payoutWei = channel.casinoBalance;
+
+    const won = payoutWei > hand.betWei;
+    const hold = held.map(h => (h ? '1' : '0')).join('');
+
+    const signature = await this.settleEscrowed(channel, ctx, hand.betWei, payoutWei, {
+      bet: toEth(hand.betWei),
+      dealt: hand.cards,
+      hold,
+      cards,
+      result: rank,
+      won,
+      multiplier: String(multiplier),
+      payout: toEth(payoutWei),
+    }, multiplier);
+
+    ctx.pendingCommits.delete(`${channel.agent}:videopoker`);
+
+    return {
+      status: 'resolved',
+      dealt: hand.cards,
+      hold,
+      cards,
+      rank,
+      hand: name,
+      multiplier: String(multiplier),
+      won,
+      payout: toEth(payoutWei),
+      ...this._balances(channel),
+      signature,
+      proof: {
+        casinoSeed: hand.seed,
+        agentSeed: hand.agentSeed,
+        nonce: hand.nonce,
+        resultHash: hand.resultHash,
+        cardsUsed: cursor,
+      },
+    };
+  }
+
+  // ─── Game Math ──────────────────────────────────────────
+
+  /**
+   * Hold mask from A2A params: five booleans / 0-1 values, or a string
+   * like "10010" (1 = hold), in dealt order.
+   * @returns {boolean[]}
+   */
+  parseHold(raw) {
+    const mask = typeof raw === 'string' ? raw.split('') : raw;
+    if (!Array.isArray(mask) || mask.length !== 5) {
+      throw new Error('hold must be 5 entries (e.g. "10010" or [true, false, false, true, false])');
+    }
+    return mask.map(h => {
+      if (h === true || h === 1 || h === '1') return true;
+      if (h === false || h === 0 || h === '0') return false;
+      throw new Error('hold entries must be 1/0 or true/false');
+    });
+  }
+
+  /**
+   * The deck for a hand: Fisher-Yates over 52 cards, each swap index
+   * drawn from sha256(resultHash:i).
+   * @param {string} resultHash - hex, from CommitReveal.computeResult
+   * @returns {string[]} cards like 'AS', '10H', 'KD'
+   */
+  deck(resultHash) {
+    const cards = [];
+    for (const suit of SUITS) {
+      for (const rank of RANKS) cards.push(rank + suit);
+    }
+    for (let i = cards.length - 1; i > 0; i--) {
+      const h = createHash('sha256').update(`${resultHash}:${i}`).digest('hex');
+      const j = Number(BigInt('0x' + h) % BigInt(i + 1));
+      [cards[i], cards[j]] = [cards[j], cards[i]];
+    }
+    return cards;
+  }
+
+  /**
+   * Rank a five-card hand against the pay table.
+   * @param {string[]} cards
+   * @returns {{ rank: string, hand: string, multiplier: number }}
+   */
+  evaluate(cards) {
+    const values = cards.map(c => RANKS.indexOf(c.slice(0, -1)) + 2).sort((a, b) => a - b);
+    const flush = cards.every(c => c.slice(-1) === cards[0].slice(-1));
+    const wheel = values.join(',') === '2,3,4,5,14';
+    const straight = wheel || (new Set(values).size === 5 && values[4] - values[0] === 4);
+
+    const counts = {};
+    for (const v of values) counts[v] = (counts[v] || 0) + 1;
+    const groups = Object.entries(counts)
+      .map(([v, n]) => ({ v: Number(v), n }))
+      .sort((a, b) => b.n - a.n || b.v - a.v);
+
+    let rank = 'nothing';
+    if (straight && flush) rank = values[0] === 10 ? 'royal_flush' : 'straight_flush';
+    else if (groups[0].n === 4) rank = 'four_of_a_kind';
+    else if (groups[0].n === 3 && groups[1].n === 2) rank = 'full_house';
+    else if (flush) rank = 'flush';
+    else if (straight) rank = 'straight';
+    else if (groups[0].n === 3) rank = 'three_of_a_kind';
+    else if (groups[0].n === 2 && groups[1].n === 2) rank = 'two_pair';
+    else if (groups[0].n === 2 && groups[0].v >= 11) rank = 'jacks_or_better';
+
+    const { hand, multiplier } = PAYS[rank];
+    return { rank, hand, multiplier };
+  }
+
+  // ─── Views ──────────────────────────────────────────────
+
+  _payTable() {
+    return Object.fromEntries(PAY_TABLE.filter(p => p.multiplier > 0).map(p => [p.rank, `${p.multiplier}x`]));
+  }
+
+  _balances(channel) {
+    return {
+      agentBalance: toEth(channel.agentBalance),
+      casinoBalance: toEth(channel.casinoBalance),
+      nonce: channel.nonce,
+    };
+  }
+
+  // ─── Info ───────────────────────────────────────────────
+
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      variant: 'Jacks or Better 9/6',
+      payTable: this._payTable(),
+      hold: 'draw takes hold: "10010" (1 = keep the card at that position)',
+      minBet: '0.0001 ETH',
+    };
+  }
+}
+
+module.exports = VideoPokerGame;
@@ -7,22 +7,79 @@
  * Fixes applied:
  *   [FIX #1] All balance math in BigInt (wei) - no floats
  *   [FIX #6] Pending commits keyed by agent:game
+ *
+ * Persistence:
+ *   Channels and pending commits are written through a store (server/stores/).
+ *   Every state change is committed before the signed result leaves the engine,
+ *   and restore() reloads everything on boot.
+ *
+ *   Each action is persisted as one unit (store.persist): channel, rounds and
+ *   commit writes together. The optional `tx` argument on mutating methods
+ *   is passed to the store untouched; PostgresStore uses it to write the
+ *   event log and idempotent response in the same transaction.
+ *
+ *   PvP rounds touch two channels; settleAcross() signs both and writes
+ *   them through store.persistMany() as one unit.
  */
 
 const { ethers } = require('ethers');
 const CommitReveal = require('./commit-reveal');
+const { MemoryStore, CommitMap } = require('./stores');
 const { toWei, toEth, ZERO } = require('./wei');
+const SeedChain = require('./seed-chain');
+
+// Closed channels whose seed history stays readable (oldest dropped first).
+const MAX_CLOSED_SEED_HISTORIES = 10000;
 
 class GamingEngine {
-  constructor(casinoWallet, contractAddress, chainId = 8453) {
+  constructor(casinoWallet, contractAddress, chainId = 8453, store = new MemoryStore()) {
     this.casino = casinoWallet;
     this.contractAddress = contractAddress;
     this.chainId = chainId;
+    this.store = store;
 
     this.channels = new Map();
-    this.pendingCommits = new Map();
+    this.pendingCommits = new CommitMap();
     this.games = new Map();
     this.actionMap = new Map();
+    this.closedSeedHistories = new Map();
+  }
+
+  // ─── Persistence ────────────────────────────────────────
+
+  /**
+   * Reload open channels and pending commits from the store.
+   * Call once at boot, before serving requests.
+   */
+  async restore() {
+    const { channels, commits } = await this.store.load();
+    for (const channel of channels) {
+      this.channels.set(channel.agent, channel);
+    }
+    for (const [key, entry] of commits) {
+      this.pendingCommits.hydrate(key, entry);
+    }
+    return { channels: channels.length, pendingCommits: commits.length };
+  }
+
+  /**
+   * Refresh a single agent's channel and pending commits from the store.
+   * Used by stateless handlers (Vercel) where another instance may have
+   * written since this process last saw the agent.
+   */
+  async loadChannel(agentAddress) {
+    const { channel, commits } = await this.store.loadChannel(agentAddress);
+
+    for (const key of Array.from(this.pendingCommits.keys())) {
+      if (key.startsWith(`${agentAddress}:`)) this.pendingCommits.evict(key);
+    }
+    for (const [key, entry] of commits) {
+      this.pendingCommits.hydrate(key, entry);
+    }
+
+    if (channel) this.channels.set(agentAddress, channel);
+    else this.channels.delete(agentAddress);
+    return channel;
   }
 
   // ─── Game Registration ──────────────────────────────────
@@ -49,7 +106,7 @@ class GamingEngine {
 
   // ─── Action Routing ─────────────────────────────────────
 
-  async handleGameAction(actionRoute, agentAddress, params) {
+  async handleGameAction(actionRoute, agentAddress, params, tx = {}) {
     const mapping = this.actionMap.get(actionRoute);
     if (!mapping) {
       throw new Error(`Unknown action: ${actionRoute}. Available: ${this.getAvailableActions().join(', ')}`);
@@ -63,18 +120,132 @@ class GamingEngine {
       channel = this._getChannel(agentAddress);
     }
 
-    const ctx = {
-      commitReveal: CommitReveal,
-      pendingCommits: this.pendingCommits,
-      signState: this._signState.bind(this),
+    let nonceBefore = channel ? channel.nonce : null;
+    let snapshot = channel ? this._snapshot(channel) : null;
+    const ctx = this._context(tx, () => {
+      if (channel) {
+        nonceBefore = channel.nonce;
+        snapshot = this._snapshot(channel);
+      }
+    });
+
+    let result;
+    try {
+      result = await game.handleAction(action, channel, params, ctx);
+      return result;
+    } finally {
+      // Commit before the signed state is returned. A failed write
+      // surfaces as an error instead of an unpersisted signature.
+      const changed = channel && channel.nonce !== nonceBefore;
+      await this._persist(agentAddress, changed ? channel : null, tx, result, snapshot);
+    }
+  }
+
+  /**
+   * Settle a round whose randomness came from outside the engine
+   * (e.g. Pyth Entropy). The game computes the outcome; the engine
+   * applies it with the same balance rules and persistence as
+   * handleGameAction.
+   */
+  async settleRound(agentAddress, gameName, { betWei, payoutWei, record, multiplier = 0 }, tx = {}) {
+    const game = this.games.get(gameName);
+    if (!game) throw new Error(`Unknown game: ${gameName}`);
+    const channel = this._getChannel(agentAddress);
+
+    if (betWei > channel.agentBalance) {
+      throw new Error('Insufficient balance');
+    }
+    const maxPayout = channel.casinoBalance + betWei;
+    const payout = payoutWei > maxPayout ? maxPayout : payoutWei;
+
+    const snapshot = this._snapshot(channel);
+    const ctx = { signState: this._signState.bind(this) };
+    const signature = await game.settle(channel, ctx, betWei, payout, { ...record, payout: toEth(payout) }, multiplier);
+
+    const result = {
+      payout: toEth(payout),
+      agentBalance: toEth(channel.agentBalance),
+      casinoBalance: toEth(channel.casinoBalance),
+      nonce: channel.nonce,
+      signature,
     };
+    await this._persist(agentAddress, channel, tx, result, snapshot);
+    return result;
+  }
+
+  /**
+   * Settle one round across several channels (PvP). Each leg pays
+   * `payoutWei` from the casino side of that agent's channel and records
+   * the round there. Every stake must already be escrowed in its own
+   * channel (BaseGame.escrow), so value moves between channels through
+   * the casino side: the payouts may not exceed the stakes, and each
+   * channel keeps its own conservation invariant.
+   *
+   * All channels are signed and persisted as one unit (store.persistMany).
+   * If anything fails, no channel changes.
+   * @param {string} gameName
+   * @param {{ agent: string, stakeWei: BigInt, payoutWei: BigInt, record: object, multiplier?: number }[]} legs
+   * @returns {Promise<Object<string, object>>} per agent: balances, nonce, signature
+   */
+  async settleAcross(gameName, legs, tx = {}) {
+    const game = this.games.get(gameName);
+    if (!game) throw new Error(`Unknown game: ${gameName}`);
+    if (new Set(legs.map(l => l.agent)).size !== legs.length) {
+      throw new Error('Each channel can appear in a cross-channel settlement only once');
+    }
 
-    return await game.handleAction(action, channel, params, ctx);
+    const channels = legs.map(l => this._getChannel(l.agent));
+    const staked = legs.reduce((s, l) => s + l.stakeWei, 0n);
+    const paid = legs.reduce((s, l) => s + l.payoutWei, 0n);
+    if (paid > staked) {
+      throw new Error(`Cross-channel payout ${toEth(paid)} exceeds escrowed stakes ${toEth(staked)}`);
+    }
+    legs.forEach((l, i) => {
+      if (l.payoutWei < 0n || l.payoutWei > channels[i].casinoBalance) {
+        throw new Error(`Channel ${l.agent} cannot cover a payout of ${toEth(l.payoutWei)}`);
+      }
+    });
+
+    const snapshots = channels.map(ch => ({ ...ch, games: ch.games.slice() }));
+    const stats = structuredClone(game._stats);
+    const ctx = { signState: this._signState.bind(this) };
+    let units = [];
+    try {
+      const out = {};
+      for (const [i, leg] of legs.entries()) {
+        const channel = channels[i];
+        const signature = await game.settleEscrowed(
+          channel, ctx, leg.stakeWei, leg.payoutWei, leg.record, leg.multiplier || 0
+        );
+        this._assertInvariant(channel);
+        out[leg.agent] = {
+          payout: toEth(leg.payoutWei),
+          agentBalance: toEth(channel.agentBalance),
+          casinoBalance: toEth(channel.casinoBalance),
+          nonce: channel.nonce,
+          signature,
+        };
+      }
+
+      units = channels.map(ch => ({ channel: ch, commitOps: this.pendingCommits.drain(ch.agent) }));
+      await this.store.persistMany(units, tx, out);
+      return out;
+    } catch (err) {
+      channels.forEach((ch, i) => Object.assign(ch, snapshots[i]));
+      units.forEach(u => this.pendingCommits.revert(u.commitOps));
+      game._stats = stats;
+      throw err;
+    }
   }
 
   // ─── Channel Management (BigInt) ────────────────────────
 
-  openChannel(agentAddress, agentDepositEth, casinoDepositEth) {
+  /**
+   * @param {number} [epoch] - the onchain channel's ChannelManager.channelEpoch,
+   *   signed into every state so they only settle this channel. 0 for a
+   *   channel with no onchain counterpart.
+   */
+  async openChannel(agentAddress, agentDepositEth, casinoDepositEth, tx = {}, epoch = 0) {
     if (this.channels.has(agentAddress)) {
       throw new Error('Channel already exists');
     }
@@ -89,17 +260,31 @@ class GamingEngine {
       agentBalance: agentDeposit,     // BigInt: current
       casinoBalance: casinoDeposit,   // BigInt: current
       nonce: 0,
+      epoch,
       games: [],
       createdAt: Date.now(),
+      // Casino seeds for *_play rounds; the tip stays private until the chain is retired.
+      seedChain: SeedChain.newSeedChain(),
     };
 
-    this.channels.set(agentAddress, channel);
-
-    return {
+    const result = {
       status: 'open',
       agentBalance: toEth(channel.agentBalance),
       casinoBalance: toEth(channel.casinoBalance),
+      epoch,
+      seedCommitment: channel.seedChain.anchor,
+      seedChainLength: channel.seedChain.length,
     };
+
+    this.channels.set(agentAddress, channel);
+    try {
+      await this._persist(agentAddress, channel, tx, result);
+    } catch (err) {
+      this.channels.delete(agentAddress);
+      throw err;
+    }
+
+    return result;
   }
 
   getChannelStatus(agentAddress) {
@@ -112,17 +297,114 @@ class GamingEngine {
     const invariantOk = totalDeposits === totalBalances;
 
     return {
-      status: 'open',
+      status: ch.closing ? 'closing' : 'open',
       agentBalance: toEth(ch.agentBalance),
       casinoBalance: toEth(ch.casinoBalance),
       nonce: ch.nonce,
+      epoch: ch.epoch || 0,
       gamesPlayed: ch.games.length,
       invariantOk, // Should always be true with BigInt math
+      ...(ch.seedChain ? { seedCommitment: ch.seedChain.anchor, seedChainUsed: ch.seedChain.used } : {}),
     };
   }
 
-  async closeChannel(agentAddress) {
+  // ─── Seeds (chain play) ─────────────────────────────────
+
+  /**
+   * Set the channel's persistent client seed for *_play rounds. Later
+   * rounds use it unless they send their own.
+   */
+  async setClientSeed(agentAddress, clientSeed, tx = {}) {
+    const channel = this._getChannel(agentAddress);
+    const snapshot = this._snapshot(channel);
+    channel.clientSeed = SeedChain.validateClientSeed(clientSeed);
+    return await this._seedUpdate(channel, { clientSeed: channel.clientSeed }, tx, snapshot);
+  }
+
+  /**
+   * Retire the channel's seed chain on demand: its tip is revealed so
+   * every round played on it can be audited, and a new chain is
+   * committed for the rounds after.
+   */
+  async rotateSeed(agentAddress, tx = {}) {
     const channel = this._getChannel(agentAddress);
+    if (!channel.seedChain) throw new Error('This channel has no seed chain');
+    const snapshot = this._snapshot(channel);
+    const rotated = SeedChain.rotateSeedChain(channel);
+    return await this._seedUpdate(channel, rotated, tx, snapshot);
+  }
+
+  /** Also answers for a closed channel, from the history its close revealed. */
+  getSeedHistory(agentAddress) {
+    const closed = this.channels.has(agentAddress) ? null : this.closedSeedHistories.get(agentAddress);
+    if (closed) return { ...closed, epochs: closed.epochs.map(e => ({ ...e })) };
+    return SeedChain.seedHistory(this._getChannel(agentAddress, { closing: true }));
+  }
+
+  /**
+   * Seed changes move no funds but are still a new signed state (nonce + 1),
+   * so they persist the same way as a round and the agent's latest
+   * signature always covers them.
+   */
+  async _seedUpdate(channel, fields, tx, snapshot) {
+    channel.nonce++;
+    const signature = await this._signState(channel.agent, channel.agentBalance, channel.casinoBalance, channel.nonce);
+    const result = {
+      ...fields,
+      agentBalance: toEth(channel.agentBalance),
+      casinoBalance: toEth(channel.casinoBalance),
+      nonce: channel.nonce,
+      signature,
+    };
+    await this._persist(channel.agent, channel, tx, result, snapshot);
+    return result;
+  }
+
+  // ─── Close ──────────────────────────────────────────────
+
+  /**
+   * Hold a channel at its current state while a close of that state
+   * settles onchain (a relayed closeChannelWithSig): rounds, seed changes
+   * and lotto payouts are refused until closeChannel() or unlockChannel().
+   * The flag (channel.closing) is written through the store before the
+   * close is sent, so a restart mid-close comes back locked.
+   */
+  async lockChannel(agentAddress) {
+    await this._setClosing(this._getChannel(agentAddress, { closing: true }), true);
+  }
+
+  async unlockChannel(agentAddress) {
+    const channel = this.channels.get(agentAddress);
+    if (channel) await this._setClosing(channel, false);
+  }
+
+  isClosing(agentAddress) {
+    return Boolean(this.channels.get(agentAddress)?.closing);
+  }
+
+  async _setClosing(channel, closing) {
+    if (Boolean(channel.closing) === closing) return;
+    const snapshot = this._snapshot(channel);
+    if (closing) channel.closing = true;
+    else delete channel.closing;
+    try {
+      await this.store.setClosing(channel);
+    } catch (err) {
+      this._rollback(channel, snapshot);
+      throw err;
+    }
+  }
+
+  /** Escrowed rounds (open hand, mines game, duel) that closeChannel() would settle. */
+  hasOpenRounds(agentAddress) {
+    for (const [name, game] of this.games) {
+      if (typeof game.resolveOpenRounds === 'function' && this.pendingCommits.has(`${agentAddress}:${name}`)) return true;
+    }
+    return false;
+  }
+
+  async closeChannel(agentAddress, tx = {}) {
+    const channel = this._getChannel(agentAddress, { closing: true });
 
     // [FIX #4] Check for pending lotto tickets
     for (const [, game] of this.games) {
@@ -136,15 +418,21 @@ class GamingEngine {
       }
     }
 
-    // Verify invariant before signing
-    const totalDeposits = channel.agentDeposit + channel.casinoDeposit;
-    const totalBalances = channel.agentBalance + channel.casinoBalance;
-    if (totalDeposits !== totalBalances) {
-      throw new Error(
-        `INVARIANT VIOLATION: deposits=${toEth(totalDeposits)}, balances=${toEth(totalBalances)}. ` +
-        `This should never happen with BigInt math. DO NOT close channel.`
-      );
+    // Settle rounds that hold escrowed stakes (an open blackjack hand,
+    // mines game or duel) so the closing state includes them.
+    let nonceBefore = channel.nonce;
+    let snapshot = this._snapshot(channel);
+    const ctx = this._context(tx, () => {
+      nonceBefore = channel.nonce;
+      snapshot = this._snapshot(channel);
+    });
+    for (const [, game] of this.games) {
+      if (typeof game.resolveOpenRounds === 'function') await game.resolveOpenRounds(channel, ctx);
     }
+    await this._persist(agentAddress, channel.nonce !== nonceBefore ? channel : null, tx, undefined, snapshot);
+
+    // Verify invariant before signing
+    this._assertInvariant(channel, 'DO NOT close channel.');
 
     const signature = await this._signState(
       agentAddress,
@@ -159,14 +447,23 @@ class GamingEngine {
       nonce: channel.nonce,
       signature,
       totalGames: channel.games.length,
+      // The seed chain retires with the channel: its tip is revealed here
+      ...(channel.seedChain ? { seedHistory: SeedChain.closingHistory(channel) } : {}),
     };
 
+    await this.store.removeChannel(agentAddress, tx, result);
     this.channels.delete(agentAddress);
+    if (result.seedHistory) this._keepSeedHistory(agentAddress, result.seedHistory);
     return result;
   }
 
   // ─── Scheduled Tasks ────────────────────────────────────
 
+  /**
+   * Execute due lotto draws and pay winners with an open channel. A draw
+   * that fails is reported as `{ game, drawId, error }`; a winner whose
+   * payout could not be written gets `error` and keeps it unclaimed.
+   */
   async runScheduledTasks() {
     const results = [];
 
@@ -182,18 +479,28 @@ class GamingEngine {
             // Apply winnings to active channels
             for (const winner of drawResult.winners) {
               const channel = this.channels.get(winner.agent);
-              if (channel) {
+              if (channel && !channel.closing) {
                 const ctx = { signState: this._signState.bind(this) };
                 const payoutWei = toWei(winner.payout);
-                const applied = await game.applyWinnings(channel, payoutWei, ctx);
-                winner.applied = applied;
+                const snapshot = this._snapshot(channel);
+                const unclaimed = game.unclaimedWinnings.get(winner.agent);
+                try {
+                  const applied = await game.applyWinnings(channel, payoutWei, ctx);
+                  await this._persist(winner.agent, channel, {}, undefined, snapshot);
+                  winner.applied = applied;
+                } catch (err) {
+                  // Not written: the payout stays unclaimed, for lotto_claim
+                  this._rollback(channel, snapshot);
+                  game.unclaimedWinnings.set(winner.agent, unclaimed);
+                  winner.error = err.message;
+                }
               }
-              // If channel closed, winnings stay in unclaimedWinnings [FIX #4]
+              // If channel closed (or closing), winnings stay in unclaimedWinnings [FIX #4]
             }
 
             results.push({ game: name, drawId, result: drawResult });
           } catch (err) {
-            // Skip
+            results.push({ game: name, drawId, error: err.message });
           }
         }
       }
@@ -224,15 +531,94 @@ class GamingEngine {
 
   // ─── Internal ───────────────────────────────────────────
 
-  _getChannel(addr) {
+  /**
+   * Conservation check: agentDeposit + casinoDeposit === agentBalance + casinoBalance.
+   * Runs before every persisted update and before the closing signature.
+   */
+  _assertInvariant(channel, action = 'State not saved.') {
+    const totalDeposits = channel.agentDeposit + channel.casinoDeposit;
+    const totalBalances = channel.agentBalance + channel.casinoBalance;
+    if (totalDeposits !== totalBalances) {
+      throw new Error(
+        `INVARIANT VIOLATION: deposits=${toEth(totalDeposits)}, balances=${toEth(totalBalances)}. ` +
+        `This should never happen with BigInt math. ${action}`
+      );
+    }
+  }
+
+  /**
+   * Write one action through the store: the channel (if it changed) and
+   * the agent's pending-commit writes, as a single unit. If the write
+   * fails, the commit writes are undone and the channel goes back to
+   * `snapshot` (taken before the action), so memory matches the store.
+   */
+  async _persist(agentAddress, channel, tx = {}, result, snapshot = null) {
+    const commitOps = this.pendingCommits.drain(agentAddress);
+    try {
+      if (channel) this._assertInvariant(channel);
+      if (!channel && commitOps.length === 0) return;
+      await this.store.persist(channel, commitOps, tx, result);
+    } catch (err) {
+      this.pendingCommits.revert(commitOps);
+      if (channel && snapshot) this._rollback(channel, snapshot);
+      throw err;
+    }
+  }
+
+  /** Copy of everything an action can change in place on a channel. */
+  _snapshot(channel) {
+    return {
+      ...channel,
+      games: channel.games.slice(),
+      ...(channel.seedEpochs ? { seedEpochs: channel.seedEpochs.slice() } : {}),
+    };
+  }
+
+  _rollback(channel, snapshot) {
+    for (const key of Object.keys(channel)) {
+      if (!(key in snapshot)) delete channel[key];
+    }
+    Object.assign(channel, snapshot);
+  }
+
+  /**
+   * Context handed to game plugins. `written` runs after a cross-channel
+   * settlement has persisted the caller's channel, so the caller does not
+   * write the same nonce a second time.
+   */
+  _context(tx, written = () => {}) {
+    return {
+      commitReveal: CommitReveal,
+      pendingCommits: this.pendingCommits,
+      signState: this._signState.bind(this),
+      channel: (agent) => this.channels.get(agent) || null,
+      settleAcross: async (gameName, legs) => {
+        const out = await this.settleAcross(gameName, legs, tx);
+        written();
+        return out;
+      },
+    };
+  }
+
+  _keepSeedHistory(agentAddress, history) {
+    this.closedSeedHistories.delete(agentAddress);
+    this.closedSeedHistories.set(agentAddress, history);
+    if (this.closedSeedHistories.size > MAX_CLOSED_SEED_HISTORIES) {
+      this.closedSeedHistories.delete(this.closedSeedHistories.keys().next().value);
+    }
+  }
+
+  _getChannel(addr, { closing = false } = {}) {
     const ch = this.channels.get(addr);
     if (!ch) throw new Error('Channel not found');
+    if (!closing && ch.closing) throw new Error('Channel is closing: its close is being settled onchain');
     return ch;
   }
 
   /**
    * Sign channel state (EIP-712).
    * Balances are BigInt (wei) - passed directly to ethers.
+   * The channel's epoch ties the state to the onchain channel it was played on.
    */
   async _signState(agent, agentBalance, casinoBalance, nonce) {
     const domain = {
@@ -245,6 +631,7 @@ class GamingEngine {
     const types = {
       ChannelState: [
         { name: 'agent', type: 'address' },
+        { name: 'epoch', type: 'uint256' },
         { name: 'agentBalance', type: 'uint256' },
         { name: 'casinoBalance', type: 'uint256' },
         { name: 'nonce', type: 'uint256' },
@@ -254,6 +641,7 @@ class GamingEngine {
     // BigInt passed directly - no float conversion needed
     const value = {
       agent,
+      epoch: this.channels.get(agent)?.epoch || 0,
       agentBalance,
       casinoBalance,
       nonce,
@@ -22,9 +22,12 @@ const path = require('path');
 const { ethers } = require('ethers');
 const { KmsSigner, KMS_ADDRESS } = require('./kms-signer');
 const GamingEngine = require('./gaming-engine');
+const { createStore } = require('./stores');
 const BackupService = require('./backup');
+const Watchtower = require('./watchtower');
 const CasinoA2AHandler = require('../a2a/casino-handler');
 const RelayService = require('../privacy/relay');
+const PaymentLedger = require('../privacy/payment-ledger');
 const eventBus = require('./event-bus');
 const { toEth, toWei, ZERO } = require('./wei');
 const { a2aLimiter, getLimiter, sseLimiter, rateLimit, getClientIP } = require('./rate-limit');
@@ -36,6 +39,14 @@ const SlotsGame = require('./games/slots');
 const LottoGame = require('./games/lotto');
 const CoinflipGame = require('./games/coinflip');
 const DiceGame = require('./games/dice');
+const BlackjackGame = require('./games/blackjack');
+const RouletteGame = require('./games/roulette');
+const CrashGame = require('./games/crash');
+const PlinkoGame = require('./games/plinko');
+const KenoGame = require('./games/keno');
+const MinesGame = require('./games/mines');
+const VideoPokerGame = require('./games/video-poker');
+const DuelGame = require('./games/duel');
 
 // ─── Config ──────────────────────────────────────────────
 
@@ -46,8 +57,11 @@ const CHANNEL_MANAGER = process.env.CHANNEL_MANAGER;
 const BANKROLL_MANAGER = process.env.BANKROLL_MANAGER;
 const INSURANCE_FUND = process.env.INSURANCE_FUND;
 const RELAY_ROUTER = process.env.RELAY_ROUTER;
+const CHANNEL_STORE = process.env.CHANNEL_STORE || 'file';
+const CHANNEL_STORE_PATH = process.env.CHANNEL_STORE_PATH || './data/engine-state.json';
 const BACKUP_INTERVAL = 5 * 60 * 1000;
 const SCHEDULER_INTERVAL = 60 * 1000;
+const WATCHTOWER_INTERVAL = 60 * 1000;
 
 // ─── Validate ────────────────────────────────────────────
 
@@ -94,16 +108,36 @@ async function main() {
   const relayContract = RELAY_ROUTER ? new ethers.Contract(RELAY_ROUTER, relayRouterAbi, casinoWallet) : null;
 
   // Engine (uses KMS signer for EIP-712 state signatures)
-  const engine = new GamingEngine(casinoWallet, CHANNEL_MANAGER, CHAIN_ID);
+  const store = createStore(CHANNEL_STORE, { path: CHANNEL_STORE_PATH });
+  const engine = new GamingEngine(casinoWallet, CHANNEL_MANAGER, CHAIN_ID, store);
 
   // Register game plugins
   engine.registerGame(new SlotsGame());
   engine.registerGame(new LottoGame());
   engine.registerGame(new CoinflipGame());
   engine.registerGame(new DiceGame());
+  engine.registerGame(new BlackjackGame());
+  engine.registerGame(new RouletteGame());
+  engine.registerGame(new CrashGame());
+  engine.registerGame(new PlinkoGame());
+  engine.registerGame(new KenoGame());
+  engine.registerGame(new MinesGame());
+  engine.registerGame(new VideoPokerGame());
+  engine.registerGame(new DuelGame());
+
+  // Reload channels + pending commits that survived the last restart
+  const restored = await engine.restore();
+  console.log(`Channel store: ${store.kind} (restored ${restored.channels} channels, ${restored.pendingCommits} pending commits)`);
 
   // Services
-  const relay = new RelayService(casinoWallet, relayContract || channelContract);
+  // Relay payments: spent tx hashes / receipts and prepaid credits survive restarts
+  const paymentLedger = await new PaymentLedger({ path: process.env.RELAY_LEDGER_PATH || './data/relay-payments.json' }).load();
+  const relay = new RelayService(casinoWallet, relayContract || channelContract, {
+    channelManager: channelContract,
+    ledger: paymentLedger,
+    x402Facilitator: process.env.X402_FACILITATOR || null,
+    minConfirmations: process.env.RELAY_MIN_CONFIRMATIONS ? parseInt(process.env.RELAY_MIN_CONFIRMATIONS) : undefined,
+  });
   const handler = new CasinoA2AHandler(engine, relay);
 
   // Backup key: env > persisted file > generate + persist
@@ -121,6 +155,22 @@ async function main() {
   const backup = new BackupService(backupKey, './backups');
   await backup.init();
 
+  // Watchtower: counters challenges made with stale states (WATCHTOWER=off to disable)
+  const watchtower = process.env.WATCHTOWER === 'off' ? null : await new Watchtower(engine, channelContract, {
+    path: process.env.WATCHTOWER_PATH || './data/watchtower.json',
+    startBlock: process.env.WATCHTOWER_START_BLOCK ? parseInt(process.env.WATCHTOWER_START_BLOCK) : undefined,
+    alert: (message, details) => {
+      console.error(`[watchtower] ${message}`, details || '');
+      if (process.env.WATCHTOWER_ALERT_URL) {
+        fetch(process.env.WATCHTOWER_ALERT_URL, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ source: 'watchtower', message, details }),
+        }).catch(err => console.error('Watchtower alert delivery failed:', err.message));
+      }
+    },
+  }).load();
+
   // ─── Event Hooks (emit game events for arena) ────────
 
   const origHandleAction = engine.handleGameAction.bind(engine);
@@ -144,8 +194,8 @@ async function main() {
 
   // Hook channel open/close
   const origOpen = engine.openChannel.bind(engine);
-  engine.openChannel = function(addr, agentDep, casinoDep) {
-    const result = origOpen(addr, agentDep, casinoDep);
+  engine.openChannel = async function(addr, agentDep, casinoDep) {
+    const result = await origOpen(addr, agentDep, casinoDep);
     const agentShort = addr ? addr.slice(0, 6) + '...' + addr.slice(-4) : 'unknown';
     eventBus.emit('channel', { action: 'open', agent: agentShort, ...result });
     return result;
@@ -154,6 +204,7 @@ async function main() {
   const origClose = engine.closeChannel.bind(engine);
   engine.closeChannel = async function(addr) {
     const result = await origClose(addr);
+    if (watchtower) await watchtower.recordClose(addr, result);
     const agentShort = addr ? addr.slice(0, 6) + '...' + addr.slice(-4) : 'unknown';
     const safeResult = { ...result };
     delete safeResult.signature;
@@ -246,6 +297,7 @@ async function main() {
       chain: CHAIN_ID,
       signer: 'KMS HSM',
       ...engine.getStats(),
+      watchtower: watchtower ? watchtower.getStats() : null,
     });
   });
 
@@ -523,7 +575,14 @@ async function main() {
     try {
       const results = await engine.runScheduledTasks();
       for (const r of results) {
+        if (r.error) {
+          console.error(`[${r.game}] Draw #${r.drawId} failed: ${r.error}`);
+          continue;
+        }
         console.log(`[${r.game}] Draw #${r.drawId}: winner=${r.result.winningNumber}, winners=${r.result.winners.length}`);
+        for (const w of r.result.winners.filter(w => w.error)) {
+          console.error(`[${r.game}] Draw #${r.drawId}: winnings for ${w.agent} not applied, left unclaimed (${w.error})`);
+        }
         eventBus.emit('game', { action: 'lotto_draw', result: r.result });
       }
     } catch (err) {
@@ -544,6 +603,18 @@ async function main() {
     }
   }, BACKUP_INTERVAL);
 
+  // ─── Watchtower ──────────────────────────────────────
+
+  if (watchtower) {
+    setInterval(async () => {
+      try {
+        await watchtower.poll();
+      } catch (err) {
+        console.error('Watchtower error:', err.message);
+      }
+    }, WATCHTOWER_INTERVAL);
+  }
+
   // ─── Start ───────────────────────────────────────────
 
   app.listen(PORT, HOST, () => {
@@ -0,0 +1,136 @@
+/**
+ * Channel Seed Chain
+ *
+ * Casino seeds for *_play rounds (see BaseGame.chainPlay). Each channel
+ * holds one SHA-256 hash chain (CommitReveal.commitChain); its anchor is
+ * published when the chain starts and each round reveals the next
+ * preimage. The tip stays on the server until the chain is retired.
+ *
+ * channel.seedChain   { tip, anchor, length, used }
+ * channel.clientSeed  agent's persistent client seed (set_client_seed)
+ * channel.seedEpochs  one entry per (server chain, client seed) pair that
+ *                     played rounds, with the nonce and chain index range.
+ *                     serverSeed (the chain tip) is filled in when the
+ *                     chain is retired, so a third party can rebuild every
+ *                     seed and replay the whole channel.
+ */
+
+const CommitReveal = require('./commit-reveal');
+
+// Rounds per chain before it is replaced.
+const SEED_CHAIN_LENGTH = 10000;
+const MAX_CLIENT_SEED = 128;
+
+/** A fresh chain, nothing used. */
+function newSeedChain(length = SEED_CHAIN_LENGTH) {
+  return { ...CommitReveal.commitChain(length), used: 0 };
+}
+
+/**
+ * Take the next seed for a round and log it in the channel's epochs.
+ * A chain that runs out is retired and replaced in the same step, so the
+ * new commitment goes out with the round that used the last seed.
+ * @param {object} channel
+ * @param {string} clientSeed
+ * @param {number} nonce - channel nonce the round is played at
+ * @returns {{ seed: string, index: number, commitment: string, nextCommitment: string|null }}
+ */
+function drawSeed(channel, clientSeed, nonce) {
+  const chain = channel.seedChain;
+  const index = chain.used + 1;
+  const [seed] = CommitReveal.chainSeeds(chain.tip, chain.length, index, 1);
+
+  const epochs = channel.seedEpochs || [];
+  const last = epochs[epochs.length - 1];
+  if (last && last.seedCommitment === chain.anchor && last.clientSeed === clientSeed) {
+    epochs[epochs.length - 1] = { ...last, lastNonce: nonce, lastIndex: index, rounds: last.rounds + 1 };
+  } else {
+    epochs.push({
+      seedCommitment: chain.anchor,
+      chainLength: chain.length,
+      serverSeed: null,
+      clientSeed,
+      firstNonce: nonce,
+      lastNonce: nonce,
+      firstIndex: index,
+      lastIndex: index,
+      rounds: 1,
+    });
+  }
+  channel.seedEpochs = epochs;
+
+  channel.seedChain = { ...chain, used: index };
+  let nextCommitment = null;
+  if (index === chain.length) nextCommitment = rotateSeedChain(channel).seedCommitment;
+
+  return { seed, index, commitment: chain.anchor, nextCommitment };
+}
+
+/**
+ * Retire the current chain and start a new one. The retired tip is
+ * revealed (in the result and in the epochs that used it); none of its
+ * unused seeds can be played any more.
+ * @returns {{ previous: { seedCommitment, serverSeed, used, length }, seedCommitment: string }}
+ */
+function rotateSeedChain(channel) {
+  const old = channel.seedChain;
+  channel.seedEpochs = revealEpochs(channel.seedEpochs, old);
+  channel.seedChain = newSeedChain(old.length);
+  return {
+    previous: { seedCommitment: old.anchor, serverSeed: old.tip, used: old.used, length: old.length },
+    seedCommitment: channel.seedChain.anchor,
+  };
+}
+
+/** Epochs with `chain`'s tip filled in where they used it. */
+function revealEpochs(epochs, chain) {
+  return (epochs || []).map(e => (
+    e.seedCommitment === chain.anchor ? { ...e, serverSeed: chain.tip } : e
+  ));
+}
+
+function validateClientSeed(clientSeed) {
+  if (typeof clientSeed !== 'string' || clientSeed.length < 1 || clientSeed.length > MAX_CLIENT_SEED) {
+    throw new Error(`clientSeed must be a string of 1-${MAX_CLIENT_SEED} characters`);
+  }
+  return clientSeed;
+}
+
+/** Epochs for audit; the current chain's tip is never included. */
+function seedHistory(channel) {
+  const current = channel.seedChain;
+  return {
+    seedCommitment: current ? current.anchor : null,
+    seedChainUsed: current ? current.used : null,
+    clientSeed: channel.clientSeed || null,
+    epochs: (channel.seedEpochs || []).map(e => ({ ...e })),
+  };
+}
+
+/**
+ * History of a closing channel: its current chain is retired with it, so
+ * the tip is revealed in `closedChain` and every epoch has its serverSeed.
+ * The channel itself is not changed.
+ */
+function closingHistory(channel) {
+  const current = channel.seedChain;
+  return {
+    seedCommitment: null,
+    seedChainUsed: null,
+    clientSeed: channel.clientSeed || null,
+    closedChain: current
+      ? { seedCommitment: current.anchor, serverSeed: current.tip, used: current.used, length: current.length }
+      : null,
+    epochs: (current ? revealEpochs(channel.seedEpochs, current) : channel.seedEpochs || []).map(e => ({ ...e })),
+  };
+}
+
+module.exports = {
+  SEED_CHAIN_LENGTH,
+  newSeedChain,
+  drawSeed,
+  rotateSeedChain,
+  validateClientSeed,
+  seedHistory,
+  closingHistory,
+};
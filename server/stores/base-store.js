@@ -0,0 +1,163 @@
+/**
+ * BaseStore - Abstract channel persistence interface
+ *
+ * The engine keeps live channels in memory and writes every change
+ * through a store so open channels and pending commits survive a restart.
+ *
+ * Values are BigInt (wei) in memory. Stores serialize with encode()/decode(),
+ * which tag BigInts as { $wei: "..." } so nothing is ever parsed as a float.
+ */
+
+class BaseStore {
+  constructor() {
+    this._queue = Promise.resolve();
+  }
+
+  get kind() { throw new Error('Override kind'); }
+
+  // ─── Interface (override required) ─────────────────────
+
+  /**
+   * Load persisted state at boot.
+   * @returns {Promise<{ channels: object[], commits: Array<[string, object]> }>}
+   */
+  async load() { throw new Error('Override load'); }
+
+  /**
+   * Load one agent's open channel and its pending commits.
+   * Used by stateless deployments that cannot keep every channel in memory.
+   * @returns {Promise<{ channel: object|null, commits: Array<[string, object]> }>}
+   */
+  async loadChannel(agent) { throw new Error('Override loadChannel'); }
+
+  /** Persist full channel state (balances, nonce, game history). */
+  async saveChannel(channel) { throw new Error('Override saveChannel'); }
+
+  /**
+   * Remove (or mark closed) a channel after cooperative close.
+   * `tx` and `result` are the same as for persist().
+   */
+  async removeChannel(agent, tx = {}, result) { throw new Error('Override removeChannel'); }
+
+  /**
+   * Persist `channel.closing` (a relayed close is in flight) without a new
+   * state. Stores that keep the whole channel just save it again.
+   */
+  async setClosing(channel) { return this.saveChannel(channel); }
+
+  /** Persist a pending commit entry keyed by agent:game. */
+  async saveCommit(key, entry) { throw new Error('Override saveCommit'); }
+
+  /** Remove a pending commit after reveal or expiry. */
+  async removeCommit(key) { throw new Error('Override removeCommit'); }
+
+  // ─── Atomic update ──────────────────────────────────────
+
+  /**
+   * Persist one engine action: the channel (if it changed) and the
+   * pending-commit writes the action made, as [key, entry|null] pairs
+   * (null = remove).
+   *
+   * `tx` carries request context for stores that can write it in the same
+   * transaction (event log, idempotent response); `result` is what the
+   * action returned, or undefined if it failed. Stores that write each
+   * piece separately can rely on this default.
+   */
+  async persist(channel, commitOps = [], tx = {}, result) {
+    for (const [key, entry] of commitOps) {
+      if (entry === null) await this.removeCommit(key);
+      else await this.saveCommit(key, entry);
+    }
+    if (channel) await this.saveChannel(channel);
+  }
+
+  /**
+   * Persist several channels as one unit (a PvP round settled across
+   * channels). `units` is [{ channel, commitOps }, ...]. This default
+   * writes them one after another; stores that can write them together
+   * (one document, one transaction) override it.
+   */
+  async persistMany(units, tx = {}, result) {
+    for (const { channel, commitOps } of units) {
+      await this.persist(channel, commitOps, tx, result);
+    }
+  }
+
+  // ─── Helpers ────────────────────────────────────────────
+
+  /**
+   * Run writes one at a time, in call order.
+   * A set followed by a delete on the same key must never be reordered.
+   */
+  _serial(fn) {
+    const run = this._queue.then(fn);
+    this._queue = run.catch(() => {});
+    return run;
+  }
+}
+
+/**
+ * Write-back Map for pending commits.
+ * Plugins keep using the Map API; every set/delete is recorded and the
+ * engine drains an agent's writes into store.persist() together with the
+ * channel, before the action result is returned.
+ */
+class CommitMap extends Map {
+  constructor() {
+    super();
+    this._ops = [];
+  }
+
+  // Each write is [key, value|null, previous value] so revert() can undo it.
+  set(key, value) {
+    const previous = super.get(key);
+    super.set(key, value);
+    this._ops.push([key, value, previous]);
+    return this;
+  }
+
+  delete(key) {
+    const previous = super.get(key);
+    const existed = super.delete(key);
+    if (existed) this._ops.push([key, null, previous]);
+    return existed;
+  }
+
+  /** Insert without writing back (used when restoring from the store). */
+  hydrate(key, value) {
+    super.set(key, value);
+  }
+
+  /** Drop a cached entry without writing back (stale after a reload). */
+  evict(key) {
+    return super.delete(key);
+  }
+
+  /** Undo drained writes the store rejected, newest first. */
+  revert(ops) {
+    for (const [key, , previous] of ops.slice().reverse()) {
+      if (previous === undefined) super.delete(key);
+      else super.set(key, previous);
+    }
+  }
+
+  /** Take the recorded writes for one agent's keys, in call order. */
+  drain(agent) {
+    const prefix = `${agent}:`;
+    const ops = this._ops.filter(([key]) => key.startsWith(prefix));
+    this._ops = this._ops.filter(([key]) => !key.startsWith(prefix));
+    return ops;
+  }
+}
+
+function encode(value) {
+  return JSON.parse(JSON.stringify(value, (k, v) => (typeof v === 'bigint' ? { $wei: v.toString() } : v)));
+}
+
+function decode(value) {
+  return JSON.parse(JSON.stringify(value), (k, v) => (
+    v && typeof v === 'object' && typeof v.$wei === 'string' && Object.keys(v).length === 1 ? BigInt(v.$wei) : v
+  ));
+}
+
+module.exports = { BaseStore, CommitMap, encode, decode };
@@ -0,0 +1,108 @@
+/**
+ * File Store (JSON, single node)
+ *
+ * Keeps the whole engine state in one JSON document and rewrites it
+ * atomically (tmp file + rename) on every change. Suitable for a single
+ * VM with a local disk; use the Postgres store for anything shared.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { BaseStore, encode, decode } = require('./base-store');
+
+class FileStore extends BaseStore {
+  constructor(filePath = './data/engine-state.json') {
+    super();
+    this.filePath = filePath;
+    this._doc = { channels: {}, commits: {} };
+  }
+
+  get kind() { return 'file'; }
+
+  async load() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf-8');
+      const doc = JSON.parse(raw);
+      this._doc = { channels: doc.channels || {}, commits: doc.commits || {} };
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    return {
+      channels: Object.values(this._doc.channels).map(decode),
+      commits: Object.entries(this._doc.commits).map(([key, entry]) => [key, decode(entry)]),
+    };
+  }
+
+  async loadChannel(agent) {
+    const { channels, commits } = await this.load();
+    return {
+      channel: channels.find(ch => ch.agent === agent) || null,
+      commits: commits.filter(([key]) => key.startsWith(`${agent}:`)),
+    };
+  }
+
+  /** One document rewrite per action, so a crash never leaves half of it. */
+  persist(channel, commitOps = []) {
+    return this._serial(async () => {
+      for (const [key, entry] of commitOps) {
+        if (entry === null) delete this._doc.commits[key];
+        else this._doc.commits[key] = encode(entry);
+      }
+      if (channel) this._doc.channels[channel.agent] = encode(channel);
+      await this._write();
+    });
+  }
+
+  /** Several channels in the same document rewrite. */
+  persistMany(units) {
+    return this._serial(async () => {
+      for (const { channel, commitOps = [] } of units) {
+        for (const [key, entry] of commitOps) {
+          if (entry === null) delete this._doc.commits[key];
+          else this._doc.commits[key] = encode(entry);
+        }
+        if (channel) this._doc.channels[channel.agent] = encode(channel);
+      }
+      await this._write();
+    });
+  }
+
+  saveChannel(channel) {
+    return this._serial(async () => {
+      this._doc.channels[channel.agent] = encode(channel);
+      await this._write();
+    });
+  }
+
+  removeChannel(agent) {
+    return this._serial(async () => {
+      delete this._doc.channels[agent];
+      await this._write();
+    });
+  }
+
+  saveCommit(key, entry) {
+    return this._serial(async () => {
+      this._doc.commits[key] = encode(entry);
+      await this._write();
+    });
+  }
+
+  removeCommit(key) {
+    return this._serial(async () => {
+      delete this._doc.commits[key];
+      await this._write();
+    });
+  }
+
+  async _write() {
+    const tmp = `${this.filePath}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({ ...this._doc, savedAt: Date.now() }), { mode: 0o600 });
+    await fs.rename(tmp, this.filePath);
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,23 @@
+/**
+ * Channel store factory.
+ *
+ *   CHANNEL_STORE=file      JSON file on local disk (default for the VM)
+ *   CHANNEL_STORE=postgres  Supabase Postgres (casino_channels / casino_commits)
+ *   CHANNEL_STORE=memory    No persistence
+ */
+
+const MemoryStore = require('./memory-store');
+const FileStore = require('./file-store');
+const PostgresStore = require('./postgres-store');
+const { CommitMap } = require('./base-store');
+
+function createStore(kind = 'file', options = {}) {
+  switch (kind) {
+    case 'memory': return new MemoryStore();
+    case 'file': return new FileStore(options.path);
+    case 'postgres': return new PostgresStore(options);
+    default: throw new Error(`Unknown channel store: ${kind}. Use file, postgres or memory.`);
+  }
+}
+
+module.exports = { createStore, MemoryStore, FileStore, PostgresStore, CommitMap };
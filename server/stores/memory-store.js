@@ -0,0 +1,20 @@
+/**
+ * In-Memory Store
+ *
+ * No persistence. Default for tests and local experiments.
+ */
+
+const { BaseStore } = require('./base-store');
+
+class MemoryStore extends BaseStore {
+  get kind() { return 'memory'; }
+
+  async load() { return { channels: [], commits: [] }; }
+  async loadChannel() { return { channel: null, commits: [] }; }
+  async saveChannel() {}
+  async removeChannel() {}
+  async saveCommit() {}
+  async removeCommit() {}
+}
+
+module.exports = MemoryStore;
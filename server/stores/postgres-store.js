@@ -0,0 +1,331 @@
+/**
+ * Postgres Store (Supabase / PostgREST)
+ *
+ * Reuses the Phase 1 tables so the dashboard and the Vercel read API
+ * see VM channels too:
+ *   casino_channels  - one row per channel (balances as exact numeric ETH)
+ *   casino_rounds    - one row per game record (full record in `record`)
+ *   casino_commits   - pending commits (seed + bet in `payload`)
+ *
+ * Requires supabase/engine_store_schema.sql and supabase/atomic_write_rpcs.sql.
+ * Numeric columns are read back with ::text casts so they never pass
+ * through a JS float.
+ *
+ * load() restores every open channel with full history (VM boot),
+ * including those with a relayed close in flight (status 'closing',
+ * channel.closing in memory). loadChannel() fetches a single open agent
+ * without history (serverless, where a closing row is not playable);
+ * games_played keeps counting from the row.
+ */
+
+const { ethers } = require('ethers');
+const { BaseStore, encode, decode } = require('./base-store');
+const { toEth, numericToWei } = require('../wei');
+
+const CORE_FIELDS = ['agent', 'agentDeposit', 'casinoDeposit', 'agentBalance', 'casinoBalance', 'nonce', 'games', 'createdAt', 'closing'];
+const CHANNEL_COLUMNS = 'id,agent,status,agent_deposit::text,casino_deposit::text,agent_balance::text,casino_balance::text,nonce,games_played,opened_at,engine_meta';
+
+class PostgresStore extends BaseStore {
+  constructor(options = {}) {
+    super();
+    this.rest = options.rest || require('../../frontend/api/_supabase').rest;
+    this._rowIds = new Map();      // agent → casino_channels.id
+    this._savedGames = new Map();  // agent → channel.games already in casino_rounds
+    this._gamesOffset = new Map(); // agent → games played but not loaded
+    this._nonces = new Map();      // agent → nonce of the row as last read/written
+  }
+
+  get kind() { return 'postgres'; }
+
+  async load() {
+    const rows = await this.rest(`casino_channels?select=${CHANNEL_COLUMNS}&status=in.(open,closing)&order=id.asc`) || [];
+
+    const gamesByChannel = new Map();
+    if (rows.length > 0) {
+      const ids = rows.map(r => r.id).join(',');
+      const rounds = await this.rest(`casino_rounds?select=channel_id,record&channel_id=in.(${ids})&order=id.asc`) || [];
+      for (const r of rounds) {
+        if (!r.record) continue;
+        if (!gamesByChannel.has(r.channel_id)) gamesByChannel.set(r.channel_id, []);
+        gamesByChannel.get(r.channel_id).push(decode(r.record));
+      }
+    }
+
+    const channels = rows.map(r => this._fromRow(r, gamesByChannel.get(r.id) || []));
+
+    const commitRows = await this.rest('casino_commits?select=commit_key,payload&status=eq.pending&commit_key=not.is.null') || [];
+    const commits = commitRows.map(r => [r.commit_key, decode(r.payload)]);
+
+    return { channels, commits };
+  }
+
+  async loadChannel(agent) {
+    const a = encodeURIComponent(agent);
+    const rows = await this.rest(`casino_channels?select=${CHANNEL_COLUMNS}&agent=eq.${a}&status=eq.open&order=id.desc&limit=1`) || [];
+    if (rows.length === 0) {
+      this._forget(agent);
+      return { channel: null, commits: [] };
+    }
+
+    const commitRows = await this.rest(`casino_commits?select=commit_key,payload&agent=eq.${a}&status=eq.pending&commit_key=not.is.null`) || [];
+    return {
+      channel: this._fromRow(rows[0], []),
+      commits: commitRows.map(r => [r.commit_key, decode(r.payload)]),
+    };
+  }
+
+  /**
+   * One RPC per action (supabase/atomic_write_rpcs.sql): channel, rounds,
+   * stats, commits, event and idempotent response commit together.
+   * The RPC rejects the write if the row's nonce moved since this instance
+   * loaded it (NONCE_CONFLICT), so two concurrent reveals cannot both land.
+   *
+   * tx (all optional):
+   *   rpc      - RPC name for updates (default casino_apply_round)
+   *   args     - extra RPC arguments (e.g. p_ticket, p_round_id)
+   *   row      - extra casino_channels columns on open (settlement fields)
+   *   event    - result => { type, action, agent, result } for casino_events
+   *   request  - result => { request_key, action, agent, response } for casino_requests
+   */
+  persist(channel, commitOps = [], tx = {}, result) {
+    return this._serial(async () => {
+      if (!channel) {
+        for (const [key, entry] of commitOps) await this._writeCommit(key, entry);
+        return;
+      }
+
+      const agent = channel.agent;
+      const p_event = tx.event && result !== undefined ? tx.event(result) : null;
+      const p_request = tx.request && result !== undefined ? tx.request(result) : null;
+      const state = this._state(channel);
+
+      const id = this._rowIds.get(agent);
+      if (!id) {
+        const opened = await this.rest('rpc/casino_open_channel', {
+          method: 'POST',
+          body: {
+            p_channel: {
+              ...tx.row,
+              ...state,
+              agent,
+              agent_deposit: toEth(channel.agentDeposit),
+              casino_deposit: toEth(channel.casinoDeposit),
+              opened_at: new Date(channel.createdAt).toISOString(),
+            },
+            p_event,
+            p_request,
+          },
+        });
+        const row = Array.isArray(opened) ? opened[0] : opened;
+        this._rowIds.set(agent, row.id);
+        this._savedGames.set(agent, 0);
+        this._gamesOffset.set(agent, 0);
+        this._nonces.set(agent, 0);
+        for (const [key, entry] of commitOps) await this._writeCommit(key, entry);
+        return;
+      }
+
+      const saved = this._savedGames.get(agent) || 0;
+      const fresh = channel.games.slice(saved);
+      await this.rest(`rpc/${tx.rpc || 'casino_apply_round'}`, {
+        method: 'POST',
+        body: {
+          p_channel_id: id,
+          p_expected_nonce: this._nonces.get(agent),
+          p_state: state,
+          p_rounds: fresh.map(g => this._roundRow(agent, id, g)),
+          p_commits: commitOps.map(([key, entry]) => this._commitRow(key, entry)),
+          p_event,
+          p_request,
+          ...tx.args,
+        },
+        prefer: 'return=minimal',
+      });
+      this._savedGames.set(agent, channel.games.length);
+      this._nonces.set(agent, channel.nonce);
+    });
+  }
+
+  /**
+   * Several open channels in one transaction (casino_apply_rounds): each
+   * gets the same nonce and invariant checks as casino_apply_round, and
+   * a failure on any of them writes nothing.
+   */
+  persistMany(units, tx = {}, result) {
+    return this._serial(async () => {
+      const updates = units.map(({ channel, commitOps = [] }) => {
+        const id = this._rowIds.get(channel.agent);
+        if (!id) throw new Error(`CHANNEL_NOT_FOUND: no row for ${channel.agent}`);
+        const saved = this._savedGames.get(channel.agent) || 0;
+        return {
+          channel_id: id,
+          expected_nonce: this._nonces.get(channel.agent),
+          state: this._state(channel),
+          rounds: channel.games.slice(saved).map(g => this._roundRow(channel.agent, id, g)),
+          commits: commitOps.map(([key, entry]) => this._commitRow(key, entry)),
+        };
+      });
+
+      await this.rest('rpc/casino_apply_rounds', {
+        method: 'POST',
+        body: {
+          p_updates: updates,
+          p_event: tx.event && result !== undefined ? tx.event(result) : null,
+          p_request: tx.request && result !== undefined ? tx.request(result) : null,
+        },
+        prefer: 'return=minimal',
+      });
+      for (const { channel } of units) {
+        this._savedGames.set(channel.agent, channel.games.length);
+        this._nonces.set(channel.agent, channel.nonce);
+      }
+    });
+  }
+
+  saveChannel(channel) {
+    return this.persist(channel);
+  }
+
+  /** Close through casino_close_channel (nonce + invariant checked in SQL). */
+  removeChannel(agent, tx = {}, result) {
+    return this._serial(async () => {
+      const id = this._rowIds.get(agent);
+      if (!id) return;
+      await this.rest('rpc/casino_close_channel', {
+        method: 'POST',
+        body: {
+          p_channel_id: id,
+          p_expected_nonce: this._nonces.get(agent),
+          p_patch: tx.patch || {},
+          p_event: tx.event && result !== undefined ? tx.event(result) : null,
+          p_request: tx.request && result !== undefined ? tx.request(result) : null,
+        },
+        prefer: 'return=minimal',
+      });
+      this._forget(agent);
+    });
+  }
+
+  /** Same status flip as the serverless relayed close, at the nonce this instance holds. */
+  setClosing(channel) {
+    return this._serial(async () => {
+      const id = this._rowIds.get(channel.agent);
+      if (!id) throw new Error(`CHANNEL_NOT_FOUND: no row for ${channel.agent}`);
+      const [from, to] = channel.closing ? ['open', 'closing'] : ['closing', 'open'];
+      const rows = await this.rest(`casino_channels?id=eq.${id}&status=eq.${from}&nonce=eq.${this._nonces.get(channel.agent)}`, {
+        method: 'PATCH',
+        body: { status: to, updated_at: new Date().toISOString() },
+      });
+      if (!rows?.length) throw new Error(`NONCE_CONFLICT: channel ${id} changed before it was marked ${to}`);
+    });
+  }
+
+  saveCommit(key, entry) {
+    return this._serial(() => this._writeCommit(key, entry));
+  }
+
+  removeCommit(key) {
+    return this._serial(() => this._writeCommit(key, null));
+  }
+
+  // ─── Internal ───────────────────────────────────────────
+
+  async _writeCommit(key, entry) {
+    if (entry === null) {
+      await this.rest(`casino_commits?commit_key=eq.${encodeURIComponent(key)}&status=eq.pending`, {
+        method: 'PATCH',
+        body: { status: 'resolved' },
+        prefer: 'return=minimal',
+      });
+      return;
+    }
+    // Upsert: a multi-step game rewrites the same pending key each action.
+    await this.rest('rpc/casino_write_commits', {
+      method: 'POST',
+      body: { p_commits: [this._commitRow(key, entry)] },
+      prefer: 'return=minimal',
+    });
+  }
+
+  _state(channel) {
+    return {
+      agent_balance: toEth(channel.agentBalance),
+      casino_balance: toEth(channel.casinoBalance),
+      nonce: channel.nonce,
+      games_played: (this._gamesOffset.get(channel.agent) || 0) + channel.games.length,
+      engine_meta: this._meta(channel),
+    };
+  }
+
+  _commitRow(key, entry) {
+    const [agent, game] = key.split(':');
+    return {
+      agent,
+      game: (entry && entry.game) || game,
+      commit_key: key,
+      payload: entry === null ? null : encode(entry),
+      created_at: new Date((entry && entry.timestamp) || Date.now()).toISOString(),
+    };
+  }
+
+  _meta(channel) {
+    const meta = {};
+    for (const [k, v] of Object.entries(channel)) {
+      if (!CORE_FIELDS.includes(k)) meta[k] = v;
+    }
+    return encode(meta);
+  }
+
+  _fromRow(r, games) {
+    this._rowIds.set(r.agent, r.id);
+    this._savedGames.set(r.agent, games.length);
+    this._gamesOffset.set(r.agent, Math.max(0, Number(r.games_played || 0) - games.length));
+    this._nonces.set(r.agent, Number(r.nonce || 0));
+
+    return {
+      ...(r.engine_meta ? decode(r.engine_meta) : {}),
+      agent: r.agent,
+      agentDeposit: numericToWei(r.agent_deposit),
+      casinoDeposit: numericToWei(r.casino_deposit),
+      agentBalance: numericToWei(r.agent_balance),
+      casinoBalance: numericToWei(r.casino_balance),
+      nonce: Number(r.nonce || 0),
+      games,
+      createdAt: new Date(r.opened_at).getTime(),
+      ...(r.status === 'closing' ? { closing: true } : {}),
+    };
+  }
+
+  _forget(agent) {
+    this._rowIds.delete(agent);
+    this._savedGames.delete(agent);
+    this._gamesOffset.delete(agent);
+    this._nonces.delete(agent);
+  }
+
+  _roundRow(agent, channelId, g) {
+    const bet = g.bet || g.cost || '0';
+    const payout = g.payout || '0';
+    const multiplier = Number(g.multiplier);
+    return {
+      agent,
+      channel_id: channelId,
+      game: g.game,
+      bet,
+      payout,
+      won: g.won !== undefined ? g.won : ethers.parseEther(payout) > 0n,
+      multiplier: Number.isFinite(multiplier) ? multiplier : null,
+      reels: g.reels || null,
+      choice: g.choice || null,
+      result: g.result !== undefined ? String(g.result) : (g.roll !== undefined ? String(g.roll) : null),
+      picked_number: g.pickedNumber || null,
+      draw_id: g.drawId || null,
+      ticket_count: g.ticketCount || null,
+      nonce: g.nonce,
+      timestamp: new Date(g.timestamp || Date.now()).toISOString(),
+      record: encode(g),
+    };
+  }
+}
+
+module.exports = PostgresStore;
@@ -0,0 +1,465 @@
+/**
+ * Round Verifier
+ *
+ * Rebuilds a round from the record the casino returned and checks it
+ * without trusting the server: the seed against its commitment, the
+ * result hash, the reels/roll/flip derived from it, the payout and the
+ * EIP-712 signature on the resulting channel state.
+ *
+ * Records it understands:
+ *   reveal    slots_reveal, coinflip_reveal, dice_reveal (commitment from
+ *             the *_commit response, stored by the SDK as `commitment`)
+ *   chain     slots_play, coinflip_play, dice_play (seed chain, see seed-chain.js)
+ *   batch     *_batch_play
+ *   entropy   *_entropy_finalize (Pyth randomValue; its onchain request
+ *             is not looked up here)
+ *   lotto     LottoGame.executeDraw
+ *
+ * Each check is { check, ok, detail } with ok === null when the record
+ * lacks what the check needs (e.g. no contract address to check a
+ * signature against). A report fails only on ok === false.
+ *
+ * verifyBackupDir() bulk-checks the snapshots AgentCasinoClient._backup()
+ * writes: every signed state, nonce order, one signer per channel and
+ * every round record the SDK stored alongside its state.
+ */
+
+const { ethers } = require('ethers');
+const { createHash } = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const CommitReveal = require('./commit-reveal');
+const SlotsGame = require('./games/slots');
+const CoinflipGame = require('./games/coinflip');
+const DiceGame = require('./games/dice');
+const LottoGame = require('./games/lotto');
+const { toWei } = require('./wei');
+
+const slots = new SlotsGame();
+const coinflip = new CoinflipGame();
+const dice = new DiceGame();
+const lotto = new LottoGame();
+
+const STATE_TYPES = {
+  ChannelState: [
+    { name: 'agent', type: 'address' },
+    { name: 'epoch', type: 'uint256' },
+    { name: 'agentBalance', type: 'uint256' },
+    { name: 'casinoBalance', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+};
+
+// ─── Round Records ──────────────────────────────────────
+
+/**
+ * Verify one round record.
+ * @param {object} record - a response as returned by the casino
+ * @param {object} [options]
+ * @param {string} [options.game] - slots | coinflip | dice, if the record doesn't say
+ * @param {string} [options.commitment] - from the *_commit response
+ * @param {string} [options.agent] - channel (stealth) address the state is signed for
+ * @param {string} [options.casino] - expected signer
+ * @param {number} [options.chainId]
+ * @param {string} [options.contract] - ChannelManager address
+ * @param {number} [options.epoch] - ChannelManager.channelEpoch of the agent's channel (default 0)
+ * @returns {{ kind: string, game: string|null, nonce: number|null, ok: boolean, checks: object[] }}
+ */
+function verifyRound(record, options = {}) {
+  const kind = kindOf(record);
+  const game = kind === 'lotto' ? 'lotto' : (options.game || record.game || gameOf(record));
+  let checks;
+
+  if (kind === 'lotto') checks = checkLottoDraw(record);
+  else if (kind === 'unknown') checks = [fail('format', 'not a round record')];
+  else if (!['slots', 'coinflip', 'dice'].includes(game) && !(kind === 'entropy' && game === 'lotto')) {
+    checks = [fail('format', `unsupported game: ${game || 'unknown'}`)];
+  } else if (kind === 'reveal') checks = checkReveal(record, game, options);
+  else if (kind === 'chain') checks = checkChainPlay(record, game, options);
+  else if (kind === 'batch') checks = checkBatch(record, game, options);
+  else checks = checkEntropy(record, game, options);
+
+  return {
+    kind,
+    game: game || null,
+    nonce: record.nonce === undefined ? null : record.nonce,
+    ok: checks.every(c => c.ok !== false),
+    checks,
+  };
+}
+
+function kindOf(record) {
+  const proof = record.proof || {};
+  if (record.drawId !== undefined && record.winningNumber !== undefined) return 'lotto';
+  if (record.provider === 'pyth_entropy' || proof.randomValue) return 'entropy';
+  if (Array.isArray(record.rounds) && record.chain) return 'batch';
+  if (proof.seedCommitment) return 'chain';
+  if (proof.casinoSeed && proof.agentSeed) return 'reveal';
+  return 'unknown';
+}
+
+/** Game from the outcome fields, for records that don't name it. */
+function gameOf(record) {
+  if (Array.isArray(record.rounds) && record.rounds.length) return gameOf(record.rounds[0]);
+  if (record.reelIndices || Array.isArray(record.reels)) return 'slots';
+  if (record.roll !== undefined) return 'dice';
+  if (record.choice === 'heads' || record.choice === 'tails') return 'coinflip';
+  return null;
+}
+
+function checkReveal(record, game, options) {
+  const { casinoSeed, agentSeed, resultHash } = record.proof;
+  const commitment = options.commitment || record.commitment;
+  // The round is played at the nonce before the one it is signed at.
+  const nonce = record.nonce - 1;
+
+  return [
+    commitment
+      ? check('commitment', CommitReveal.verify(commitment, casinoSeed), 'sha256(casinoSeed) must equal the commitment')
+      : skip('commitment', 'no commitment recorded'),
+    check(
+      'result hash',
+      CommitReveal.computeResult(casinoSeed, agentSeed, nonce).hash === resultHash,
+      `sha256(casinoSeed:agentSeed:${nonce}) must equal resultHash`,
+    ),
+    ...checkOutcome(game, resultHash, record, { cap: true }),
+    checkSignature(record, options),
+  ];
+}
+
+function checkChainPlay(record, game, options) {
+  const { casinoSeed, clientSeed, nonce, resultHash, seedCommitment, chainIndex } = record.proof;
+  const pinned = options.seedCommitment;
+
+  return [
+    check(
+      'seed chain',
+      CommitReveal.verifyChainSeed(seedCommitment, casinoSeed, chainIndex)
+        && (!pinned || pinned === seedCommitment),
+      `casinoSeed hashed ${chainIndex} times must equal seedCommitment`,
+    ),
+    check('nonce', record.nonce === nonce + 1, `played at ${nonce}, signed at ${record.nonce}`),
+    check(
+      'result hash',
+      CommitReveal.computeResult(casinoSeed, clientSeed, nonce).hash === resultHash,
+      `sha256(casinoSeed:clientSeed:${nonce}) must equal resultHash`,
+    ),
+    ...checkOutcome(game, resultHash, record, { cap: false }),
+    checkSignature(record, options),
+  ];
+}
+
+function checkBatch(record, game, options) {
+  const { commitment } = record.chain;
+  const checks = [];
+  let betWei = 0n;
+  let paidWei = 0n;
+
+  for (const [i, round] of record.rounds.entries()) {
+    const { casinoSeed, agentSeed, nonce, resultHash } = round.proof;
+    const label = `round ${round.round}`;
+    const prev = record.rounds[i - 1];
+    checks.push(
+      check(
+        `${label} seed chain`,
+        CommitReveal.verifyChainSeed(commitment, casinoSeed, round.round)
+          && (!prev || prev.round === round.round - 1),
+        `casinoSeed hashed ${round.round} times must equal the chain commitment`,
+      ),
+      check(
+        `${label} result hash`,
+        (!prev || prev.proof.nonce === nonce - 1)
+          && CommitReveal.computeResult(casinoSeed, agentSeed, nonce).hash === resultHash,
+        `sha256(casinoSeed:agentSeed:${nonce}) must equal resultHash`,
+      ),
+      ...checkOutcome(game, resultHash, round, { cap: false }).map(c => ({ ...c, check: `${label} ${c.check}` })),
+    );
+    if (round.bet !== undefined) betWei += toWei(round.bet);
+    if (round.payout !== undefined) paidWei += toWei(round.payout);
+  }
+
+  const last = record.rounds[record.rounds.length - 1];
+  checks.push(
+    check('nonce', !last || record.nonce === last.proof.nonce + 1, `last round at ${last && last.proof.nonce}, signed at ${record.nonce}`),
+    check(
+      'totals',
+      betWei === toWei(record.totalBet) && paidWei === toWei(record.totalPayout),
+      'rounds must add up to totalBet and totalPayout',
+    ),
+    checkSignature(record, options),
+  );
+  return checks;
+}
+
+function checkEntropy(record, game, options) {
+  const { randomValue, derivedResult } = record.proof;
+  const rng = BigInt(String(randomValue || '0x0'));
+  const betWei = record.bet === undefined ? null : toWei(record.bet);
+  let derived;
+  let expectedWei = null;
+
+  if (game === 'coinflip') {
+    derived = rng % 2n === 0n ? 'heads' : 'tails';
+    if (betWei !== null) expectedWei = coinflip.payoutFor(betWei, record.choice === derived);
+  } else if (game === 'dice') {
+    const roll = Number(rng % 100n) + 1;
+    derived = String(roll);
+    if (betWei !== null) expectedWei = dice.payoutFor(betWei, record.choice, record.target, roll);
+  } else if (game === 'slots') {
+    const reels = slots.spin(createHash('sha256').update(String(randomValue || '0x0')).digest('hex'));
+    derived = slots.symbolsFor(reels).join('-');
+    if (betWei !== null) expectedWei = betWei * slots.multiplierFor(reels);
+  } else {
+    const range = Number((/% (\d+)/.exec(record.proof.formula || '') || [])[1] || lotto.range);
+    const winning = Number(rng % BigInt(range)) + 1;
+    derived = String(winning);
+    if (record.ticketCount !== undefined) {
+      expectedWei = record.pickedNumber === winning ? lotto.winningsFor(record.ticketCount) : 0n;
+    }
+  }
+
+  return [
+    skip('entropy', `randomValue is not checked onchain; look up request ${record.requestId || record.proof.requestId}`),
+    check(
+      'outcome',
+      derived === String(record.result) && derived === String(derivedResult),
+      `randomValue gives ${derived}, record says ${record.result}`,
+    ),
+    expectedWei === null
+      ? skip('payout', 'record has no bet')
+      : checkPayout(expectedWei, record, game === 'lotto' ? 0n : betWei, true),
+    checkSignature(record, options),
+  ];
+}
+
+function checkLottoDraw(record) {
+  const { drawId, casinoSeed, commitment, winningNumber, agentCount } = record;
+  const winners = record.winners || [];
+  return [
+    check('commitment', CommitReveal.verify(commitment, casinoSeed), 'sha256(casinoSeed) must equal the commitment'),
+    agentCount === undefined
+      ? skip('outcome', 'record has no agentCount')
+      : check(
+        'outcome',
+        lotto.winningNumberFor(casinoSeed, agentCount, toWei(record.totalPool), drawId) === winningNumber,
+        `seed, ${agentCount} agents and pool ${record.totalPool} must give ${winningNumber}`,
+      ),
+    check(
+      'payout',
+      winners.every(w => toWei(w.payout) === lotto.winningsFor(w.tickets)),
+      'each winner is paid the ticket price × 85 per matching ticket',
+    ),
+  ];
+}
+
+// ─── Game Math ──────────────────────────────────────────
+
+/**
+ * Outcome and payout checks for a slots, coinflip or dice round derived
+ * from a commit-reveal result hash.
+ * @param {{ cap: boolean }} opts - whether the payout may have been capped
+ *   at the casino balance (single rounds; batch and chain play validate
+ *   the bankroll up front)
+ */
+function checkOutcome(game, resultHash, record, { cap }) {
+  const betWei = record.bet === undefined ? null : toWei(record.bet);
+  let outcome;
+  let expectedWei = null;
+
+  if (game === 'slots') {
+    const reels = slots.spin(resultHash);
+    const shown = record.reelIndices || record.reels;
+    outcome = check('outcome', sameList(reels, shown), `reels ${reels.join(',')}, record says ${shown}`);
+    if (betWei !== null) expectedWei = betWei * slots.multiplierFor(reels);
+  } else if (game === 'coinflip') {
+    const result = coinflip.flip(resultHash);
+    const won = result === record.choice;
+    outcome = check('outcome', result === record.result && won === record.won, `flip ${result}, record says ${record.result}`);
+    if (betWei !== null) expectedWei = coinflip.payoutFor(betWei, won);
+  } else {
+    const roll = dice.roll(resultHash);
+    const { won } = dice.outcomeFor(record.choice, record.target, roll);
+    outcome = check('outcome', roll === record.roll && won === record.won, `roll ${roll}, record says ${record.roll}`);
+    if (betWei !== null) expectedWei = dice.payoutFor(betWei, record.choice, record.target, roll);
+  }
+
+  return [
+    outcome,
+    expectedWei === null ? skip('payout', 'record has no bet') : checkPayout(expectedWei, record, betWei, cap),
+  ];
+}
+
+/**
+ * The paid amount must be the computed one, or less only when the casino
+ * side could not cover it: the engine caps payouts at the casino balance,
+ * which leaves the casino side with at most the stake.
+ */
+function checkPayout(expectedWei, record, betWei, cap) {
+  const paidWei = toWei(record.payout);
+  if (paidWei === expectedWei) return check('payout', true, `${record.payout} ETH`);
+  const capped = cap && paidWei < expectedWei
+    && record.casinoBalance !== undefined && toWei(record.casinoBalance) <= betWei;
+  return capped
+    ? check('payout', true, `${record.payout} ETH, capped at the casino balance`)
+    : check('payout', false, `expected ${ethers.formatEther(expectedWei)} ETH, record says ${record.payout}`);
+}
+
+function sameList(a, b) {
+  return Array.isArray(b) && a.length === b.length && a.every((v, i) => v === b[i]);
+}
+
+// ─── Signatures ─────────────────────────────────────────
+
+/**
+ * Address that signed a channel state, or null if it can't be recovered.
+ * @param {{ agentBalance: string, casinoBalance: string, signature: string }} state
+ * @param {{ agent: string, chainId: number, contract: string, epoch?: number }} options
+ * @param {number} nonce
+ */
+function recoverSigner(state, { agent, chainId, contract, epoch = 0 }, nonce) {
+  const domain = { name: 'AgentCasino', version: '1', chainId, verifyingContract: contract };
+  const value = {
+    agent,
+    epoch,
+    agentBalance: toWei(state.agentBalance),
+    casinoBalance: toWei(state.casinoBalance),
+    nonce,
+  };
+  try {
+    return ethers.verifyTypedData(domain, STATE_TYPES, value, state.signature);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * EIP-712 check for the state a record (or backup entry) carries. With
+ * options.casino the signer must match it; without, the signer is
+ * reported. Closing states from onchain-settle channels are signed at
+ * nonce + 1, so `final` states are tried at both.
+ */
+function checkSignature(state, options, final = false) {
+  if (!state.signature) return skip('signature', 'state is not signed');
+  if (!options.agent || !options.chainId || !options.contract) {
+    return skip('signature', 'needs agent, chainId and contract');
+  }
+
+  const nonces = final ? [state.nonce, state.nonce + 1] : [state.nonce];
+  let signer = null;
+  for (const nonce of nonces) {
+    signer = recoverSigner(state, options, nonce);
+    if (!options.casino || sameAddress(signer, options.casino)) break;
+  }
+
+  if (!signer) return check('signature', false, 'signature does not recover');
+  if (!options.casino) return { check: 'signature', ok: true, detail: `signed by ${signer} (casino address not pinned)`, signer };
+  return { ...check('signature', sameAddress(signer, options.casino), `signed by ${signer}`), signer };
+}
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+// ─── SDK Backups ────────────────────────────────────────
+
+/**
+ * Verify every channel in an SDK backup directory. Snapshot files of one
+ * channel are merged (each holds the states up to its export), so a state
+ * dropped from a later snapshot is still checked.
+ * @param {string} dir - AgentCasinoClient backupDir
+ * @param {object} [options] - casino, chainId, contract, epoch (see verifyRound);
+ *   epoch defaults to the one the backup records
+ * @returns {Promise<{ ok: boolean, channels: object[] }>}
+ */
+async function verifyBackupDir(dir, options = {}) {
+  const names = (await fs.readdir(dir)).filter(n => n.endsWith('.json')).sort();
+  const byAgent = new Map();
+
+  for (const name of names) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(path.join(dir, name), 'utf-8'));
+    } catch {
+      continue;
+    }
+    if (!data || !data.stealthAddress || !Array.isArray(data.states)) continue;
+    const key = data.stealthAddress.toLowerCase();
+    if (!byAgent.has(key)) byAgent.set(key, { agent: data.stealthAddress, files: [], states: [] });
+    const entry = byAgent.get(key);
+    if (data.epoch !== undefined) entry.epoch = data.epoch;
+    entry.files.push(name);
+    entry.states.push(...data.states);
+  }
+
+  const channels = [...byAgent.values()].map(e => verifyBackup(e.agent, e.states, { ...options, epoch: options.epoch ?? e.epoch, files: e.files }));
+  return { ok: channels.every(c => c.ok), channels };
+}
+
+/**
+ * Verify one channel's signed states and the round records stored with them.
+ * @param {string} agent - stealth address
+ * @param {object[]} states - SDK state entries, in any order, duplicates allowed
+ */
+function verifyBackup(agent, states, options = {}) {
+  const opts = { ...options, agent };
+  const unique = new Map();
+  for (const s of states) {
+    const key = `${s.nonce}:${s.agentBalance}:${s.casinoBalance}:${s.signature}`;
+    if (!unique.has(key)) unique.set(key, s);
+  }
+  const sorted = [...unique.values()].sort((a, b) => a.nonce - b.nonce);
+
+  const checks = [];
+  const signers = new Set();
+  for (const state of sorted) {
+    const sig = checkSignature(state, opts, Boolean(state.final));
+    if (sig.signer) signers.add(sig.signer.toLowerCase());
+    checks.push({ ...sig, check: `nonce ${state.nonce} signature` });
+  }
+
+  // Two signed states with the same nonce but different balances is the
+  // one thing a channel must never produce: either could be disputed.
+  const conflicts = sorted.filter((s, i) => (
+    i > 0 && sorted[i - 1].nonce === s.nonce
+    && (sorted[i - 1].agentBalance !== s.agentBalance || sorted[i - 1].casinoBalance !== s.casinoBalance)
+  ));
+  checks.push(check(
+    'nonce order',
+    conflicts.length === 0,
+    conflicts.length ? `conflicting states at nonce ${conflicts.map(s => s.nonce).join(', ')}` : `${sorted.length} states`,
+  ));
+  if (!options.casino && signers.size > 0) {
+    checks.push(check('signer', signers.size === 1, `${signers.size} signing key(s): ${[...signers].join(', ')}`));
+  }
+
+  const rounds = sorted.filter(s => s.round).map(s => verifyRound(s.round, opts));
+  return {
+    agent,
+    files: options.files || [],
+    states: sorted.length,
+    ok: checks.every(c => c.ok !== false) && rounds.every(r => r.ok),
+    checks,
+    rounds,
+  };
+}
+
+// ─── Helpers ────────────────────────────────────────────
+
+function check(name, ok, detail) {
+  return { check: name, ok: Boolean(ok), detail };
+}
+
+function fail(name, detail) {
+  return { check: name, ok: false, detail };
+}
+
+function skip(name, detail) {
+  return { check: name, ok: null, detail };
+}
+
+module.exports = {
+  verifyRound,
+  verifyBackup,
+  verifyBackupDir,
+  recoverSigner,
+};
@@ -0,0 +1,269 @@
+/**
+ * Watchtower
+ *
+ * An agent can start an onchain challenge with any state the casino ever
+ * signed. If it is older than the engine's latest state, the casino has
+ * CHALLENGE_PERIOD (1 day) to counterChallenge with the newer one or the
+ * channel settles at the stale balances.
+ *
+ * The watchtower follows ChallengeStarted / ChallengeCountered /
+ * ChallengeResolved logs from ChannelManager and, for every open dispute,
+ * compares the onchain nonce with the engine's latest state for that
+ * agent. A stale one is countered with a fresh signature over the latest
+ * state, sent from the casino signer. Disputes stay under watch until
+ * resolved, so an agent who keeps playing after challenging (and would
+ * otherwise freeroll on the challenged state) is countered again.
+ *
+ * Closed channels leave the engine, so their final states are kept here
+ * (recordClose) and used the same way.
+ *
+ * Everything it saw and did is kept in one JSON document (like FileStore):
+ *   cursor    last block scanned
+ *   closed    agent → final signed state
+ *   disputes  agent → { status, nonce, deadline, events[], counters[], errors[] }
+ *
+ * Dispute status:
+ *   watching  onchain nonce is the latest we have, nothing to do
+ *   countered our counter is the onchain state
+ *   failed    counter attempts failed; retried every poll until the deadline
+ *   expired   deadline passed on a stale state (alerted)
+ *   unknown   no state for this agent (alerted)
+ *   resolved  ChallengeResolved seen
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { toEth, toWei } = require('./wei');
+
+// ~1 day of Base blocks (2s): the first run looks back one challenge period.
+const LOOKBACK_BLOCKS = 43200;
+const BLOCK_RANGE = 2000;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY = 5000;
+
+class Watchtower {
+  /**
+   * @param {GamingEngine} engine
+   * @param {ethers.Contract} contract - ChannelManager, connected to the casino signer
+   * @param {object} [options]
+   * @param {string} [options.path] - record file (default ./data/watchtower.json)
+   * @param {number} [options.startBlock] - first block to scan when there is no cursor
+   * @param {function} [options.alert] - (message, details) for anything needing a human
+   */
+  constructor(engine, contract, options = {}) {
+    this.engine = engine;
+    this.contract = contract;
+    this.filePath = options.path || './data/watchtower.json';
+    this.startBlock = options.startBlock;
+    this.maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+    this.retryDelayMs = options.retryDelayMs === undefined ? RETRY_DELAY : options.retryDelayMs;
+    this.alert = options.alert || ((message, details) => console.error(`[watchtower] ${message}`, details || ''));
+    this._doc = { cursor: null, closed: {}, disputes: {} };
+    this._polling = null;
+  }
+
+  async load() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    try {
+      const doc = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+      this._doc = { cursor: doc.cursor ?? null, closed: doc.closed || {}, disputes: doc.disputes || {} };
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    return this;
+  }
+
+  /** Keep a closed channel's final state; it leaves the engine on close. */
+  async recordClose(agent, result) {
+    this._doc.closed[agent.toLowerCase()] = {
+      agentBalance: result.agentBalance,
+      casinoBalance: result.casinoBalance,
+      nonce: result.nonce,
+      signature: result.signature,
+      closedAt: Date.now(),
+    };
+    await this._write();
+  }
+
+  // ─── Polling ────────────────────────────────────────────
+
+  /** One pass: scan new blocks, then re-check every open dispute. Never overlaps. */
+  poll() {
+    if (!this._polling) {
+      this._polling = this._poll().finally(() => { this._polling = null; });
+    }
+    return this._polling;
+  }
+
+  async _poll() {
+    const provider = this.contract.runner.provider;
+    const head = await provider.getBlockNumber();
+    let from = this._doc.cursor === null
+      ? (this.startBlock ?? Math.max(0, head - LOOKBACK_BLOCKS))
+      : this._doc.cursor + 1;
+
+    while (from <= head) {
+      const to = Math.min(head, from + BLOCK_RANGE - 1);
+      const events = await this._events(from, to);
+      for (const ev of events) this._apply(ev);
+      this._doc.cursor = to;
+      await this._write();
+      from = to + 1;
+    }
+
+    const { timestamp } = await provider.getBlock('latest');
+    for (const dispute of Object.values(this._doc.disputes)) {
+      if (['resolved', 'expired'].includes(dispute.status)) continue;
+      await this._reconcile(dispute, timestamp);
+    }
+    await this._write();
+    return this.getStats();
+  }
+
+  async _events(from, to) {
+    const { filters } = this.contract;
+    const batches = await Promise.all([
+      this.contract.queryFilter(filters.ChallengeStarted(), from, to),
+      this.contract.queryFilter(filters.ChallengeCountered(), from, to),
+      this.contract.queryFilter(filters.ChallengeResolved(), from, to),
+    ]);
+    return batches.flat().sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+  }
+
+  /** Fold one log into the dispute record for its agent. */
+  _apply(ev) {
+    const agent = ev.args.agent;
+    const key = agent.toLowerCase();
+    const entry = {
+      type: ev.eventName,
+      txHash: ev.transactionHash,
+      block: ev.blockNumber,
+    };
+
+    if (ev.eventName === 'ChallengeStarted') {
+      this._doc.disputes[key] = {
+        agent,
+        status: 'watching',
+        nonce: Number(ev.args.nonce),
+        deadline: Number(ev.args.deadline),
+        startedAt: Date.now(),
+        events: [],
+        counters: [],
+        errors: [],
+      };
+    }
+    const dispute = this._doc.disputes[key];
+    if (!dispute) return;
+
+    if (ev.eventName === 'ChallengeResolved') {
+      dispute.status = 'resolved';
+      dispute.resolvedAt = Date.now();
+      entry.agentPayout = toEth(ev.args.agentPayout);
+      if (this._channel(agent)) this.alert('Channel settled onchain but still open in the engine', { agent });
+    } else {
+      dispute.nonce = Number(ev.args.nonce);
+      dispute.deadline = Number(ev.args.deadline ?? ev.args.newDeadline);
+      entry.nonce = dispute.nonce;
+      entry.agentBalance = toEth(ev.args.agentBalance);
+    }
+    dispute.events.push(entry);
+  }
+
+  // ─── Countering ─────────────────────────────────────────
+
+  async _reconcile(dispute, now) {
+    const latest = await this.latestState(dispute.agent);
+    if (!latest) {
+      if (dispute.status !== 'unknown') this.alert('Challenge on a channel the engine has no state for', { agent: dispute.agent, nonce: dispute.nonce });
+      dispute.status = 'unknown';
+      return;
+    }
+    if (latest.nonce <= dispute.nonce) {
+      if (dispute.status !== 'countered') dispute.status = 'watching';
+      return;
+    }
+    if (now >= dispute.deadline) {
+      dispute.status = 'expired';
+      this.alert('Challenge period ended on a stale state', { agent: dispute.agent, onchainNonce: dispute.nonce, latestNonce: latest.nonce });
+      return;
+    }
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      try {
+        const tx = await this.contract.counterChallenge(
+          dispute.agent, latest.agentBalance, latest.casinoBalance, latest.nonce, latest.signature
+        );
+        const receipt = await tx.wait();
+        dispute.counters.push({ txHash: receipt.hash, block: receipt.blockNumber, nonce: latest.nonce, at: Date.now() });
+        dispute.nonce = latest.nonce;
+        dispute.status = 'countered';
+        return;
+      } catch (err) {
+        dispute.errors.push({ nonce: latest.nonce, attempt, message: err.shortMessage || err.message, at: Date.now() });
+        if (attempt < this.maxAttempts) await new Promise(r => setTimeout(r, this.retryDelayMs * attempt));
+      }
+    }
+
+    dispute.status = 'failed';
+    this.alert('counterChallenge failed; retrying next poll', {
+      agent: dispute.agent,
+      onchainNonce: dispute.nonce,
+      latestNonce: latest.nonce,
+      deadline: dispute.deadline,
+      error: dispute.errors[dispute.errors.length - 1].message,
+    });
+  }
+
+  /**
+   * The newest state the casino can prove for an agent: the open channel
+   * (signed fresh, same values as the state the agent already holds) or
+   * the final state of a closed one.
+   * @returns {Promise<{ agentBalance: BigInt, casinoBalance: BigInt, nonce: number, signature: string }|null>}
+   */
+  async latestState(agent) {
+    let channel = this._channel(agent);
+    if (!channel && this.engine.store.kind !== 'memory') channel = await this.engine.loadChannel(agent);
+    if (channel) {
+      const signature = await this.engine._signState(channel.agent, channel.agentBalance, channel.casinoBalance, channel.nonce);
+      return { agentBalance: channel.agentBalance, casinoBalance: channel.casinoBalance, nonce: channel.nonce, signature };
+    }
+
+    const closed = this._doc.closed[agent.toLowerCase()];
+    if (!closed) return null;
+    return {
+      agentBalance: toWei(closed.agentBalance),
+      casinoBalance: toWei(closed.casinoBalance),
+      nonce: closed.nonce,
+      signature: closed.signature,
+    };
+  }
+
+  _channel(agent) {
+    const direct = this.engine.channels.get(agent);
+    if (direct) return direct;
+    for (const [addr, channel] of this.engine.channels) {
+      if (addr.toLowerCase() === agent.toLowerCase()) return channel;
+    }
+    return null;
+  }
+
+  // ─── Views ──────────────────────────────────────────────
+
+  getDisputes() {
+    return Object.values(this._doc.disputes).map(d => ({ ...d }));
+  }
+
+  getStats() {
+    const byStatus = {};
+    for (const d of Object.values(this._doc.disputes)) byStatus[d.status] = (byStatus[d.status] || 0) + 1;
+    return { cursor: this._doc.cursor, disputes: byStatus };
+  }
+
+  async _write() {
+    const tmp = `${this.filePath}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({ ...this._doc, savedAt: Date.now() }), { mode: 0o600 });
+    await fs.rename(tmp, this.filePath);
+  }
+}
+
+module.exports = Watchtower;
@@ -24,6 +24,18 @@ function toWei(value) {
   throw new Error(`Cannot convert ${typeof value} to wei`);
 }
 
+/**
+ * Parse a Postgres numeric ETH value (text, or a JSON number) to wei.
+ * Legacy float writes can carry more than 18 decimals
+ * (e.g. 0.0009999999999999998); anything past wei is dropped.
+ */
+function numericToWei(value) {
+  if (value === null || value === undefined || value === '') return ZERO;
+  const text = typeof value === 'number' ? value.toFixed(18) : String(value);
+  const [whole, frac = ''] = text.split('.');
+  return ethers.parseEther(frac ? `${whole}.${frac.slice(0, 18)}` : whole);
+}
+
 /**
  * Convert wei BigInt to ETH string.
  */
@@ -38,4 +50,4 @@ function toEthNumber(wei) {
   return parseFloat(ethers.formatEther(wei));
 }
 
-module.exports = { toWei, toEth, toEthNumber, ZERO };
+module.exports = { toWei, toEth, toEthNumber, numericToWei, ZERO };
@@ -0,0 +1,345 @@
+-- Atomic write path: one Postgres transaction per mutating A2A action.
+-- Called through PostgREST RPC (POST /rest/v1/rpc/<name>).
+-- Requires phase1, phase2 patch, onchain settlement, phase3 entropy and
+-- engine store schemas. Safe to run multiple times.
+--
+-- Every channel update:
+--   - locks the channel row (FOR UPDATE)
+--   - checks the caller's nonce against the stored one (optimistic)
+--   - checks agent_deposit + casino_deposit == agent_balance + casino_balance
+--   - writes channel, rounds, stats, commits, event and idempotent response
+--     together, or raises and writes nothing
+--
+-- Errors are raised as 'CODE: detail' so the handler can map them.
+
+-- ─── Shared writes ────────────────────────────────────────
+
+create or replace function casino_write_commits(p_commits jsonb)
+returns void
+language plpgsql
+as $$
+declare
+  c jsonb;
+begin
+  for c in select * from jsonb_array_elements(coalesce(p_commits, '[]'::jsonb)) loop
+    if c->'payload' is null or jsonb_typeof(c->'payload') = 'null' then
+      update casino_commits set status = 'resolved'
+        where commit_key = c->>'commit_key' and status = 'pending';
+    else
+      -- Multi-step games (blackjack) rewrite their pending entry each action.
+      insert into casino_commits (agent, game, status, commit_key, payload, created_at)
+        values (c->>'agent', c->>'game', 'pending', c->>'commit_key', c->'payload',
+                coalesce((c->>'created_at')::timestamptz, now()))
+        on conflict (commit_key) where status = 'pending' do update set payload = excluded.payload;
+    end if;
+  end loop;
+end;
+$$;
+
+create or replace function casino_write_meta(p_event jsonb, p_request jsonb)
+returns void
+language plpgsql
+as $$
+begin
+  if p_event is not null then
+    insert into casino_events (ts, type, action, agent, result)
+      values (now(), p_event->>'type', p_event->>'action', p_event->>'agent', p_event->'result');
+  end if;
+
+  if p_request is not null then
+    insert into casino_requests (request_key, action, agent, status, response, created_at)
+      values (p_request->>'request_key', p_request->>'action', p_request->>'agent', 'done', p_request->'response', now())
+      on conflict (request_key) do update set response = excluded.response, status = 'done';
+  end if;
+end;
+$$;
+
+-- ─── Open ─────────────────────────────────────────────────
+
+create or replace function casino_open_channel(
+  p_channel jsonb,
+  p_event jsonb default null,
+  p_request jsonb default null
+)
+returns casino_channels
+language plpgsql
+as $$
+declare
+  r casino_channels;
+  ch casino_channels;
+begin
+  r := jsonb_populate_record(null::casino_channels, p_channel);
+
+  -- One open channel per agent, even with concurrent opens.
+  perform pg_advisory_xact_lock(hashtext('casino_channel:' || r.agent));
+  if exists (select 1 from casino_channels where agent = r.agent and status = 'open') then
+    raise exception 'CHANNEL_ALREADY_EXISTS: % already has an open channel', r.agent;
+  end if;
+
+  if r.agent_deposit <= 0 or r.casino_deposit <= 0
+     or r.agent_balance <> r.agent_deposit or r.casino_balance <> r.casino_deposit then
+    raise exception 'INVARIANT_VIOLATION: opening balances must equal deposits';
+  end if;
+
+  insert into casino_channels (
+    agent, status, agent_deposit, casino_deposit, agent_balance, casino_balance,
+    nonce, games_played, opened_at, engine_meta,
+    settlement_mode, chain_id, open_tx_hash, fund_tx_hash, open_block, fund_block, settled_onchain
+  ) values (
+    r.agent, 'open', r.agent_deposit, r.casino_deposit, r.agent_balance, r.casino_balance,
+    0, 0, coalesce(r.opened_at, now()), r.engine_meta,
+    coalesce(r.settlement_mode, 'offchain-ledger'), r.chain_id, r.open_tx_hash, r.fund_tx_hash,
+    r.open_block, r.fund_block, coalesce(r.settled_onchain, false)
+  )
+  returning * into ch;
+
+  perform casino_write_meta(p_event, p_request);
+  return ch;
+end;
+$$;
+
+-- ─── Reveal (any resolved round) ──────────────────────────
+
+create or replace function casino_apply_round(
+  p_channel_id bigint,
+  p_expected_nonce bigint,
+  p_state jsonb,
+  p_rounds jsonb default '[]'::jsonb,
+  p_commits jsonb default '[]'::jsonb,
+  p_event jsonb default null,
+  p_request jsonb default null
+)
+returns casino_channels
+language plpgsql
+as $$
+declare
+  ch casino_channels;
+  next_agent numeric := (p_state->>'agent_balance')::numeric;
+  next_casino numeric := (p_state->>'casino_balance')::numeric;
+  next_nonce bigint := (p_state->>'nonce')::bigint;
+begin
+  select * into ch from casino_channels where id = p_channel_id for update;
+  if not found or ch.status <> 'open' then
+    raise exception 'CHANNEL_NOT_FOUND: channel % is not open', p_channel_id;
+  end if;
+
+  if ch.nonce <> p_expected_nonce then
+    raise exception 'NONCE_CONFLICT: expected nonce %, found %', p_expected_nonce, ch.nonce;
+  end if;
+  if next_nonce <= ch.nonce then
+    raise exception 'NONCE_CONFLICT: nonce must increase (% -> %)', ch.nonce, next_nonce;
+  end if;
+
+  if next_agent < 0 or next_casino < 0
+     or next_agent + next_casino <> ch.agent_deposit + ch.casino_deposit then
+    raise exception 'INVARIANT_VIOLATION: deposits=%, balances=%',
+      ch.agent_deposit + ch.casino_deposit, next_agent + next_casino;
+  end if;
+
+  update casino_channels set
+    agent_balance = next_agent,
+    casino_balance = next_casino,
+    nonce = next_nonce,
+    games_played = coalesce((p_state->>'games_played')::integer, games_played + jsonb_array_length(p_rounds)),
+    engine_meta = coalesce(p_state->'engine_meta', engine_meta),
+    updated_at = now()
+  where id = p_channel_id
+  returning * into ch;
+
+  insert into casino_rounds (
+    agent, channel_id, game, bet, payout, won, multiplier, reels, choice, result,
+    picked_number, draw_id, ticket_count, nonce, timestamp, record
+  )
+  select r.agent, p_channel_id, r.game, coalesce(r.bet, 0), coalesce(r.payout, 0), r.won, r.multiplier,
+         r.reels, r.choice, r.result, r.picked_number, r.draw_id, r.ticket_count, r.nonce,
+         coalesce(r.timestamp, now()), r.record
+  from jsonb_populate_recordset(null::casino_rounds, coalesce(p_rounds, '[]'::jsonb)) r;
+
+  insert into casino_game_stats as s (game, total_rounds, total_wagered, total_paid_out)
+  select r.game, count(*), sum(coalesce(r.bet, 0)), sum(coalesce(r.payout, 0))
+  from jsonb_populate_recordset(null::casino_rounds, coalesce(p_rounds, '[]'::jsonb)) r
+  group by r.game
+  on conflict (game) do update set
+    total_rounds = s.total_rounds + excluded.total_rounds,
+    total_wagered = s.total_wagered + excluded.total_wagered,
+    total_paid_out = s.total_paid_out + excluded.total_paid_out;
+
+  perform casino_write_commits(p_commits);
+  perform casino_write_meta(p_event, p_request);
+  return ch;
+end;
+$$;
+
+-- ─── Multi-channel update (PvP settlement) ────────────────
+-- p_updates: [{ channel_id, expected_nonce, state, rounds, commits }, ...]
+-- Every channel goes through casino_apply_round (same nonce and invariant
+-- checks) inside this one transaction, so either all channels move or none.
+-- Rows are locked in id order so two settlements cannot deadlock.
+
+create or replace function casino_apply_rounds(
+  p_updates jsonb,
+  p_event jsonb default null,
+  p_request jsonb default null
+)
+returns setof casino_channels
+language plpgsql
+as $$
+declare
+  u jsonb;
+begin
+  for u in
+    select value from jsonb_array_elements(p_updates) order by (value->>'channel_id')::bigint
+  loop
+    return next casino_apply_round(
+      (u->>'channel_id')::bigint,
+      (u->>'expected_nonce')::bigint,
+      u->'state',
+      coalesce(u->'rounds', '[]'::jsonb),
+      coalesce(u->'commits', '[]'::jsonb)
+    );
+  end loop;
+
+  perform casino_write_meta(p_event, p_request);
+end;
+$$;
+
+-- ─── Lotto buy (draw ticket or entropy round) ─────────────
+
+create or replace function casino_lotto_buy(
+  p_channel_id bigint,
+  p_expected_nonce bigint,
+  p_state jsonb,
+  p_rounds jsonb default '[]'::jsonb,
+  p_commits jsonb default '[]'::jsonb,
+  p_event jsonb default null,
+  p_request jsonb default null,
+  p_ticket jsonb default null,
+  p_entropy_round jsonb default null
+)
+returns casino_channels
+language plpgsql
+as $$
+declare
+  ch casino_channels;
+begin
+  -- Tickets only sell into an open draw; the draw row lock orders this
+  -- purchase before or after casino_lotto_execute_draw, never during.
+  if p_ticket is not null then
+    perform 1 from casino_lotto_draws
+      where draw_id = (p_ticket->>'draw_id')::bigint and drawn = false and draw_time > now()
+      for share;
+    if not found then
+      raise exception 'DRAW_CLOSED: draw % is no longer selling tickets', p_ticket->>'draw_id';
+    end if;
+  end if;
+
+  ch := casino_apply_round(p_channel_id, p_expected_nonce, p_state, p_rounds, p_commits, p_event, p_request);
+
+  if p_ticket is not null then
+    insert into casino_lotto_tickets (draw_id, agent, picked_number, ticket_count, cost, created_at)
+      values ((p_ticket->>'draw_id')::bigint, ch.agent, (p_ticket->>'picked_number')::integer,
+              (p_ticket->>'ticket_count')::integer, (p_ticket->>'cost')::numeric, now())
+      on conflict (draw_id, agent, picked_number) do update set
+        ticket_count = casino_lotto_tickets.ticket_count + excluded.ticket_count,
+        cost = casino_lotto_tickets.cost + excluded.cost;
+  end if;
+
+  if p_entropy_round is not null then
+    insert into casino_entropy_rounds (round_id, agent, game, bet_amount, choice, request_id, request_tx_hash, state, created_at)
+      values (p_entropy_round->>'round_id', ch.agent, 'lotto', (p_entropy_round->>'bet_amount')::numeric,
+              p_entropy_round->>'choice', p_entropy_round->>'request_id', p_entropy_round->>'request_tx_hash',
+              'entropy_requested', now());
+  end if;
+
+  return ch;
+end;
+$$;
+
+-- ─── Entropy finalize ─────────────────────────────────────
+
+create or replace function casino_entropy_finalize(
+  p_channel_id bigint,
+  p_expected_nonce bigint,
+  p_state jsonb,
+  p_round_id text,
+  p_entropy jsonb default '{}'::jsonb,
+  p_rounds jsonb default '[]'::jsonb,
+  p_commits jsonb default '[]'::jsonb,
+  p_event jsonb default null,
+  p_request jsonb default null
+)
+returns casino_channels
+language plpgsql
+as $$
+declare
+  er casino_entropy_rounds;
+  ch casino_channels;
+  settled jsonb := p_rounds->0;
+begin
+  select * into er from casino_entropy_rounds where round_id = p_round_id for update;
+  if not found then
+    raise exception 'ROUND_NOT_FOUND: entropy round %', p_round_id;
+  end if;
+  if er.state = 'settled' then
+    raise exception 'ROUND_ALREADY_SETTLED: entropy round %', p_round_id;
+  end if;
+
+  ch := casino_apply_round(p_channel_id, p_expected_nonce, p_state, p_rounds, p_commits, p_event, p_request);
+  if er.agent <> ch.agent then
+    raise exception 'ROUND_NOT_FOUND: entropy round % belongs to another agent', p_round_id;
+  end if;
+
+  update casino_entropy_rounds set
+    state = 'settled',
+    won = (settled->>'won')::boolean,
+    payout = (settled->>'payout')::numeric,
+    request_id = coalesce(p_entropy->>'request_id', request_id),
+    entropy_value = coalesce(p_entropy->>'entropy_value', entropy_value),
+    updated_at = now()
+  where round_id = p_round_id;
+
+  return ch;
+end;
+$$;
+
+-- ─── Close ────────────────────────────────────────────────
+
+create or replace function casino_close_channel(
+  p_channel_id bigint,
+  p_expected_nonce bigint,
+  p_patch jsonb default '{}'::jsonb,
+  p_event jsonb default null,
+  p_request jsonb default null
+)
+returns casino_channels
+language plpgsql
+as $$
+declare
+  ch casino_channels;
+begin
+  select * into ch from casino_channels where id = p_channel_id for update;
+  -- 'closing': a relayed onchain close is in flight (no rounds accepted).
+  if not found or ch.status not in ('open', 'closing') then
+    raise exception 'CHANNEL_NOT_FOUND: channel % is not open', p_channel_id;
+  end if;
+  if ch.nonce <> p_expected_nonce then
+    raise exception 'NONCE_CONFLICT: expected nonce %, found %', p_expected_nonce, ch.nonce;
+  end if;
+  if ch.agent_balance + ch.casino_balance <> ch.agent_deposit + ch.casino_deposit then
+    raise exception 'INVARIANT_VIOLATION: deposits=%, balances=%',
+      ch.agent_deposit + ch.casino_deposit, ch.agent_balance + ch.casino_balance;
+  end if;
+
+  update casino_channels set
+    status = 'closed',
+    close_tx_hash = coalesce(p_patch->>'close_tx_hash', close_tx_hash),
+    close_block = coalesce((p_patch->>'close_block')::bigint, close_block),
+    settled_onchain = coalesce((p_patch->>'settled_onchain')::boolean, settled_onchain),
+    updated_at = now()
+  where id = p_channel_id
+  returning * into ch;
+
+  perform casino_write_meta(p_event, p_request);
+  return ch;
+end;
+$$;
@@ -0,0 +1,42 @@
+-- Onchain indexer: ChannelManager logs mirrored next to the ledger.
+-- Requires phase1, phase2 patch and onchain settlement schemas.
+-- Safe to run multiple times.
+--
+-- Flow (frontend/api/_indexer.js, cron api/cron/chain-index):
+--   1. logs from the cursor to head - confirmations are folded into
+--      casino_onchain_channels (one row per agent, last known onchain state)
+--   2. every log's tx is upserted into casino_settlement_txs as mined;
+--      submitted txs with no log are promoted from their receipt
+--   3. casino_channels rows get their open/fund/close tx and block; a
+--      channel closed onchain without close_channel is closed in the ledger
+--   4. channels(agent) is read for every open ledger / onchain channel and
+--      the mismatches are stored as the latest report
+
+create table if not exists casino_indexer_state (
+  key text primary key,
+  cursor bigint,
+  report jsonb,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists casino_onchain_channels (
+  agent text primary key,
+  chain_id integer not null,
+  state text not null, -- open|disputed|closed
+  agent_deposit numeric not null default 0,
+  casino_deposit numeric not null default 0,
+  agent_balance numeric,
+  nonce bigint not null default 0,
+  dispute_deadline timestamptz,
+  agent_payout numeric,
+  casino_payout numeric,
+  pending_withdrawal numeric not null default 0,
+  open_tx_hash text,
+  close_tx_hash text,
+  last_event text,
+  last_block bigint,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists idx_onchain_channels_state on casino_onchain_channels(state, updated_at desc);
+create index if not exists idx_settlement_status on casino_settlement_txs(status, created_at);
@@ -0,0 +1,16 @@
+-- Engine store: lets the VM GamingEngine persist channels and pending commits
+-- in the Phase 1 tables. Safe to run multiple times.
+
+alter table casino_channels add column if not exists engine_meta jsonb;
+alter table casino_channels add column if not exists updated_at timestamptz not null default now();
+
+alter table casino_rounds add column if not exists channel_id bigint;
+alter table casino_rounds add column if not exists record jsonb;
+
+create index if not exists idx_casino_rounds_channel on casino_rounds(channel_id, id);
+
+alter table casino_commits add column if not exists commit_key text;
+alter table casino_commits add column if not exists payload jsonb;
+
+create unique index if not exists idx_casino_commits_pending_key
+  on casino_commits(commit_key) where status = 'pending';
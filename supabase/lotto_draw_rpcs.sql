@@ -0,0 +1,177 @@
+-- Serverless lotto draws: committed seeds, draw execution, winnings.
+-- Requires phase2 patch, engine store schema and atomic_write_rpcs.sql.
+-- Safe to run multiple times.
+--
+-- Flow (frontend/api/_lotto.js):
+--   1. casino_lotto_open_draw   stores sha256(seed) publicly, seed privately
+--   2. tickets are sold until draw_time (casino_lotto_buy rejects after)
+--   3. cron: casino_lotto_execute_draw reveals the seed, sets result_number
+--      and records each winner in casino_lotto_winnings
+--   4. cron credits open channels / agent calls lotto_claim:
+--      casino_lotto_pay moves the payout in the channel and marks it paid
+
+alter table casino_lotto_draws add column if not exists casino_seed text;
+alter table casino_lotto_draws add column if not exists drawn_at timestamptz;
+alter table casino_lotto_draws add column if not exists total_tickets integer;
+alter table casino_lotto_draws add column if not exists total_pool numeric;
+alter table casino_lotto_draws add column if not exists winners jsonb;
+
+-- Seeds stay out of casino_lotto_draws until the draw runs.
+create table if not exists casino_lotto_seeds (
+  draw_id bigint primary key,
+  casino_seed text not null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists casino_lotto_winnings (
+  id bigserial primary key,
+  draw_id bigint not null,
+  agent text not null,
+  tickets integer not null,
+  amount numeric not null,
+  paid numeric not null default 0,
+  settled boolean generated always as (paid >= amount) stored,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique(draw_id, agent)
+);
+
+create index if not exists idx_lotto_winnings_unpaid on casino_lotto_winnings(agent) where not settled;
+
+-- ─── Open ─────────────────────────────────────────────────
+
+-- Returns the open draw, creating the next one (with its seed) if none.
+create or replace function casino_lotto_open_draw(
+  p_commitment text,
+  p_seed text,
+  p_draw_time timestamptz
+)
+returns casino_lotto_draws
+language plpgsql
+as $$
+declare
+  d casino_lotto_draws;
+  next_id bigint;
+begin
+  perform pg_advisory_xact_lock(hashtext('casino_lotto_open_draw'));
+
+  select * into d from casino_lotto_draws where drawn = false order by draw_id desc limit 1;
+  if found then
+    return d;
+  end if;
+
+  select coalesce(max(draw_id), 0) + 1 into next_id from casino_lotto_draws;
+  insert into casino_lotto_draws (draw_id, commitment, draw_time, drawn)
+    values (next_id, p_commitment, p_draw_time, false)
+    returning * into d;
+  insert into casino_lotto_seeds (draw_id, casino_seed) values (next_id, p_seed);
+
+  insert into casino_game_stats (game, next_draw_time) values ('lotto', p_draw_time)
+    on conflict (game) do update set next_draw_time = excluded.next_draw_time;
+
+  return d;
+end;
+$$;
+
+-- ─── Execute ──────────────────────────────────────────────
+
+-- p_winners: [{ agent, tickets, amount }]. Totals are what the runner used
+-- to derive the winning number; if a ticket landed since, nothing is
+-- written and the runner retries (DRAW_CHANGED).
+create or replace function casino_lotto_execute_draw(
+  p_draw_id bigint,
+  p_winning_number integer,
+  p_total_tickets integer,
+  p_total_pool numeric,
+  p_winners jsonb default '[]'::jsonb
+)
+returns casino_lotto_draws
+language plpgsql
+as $$
+declare
+  d casino_lotto_draws;
+  tickets integer;
+  pool numeric;
+begin
+  select * into d from casino_lotto_draws where draw_id = p_draw_id for update;
+  if not found then
+    raise exception 'DRAW_NOT_FOUND: draw %', p_draw_id;
+  end if;
+  if d.drawn then
+    raise exception 'DRAW_ALREADY_EXECUTED: draw %', p_draw_id;
+  end if;
+  if d.draw_time > now() then
+    raise exception 'DRAW_NOT_DUE: draw % runs at %', p_draw_id, d.draw_time;
+  end if;
+
+  select coalesce(sum(ticket_count), 0), coalesce(sum(cost), 0) into tickets, pool
+    from casino_lotto_tickets where draw_id = p_draw_id;
+  if tickets <> p_total_tickets or pool <> p_total_pool then
+    raise exception 'DRAW_CHANGED: draw % has % tickets / % pool, runner saw % / %',
+      p_draw_id, tickets, pool, p_total_tickets, p_total_pool;
+  end if;
+
+  update casino_lotto_draws set
+    drawn = true,
+    result_number = p_winning_number,
+    drawn_at = now(),
+    total_tickets = tickets,
+    total_pool = pool,
+    winners = coalesce(p_winners, '[]'::jsonb),
+    casino_seed = (select casino_seed from casino_lotto_seeds where draw_id = p_draw_id)
+  where draw_id = p_draw_id
+  returning * into d;
+
+  insert into casino_lotto_winnings (draw_id, agent, tickets, amount)
+  select p_draw_id, w->>'agent', (w->>'tickets')::integer, (w->>'amount')::numeric
+  from jsonb_array_elements(coalesce(p_winners, '[]'::jsonb)) w;
+
+  return d;
+end;
+$$;
+
+-- ─── Pay ──────────────────────────────────────────────────
+
+-- Credit winnings to the agent's open channel. The paid amount is the
+-- settled round's payout (capped to the casino balance by the engine);
+-- it is applied to the oldest unpaid winnings first. Anything not
+-- covered stays claimable.
+create or replace function casino_lotto_pay(
+  p_channel_id bigint,
+  p_expected_nonce bigint,
+  p_state jsonb,
+  p_rounds jsonb default '[]'::jsonb,
+  p_commits jsonb default '[]'::jsonb,
+  p_event jsonb default null,
+  p_request jsonb default null
+)
+returns casino_channels
+language plpgsql
+as $$
+declare
+  ch casino_channels;
+  w casino_lotto_winnings;
+  remaining numeric := coalesce((p_rounds->0->>'payout')::numeric, 0);
+  part numeric;
+begin
+  ch := casino_apply_round(p_channel_id, p_expected_nonce, p_state, p_rounds, p_commits, p_event, p_request);
+
+  for w in
+    select * from casino_lotto_winnings
+    where agent = ch.agent and not settled
+    order by id
+    for update
+  loop
+    exit when remaining <= 0;
+    part := least(remaining, w.amount - w.paid);
+    update casino_lotto_winnings set paid = paid + part, updated_at = now() where id = w.id;
+    remaining := remaining - part;
+  end loop;
+
+  if remaining > 0 then
+    raise exception 'WINNINGS_CHANGED: % more than unpaid winnings for %', remaining, ch.agent;
+  end if;
+
+  return ch;
+end;
+$$;
@@ -13,7 +13,7 @@ alter table casino_channels add column if not exists settled_onchain boolean def
 create table if not exists casino_settlement_txs (
   id bigserial primary key,
   agent text not null,
-  action text not null, -- open|fund|close
+  action text not null, -- open|fund|close (indexer: challenge|counter|resolve)
   tx_hash text not null unique,
   chain_id integer not null,
   status text not null default 'submitted', -- submitted|mined|failed
@@ -8,12 +8,33 @@
  */
 
 const { ethers } = require('ethers');
+const { createHash } = require('crypto');
 const GamingEngine = require('../server/gaming-engine');
 const CommitReveal = require('../server/commit-reveal');
 const SlotsGame = require('../server/games/slots');
 const LottoGame = require('../server/games/lotto');
 const CoinflipGame = require('../server/games/coinflip');
-const { toWei, toEth } = require('../server/wei');
+const DiceGame = require('../server/games/dice');
+const BlackjackGame = require('../server/games/blackjack');
+const RouletteGame = require('../server/games/roulette');
+const CrashGame = require('../server/games/crash');
+const PlinkoGame = require('../server/games/plinko');
+const KenoGame = require('../server/games/keno');
+const MinesGame = require('../server/games/mines');
+const VideoPokerGame = require('../server/games/video-poker');
+const DuelGame = require('../server/games/duel');
+const { FileStore, MemoryStore } = require('../server/stores');
+const { verifyRound, verifyBackupDir, recoverSigner } = require('../server/verify');
+const Watchtower = require('../server/watchtower');
+const { ChainIndexer } = require('../frontend/api/_indexer');
+const AgentCasinoClient = require('../sdk/agent-client');
+const RelayService = require('../privacy/relay');
+const PaymentLedger = require('../privacy/payment-ledger');
+const CasinoA2AHandler = require('../a2a/casino-handler');
+const { toWei, toEth, numericToWei } = require('../server/wei');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
 
 // ─── Test Harness ────────────────────────────────────────
 
@@ -294,6 +315,15 @@ async function attackBankrollDrain() {
       "Casino can't cover"
     );
   })();
+
+  await test('Dice bankroll limit is the exact payout, not a rounded-up multiplier', async () => {
+    // over 50 pays 1.9x: 0.26 * 1.9 * 2 = 0.988 <= 1.0, which ceil(1.9) = 2x refused
+    engine.openChannel(AGENT2, '1.0', '1.0');
+    const dice = new DiceGame();
+    const ch = engine._getChannel(AGENT2);
+    dice._validate(ch, toWei('0.26'), 'over', 50);
+    assertThrows(() => dice._validate(ch, toWei('0.27'), 'over', 50), 'bankroll limit');
+  })();
 }
 
 // ─── ATTACK 7: Lotto Ticket Spam ─────────────────────────
@@ -622,8 +652,2272 @@ async function attackWeiDust() {
   })();
 }
 
+// ─── ATTACK 14: Restart Amnesia ──────────────────────────
+// Old bug: channels and pending commits lived only in memory, so a
+// server restart wiped every open channel. Now written through a store.
+
+async function attackRestartAmnesia() {
+  console.log('\n🔴 ATTACK 14: Restart Amnesia (file store)');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'casino-store-'));
+  const file = path.join(dir, 'engine-state.json');
+  const wallet = ethers.Wallet.createRandom();
+
+  const boot = async () => {
+    const engine = new GamingEngine(wallet, '0x' + 'ab'.repeat(20), 84532, new FileStore(file));
+    engine.registerGame(new SlotsGame());
+    engine.registerGame(new CoinflipGame());
+    await engine.restore();
+    return engine;
+  };
+
+  const first = await boot();
+  await first.openChannel(AGENT, '0.1', '1.0');
+  await first.handleGameAction('coinflip_commit', AGENT, { betAmount: '0.001', choice: 'heads' });
+  await first.handleGameAction('coinflip_reveal', AGENT, { agentSeed: 'seed-1' });
+  const { commitment } = await first.handleGameAction('slots_commit', AGENT, { betAmount: '0.001' });
+  const before = first.channels.get(AGENT);
+
+  const second = await boot();
+
+  await test('Channel balances and nonce survive restart', () => {
+    const ch = second.channels.get(AGENT);
+    assert(ch, 'Channel lost on restart');
+    assert(ch.agentBalance === before.agentBalance, 'Agent balance changed across restart');
+    assert(ch.casinoBalance === before.casinoBalance, 'Casino balance changed across restart');
+    assert(ch.nonce === before.nonce, 'Nonce changed across restart');
+    assert(ch.games.length === 1, 'Game history lost on restart');
+    assert(second.getChannelStatus(AGENT).invariantOk, 'Invariant broken after restart');
+  })();
+
+  await test('Pending commit survives restart and reveals against original commitment', async () => {
+    const result = await second.handleGameAction('slots_reveal', AGENT, { agentSeed: 'seed-2' });
+    assert(CommitReveal.verify(commitment, result.proof.casinoSeed), 'Restored seed does not match commitment');
+  })();
+
+  await test('Closed channel is not restored', async () => {
+    await second.closeChannel(AGENT);
+    const third = await boot();
+    assert(!third.channels.has(AGENT), 'Closed channel came back after restart');
+  })();
+
+  await test('Failed write leaves the channel and pending commits as the store has them', async () => {
+    const store = new MemoryStore();
+    const writes = [];
+    let failNext = false;
+    store.persist = async (channel, commitOps) => {
+      if (failNext) { failNext = false; throw new Error('disk full'); }
+      writes.push(...commitOps.map(([key, entry]) => (entry ? 'set ' : 'delete ') + key));
+    };
+    const engine = new GamingEngine(wallet, '0x' + 'ab'.repeat(20), 84532, store);
+    engine.registerGame(new CoinflipGame());
+    await engine.openChannel(AGENT, '0.1', '1.0');
+
+    failNext = true;
+    await assertThrows(() => engine.handleGameAction('coinflip_commit', AGENT, { betAmount: '0.001', choice: 'heads' }), 'disk full');
+    assert(!engine.pendingCommits.has(`${AGENT}:coinflip`), 'Unwritten commit kept in memory');
+    await engine.handleGameAction('coinflip_commit', AGENT, { betAmount: '0.001', choice: 'heads' });
+    const ch = engine.channels.get(AGENT);
+    const before = { nonce: ch.nonce, agentBalance: ch.agentBalance, games: ch.games.length };
+    failNext = true;
+    await assertThrows(() => engine.handleGameAction('coinflip_reveal', AGENT, { agentSeed: 'lost-write' }), 'disk full');
+    assert(ch.nonce === before.nonce && ch.agentBalance === before.agentBalance && ch.games.length === before.games, 'Unpersisted round kept in memory');
+    assert(engine.pendingCommits.has(`${AGENT}:coinflip`), 'Commit the store still has was dropped');
+
+    await engine.handleGameAction('coinflip_reveal', AGENT, { agentSeed: 'written' });
+    assert(writes.join() === `set ${AGENT}:coinflip,delete ${AGENT}:coinflip`, `Writes: ${writes.join()}`);
+  })();
+
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
 // ─── Run All ─────────────────────────────────────────────
 
+// ─── ATTACK 15: Entropy Settle Overdraw ──────────────────
+// Externally randomised rounds (Pyth Entropy) settle through
+// engine.settleRound() and must obey the same balance rules.
+
+async function attackEntropySettle() {
+  console.log('\n🔴 ATTACK 15: Entropy Settle Overdraw');
+
+  const engine = await createEngine();
+  await engine.openChannel(AGENT, '0.01', '0.05');
+
+  await test('Entropy round cannot stake more than agent balance', async () => {
+    await assertThrowsAsync(
+      () => engine.settleRound(AGENT, 'coinflip', { betWei: toWei('0.02'), payoutWei: 0n, record: {} }),
+      'Insufficient balance'
+    );
+  })();
+
+  await test('Entropy payout capped to casino balance + bet', async () => {
+    const result = await engine.settleRound(AGENT, 'slots', {
+      betWei: toWei('0.001'),
+      payoutWei: toWei('0.29'),
+      record: { bet: '0.001' },
+      multiplier: 290,
+    });
+    assert(result.payout === '0.051', `Payout not capped: ${result.payout}`);
+    assert(result.casinoBalance === '0.0', `Casino balance went negative: ${result.casinoBalance}`);
+    assert(result.nonce === 1, 'Nonce not incremented');
+    assert(engine.getChannelStatus(AGENT).invariantOk, 'Invariant broken by entropy settle');
+  })();
+}
+
+// ─── ATTACK 16: Float Residue ────────────────────────────
+// Old Vercel path wrote floats like 0.0009999999999999998 into
+// numeric columns. Reads must land on exact wei, and a channel that
+// no longer conserves funds must never be persisted.
+
+async function attackFloatResidue() {
+  console.log('\n🔴 ATTACK 16: Float Residue + Invariant Guard');
+
+  await test('Legacy numeric residue truncates to wei', () => {
+    assert(numericToWei('0.0009999999999999998') === 999999999999999n, 'Residue not truncated');
+    assert(numericToWei('1.5') === toWei('1.5'), 'Plain numeric misread');
+    assert(numericToWei(null) === 0n, 'Null numeric not zero');
+  })();
+
+  const engine = await createEngine();
+  await engine.openChannel(AGENT, '0.1', '1.0');
+
+  await test('Engine refuses to save a channel that breaks conservation', async () => {
+    engine.channels.get(AGENT).casinoBalance += 1n;
+    await assertThrowsAsync(
+      () => engine.settleRound(AGENT, 'coinflip', { betWei: toWei('0.001'), payoutWei: 0n, record: {} }),
+      'INVARIANT VIOLATION'
+    );
+  })();
+}
+
+// ─── ATTACK 17: Concurrent Reveal (stale writer) ─────────
+// Two serverless instances load the same channel and both reveal.
+// The store rejects the second write (NONCE_CONFLICT in Postgres);
+// the engine must persist each action as one unit and never hand
+// back a signature for a write that did not land.
+
+async function attackStaleWriter() {
+  console.log('\n🔴 ATTACK 17: Concurrent Reveal (stale writer)');
+
+  class RecordingStore extends MemoryStore {
+    constructor() {
+      super();
+      this.writes = [];
+      this.reject = null;
+    }
+    async persist(channel, commitOps, tx, result) {
+      if (this.reject) throw new Error(this.reject);
+      this.writes.push({ nonce: channel ? channel.nonce : null, commitOps, tx, result });
+    }
+  }
+
+  const store = new RecordingStore();
+  const engine = new GamingEngine(ethers.Wallet.createRandom(), '0x' + 'ab'.repeat(20), 84532, store);
+  engine.registerGame(new CoinflipGame());
+  await engine.openChannel(AGENT, '0.1', '1.0');
+  await engine.handleGameAction('coinflip_commit', AGENT, { betAmount: '0.001', choice: 'heads' });
+
+  await test('Reveal writes channel and commit removal in one store call', async () => {
+    store.writes = [];
+    const tx = { rpc: 'casino_apply_round' };
+    const result = await engine.handleGameAction('coinflip_reveal', AGENT, { agentSeed: 'seed' }, tx);
+    assert(store.writes.length === 1, `Expected 1 write, got ${store.writes.length}`);
+    const [write] = store.writes;
+    assert(write.nonce === 1, 'Channel not in the write');
+    assert(write.commitOps.length === 1 && write.commitOps[0][1] === null, 'Commit removal not in the write');
+    assert(write.tx === tx && write.result === result, 'Request context not passed to the store');
+  })();
+
+  await test('Rejected write surfaces as an error, not a signature', async () => {
+    await engine.handleGameAction('coinflip_commit', AGENT, { betAmount: '0.001', choice: 'heads' });
+    store.reject = 'NONCE_CONFLICT: expected nonce 1, found 2';
+    await assertThrowsAsync(
+      () => engine.handleGameAction('coinflip_reveal', AGENT, { agentSeed: 'seed' }),
+      'NONCE_CONFLICT'
+    );
+    store.reject = null;
+    const ch = engine.channels.get(AGENT);
+    assert(ch.nonce === 1 && engine.pendingCommits.has(`${AGENT}:coinflip`), 'Memory kept the rejected reveal');
+    await engine.handleGameAction('coinflip_reveal', AGENT, { agentSeed: 'retry' });
+  })();
+
+  await test('Writes from a rejected action do not leak into the next one', async () => {
+    store.writes = [];
+    await engine.handleGameAction('coinflip_commit', AGENT, { betAmount: '0.001', choice: 'tails' });
+    assert(store.writes.length === 1, 'Commit not written');
+    const ops = store.writes[0].commitOps;
+    assert(ops.length === 1 && ops[0][1].choice === 'tails', 'Stale commit ops carried over');
+  })();
+}
+
+// ─── ATTACK 18: Lotto Draw Grinding ──────────────────────
+// The serverless cron and the VM must derive the same winning
+// number from what is public after the draw: the revealed seed
+// (checked against the commitment), agent count, pool and draw id.
+// Anything else would let the runner re-roll until the house wins.
+
+async function attackLottoDraw() {
+  console.log('\n🔴 ATTACK 18: Lotto Draw Grinding');
+
+  const engine = await createEngine();
+  const lotto = engine.games.get('lotto');
+  await engine.openChannel(AGENT, '0.1', '1.0');
+  await engine.openChannel(AGENT2, '0.1', '1.0');
+  const drawId = lotto.currentDrawId;
+  const { casinoSeed } = lotto.draws.get(drawId);
+
+  // Put AGENT on the number the draw will produce
+  const pool = lotto.ticketPriceWei * 3n;
+  const winning = lotto.winningNumberFor(casinoSeed, 2, pool, drawId);
+  await engine.handleGameAction('lotto_buy', AGENT, { pickedNumber: winning, ticketCount: 2 });
+  await engine.handleGameAction('lotto_buy', AGENT2, { pickedNumber: winning === 1 ? 2 : 1, ticketCount: 1 });
+
+  const result = await lotto.executeDraw(drawId);
+
+  await test('Revealed seed matches the commitment', () => {
+    assert(CommitReveal.verify(result.commitment, result.casinoSeed), 'Seed does not match commitment');
+  })();
+
+  await test('Winning number is reproducible from published draw data', () => {
+    const again = lotto.winningNumberFor(result.casinoSeed, 2, toWei(result.totalPool), drawId);
+    assert(again === result.winningNumber, `Recomputed ${again}, draw said ${result.winningNumber}`);
+  })();
+
+  await test('Winner is paid 85x per matching ticket', () => {
+    assert(result.winners.length === 1 && result.winners[0].agent === AGENT, 'Wrong winners');
+    assert(toWei(result.winners[0].payout) === lotto.winningsFor(2), `Payout ${result.winners[0].payout}`);
+  })();
+
+  await test('Winnings the store failed to write are rolled back, reported and left to claim', async () => {
+    const store = new MemoryStore();
+    const persist = store.persist.bind(store);
+    let failNext = false;
+    store.persist = async (...args) => {
+      if (failNext) { failNext = false; throw new Error('disk full'); }
+      return persist(...args);
+    };
+    const engine = new GamingEngine(ethers.Wallet.createRandom(), '0x' + 'ab'.repeat(20), 84532, store);
+    const lotto = new LottoGame();
+    engine.registerGame(lotto);
+    await engine.openChannel(AGENT, '0.1', '1.0');
+    const drawId = lotto.currentDrawId;
+    const draw = lotto.draws.get(drawId);
+    const winning = lotto.winningNumberFor(draw.casinoSeed, 1, lotto.ticketPriceWei, drawId);
+    await engine.handleGameAction('lotto_buy', AGENT, { pickedNumber: winning, ticketCount: 1 });
+    const ch = engine.channels.get(AGENT);
+    const before = { nonce: ch.nonce, agentBalance: ch.agentBalance };
+
+    draw.drawTime = 0;
+    failNext = true;
+    const [report] = await engine.runScheduledTasks();
+    const [winner] = report.result.winners;
+    assert(winner && winner.error === 'disk full' && !winner.applied, `Failed payout not reported: ${JSON.stringify(report)}`);
+    assert(ch.nonce === before.nonce && ch.agentBalance === before.agentBalance, 'Unwritten winnings kept in the channel');
+
+    const claimed = await engine.handleGameAction('lotto_claim', AGENT, {});
+    assert(toWei(claimed.claimed) === lotto.winningsFor(1) && claimed.nonce === before.nonce + 1, `Claimed ${JSON.stringify(claimed)}`);
+  })();
+}
+
+// ─── ATTACK 19: Blackjack Walk-Away ──────────────────────
+// The agent sees cards before a blackjack hand ends. If the stake
+// were only charged at resolution, they could abandon a bad hand
+// (or close the channel) and keep the last signed state.
+
+async function attackBlackjackWalkAway() {
+  console.log('\n🔴 ATTACK 19: Blackjack Walk-Away');
+
+  const engine = new GamingEngine(ethers.Wallet.createRandom(), '0x' + 'ab'.repeat(20), 84532);
+  const blackjack = new BlackjackGame();
+  engine.registerGame(blackjack);
+  await engine.openChannel(AGENT, '0.1', '1.0');
+
+  // Deal until the hand needs a decision
+  let commit, hand;
+  for (let i = 0; ; i++) {
+    commit = await engine.handleGameAction('blackjack_commit', AGENT, { betAmount: '0.01' });
+    hand = await engine.handleGameAction('blackjack_deal', AGENT, { agentSeed: `seed-${i}` });
+    if (hand.status === 'playing' && !hand.available.includes('split')) break;
+    while (hand.status === 'playing') hand = await engine.handleGameAction('blackjack_stand', AGENT, {});
+  }
+
+  await test('Stake is escrowed in a signed state at deal', () => {
+    const channel = engine.channels.get(AGENT);
+    assert(hand.signature, 'No signature at deal');
+    assert(toWei(hand.agentBalance) === channel.agentBalance, 'Response does not match channel');
+    assert(channel.agentBalance + channel.casinoBalance === toWei('1.1'), 'Invariant broken');
+  })();
+
+  await test('Rejected action leaves the hand untouched', async () => {
+    const before = JSON.stringify(engine.pendingCommits.get(`${AGENT}:blackjack`), (k, v) => (typeof v === 'bigint' ? v.toString() : v));
+    await assertThrowsAsync(() => engine.handleGameAction('blackjack_split', AGENT, {}), 'Cannot split');
+    const after = JSON.stringify(engine.pendingCommits.get(`${AGENT}:blackjack`), (k, v) => (typeof v === 'bigint' ? v.toString() : v));
+    assert(before === after, 'Hand changed by a rejected action');
+  })();
+
+  await test('Closing mid-hand settles the hand before signing, in the close\'s write context', async () => {
+    const tx = { patch: { settled_onchain: false } };
+    const contexts = [];
+    const persist = engine.store.persist.bind(engine.store);
+    engine.store.persist = async (channel, commitOps, writeTx, result) => {
+      contexts.push(writeTx);
+      return persist(channel, commitOps, writeTx, result);
+    };
+    const closed = await engine.closeChannel(AGENT, tx);
+    assert(contexts.length === 1 && contexts[0] === tx, 'Settling the hand was written outside the close\'s context');
+    assert(!engine.pendingCommits.has(`${AGENT}:blackjack`), 'Hand left pending');
+    assert(closed.nonce === hand.nonce + 1, `Expected payout state at nonce ${hand.nonce + 1}, got ${closed.nonce}`);
+    assert(toWei(closed.agentBalance) + toWei(closed.casinoBalance) === toWei('1.1'), 'Invariant broken');
+  })();
+
+  await test('Bet above the split/double exposure limit is rejected', async () => {
+    await engine.openChannel(AGENT2, '1.0', '1.0');
+    await assertThrowsAsync(
+      () => engine.handleGameAction('blackjack_commit', AGENT2, { betAmount: '0.1' }),
+      'Max bet'
+    );
+  })();
+
+  await test('Every card comes from the shoe the revealed seeds produce', async () => {
+    let result;
+    for (let i = 0; ; i++) {
+      commit = await engine.handleGameAction('blackjack_commit', AGENT2, { betAmount: '0.01' });
+      result = await engine.handleGameAction('blackjack_deal', AGENT2, { agentSeed: `verify-${i}` });
+      while (result.status === 'playing') result = await engine.handleGameAction('blackjack_stand', AGENT2, {});
+      if (result.dealer.cards.length > 2) break;
+    }
+    assert(CommitReveal.verify(commit.commitment, result.proof.casinoSeed), 'Seed does not match commitment');
+    const { proof } = CommitReveal.computeResult(result.proof.casinoSeed, result.proof.agentSeed, result.proof.nonce);
+    const shoe = blackjack.shoe(proof.resultHash);
+    const [player] = result.hands;
+    const expected = [player.cards[0], result.dealer.cards[0], player.cards[1], result.dealer.cards[1], ...result.dealer.cards.slice(2)];
+    assert(JSON.stringify(shoe.slice(0, expected.length)) === JSON.stringify(expected), 'Cards do not follow the shoe');
+  })();
+}
+
+// ─── ATTACK 20: Roulette Slip Stacking ───────────────────
+// Bankroll checks per bet miss stacking: many small straights on
+// one number together pay far more than any single bet. The slip
+// must be checked on its worst-case pocket.
+
+async function attackRouletteSlip() {
+  console.log('\n🔴 ATTACK 20: Roulette Slip Stacking');
+
+  const engine = new GamingEngine(ethers.Wallet.createRandom(), '0x' + 'ab'.repeat(20), 84532);
+  const roulette = new RouletteGame();
+  engine.registerGame(roulette);
+  await engine.openChannel(AGENT, '1.0', '1.0');
+
+  await test('Stacked straights on one number are checked together', async () => {
+    // Each 0.01 straight pays 0.36 (fine alone); ten stacked pay 3.6
+    const bets = Array.from({ length: 10 }, () => ({ type: 'straight', numbers: [17], amount: '0.01' }));
+    await assertThrowsAsync(() => engine.handleGameAction('roulette_commit', AGENT, { bets }), 'Max payout');
+  })();
+
+  await test('Spread bets use the worst pocket, not total x 36', async () => {
+    // red + black: worst pocket pays 0.2, while 0.2 x 36 = 7.2 would exceed the bankroll
+    const bets = [{ type: 'red', amount: '0.1' }, { type: 'black', amount: '0.1' }];
+    const commit = await engine.handleGameAction('roulette_commit', AGENT, { bets });
+    assert(commit.maxPayout === '0.2', `Expected worst case 0.2, got ${commit.maxPayout}`);
+    const result = await engine.handleGameAction('roulette_reveal', AGENT, { agentSeed: 'spread' });
+    const expected = result.number === 0 ? '0.0' : '0.2';
+    assert(result.payout === expected, `Pocket ${result.number} paid ${result.payout}, expected ${expected}`);
+  })();
+
+  await test('Illegal inside bets are rejected', async () => {
+    await assertThrowsAsync(
+      () => engine.handleGameAction('roulette_commit', AGENT, { bets: [{ type: 'split', numbers: [3, 4], amount: '0.001' }] }),
+      'Invalid split'
+    );
+    await assertThrowsAsync(
+      () => engine.handleGameAction('roulette_commit', AGENT, { bets: [{ type: 'corner', numbers: [3, 4, 6, 7], amount: '0.001' }] }),
+      'Invalid corner'
+    );
+  })();
+
+  await test('Slip settles every bet on one pocket', async () => {
+    const bets = [
+      { type: 'straight', numbers: [0], amount: '0.001' },
+      { type: 'dozen', value: 2, amount: '0.001' },
+      { type: 'corner', numbers: [1, 2, 4, 5], amount: '0.001' },
+      { type: 'odd', amount: '0.001' },
+    ];
+    const before = engine.channels.get(AGENT).agentBalance;
+    await engine.handleGameAction('roulette_commit', AGENT, { bets });
+    const result = await engine.handleGameAction('roulette_reveal', AGENT, { agentSeed: 'slip' });
+    const parsed = roulette.parseBets(bets);
+    const expectedWei = parsed.reduce((s, b) => s + roulette.payoutFor(b, result.number), 0n);
+    assert(toWei(result.payout) === expectedWei, `Payout ${result.payout} for pocket ${result.number}`);
+    assert(engine.channels.get(AGENT).agentBalance === before - toWei('0.004') + expectedWei, 'Balance mismatch');
+  })();
+}
+
+// ─── ATTACK 21: Crash Target Precision ───────────────────
+// Crash payouts are bet × target. A float target (2.675 * 100)
+// or float crash point could round in the agent's favour; targets
+// and crash points are integers ×100 and the edge must hold at
+// every target.
+
+async function attackCrashPrecision() {
+  console.log('\n🔴 ATTACK 21: Crash Target Precision');
+
+  const engine = new GamingEngine(ethers.Wallet.createRandom(), '0x' + 'ab'.repeat(20), 84532);
+  const crash = new CrashGame();
+  engine.registerGame(crash);
+  await engine.openChannel(AGENT, '1.0', '10.0');
+
+  await test('Targets with more than 2 decimals or out of range are rejected', async () => {
+    for (const target of ['2.675', '1.00', '1000.01', 'abc', '-2']) {
+      await assertThrowsAsync(
+        () => engine.handleGameAction('crash_commit', AGENT, { betAmount: '0.001', target }),
+        'Target must be'
+      );
+    }
+  })();
+
+  await test('Payout is exactly bet x target in wei', async () => {
+    let result;
+    for (let i = 0; ; i++) {
+      await engine.handleGameAction('crash_commit', AGENT, { betAmount: '0.000333', target: '1.07' });
+      result = await engine.handleGameAction('crash_reveal', AGENT, { agentSeed: `p-${i}` });
+      if (result.reached) break;
+    }
+    assert(result.payout === '0.00035631', `Expected 0.00035631, got ${result.payout}`);
+    const { proof } = CommitReveal.computeResult(result.proof.casinoSeed, result.proof.agentSeed, engine.channels.get(AGENT).nonce - 1);
+    assert(crash.formatX100(crash.crashPointX100(proof.resultHash)) === result.crashPoint, 'Crash point not reproducible');
+  })();
+
+  await test('Win rate at 2x and 10x matches 0.99 / target', () => {
+    const n = 20000;
+    let at2 = 0;
+    let at10 = 0;
+    for (let i = 0; i < n; i++) {
+      const { hash } = CommitReveal.computeResult('seed', `agent-${i}`, i);
+      const x100 = crash.crashPointX100(hash);
+      if (x100 >= 200n) at2++;
+      if (x100 >= 1000n) at10++;
+    }
+    assert(Math.abs(at2 / n - 0.495) < 0.015, `P(>=2x) = ${(at2 / n).toFixed(4)}`);
+    assert(Math.abs(at10 / n - 0.099) < 0.008, `P(>=10x) = ${(at10 / n).toFixed(4)}`);
+  })();
+}
+
+// ─── ATTACK 22: Plinko Table Tampering ───────────────────
+// Plinko pays from a table picked by rows and risk. An unlisted row
+// count or risk would index a missing table; a path the agent cannot
+// replay hides a biased board. Every published RTP must match the
+// binomial sum of its table.
+
+async function attackPlinkoTables() {
+  console.log('\n🔴 ATTACK 22: Plinko Table Tampering');
+
+  const engine = new GamingEngine(ethers.Wallet.createRandom(), '0x' + 'ab'.repeat(20), 84532);
+  const plinko = new PlinkoGame();
+  engine.registerGame(plinko);
+  await engine.openChannel(AGENT, '1.0', '10.0');
+
+  await test('Unlisted rows or risk are rejected', async () => {
+    for (const rows of [7, 17, 12.5, 'abc']) {
+      await assertThrowsAsync(
+        () => engine.handleGameAction('plinko_commit', AGENT, { betAmount: '0.001', rows, risk: 'low' }),
+        'Rows must be'
+      );
+    }
+    for (const risk of ['extreme', '', '__proto__']) {
+      await assertThrowsAsync(
+        () => engine.handleGameAction('plinko_commit', AGENT, { betAmount: '0.001', rows: 8, risk }),
+        'Risk must be'
+      );
+    }
+  })();
+
+  await test('Path, slot and payout replay from the proof', async () => {
+    for (let i = 0; i < 10; i++) {
+      await engine.handleGameAction('plinko_commit', AGENT, { betAmount: '0.000333', rows: 16, risk: 'high' });
+      const result = await engine.handleGameAction('plinko_reveal', AGENT, { agentSeed: `p-${i}` });
+      const { proof } = CommitReveal.computeResult(result.proof.casinoSeed, result.proof.agentSeed, result.nonce - 1);
+      const path = plinko.pathFor(proof.resultHash, 16).join('');
+      assert(path === result.path, 'Path not reproducible');
+      assert(path.split('R').length - 1 === result.slot, 'Slot is not the count of right bounces');
+      const x100 = plinko.parseX100(result.multiplier);
+      assert(toWei(result.payout) === (toWei('0.000333') * x100) / 100n, `Payout ${result.payout} != bet x ${result.multiplier}`);
+    }
+  })();
+
+  await test('Published RTP matches the binomial sum of every table', () => {
+    const { tables } = plinko.getInfo();
+    for (const risk of ['low', 'medium', 'high']) {
+      for (let rows = 8; rows <= 16; rows++) {
+        let sum = 0;
+        let ways = 1;
+        tables[risk][rows].payouts.forEach((m, k) => {
+          sum += ways * Number(m);
+          ways = (ways * (rows - k)) / (k + 1);
+        });
+        const rtp = sum / 2 ** rows;
+        const [num, den] = tables[risk][rows].rtpExact.split('/').map(Number);
+        assert(Math.abs(rtp - num / den) < 1e-12, `${risk}/${rows}: ${rtp} vs ${num}/${den}`);
+        assert(rtp < 1 && rtp >= plinko.rtp, `${risk}/${rows} RTP ${rtp} out of range`);
+      }
+    }
+  })();
+}
+
+// ─── ATTACK 23: Keno Pick Abuse ──────────────────────────
+// Duplicate picks would count one drawn number twice; out-of-range
+// picks can never hit but still shift the table. The drawn set must
+// be rebuildable from the proof, and every round must land in stats.
+
+async function attackKenoPicks() {
+  console.log('\n🔴 ATTACK 23: Keno Pick Abuse');
+
+  const engine = new GamingEngine(ethers.Wallet.createRandom(), '0x' + 'ab'.repeat(20), 84532);
+  const keno = new KenoGame();
+  engine.registerGame(keno);
+  await engine.openChannel(AGENT, '1.0', '10.0');
+
+  await test('Duplicate, out-of-range or too many picks are rejected', async () => {
+    const cases = [
+      [[5, 5], 'distinct'],
+      [[0, 1], 'between 1 and 40'],
+      [[41], 'between 1 and 40'],
+      [[1.5], 'between 1 and 40'],
+      [[], 'array of 1-10'],
+      [Array.from({ length: 11 }, (_, i) => i + 1), 'array of 1-10'],
+      ['1,2,3', 'array of 1-10'],
+    ];
+    for (const [numbers, msg] of cases) {
+      await assertThrowsAsync(
+        () => engine.handleGameAction('keno_commit', AGENT, { betAmount: '0.001', numbers }),
+        msg
+      );
+    }
+  })();
+
+  await test('Drawn set, hits and payout replay from the proof', async () => {
+    const picks = [3, 9, 17, 22, 38];
+    for (let i = 0; i < 10; i++) {
+      await engine.handleGameAction('keno_commit', AGENT, { betAmount: '0.000333', numbers: picks });
+      const result = await engine.handleGameAction('keno_reveal', AGENT, { agentSeed: `k-${i}` });
+      const { proof } = CommitReveal.computeResult(result.proof.casinoSeed, result.proof.agentSeed, result.nonce - 1);
+      const drawn = keno.draw(proof.resultHash);
+      assert(JSON.stringify(drawn) === JSON.stringify(result.proof.drawn), 'Drawn set not reproducible');
+      assert(new Set(drawn).size === 10 && drawn.every(n => n >= 1 && n <= 40), 'Draw is not 10 distinct numbers in 1-40');
+      assert(result.hits.length === picks.filter(n => drawn.includes(n)).length, 'Hit count mismatch');
+      const x100 = keno.parseX100(keno.getInfo().tables[5].payouts[result.hits.length]);
+      assert(toWei(result.payout) === (toWei('0.000333') * x100) / 100n, `Payout ${result.payout} for ${result.hits.length} hits`);
+    }
+  })();
+
+  await test('Every round is recorded in game stats', () => {
+    const stats = keno.getStats();
+    assert(stats.totalRounds === 10, `Expected 10 rounds, got ${stats.totalRounds}`);
+    assert(stats.agentWins + stats.houseWins === 10, 'Wins do not add up');
+    assert(stats.totalWagered === '0.00333', `Wagered ${stats.totalWagered}`);
+  })();
+
+  await test('Each number is drawn 1 time in 4', () => {
+    const n = 4000;
+    let hits = 0;
+    for (let i = 0; i < n; i++) {
+      const { hash } = CommitReveal.computeResult('seed', `agent-${i}`, i);
+      if (keno.draw(hash).includes(7)) hits++;
+    }
+    assert(Math.abs(hits / n - 0.25) < 0.025, `P(7 drawn) = ${(hits / n).toFixed(4)}`);
+  })();
+}
+
+// ─── ATTACK 24: Mines Walk-Away and Layout Swap ──────────
+// A mines game spans many round trips. The stake must be locked in
+// the channel from the start (not just held in a pending entry), the
+// layout must be fixed by a hash published at start, and a restart
+// or close in the middle must not lose or free the stake.
+
+async function attackMinesLayout() {
+  console.log('\n🔴 ATTACK 24: Mines Walk-Away and Layout Swap');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'casino-store-'));
+  const file = path.join(dir, 'engine-state.json');
+  const wallet = ethers.Wallet.createRandom();
+  const mines = new MinesGame();
+  const boot = async () => {
+    const engine = new GamingEngine(wallet, '0x' + 'ab'.repeat(20), 84532, new FileStore(file));
+    engine.registerGame(mines);
+    await engine.restore();
+    return engine;
+  };
+  const safeTile = (engine, agent) => {
+    const game = engine.pendingCommits.get(`${agent}:mines`);
+    return Array.from({ length: game.tiles }, (_, i) => i).find(t => !game.layout.includes(t) && !game.revealed.includes(t));
+  };
+
+  let engine = await boot();
+  await engine.openChannel(AGENT, '0.1', '25.0');
+  const { commitment } = await engine.handleGameAction('mines_commit', AGENT, {});
+  const started = await engine.handleGameAction('mines_start', AGENT, { betAmount: '0.01', gridSize: 5, mines: 3, agentSeed: 'm-1' });
+
+  await test('Stake is escrowed in a signed state at start', () => {
+    const channel = engine.channels.get(AGENT);
+    assert(started.signature, 'No signature at start');
+    assert(channel.agentBalance === toWei('0.09'), `Agent balance ${toEth(channel.agentBalance)}`);
+    assert(!('layout' in started), 'Layout leaked before the game ended');
+  })();
+
+  await test('Bad picks and early cash-out are rejected without changing the game', async () => {
+    await assertThrowsAsync(() => engine.handleGameAction('mines_cashout', AGENT, {}), 'Uncover at least one tile');
+    await assertThrowsAsync(() => engine.handleGameAction('mines_pick', AGENT, { tile: 25 }), 'tile must be');
+    await assertThrowsAsync(() => engine.handleGameAction('mines_pick', AGENT, { tile: -1 }), 'tile must be');
+    const tile = safeTile(engine, AGENT);
+    await engine.handleGameAction('mines_pick', AGENT, { tile });
+    await assertThrowsAsync(() => engine.handleGameAction('mines_pick', AGENT, { tile }), 'already uncovered');
+    assert(engine.pendingCommits.get(`${AGENT}:mines`).revealed.length === 1, 'Rejected pick changed the game');
+  })();
+
+  await test('Game in progress survives restart with the stake still locked', async () => {
+    engine = await boot();
+    const channel = engine.channels.get(AGENT);
+    assert(channel.agentBalance === toWei('0.09'), 'Escrow lost on restart');
+    const picked = await engine.handleGameAction('mines_pick', AGENT, { tile: safeTile(engine, AGENT) });
+    assert(picked.status === 'playing' && picked.revealed.length === 2, 'Game state lost on restart');
+  })();
+
+  await test('Cash-out reveals the committed layout and pays 0.99 x 25/22 x 24/21', async () => {
+    const result = await engine.handleGameAction('mines_cashout', AGENT, {});
+    assert(CommitReveal.verify(commitment, result.proof.casinoSeed), 'Seed does not match commitment');
+    assert(mines.layoutHash(result.layout, result.proof.casinoSeed) === started.layoutHash, 'Layout does not match start hash');
+    const { proof } = CommitReveal.computeResult(result.proof.casinoSeed, result.proof.agentSeed, result.proof.nonce);
+    assert(JSON.stringify(mines.layout(proof.resultHash, 25, 3)) === JSON.stringify(result.layout), 'Layout not reproducible');
+    const expected = (toWei('0.01') * 99n * 25n * 24n) / (100n * 22n * 21n);
+    assert(toWei(result.payout) === expected, `Expected ${toEth(expected)}, got ${result.payout}`);
+  })();
+
+  await test('Closing mid-game settles the escrow before signing', async () => {
+    await engine.handleGameAction('mines_commit', AGENT, {});
+    await engine.handleGameAction('mines_start', AGENT, { betAmount: '0.01', gridSize: 4, mines: 2, agentSeed: 'm-2' });
+    await engine.handleGameAction('mines_pick', AGENT, { tile: safeTile(engine, AGENT) });
+    const before = engine.channels.get(AGENT);
+    const agentBefore = before.agentBalance;
+    const closed = await engine.closeChannel(AGENT);
+    assert(!engine.pendingCommits.has(`${AGENT}:mines`), 'Game left pending');
+    assert(toWei(closed.agentBalance) === agentBefore + (toWei('0.01') * 99n * 16n) / (100n * 14n), 'Close did not cash out');
+    assert(toWei(closed.agentBalance) + toWei(closed.casinoBalance) === toWei('25.1'), 'Invariant broken');
+  })();
+
+  await test('Every cash-out point returns exactly 99%', () => {
+    const bet = toWei('1');
+    for (const [n, m] of [[9, 1], [25, 3], [25, 24], [64, 10]]) {
+      let ways = 1n;
+      let safeWays = 1n;
+      for (let k = 1; k <= n - m; k++) {
+        ways = (ways * BigInt(n - k + 1)) / BigInt(k);
+        safeWays = (safeWays * BigInt(n - m - k + 1)) / BigInt(k);
+        const payout = mines.payoutFor(bet, n, m, k);
+        if (payout === bet * 1000n) break;
+        // payout x P(k safe) = 0.99 x bet, payout floored to the wei
+        const shortfall = (bet * 99n) / 100n - (payout * safeWays) / ways;
+        assert(shortfall >= 0n && shortfall <= 1n, `${n}/${m} at k=${k}: off by ${shortfall} wei`);
+      }
+    }
+  })();
+
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// ─── ATTACK 25: Video Poker Draw Integrity ───────────────
+// Video poker is a skill game: the agent sees five cards and picks
+// what to hold. Replacement cards must come off the committed deck
+// in order whatever is held, the stake must be escrowed at deal, and
+// the evaluator must not pay hands the table does not list.
+
+async function attackVideoPoker() {
+  console.log('\n🔴 ATTACK 25: Video Poker Draw Integrity');
+
+  const engine = new GamingEngine(ethers.Wallet.createRandom(), '0x' + 'ab'.repeat(20), 84532);
+  const poker = new VideoPokerGame();
+  engine.registerGame(poker);
+  await engine.openChannel(AGENT, '0.1', '20.0');
+
+  await test('Evaluator ranks edge hands correctly', () => {
+    const cases = [
+      [['10S', 'JS', 'QS', 'KS', 'AS'], 'royal_flush'],
+      [['AH', '2H', '3H', '4H', '5H'], 'straight_flush'],
+      [['AD', '2C', '3H', '4S', '5D'], 'straight'],
+      [['10D', 'JC', 'QH', 'KS', 'AD'], 'straight'],
+      [['QD', 'KC', 'AH', '2S', '3D'], 'nothing'],
+      [['10D', '10C', '4H', '7S', '9D'], 'nothing'],
+      [['JD', 'JC', '4H', '7S', '9D'], 'jacks_or_better'],
+      [['JD', 'JC', '4H', '4S', '4D'], 'full_house'],
+      [['2D', '7D', '9D', 'JD', 'KD'], 'flush'],
+    ];
+    for (const [cards, rank] of cases) {
+      const got = poker.evaluate(cards).rank;
+      assert(got === rank, `${cards.join(' ')}: expected ${rank}, got ${got}`);
+    }
+  })();
+
+  const commit = await engine.handleGameAction('videopoker_commit', AGENT, { betAmount: '0.01' });
+  const dealt = await engine.handleGameAction('videopoker_deal', AGENT, { agentSeed: 'vp-1' });
+
+  await test('Stake is escrowed in a signed state at deal', () => {
+    assert(dealt.signature, 'No signature at deal');
+    assert(engine.channels.get(AGENT).agentBalance === toWei('0.09'), 'Stake not escrowed');
+  })();
+
+  await test('Malformed hold masks are rejected and the hand stays open', async () => {
+    for (const hold of ['1001', '100101', '1x010', [true, false], undefined]) {
+      await assertThrowsAsync(() => engine.handleGameAction('videopoker_draw', AGENT, { hold }), 'hold');
+    }
+    assert(engine.pendingCommits.get(`${AGENT}:videopoker`).cards, 'Hand lost after a rejected draw');
+  })();
+
+  await test('Replacements come off the committed deck in order', async () => {
+    const result = await engine.handleGameAction('videopoker_draw', AGENT, { hold: '10100' });
+    assert(CommitReveal.verify(commit.commitment, result.proof.casinoSeed), 'Seed does not match commitment');
+    const { proof } = CommitReveal.computeResult(result.proof.casinoSeed, result.proof.agentSeed, result.proof.nonce);
+    const deck = poker.deck(proof.resultHash);
+    const expected = [deck[0], deck[5], deck[2], deck[6], deck[7]];
+    assert(JSON.stringify(deck.slice(0, 5)) === JSON.stringify(dealt.cards), 'Dealt cards do not match the deck');
+    assert(JSON.stringify(result.cards) === JSON.stringify(expected), 'Draw did not follow the deck');
+    assert(result.proof.cardsUsed === 8, `Expected 8 cards used, got ${result.proof.cardsUsed}`);
+    const { multiplier } = poker.evaluate(result.cards);
+    assert(toWei(result.payout) === toWei('0.01') * BigInt(multiplier), 'Payout does not match the pay table');
+  })();
+
+  await test('Closing between deal and draw holds all five cards', async () => {
+    await engine.handleGameAction('videopoker_commit', AGENT, { betAmount: '0.01' });
+    const hand = await engine.handleGameAction('videopoker_deal', AGENT, { agentSeed: 'vp-2' });
+    const agentBefore = engine.channels.get(AGENT).agentBalance;
+    const closed = await engine.closeChannel(AGENT);
+    const { multiplier } = poker.evaluate(hand.cards);
+    assert(toWei(closed.agentBalance) === agentBefore + toWei('0.01') * BigInt(multiplier), 'Close did not stand pat');
+    assert(toWei(closed.agentBalance) + toWei(closed.casinoBalance) === toWei('20.1'), 'Invariant broken');
+  })();
+}
+
+// ─── ATTACK 26: Duel Cross-Channel Settlement ────────────
+// A duel moves value between two agents' channels. Each channel must
+// stay balanced on its own, the casino must keep only the rake, and
+// both channels must be signed and written together: a failed write
+// may not leave one agent paid and the other not.
+
+async function attackDuelSettlement() {
+  console.log('\n🔴 ATTACK 26: Duel Cross-Channel Settlement');
+
+  class PairStore extends MemoryStore {
+    constructor() {
+      super();
+      this.batches = [];
+      this.reject = null;
+    }
+    async persistMany(units, tx, result) {
+      if (this.reject) throw new Error(this.reject);
+      this.batches.push(units.map(u => ({ agent: u.channel.agent, nonce: u.channel.nonce, ops: u.commitOps })));
+    }
+  }
+
+  const store = new PairStore();
+  const engine = new GamingEngine(ethers.Wallet.createRandom(), '0x' + 'ab'.repeat(20), 84532, store);
+  const duelGame = new DuelGame();
+  engine.registerGame(duelGame);
+  await engine.openChannel(AGENT, '0.1', '1.0');
+  await engine.openChannel(AGENT2, '0.1', '1.0');
+
+  const sha = (s) => createHash('sha256').update(s).digest('hex');
+  const total = (agent) => {
+    const ch = engine.channels.get(agent);
+    return ch.agentBalance + ch.casinoBalance;
+  };
+
+  const created = await engine.handleGameAction('duel_create', AGENT, {
+    variant: 'coinflip', side: 'heads', betAmount: '0.01', seedHash: sha('creator-seed'),
+  });
+
+  await test('Creator cannot join their own duel', async () => {
+    await assertThrowsAsync(
+      () => engine.handleGameAction('duel_join', AGENT, { duelId: created.duelId, agentSeed: 'x' }),
+      'own duel'
+    );
+  })();
+
+  const joined = await engine.handleGameAction('duel_join', AGENT2, { duelId: created.duelId, agentSeed: 'joiner-seed' });
+
+  await test('Both stakes are escrowed in signed states', () => {
+    assert(created.signature && joined.signature, 'Escrow not signed');
+    assert(engine.channels.get(AGENT).agentBalance === toWei('0.09'), 'Creator stake not escrowed');
+    assert(engine.channels.get(AGENT2).agentBalance === toWei('0.09'), 'Joiner stake not escrowed');
+  })();
+
+  await test('Reveal with a seed other than the committed one is rejected', async () => {
+    await assertThrowsAsync(
+      () => engine.handleGameAction('duel_reveal', AGENT, { agentSeed: 'other-seed' }),
+      'does not match'
+    );
+    assert(engine.pendingCommits.has(`${AGENT}:duel`) && engine.pendingCommits.has(`${AGENT2}:duel`), 'Duel lost');
+  })();
+
+  await test('A failed write changes neither channel', async () => {
+    store.reject = 'NONCE_CONFLICT: expected nonce 1, found 2';
+    const before = [AGENT, AGENT2].map(a => ({ ...engine.channels.get(a), played: engine.channels.get(a).games.length }));
+    await assertThrowsAsync(
+      () => engine.handleGameAction('duel_reveal', AGENT, { agentSeed: 'creator-seed' }),
+      'NONCE_CONFLICT'
+    );
+    store.reject = null;
+    [AGENT, AGENT2].forEach((a, i) => {
+      const ch = engine.channels.get(a);
+      assert(ch.nonce === before[i].nonce && ch.agentBalance === before[i].agentBalance, `${a} changed`);
+      assert(ch.games.length === before[i].played, `${a} history changed`);
+    });
+    assert(engine.pendingCommits.has(`${AGENT}:duel`) && engine.pendingCommits.has(`${AGENT2}:duel`), 'Duel lost');
+  })();
+
+  await test('Reveal settles both channels in one write; casino keeps only the rake', async () => {
+    store.batches = [];
+    const result = await engine.handleGameAction('duel_reveal', AGENT, { agentSeed: 'creator-seed' });
+    const { proof } = CommitReveal.computeResult(result.proof.casinoSeed, 'creator-seed:joiner-seed', created.duelId);
+    assert(CommitReveal.verify(created.commitment, result.proof.casinoSeed), 'Seed does not match commitment');
+    assert(duelGame.outcome({ variant: 'coinflip', side: 'heads' }, proof.resultHash).winner === result.winner, 'Winner not reproducible');
+
+    assert(store.batches.length === 1 && store.batches[0].length === 2, 'Channels not written together');
+    assert(store.batches[0].every(u => u.ops.length === 1 && u.ops[0][1] === null), 'Duel entries not removed in the write');
+    assert(engine.channels.get(AGENT).nonce === 2 && engine.channels.get(AGENT2).nonce === 2, 'Nonces not bumped');
+    assert(total(AGENT) === toWei('1.1') && total(AGENT2) === toWei('1.1'), 'Channel invariant broken');
+
+    const agents = engine.channels.get(AGENT).agentBalance + engine.channels.get(AGENT2).agentBalance;
+    const rake = (toWei('0.02') * 200n) / 10000n;
+    assert(agents === toWei('0.2') - rake, `Agents hold ${toEth(agents)}, expected pot minus rake`);
+  })();
+
+  await test('Joiner fetches a signed state for the settled duel', async () => {
+    const mine = await engine.handleGameAction('duel_result', AGENT2, { duelId: created.duelId });
+    const ch = engine.channels.get(AGENT2);
+    assert(mine.signature && mine.nonce === ch.nonce, 'No signature over the latest state');
+    assert(toWei(mine.agentBalance) === ch.agentBalance, 'Balance mismatch');
+  })();
+
+  await test('Leaving mid-duel forfeits to the opponent', async () => {
+    const dice = await engine.handleGameAction('duel_create', AGENT, {
+      variant: 'dice', betAmount: '0.01', seedHash: sha('s2'),
+    });
+    await engine.handleGameAction('duel_join', AGENT2, { duelId: dice.duelId, agentSeed: 'j2' });
+    const creatorBefore = engine.channels.get(AGENT).agentBalance;
+    const closed = await engine.closeChannel(AGENT2);
+    const creator = engine.channels.get(AGENT);
+    assert(creator.agentBalance === creatorBefore + toWei('0.0196'), 'Creator not paid the forfeit');
+    assert(toWei(closed.agentBalance) + toWei(closed.casinoBalance) === toWei('1.1'), 'Leaver invariant broken');
+    assert(total(AGENT) === toWei('1.1'), 'Creator invariant broken');
+    assert(!engine.pendingCommits.has(`${AGENT}:duel`), 'Creator entry left behind');
+  })();
+
+  await test('An unjoined duel is refunded on close', async () => {
+    await engine.handleGameAction('duel_create', AGENT, {
+      variant: 'coinflip', side: 'tails', betAmount: '0.01', seedHash: sha('s3'),
+    });
+    const before = engine.channels.get(AGENT).agentBalance;
+    const closed = await engine.closeChannel(AGENT);
+    assert(toWei(closed.agentBalance) === before + toWei('0.01'), 'Stake not refunded');
+  })();
+}
+
+// ─── ATTACK 27: Batch Play Chain Integrity ───────────────
+// Batch mode plays up to 100 rounds per request on seeds from one
+// committed hash chain. Every seed must link back to the commitment,
+// each round must replay from its proof, and a batch the bankroll
+// cannot cover in the worst case must be refused before any round is
+// played — otherwise a failure part-way through would leak outcomes
+// the agent could retry around.
+
+async function attackBatchChain() {
+  console.log('\n🔴 ATTACK 27: Batch Play Chain Integrity');
+
+  const engine = new GamingEngine(ethers.Wallet.createRandom(), '0x' + 'ab'.repeat(20), 84532);
+  const coinflip = new CoinflipGame();
+  const dice = new DiceGame();
+  engine.registerGame(coinflip);
+  engine.registerGame(dice);
+  engine.registerGame(new SlotsGame());
+  await engine.openChannel(AGENT, '1.0', '10.0');
+
+  const committed = await engine.handleGameAction('coinflip_batch_commit', AGENT, { rounds: 150 });
+  const bets = Array.from({ length: 100 }, (_, i) => ({
+    betAmount: '0.001', choice: i % 2 ? 'heads' : 'tails', agentSeed: `batch-${i}`,
+  }));
+  let first;
+
+  await test('100 rounds settle with one signed state', async () => {
+    const before = engine.channels.get(AGENT).agentBalance;
+    first = await engine.handleGameAction('coinflip_batch_play', AGENT, { bets });
+    assert(first.rounds.length === 100 && first.nonce === 100, 'Rounds or nonce missing');
+    assert(typeof first.signature === 'string', 'No signature');
+    const paid = first.rounds.reduce((s, r) => s + toWei(r.payout), 0n);
+    const ch = engine.channels.get(AGENT);
+    assert(ch.agentBalance === before - toWei('0.1') + paid, 'Balance does not match the rounds');
+    assert(ch.agentBalance + ch.casinoBalance === toWei('11.0'), 'Invariant broken');
+  })();
+
+  await test('Every round replays from its proof and the seeds link to the commitment', () => {
+    const seeds = first.rounds.map(r => r.proof.casinoSeed);
+    assert(CommitReveal.verifyChain(committed.commitment, seeds), 'Seeds do not extend the chain');
+    for (const r of first.rounds) {
+      const { hash } = CommitReveal.computeResult(r.proof.casinoSeed, r.proof.agentSeed, r.proof.nonce);
+      assert(hash === r.proof.resultHash, `Round ${r.round}: result hash mismatch`);
+      assert(coinflip.flip(hash) === r.result, `Round ${r.round}: flip mismatch`);
+      assert(toWei(r.payout) === coinflip.payoutFor(toWei('0.001'), r.result === r.choice), `Round ${r.round}: payout mismatch`);
+    }
+  })();
+
+  await test('The next batch continues the chain; an overlong one is refused', async () => {
+    await assertThrowsAsync(
+      () => engine.handleGameAction('coinflip_batch_play', AGENT, { bets }),
+      '50 seeds left'
+    );
+    const next = await engine.handleGameAction('coinflip_batch_play', AGENT, { bets: bets.slice(0, 50) });
+    const last = first.rounds[99].proof.casinoSeed;
+    assert(CommitReveal.verifyChain(last, next.rounds.map(r => r.proof.casinoSeed)), 'Chain broken between batches');
+    assert(next.chain.remaining === 0 && !engine.pendingCommits.has(`${AGENT}:coinflip:batch`), 'Spent chain kept');
+  })();
+
+  await test('Batch the bankroll cannot cover in the worst case is refused untouched', async () => {
+    await engine.handleGameAction('dice_batch_commit', AGENT, {});
+    const nonce = engine.channels.get(AGENT).nonce;
+    const risky = Array.from({ length: 100 }, (_, i) => ({
+      betAmount: '0.005', choice: 'over', target: 98, agentSeed: `risky-${i}`,
+    }));
+    await assertThrowsAsync(() => engine.handleGameAction('dice_batch_play', AGENT, { bets: risky }), 'bankroll limit');
+    assert(engine.channels.get(AGENT).nonce === nonce, 'Rounds played before the refusal');
+    assert(engine.pendingCommits.get(`${AGENT}:dice:batch`).used === 0, 'Seeds consumed by a refused batch');
+  })();
+
+  await test('Malformed batches are rejected', async () => {
+    const one = { betAmount: '0.001', choice: 'over', target: 50, agentSeed: 'x' };
+    await assertThrowsAsync(
+      () => engine.handleGameAction('dice_batch_play', AGENT, { bets: Array(101).fill(one) }),
+      '1-100 bets'
+    );
+    await assertThrowsAsync(
+      () => engine.handleGameAction('dice_batch_play', AGENT, { bets: [{ ...one, agentSeed: undefined }] }),
+      'missing agentSeed'
+    );
+    await assertThrowsAsync(
+      () => engine.handleGameAction('dice_batch_play', AGENT, { bets: [{ ...one, target: 99 }] }),
+      'Cannot roll over 99'
+    );
+    await assertThrowsAsync(
+      () => engine.handleGameAction('slots_batch_play', AGENT, { bets: [{ betAmount: '0.001', agentSeed: 'x' }] }),
+      'No slots seed chain'
+    );
+  })();
+
+  await test('Dice batch rounds replay from their proofs', async () => {
+    const played = await engine.handleGameAction('dice_batch_play', AGENT, {
+      bets: [10, 50, 90].map(t => ({ betAmount: '0.001', choice: 'under', target: t, agentSeed: `d${t}` })),
+    });
+    for (const r of played.rounds) {
+      const roll = dice.roll(r.proof.resultHash);
+      assert(roll === r.roll, 'Roll mismatch');
+      assert(toWei(r.payout) === dice.payoutFor(toWei('0.001'), 'under', r.target, roll), 'Payout mismatch');
+    }
+  })();
+}
+
+// ─── ATTACK 28: Channel Seed Chain ───────────────────────
+// *_play rounds reveal the next preimage of a chain committed at open.
+// Seeds must link back to that commitment in order, never repeat, keep
+// their position across a restart, and a spent chain must be replaced
+// by one whose commitment is published before any of its seeds is used.
+
+async function attackSeedChain() {
+  console.log('\n🔴 ATTACK 28: Channel Seed Chain');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'casino-store-'));
+  const file = path.join(dir, 'engine-state.json');
+  const wallet = ethers.Wallet.createRandom();
+  const dice = new DiceGame();
+  const boot = async () => {
+    const engine = new GamingEngine(wallet, '0x' + 'ab'.repeat(20), 84532, new FileStore(file));
+    engine.registerGame(dice);
+    engine.registerGame(new CoinflipGame());
+    await engine.restore();
+    return engine;
+  };
+
+  const engine = await boot();
+  const opened = await engine.openChannel(AGENT, '0.1', '1.0');
+  const bet = { betAmount: '0.001', choice: 'over', target: 50 };
+  const seeds = [];
+
+  await test('Open publishes the commitment and never the chain tip', () => {
+    const { tip } = engine.channels.get(AGENT).seedChain;
+    assert(/^[0-9a-f]{64}$/.test(opened.seedCommitment), 'No seed commitment at open');
+    assert(!JSON.stringify(opened).includes(tip), 'Tip in open result');
+    assert(!JSON.stringify(engine.getChannelStatus(AGENT)).includes(tip), 'Tip in channel status');
+  })();
+
+  await test('Each round reveals the next seed, linked to the open commitment', async () => {
+    for (let i = 0; i < 3; i++) {
+      const r = await engine.handleGameAction('dice_play', AGENT, { ...bet, clientSeed: 'client', nonce: i });
+      const { proof } = r;
+      assert(proof.chainIndex === i + 1, 'Chain index skipped');
+      assert(CommitReveal.verifyChainSeed(opened.seedCommitment, proof.casinoSeed, proof.chainIndex), 'Seed not on chain');
+      assert(CommitReveal.computeResult(proof.casinoSeed, 'client', i).hash === proof.resultHash, 'Result hash mismatch');
+      assert(dice.roll(proof.resultHash) === r.roll, 'Roll mismatch');
+      seeds.push(proof.casinoSeed);
+    }
+    assert(CommitReveal.verifyChain(opened.seedCommitment, seeds), 'Consecutive seeds do not link');
+  })();
+
+  await test('Stale or missing nonce is refused without using a seed', async () => {
+    await assertThrowsAsync(
+      () => engine.handleGameAction('dice_play', AGENT, { ...bet, clientSeed: 'client', nonce: 1 }),
+      'nonce must be'
+    );
+    await assertThrowsAsync(
+      () => engine.handleGameAction('dice_play', AGENT, { ...bet, clientSeed: 'client' }),
+      'nonce must be'
+    );
+    assert(engine.channels.get(AGENT).seedChain.used === 3, 'Seed consumed by a refused round');
+  })();
+
+  await test('Chain position survives restart', async () => {
+    const restarted = await boot();
+    const r = await restarted.handleGameAction('dice_play', AGENT, { ...bet, clientSeed: 'client', nonce: 3 });
+    assert(r.proof.chainIndex === 4, 'Chain position lost on restart');
+    assert(CommitReveal.verifyChain(seeds[2], [r.proof.casinoSeed]), 'Restarted chain does not continue');
+  })();
+
+  await test('A spent chain is replaced and the new commitment published first', async () => {
+    const restarted = await boot();
+    const ch = restarted.channels.get(AGENT);
+    ch.seedChain = { ...CommitReveal.commitChain(2), used: 1 };
+    const last = await restarted.handleGameAction('coinflip_play', AGENT, {
+      betAmount: '0.001', choice: 'heads', clientSeed: 'c', nonce: ch.nonce,
+    });
+    assert(last.proof.chainIndex === 2 && last.nextSeedCommitment, 'No rotation at the end of the chain');
+    const next = await restarted.handleGameAction('coinflip_play', AGENT, {
+      betAmount: '0.001', choice: 'heads', clientSeed: 'c', nonce: ch.nonce,
+    });
+    assert(next.proof.seedCommitment === last.nextSeedCommitment && next.proof.chainIndex === 1, 'New chain not used');
+    assert(CommitReveal.verifyChainSeed(last.nextSeedCommitment, next.proof.casinoSeed, 1), 'Seed not on the new chain');
+  })();
+
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// ─── ATTACK 29: Seed History Audit ───────────────────────
+// A third party given the seed history and the round records must be
+// able to replay every *_play round of a channel once its chains are
+// retired, while the live chain's tip never appears anywhere.
+
+async function attackSeedHistory() {
+  console.log('\n🔴 ATTACK 29: Seed History Audit');
+
+  const engine = new GamingEngine(ethers.Wallet.createRandom(), '0x' + 'ab'.repeat(20), 84532);
+  const dice = new DiceGame();
+  engine.registerGame(dice);
+  await engine.openChannel(AGENT, '0.1', '1.0');
+  const bet = { betAmount: '0.001', choice: 'under', target: 60 };
+  const play = () => engine.handleGameAction('dice_play', AGENT, { ...bet, nonce: engine.channels.get(AGENT).nonce });
+
+  await test('Client seed is validated and set as a signed state', async () => {
+    await assertThrowsAsync(() => play(), 'Missing clientSeed');
+    await assertThrowsAsync(() => engine.setClientSeed(AGENT, ''), 'clientSeed must be');
+    await assertThrowsAsync(() => engine.setClientSeed(AGENT, 'x'.repeat(129)), 'clientSeed must be');
+    const set = await engine.setClientSeed(AGENT, 'seed-a');
+    assert(set.clientSeed === 'seed-a' && set.nonce === 1 && set.signature, 'Client seed not signed in');
+  })();
+
+  let rotated;
+  await test('Epochs split on client seed change and on rotation', async () => {
+    for (let i = 0; i < 3; i++) await play();
+    await engine.setClientSeed(AGENT, 'seed-b');
+    for (let i = 0; i < 2; i++) await play();
+    rotated = await engine.rotateSeed(AGENT);
+    await play();
+
+    const { epochs } = engine.getSeedHistory(AGENT);
+    const shape = epochs.map(e => `${e.clientSeed}:${e.rounds}:${e.firstIndex}-${e.lastIndex}`).join(' ');
+    assert(shape === 'seed-a:3:1-3 seed-b:2:4-5 seed-b:1:1-1', `Unexpected epochs: ${shape}`);
+    assert(epochs[0].serverSeed === rotated.previous.serverSeed && epochs[1].serverSeed === rotated.previous.serverSeed, 'Retired tip not filled in');
+    assert(epochs[2].serverSeed === null, 'Live chain tip exposed');
+    assert(!JSON.stringify(engine.getSeedHistory(AGENT)).includes(engine.channels.get(AGENT).seedChain.tip), 'Live tip in history');
+  })();
+
+  await test('Retired rounds replay from history and records alone', () => {
+    const { epochs } = engine.getSeedHistory(AGENT);
+    const retired = epochs.filter(e => e.serverSeed);
+    const rounds = engine.channels.get(AGENT).games.filter(g => g.chainIndex !== undefined);
+    let replayed = 0;
+    for (const g of rounds) {
+      const nonce = g.nonce - 1;
+      const epoch = retired.find(e => e.firstNonce <= nonce && nonce <= e.lastNonce && e.clientSeed === g.clientSeed);
+      if (!epoch) continue;
+      assert(CommitReveal.verifyChainSeed(epoch.seedCommitment, epoch.serverSeed, epoch.chainLength), 'Tip not on chain');
+      const [seed] = CommitReveal.chainSeeds(epoch.serverSeed, epoch.chainLength, g.chainIndex, 1);
+      const { hash } = CommitReveal.computeResult(seed, g.clientSeed, nonce);
+      assert(dice.roll(hash) === g.roll, `Round at nonce ${nonce} does not replay`);
+      replayed++;
+    }
+    assert(replayed === 5, `Expected 5 replayed rounds, got ${replayed}`);
+  })();
+
+  await test('Seed actions over A2A need the channel owner\'s signature', async () => {
+    const owner = ethers.Wallet.createRandom();
+    await engine.openChannel(owner.address, '0.1', '1.0');
+    const handler = new CasinoA2AHandler(engine, null);
+    const call = async content => (await handler.handle({ message: { content } })).message.content;
+    const base = { stealthAddress: owner.address };
+
+    let reply = await call({ action: 'set_client_seed', ...base, clientSeed: 'casino-picked' });
+    assert(/Signature required/.test(reply.message), `Unsigned seed accepted: ${JSON.stringify(reply)}`);
+    const forged = await ethers.Wallet.createRandom().signMessage(`rotate_seed:${owner.address}:0`);
+    reply = await call({ action: 'rotate_seed', ...base, signature: forged });
+    assert(/does not match channel owner/.test(reply.message), 'Foreign signature accepted');
+    const forOther = await owner.signMessage(`set_client_seed:${owner.address}:0:mine`);
+    reply = await call({ action: 'set_client_seed', ...base, clientSeed: 'casino-picked', signature: forOther });
+    assert(/does not match channel owner/.test(reply.message), 'Signature for another seed accepted');
+
+    reply = await call({ action: 'set_client_seed', ...base, clientSeed: 'mine', signature: forOther });
+    assert(reply.clientSeed === 'mine' && reply.nonce === 1, `Signed seed refused: ${JSON.stringify(reply)}`);
+    reply = await call({ action: 'set_client_seed', ...base, clientSeed: 'mine', signature: forOther });
+    assert(/does not match channel owner/.test(reply.message), 'Signature replayed at the next nonce');
+    reply = await call({ action: 'rotate_seed', ...base, signature: await owner.signMessage(`rotate_seed:${owner.address}:1`) });
+    assert(reply.previous && reply.nonce === 2, `Signed rotation refused: ${JSON.stringify(reply)}`);
+  })();
+
+  await test('Closing reveals the live chain and the history stays readable', async () => {
+    const live = engine.channels.get(AGENT).seedChain;
+    const closed = await engine.closeChannel(AGENT);
+    const { closedChain, epochs } = closed.seedHistory;
+    assert(closedChain.seedCommitment === live.anchor && closedChain.serverSeed === live.tip, 'Live tip not revealed');
+    assert(CommitReveal.verifyChainSeed(closedChain.seedCommitment, closedChain.serverSeed, closedChain.length), 'Tip not on chain');
+    assert(epochs.every(e => e.serverSeed), 'Epoch left without its server seed');
+    const after = engine.getSeedHistory(AGENT);
+    assert(JSON.stringify(after) === JSON.stringify(closed.seedHistory), 'seed_history changed after close');
+    after.epochs[0].serverSeed = null;
+    assert(engine.getSeedHistory(AGENT).epochs[0].serverSeed, 'Kept history mutable through a reply');
+  })();
+}
+
+// ─── ATTACK 30: Forged Round Records ─────────────────────
+// An agent (or an auditor with their backups) must be able to catch a
+// casino that reports one outcome and settles another: the verifier
+// rebuilds every round from its seeds and checks the signed state,
+// with nothing but the records the casino handed out.
+
+async function attackForgedRecords() {
+  console.log('\n🔴 ATTACK 30: Forged Round Records');
+
+  const contract = '0x' + 'ab'.repeat(20);
+  const engine = new GamingEngine(ethers.Wallet.createRandom(), contract, 84532);
+  const dice = new DiceGame();
+  const lotto = new LottoGame();
+  [new SlotsGame(), new CoinflipGame(), dice, lotto].forEach(g => engine.registerGame(g));
+  await engine.openChannel(AGENT, '0.1', '1.0');
+  const opts = { agent: AGENT, casino: engine.casino.address, chainId: 84532, contract };
+  const states = [];
+  const keep = (game, result, extra = {}) => {
+    const round = { game, ...extra, ...result };
+    states.push({ ...pick(result), round });
+    return round;
+  };
+  const pick = r => ({ agentBalance: r.agentBalance, casinoBalance: r.casinoBalance, nonce: r.nonce, signature: r.signature });
+
+  const reveal = async (game, params) => {
+    const { commitment } = await engine.handleGameAction(`${game}_commit`, AGENT, { betAmount: '0.001', ...params });
+    const result = await engine.handleGameAction(`${game}_reveal`, AGENT, { agentSeed: `${game}-seed` });
+    return keep(game, result, { commitment });
+  };
+  const slots = await reveal('slots', {});
+  const flip = await reveal('coinflip', { choice: 'heads' });
+  const roll = await reveal('dice', { choice: 'under', target: 60 });
+
+  states.push(pick(await engine.setClientSeed(AGENT, 'client')));
+  const chain = keep('dice', await engine.handleGameAction('dice_play', AGENT, {
+    betAmount: '0.001', choice: 'over', target: 30, nonce: engine.channels.get(AGENT).nonce,
+  }));
+
+  await engine.handleGameAction('coinflip_batch_commit', AGENT, { rounds: 10 });
+  const batch = keep('coinflip', await engine.handleGameAction('coinflip_batch_play', AGENT, {
+    bets: Array.from({ length: 5 }, (_, i) => ({ betAmount: '0.001', choice: 'tails', agentSeed: `b${i}` })),
+  }));
+
+  // Entropy finalize, settled the way the serverless handler does it
+  const randomValue = '0x' + '5e'.repeat(32);
+  const entropyRoll = Number(BigInt(randomValue) % 100n) + 1;
+  const betWei = toWei('0.001');
+  const { won, multiplier } = dice.outcomeFor('under', 70, entropyRoll);
+  const settled = await engine.settleRound(AGENT, 'dice', {
+    betWei,
+    payoutWei: dice.payoutFor(betWei, 'under', 70, entropyRoll),
+    multiplier,
+    record: { bet: '0.001', choice: 'under', target: 70, roll: entropyRoll, won },
+  });
+  const entropy = keep('dice', {
+    provider: 'pyth_entropy', game: 'dice', bet: '0.001', choice: 'under', target: 70, roll: entropyRoll,
+    result: String(entropyRoll), won, multiplier: multiplier.toFixed(2), ...settled,
+    proof: { requestId: '1', randomValue, formula: 'uint256(randomValue) % 100 + 1', derivedResult: String(entropyRoll) },
+  });
+
+  const drawId = lotto.currentDrawId;
+  await engine.handleGameAction('lotto_buy', AGENT, { pickedNumber: 7, ticketCount: 2 });
+  const draw = await lotto.executeDraw(drawId);
+
+  const honest = [slots, flip, roll, chain, batch, entropy, draw];
+  const failed = (record, options = opts) => verifyRound(record, options).checks.filter(c => c.ok === false).map(c => c.check);
+
+  await test('Honest records of every kind verify', () => {
+    for (const record of honest) {
+      const report = verifyRound(record, opts);
+      const skipped = report.checks.filter(c => c.ok === null).map(c => c.check);
+      assert(report.ok, `${report.kind} failed: ${failed(record).join(', ')}`);
+      assert(skipped.every(c => c === 'entropy'), `${report.kind} skipped ${skipped.join(', ')}`);
+    }
+  })();
+
+  await test('Reported outcome or payout that differs from the seeds is caught', () => {
+    const reels = [...slots.reelIndices];
+    reels[0] = (reels[0] + 1) % 5;
+    assert(failed({ ...slots, reelIndices: reels }).includes('outcome'), 'Swapped reel passed');
+    assert(failed({ ...roll, roll: roll.roll === 1 ? 2 : 1 }).includes('outcome'), 'Changed roll passed');
+    assert(failed({ ...flip, payout: flip.won ? '0.0' : '0.0019' }).includes('payout'), 'Changed payout passed');
+    const rounds = batch.rounds.map((r, i) => (i === 2 ? { ...r, won: !r.won } : r));
+    assert(failed({ ...batch, rounds }).includes('round 3 outcome'), 'Batch round flip passed');
+    assert(failed({ ...entropy, result: String(entropyRoll % 100 + 1) }).includes('outcome'), 'Entropy result passed');
+    assert(failed({ ...draw, winningNumber: draw.winningNumber % 100 + 1 }).includes('outcome'), 'Lotto number passed');
+  })();
+
+  await test('Wrong seed, commitment or signer is caught', () => {
+    assert(failed({ ...slots, commitment: CommitReveal.commit().commitment }).includes('commitment'), 'Foreign commitment passed');
+    assert(failed({ ...chain, proof: { ...chain.proof, chainIndex: chain.proof.chainIndex + 1 } }).includes('seed chain'), 'Off-chain seed passed');
+    assert(failed({ ...flip, agentBalance: '0.2' }).includes('signature'), 'Edited balance passed');
+    assert(failed(roll, { ...opts, casino: ethers.Wallet.createRandom().address }).includes('signature'), 'Foreign signer passed');
+    assert(failed({ ...draw, casinoSeed: CommitReveal.commit().seed }).includes('commitment'), 'Lotto seed swap passed');
+  })();
+
+  await test('Backup directory verifies, and conflicting states fail it', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'casino-backup-'));
+    const write = (name, list) => fs.writeFileSync(path.join(dir, name), JSON.stringify({ stealthAddress: AGENT, states: list }));
+    write('a.json', states.slice(0, 3));
+    write('b.json', states);
+    fs.mkdirSync(path.join(dir, 'evidence'));
+
+    const clean = await verifyBackupDir(dir, opts);
+    const ch = clean.channels[0];
+    assert(clean.ok && clean.channels.length === 1, `Clean backup failed: ${JSON.stringify(ch.checks.filter(c => c.ok === false))}`);
+    assert(ch.states === states.length && ch.rounds.length === 6, `Merged ${ch.states} states, ${ch.rounds.length} rounds`);
+
+    // A second state at the same nonce, genuinely signed by the casino
+    const last = states[states.length - 1];
+    const forked = { ...last, agentBalance: '0.5', signature: null };
+    forked.signature = await engine._signState(AGENT, toWei('0.5'), toWei(last.casinoBalance), last.nonce);
+    write('c.json', [forked]);
+    const report = await verifyBackupDir(dir, opts);
+    assert(!report.ok && report.channels[0].checks.some(c => c.check === 'nonce order' && !c.ok), 'Fork not reported');
+    fs.rmSync(dir, { recursive: true, force: true });
+  })();
+}
+
+// ─── ATTACK 31: Dispute With the Wrong State ─────────────
+// When the casino goes dark the SDK challenges onchain with a state
+// from its backup. It must pick the highest nonce the contract will
+// accept: a forged or unsigned entry would revert the challenge, and
+// a lower nonce would hand the casino the rounds the agent won since.
+
+async function attackDisputeState() {
+  console.log('\n🔴 ATTACK 31: Dispute With the Wrong State');
+
+  const contract = '0x' + 'ab'.repeat(20);
+  const engine = new GamingEngine(ethers.Wallet.createRandom(), contract, 84532);
+  engine.registerGame(new CoinflipGame());
+  await engine.openChannel(AGENT, '0.1', '1.0');
+
+  const client = new AgentCasinoClient('http://localhost:0');
+  client.stealth = { stealthAddress: AGENT };
+  const keep = r => ({ agentBalance: r.agentBalance, casinoBalance: r.casinoBalance, nonce: r.nonce, signature: r.signature });
+  for (let i = 0; i < 3; i++) {
+    await engine.handleGameAction('coinflip_commit', AGENT, { betAmount: '0.001', choice: 'heads' });
+    client.states.push(keep(await engine.handleGameAction('coinflip_reveal', AGENT, { agentSeed: `d${i}` })));
+  }
+  const last = client.states[2];
+  const casino = engine.casino.address;
+  const chain = { casino, chainId: 84532, contract };
+
+  await test('Highest casino-signed nonce is chosen', () => {
+    const best = client._bestSignedState(chain, -1);
+    assert(best && best.nonce === 3 && best.signature === last.signature, `Chose nonce ${best && best.nonce}`);
+    assert(best.agentBalance === toWei(last.agentBalance), 'Balance not converted to wei');
+  })();
+
+  await test('Forged and unsigned entries are skipped', async () => {
+    const forger = ethers.Wallet.createRandom();
+    const domain = { name: 'AgentCasino', version: '1', chainId: 84532, verifyingContract: contract };
+    const types = { ChannelState: [
+      { name: 'agent', type: 'address' }, { name: 'epoch', type: 'uint256' }, { name: 'agentBalance', type: 'uint256' },
+      { name: 'casinoBalance', type: 'uint256' }, { name: 'nonce', type: 'uint256' },
+    ] };
+    const forged = { agentBalance: '1.1', casinoBalance: '0.0', nonce: 9 };
+    forged.signature = await forger.signTypedData(domain, types, { agent: AGENT, epoch: 0, agentBalance: toWei('1.1'), casinoBalance: 0n, nonce: 9 });
+    client.states.push(forged, { agentBalance: '1.1', casinoBalance: '0.0', nonce: 10, signature: null });
+    const best = client._bestSignedState(chain, -1);
+    assert(best.nonce === 3, `Picked nonce ${best.nonce}`);
+    assert(client._bestSignedState({ ...chain, casino: forger.address }, -1).nonce === 9, 'Signer not pinned to casino');
+  })();
+
+  await test('Closing state signed at the next nonce is used, stale ones are not', async () => {
+    const sig = await engine._signState(AGENT, toWei(last.agentBalance), toWei(last.casinoBalance), last.nonce + 1);
+    client.states.push({ ...last, signature: sig, final: true });
+    assert(client._bestSignedState(chain, -1).nonce === 4, 'Closing state not used at nonce + 1');
+    assert(client._bestSignedState(chain, 4) === null, 'State at or below the onchain nonce offered');
+  })();
+}
+
+// ─── ATTACK 32: Stale Challenge ──────────────────────────
+// An agent who lost since their last win challenges onchain with the
+// older state. Unless the casino counters within the challenge period
+// the channel settles at the stale balances. The watchtower must
+// counter with the engine's latest state, keep countering if the agent
+// plays on, retry failed sends and survive a restart.
+
+class FakeChannelManager {
+  constructor(casino, contract) {
+    this.casinoAddress = casino;
+    this.contractAddress = contract;
+    this.logs = [];
+    this.block = 100;
+    this.time = 1_700_000_000;
+    this.sent = [];
+    this.failNext = 0;
+    this.filters = {
+      ChallengeStarted: () => 'ChallengeStarted',
+      ChallengeCountered: () => 'ChallengeCountered',
+      ChallengeResolved: () => 'ChallengeResolved',
+    };
+    this.runner = { provider: {
+      getBlockNumber: async () => this.block,
+      getBlock: async () => ({ timestamp: this.time }),
+    } };
+  }
+
+  emit(eventName, args) {
+    this.block++;
+    this.logs.push({ eventName, args, blockNumber: this.block, index: 0, transactionHash: `0x${this.block.toString(16)}` });
+  }
+
+  challenge(agent, nonce) {
+    this.emit('ChallengeStarted', { agent, agentBalance: 0n, nonce: BigInt(nonce), deadline: BigInt(this.time + 86400) });
+  }
+
+  async queryFilter(name, from, to) {
+    return this.logs.filter(l => l.eventName === name && l.blockNumber >= from && l.blockNumber <= to);
+  }
+
+  // Same checks as ChannelManager.counterChallenge that matter here
+  async counterChallenge(agent, agentBalance, casinoBalance, nonce, signature) {
+    if (this.failNext > 0) {
+      this.failNext--;
+      throw new Error('replacement transaction underpriced');
+    }
+    const signer = recoverSigner(
+      { agentBalance: toEth(agentBalance), casinoBalance: toEth(casinoBalance), signature },
+      { agent, chainId: 84532, contract: this.contractAddress },
+      nonce,
+    );
+    if (signer !== this.casinoAddress) throw new Error('InvalidSignature()');
+    this.sent.push({ agent, nonce });
+    this.emit('ChallengeCountered', { agent, agentBalance, nonce: BigInt(nonce), newDeadline: BigInt(this.time + 86400) });
+    return { wait: async () => ({ hash: `0xc${this.sent.length}`, blockNumber: this.block }) };
+  }
+}
+
+async function attackStaleChallenge() {
+  console.log('\n🔴 ATTACK 32: Stale Challenge');
+
+  const contract = '0x' + 'ab'.repeat(20);
+  const engine = new GamingEngine(ethers.Wallet.createRandom(), contract, 84532);
+  engine.registerGame(new CoinflipGame());
+  const chain = new FakeChannelManager(engine.casino.address, contract);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'casino-watchtower-'));
+  const alerts = [];
+  const options = { path: path.join(dir, 'watchtower.json'), startBlock: 0, retryDelayMs: 0, alert: m => alerts.push(m) };
+  let tower = await new Watchtower(engine, chain, options).load();
+
+  const flips = async (agent, n) => {
+    for (let i = 0; i < n; i++) {
+      await engine.handleGameAction('coinflip_commit', agent, { betAmount: '0.001', choice: 'heads' });
+      await engine.handleGameAction('coinflip_reveal', agent, { agentSeed: `${agent}:${i}` });
+    }
+  };
+  for (const agent of [AGENT, AGENT2, AGENT3]) await engine.openChannel(agent, '0.1', '1.0');
+  await flips(AGENT, 3);
+
+  await test('Stale challenge is countered with the latest signed state', async () => {
+    chain.challenge(AGENT, 1);
+    await tower.poll();
+    const [dispute] = tower.getDisputes();
+    assert(chain.sent.length === 1 && chain.sent[0].nonce === 3, `Sent ${JSON.stringify(chain.sent)}`);
+    assert(dispute.status === 'countered' && dispute.nonce === 3, `Dispute ${dispute.status} at ${dispute.nonce}`);
+    await tower.poll();
+    assert(chain.sent.length === 1, 'Countered its own counter');
+  })();
+
+  await test('Current challenge is left alone until the agent plays on', async () => {
+    await flips(AGENT2, 2);
+    chain.challenge(AGENT2, 2);
+    await tower.poll();
+    const status = () => tower.getDisputes().find(d => d.agent === AGENT2);
+    assert(chain.sent.length === 1 && status().status === 'watching', 'Countered a current state');
+    await flips(AGENT2, 1);
+    await tower.poll();
+    assert(chain.sent.length === 2 && chain.sent[1].nonce === 3 && status().status === 'countered', 'Later play not countered');
+  })();
+
+  await test('Failed sends are retried, then alerted and retried next poll', async () => {
+    await flips(AGENT, 1);
+    chain.failNext = 2;
+    await tower.poll();
+    let dispute = tower.getDisputes().find(d => d.agent === AGENT);
+    assert(dispute.status === 'countered' && dispute.nonce === 4 && dispute.errors.length === 2, 'Retries not used');
+
+    await flips(AGENT, 1);
+    chain.failNext = 3;
+    await tower.poll();
+    dispute = tower.getDisputes().find(d => d.agent === AGENT);
+    assert(dispute.status === 'failed' && alerts.some(a => a.includes('counterChallenge failed')), 'Failure not alerted');
+    await tower.poll();
+    dispute = tower.getDisputes().find(d => d.agent === AGENT);
+    assert(dispute.status === 'countered' && dispute.nonce === 5, 'Not retried on the next poll');
+  })();
+
+  await test('Closed channel is defended after a restart; expiry is alerted', async () => {
+    await flips(AGENT3, 2);
+    const closed = await engine.closeChannel(AGENT3);
+    await tower.recordClose(AGENT3, closed);
+
+    tower = await new Watchtower(engine, chain, options).load();
+    const before = chain.sent.length;
+    chain.challenge(AGENT3, 1);
+    await tower.poll();
+    assert(chain.sent.length === before + 1 && chain.sent[before].nonce === closed.nonce, 'Closed state not used');
+    assert(tower.getDisputes().filter(d => d.status === 'countered').length === 3, 'History lost on restart');
+
+    await flips(AGENT2, 1);
+    chain.time += 86401;
+    await tower.poll();
+    const late = tower.getDisputes().find(d => d.agent === AGENT2);
+    assert(late.status === 'expired' && alerts.some(a => a.includes('stale state')), 'Expired dispute not alerted');
+  })();
+
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// ─── ATTACK 33: Silent Onchain Close ─────────────────────
+// An agent takes a close signature, keeps playing and losing, then
+// closes onchain with the old signature without telling the API. The
+// ledger must not keep the channel open, the payout gap must be
+// reported, and settlement txs must leave `submitted`.
+
+// Enough of PostgREST for the indexer: eq/in/gte/lt filters, order=id.desc, limit, upsert.
+function fakeRest(tables) {
+  return async (url, options = {}) => {
+    const [name, query = ''] = url.split('?');
+    const rows = tables[name] = tables[name] || [];
+    const filters = [];
+    let limit = Infinity;
+    let desc = false;
+    let conflict = null;
+    for (const part of query.split('&').filter(Boolean)) {
+      const [key, raw] = part.split('=');
+      const value = decodeURIComponent(raw);
+      if (key === 'limit') limit = Number(value);
+      else if (key === 'order') desc = value === 'id.desc';
+      else if (key === 'on_conflict') conflict = value;
+      else if (key !== 'select') filters.push([key, value]);
+    }
+    const match = row => filters.every(([key, f]) => {
+      const [op, ...rest] = f.split('.');
+      const v = rest.join('.');
+      const cell = row[key] === null || row[key] === undefined ? null : String(row[key]);
+      if (op === 'eq') return cell === v;
+      if (op === 'in') return v.slice(1, -1).split(',').includes(cell);
+      if (op === 'gte') return cell !== null && cell >= v;
+      if (op === 'lt') return cell !== null && cell < v;
+      throw new Error(`fakeRest: ${op}`);
+    });
+
+    const method = options.method || 'GET';
+    if (method === 'POST') {
+      for (const body of options.body) {
+        const existing = conflict && rows.find(r => r[conflict] === body[conflict]);
+        if (existing) Object.assign(existing, body);
+        else rows.push({ id: rows.length + 1, created_at: new Date().toISOString(), ...body });
+      }
+      return null;
+    }
+    const found = rows.filter(match);
+    if (method === 'PATCH') {
+      found.forEach(r => Object.assign(r, options.body));
+      return null;
+    }
+    return (desc ? [...found].reverse() : found).slice(0, limit).map(r => ({ ...r }));
+  };
+}
+
+class FakeIndexedChain {
+  constructor() {
+    this.block = 1000;
+    this.logs = [];
+    this.channels_ = new Map();
+    this.pending = new Map();
+    this.receipts = new Map();
+  }
+
+  emit(eventName, args, sameTx = false) {
+    if (!sameTx) this.block++;
+    const index = sameTx ? this.logs[this.logs.length - 1].index + 1 : 0;
+    this.logs.push({ eventName, args, blockNumber: this.block, index, transactionHash: `0x${this.block.toString(16).padStart(64, '0')}` });
+  }
+
+  // Same state changes as ChannelManager
+  open(agent, wei) {
+    this.channels_.set(agent, { agentDeposit: wei, casinoDeposit: 0n, nonce: 0n, disputeDeadline: 0n, state: 1n });
+    this.emit('ChannelOpened', { agent, agentDeposit: wei });
+  }
+
+  fund(agent, wei) {
+    const ch = this.channels_.get(agent);
+    ch.casinoDeposit += wei;
+    this.emit('CasinoFunded', { agent, amount: wei, totalCasinoDeposit: ch.casinoDeposit });
+  }
+
+  close(agent, agentPayout, casinoPayout, { bounce = false } = {}) {
+    this.channels_.delete(agent);
+    if (bounce) {
+      this.pending.set(agent, (this.pending.get(agent) || 0n) + agentPayout);
+      this.emit('WithdrawalPending', { recipient: agent, amount: agentPayout });
+    }
+    this.emit('ChannelClosed', { agent, agentPayout, casinoPayout }, bounce);
+  }
+
+  async queryFilter(filter, from, to) {
+    return this.logs.filter(l => l.blockNumber >= from && l.blockNumber <= to);
+  }
+
+  async channels(agent) {
+    const ch = this.channels_.get(agent);
+    return ch || { agentDeposit: 0n, casinoDeposit: 0n, nonce: 0n, disputeDeadline: 0n, state: 0n };
+  }
+
+  async pendingWithdrawals(agent) {
+    return this.pending.get(agent) || 0n;
+  }
+
+  get provider() {
+    return {
+      getBlockNumber: async () => this.block,
+      getTransactionReceipt: async hash => this.receipts.get(hash) || null,
+    };
+  }
+}
+
+async function attackSilentClose() {
+  console.log('\n🔴 ATTACK 33: Silent Onchain Close');
+
+  const chain = new FakeIndexedChain();
+  const old = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+  const tables = {
+    casino_channels: [
+      { id: 1, agent: AGENT, status: 'open', settlement_mode: 'onchain-settle', agent_deposit: '0.1', casino_deposit: '0.1', agent_balance: '0.05', casino_balance: '0.15', nonce: 9, open_tx_hash: null, fund_tx_hash: null, close_tx_hash: null },
+      { id: 2, agent: AGENT2, status: 'open', settlement_mode: 'onchain-settle', agent_deposit: '0.1', casino_deposit: '0.1', agent_balance: '0.1', casino_balance: '0.1', nonce: 0, open_tx_hash: null, fund_tx_hash: null, close_tx_hash: null },
+    ],
+    casino_settlement_txs: [
+      { id: 1, agent: AGENT2, action: 'open', tx_hash: '0xreverted', chain_id: 84532, status: 'submitted', created_at: old, updated_at: old },
+      { id: 2, agent: AGENT2, action: 'open', tx_hash: '0xinmempool', chain_id: 84532, status: 'submitted', created_at: old, updated_at: old },
+    ],
+  };
+  const options = {
+    provider: chain.provider,
+    contract: chain,
+    address: '0x' + 'ab'.repeat(20),
+    chainId: 84532,
+    rest: fakeRest(tables),
+    startBlock: 0,
+    confirmations: 2,
+  };
+  const indexer = new ChainIndexer(options);
+
+  chain.open(AGENT, toWei('0.1'));
+  chain.fund(AGENT, toWei('0.1'));
+  // Signed at nonce 3, when the agent was up; the ledger has since moved to nonce 9.
+  chain.close(AGENT, toWei('0.08'), toWei('0.12'), { bounce: true });
+  chain.open(AGENT3, toWei('0.2'));
+  chain.receipts.set('0xreverted', { status: 0, blockNumber: 1001 });
+  chain.block += 2;
+
+  await test('Channel closed onchain without close_channel is closed in the ledger', async () => {
+    const sync = await indexer.sync();
+    const row = tables.casino_channels[0];
+    assert(row.status === 'closed' && row.settled_onchain === true, `Ledger still ${row.status}`);
+    assert(row.close_tx_hash === chain.logs[3].transactionHash && row.open_tx_hash === chain.logs[0].transactionHash, 'Tx hashes not filled');
+    assert(sync.ledgerClosed.length === 1 && sync.ledgerClosed[0].agent === AGENT, 'Close not reported');
+    const actions = tables.casino_settlement_txs.filter(t => t.agent === AGENT).map(t => `${t.action}:${t.status}`);
+    assert(actions.join() === 'open:mined,fund:mined,close:mined', `Txs ${actions}`);
+  })();
+
+  await test('Submitted txs are settled from their receipt', async () => {
+    const byHash = h => tables.casino_settlement_txs.find(t => t.tx_hash === h);
+    assert(byHash('0xreverted').status === 'failed' && byHash('0xreverted').error === 'reverted', 'Reverted tx not failed');
+    assert(byHash('0xinmempool').status === 'submitted', 'Tx without receipt promoted');
+  })();
+
+  await test('Reconciliation reports every chain/ledger mismatch', async () => {
+    const report = await indexer.reconcile();
+    const types = report.mismatches.map(m => `${m.type}:${m.agent}`).sort();
+    const expected = [
+      `missing_onchain:${AGENT2}`,
+      `open_onchain_only:${AGENT3}`,
+      `payout_mismatch:${AGENT}`,
+      `tx_failed:${AGENT2}`,
+      `tx_pending:${AGENT2}`,
+      `withdrawal_pending:${AGENT}`,
+    ];
+    assert(types.join() === expected.join(), `Report ${types}`);
+    const gap = report.mismatches.find(m => m.type === 'payout_mismatch');
+    assert(gap.agentPayout === '0.08' && gap.ledgerBalance === '0.05', `Gap ${JSON.stringify(gap)}`);
+    assert((await indexer.getReport()).report.counts.payout_mismatch === 1, 'Report not stored');
+  })();
+
+  await test('Cursor survives a restart; unconfirmed blocks wait', async () => {
+    const restarted = new ChainIndexer(options);
+    chain.fund(AGENT3, toWei('0.2'));
+    let sync = await restarted.sync();
+    assert(sync.events === 0, `Indexed ${sync.events} unconfirmed/old logs`);
+    chain.block += 2;
+    sync = await restarted.sync();
+    const mirror = tables.casino_onchain_channels.find(r => r.agent === AGENT3);
+    assert(sync.events === 1 && mirror.casino_deposit === '0.2', `Funding not indexed: ${JSON.stringify(sync)}`);
+    assert(tables.casino_settlement_txs.filter(t => t.agent === AGENT).length === 3, 'Logs indexed twice');
+  })();
+}
+
+// ─── ATTACK 34: Relayed Close Authorization ──────────────
+// With a relayed close the casino submits the agent's close itself. A
+// casino that reports a state the agent never received (a round it
+// "forgot" to send, or rewritten balances) must not get an
+// authorization, and one it does get must not fit any other state.
+
+async function attackRelayedClose() {
+  console.log('\n🔴 ATTACK 34: Relayed Close Authorization');
+
+  const contract = '0x' + 'ab'.repeat(20);
+  const wallet = ethers.Wallet.createRandom();
+  const engine = new GamingEngine(ethers.Wallet.createRandom(), contract, 84532);
+  engine.registerGame(new CoinflipGame());
+  await engine.openChannel(wallet.address, '0.1', '1.0', {}, 3);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'casino-relay-close-'));
+  const client = new AgentCasinoClient('http://localhost:0', { backupDir: dir, channelManager: contract });
+  client.stealth = { stealthAddress: wallet.address, stealthPrivateKey: wallet.privateKey };
+  client.epoch = 3;
+  for (let i = 0; i < 2; i++) {
+    await engine.handleGameAction('coinflip_commit', wallet.address, { betAmount: '0.001', choice: 'heads' });
+    client._storeState(await engine.handleGameAction('coinflip_reveal', wallet.address, { agentSeed: `r${i}` }));
+  }
+
+  const requests = [];
+  let reportedEpoch = null;
+  client._request = async (action, params) => {
+    requests.push({ action, params });
+    const status = engine.getChannelStatus(wallet.address);
+    if (action === 'channel_status') return { ...status, chainId: 84532, ...(reportedEpoch === null ? {} : { epoch: reportedEpoch }) };
+    return { ...status, signature: await engine._signState(wallet.address, toWei(status.agentBalance), toWei(status.casinoBalance), status.nonce + 1) };
+  };
+
+  const domain = { name: 'AgentCasino', version: '1', chainId: 84532, verifyingContract: contract };
+  const types = { CloseAuthorization: [
+    { name: 'agent', type: 'address' }, { name: 'epoch', type: 'uint256' }, { name: 'agentBalance', type: 'uint256' },
+    { name: 'casinoBalance', type: 'uint256' }, { name: 'nonce', type: 'uint256' }, { name: 'deadline', type: 'uint256' },
+  ] };
+
+  await test('Casino state the agent never received gets no authorization', async () => {
+    // One more round the client never stores
+    await engine.handleGameAction('coinflip_commit', wallet.address, { betAmount: '0.001', choice: 'heads' });
+    const unseen = await engine.handleGameAction('coinflip_reveal', wallet.address, { agentSeed: 'unseen' });
+    await assertThrows(() => client.closeSession({ relay: true }), 'does not match');
+    assert(!requests.some(r => r.action === 'close_channel'), 'Close sent anyway');
+    client._storeState(unseen);
+  })();
+
+  await test('Casino naming another channel epoch gets no authorization', async () => {
+    reportedEpoch = 4;
+    await assertThrows(() => client.closeSession({ relay: true }), 'epoch');
+    reportedEpoch = null;
+    assert(!requests.some(r => r.action === 'close_channel'), 'Close sent anyway');
+  })();
+
+  await test('Authorization binds the exact final state at the next nonce', async () => {
+    const last = client.states[client.states.length - 1];
+    await client.closeSession({ relay: true });
+    const { closeAuthorization: auth } = requests.find(r => r.action === 'close_channel').params;
+    const value = { agent: wallet.address, epoch: 3, agentBalance: toWei(last.agentBalance), casinoBalance: toWei(last.casinoBalance), nonce: last.nonce + 1, deadline: auth.deadline };
+    assert(ethers.verifyTypedData(domain, types, value, auth.signature) === wallet.address, 'Not signed by the stealth key');
+    const shifted = { ...value, agentBalance: value.agentBalance - toWei('0.001'), casinoBalance: value.casinoBalance + toWei('0.001') };
+    assert(ethers.verifyTypedData(domain, types, shifted, auth.signature) !== wallet.address, 'Authorization fits other balances');
+    assert(ethers.verifyTypedData(domain, types, { ...value, nonce: last.nonce }, auth.signature) !== wallet.address, 'Authorization fits another nonce');
+    assert(ethers.verifyTypedData(domain, types, { ...value, epoch: 4 }, auth.signature) !== wallet.address, 'Authorization fits a later channel');
+    assert(auth.deadline > Date.now() / 1000 && auth.deadline <= Date.now() / 1000 + 600, `Deadline ${auth.deadline}`);
+  })();
+
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// ─── ATTACK 35: Gasless Meta-transactions ────────────────
+// The relayer pays gas (and, on open, the deposit) for authorizations it
+// is handed. One signed by someone else, for another amount, or about to
+// expire must never reach the chain, and a relayed close must settle the
+// engine's final state, not whatever balances the authorization names.
+
+class FakeRelayTarget {
+  constructor(address, chainId) {
+    this.address = address;
+    this.sent = [];
+    this.channels = {};
+    this.epochs = {};
+    this.fail = {}; // method → 'revert' | 'dropped' (sent, unconfirmed, lands anyway), once
+    this.runner = { provider: { getNetwork: async () => ({ chainId: BigInt(chainId) }) } };
+    const apply = {
+      openChannelFor: (agent, deadline, sig, { value }) => {
+        this.channels[agent] = { state: 1n, agentDeposit: value, casinoDeposit: 0n, nonce: 0n };
+        this.epochs[agent] = (this.epochs[agent] || 0n) + 1n;
+      },
+      fundCasinoSide: (agent, { value }) => { this.channels[agent].casinoDeposit += value; },
+      closeChannelWithSig: (agent) => { delete this.channels[agent]; },
+    };
+    for (const method of Object.keys(apply)) {
+      this[method] = async (...args) => {
+        const hash = ethers.hexlify(ethers.randomBytes(32));
+        const failure = this.fail[method];
+        delete this.fail[method];
+        if (failure === 'revert') {
+          return { hash, wait: async () => { throw Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' }); } };
+        }
+        this.sent.push({ method, args, hash });
+        apply[method](...args);
+        if (failure === 'dropped') return { hash, wait: async () => { throw new Error('timeout'); } };
+        return { hash, wait: async () => ({ blockNumber: this.sent.length, gasUsed: 50000n }) };
+      };
+    }
+  }
+
+  async getAddress() { return this.address; }
+
+  async getChannel(agent) {
+    return this.channels[agent] || { state: 0n, agentDeposit: 0n, casinoDeposit: 0n, nonce: 0n };
+  }
+
+  async channelEpoch(agent) {
+    return this.epochs[agent] || 0n;
+  }
+}
+
+async function attackMetaTransactions() {
+  console.log('\n🔴 ATTACK 35: Gasless Meta-transactions');
+
+  const contract = '0x' + 'cd'.repeat(20);
+  const domain = { name: 'AgentCasino', version: '1', chainId: 84532, verifyingContract: contract };
+  const openTypes = { OpenAuthorization: [
+    { name: 'agent', type: 'address' }, { name: 'deposit', type: 'uint256' }, { name: 'deadline', type: 'uint256' },
+  ] };
+  const closeTypes = { CloseAuthorization: [
+    { name: 'agent', type: 'address' }, { name: 'epoch', type: 'uint256' }, { name: 'agentBalance', type: 'uint256' },
+    { name: 'casinoBalance', type: 'uint256' }, { name: 'nonce', type: 'uint256' }, { name: 'deadline', type: 'uint256' },
+  ] };
+  const wallet = ethers.Wallet.createRandom();
+  const payer = ethers.Wallet.createRandom();
+  const deadline = Math.floor(Date.now() / 1000) + 600;
+
+  await test('Open authorization from another key, for another deposit or expiring is never sent', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'casino-meta-'));
+    const ledger = await new PaymentLedger({ path: path.join(dir, 'payments.json') }).load();
+    await ledger.credit(payer.address, toWei('0.1'));
+    const payment = { type: 'prepaid', account: payer.address, signature: await payer.signMessage(`relay_prepaid:${wallet.address}:${toWei('0.1')}:0`) };
+    const cm = new FakeRelayTarget(contract, 84532);
+    const relay = new RelayService(null, null, { channelManager: cm, ledger });
+    const sign = (signer, deposit, dl = deadline) => signer.signTypedData(domain, openTypes, { agent: wallet.address, deposit: toWei(deposit), deadline: dl });
+
+    const other = await sign(ethers.Wallet.createRandom(), '0.1');
+    await assertThrows(() => relay.relayOpen(wallet.address, '0.1', { deadline, signature: other }, payment), 'INVALID_AUTHORIZATION');
+    const small = await sign(wallet, '0.01');
+    await assertThrows(() => relay.relayOpen(wallet.address, '0.1', { deadline, signature: small }, payment), 'INVALID_AUTHORIZATION');
+    const soon = Math.floor(Date.now() / 1000) + 10;
+    const expiring = await sign(wallet, '0.1', soon);
+    await assertThrows(() => relay.relayOpen(wallet.address, '0.1', { deadline: soon, signature: expiring }, payment), 'AUTHORIZATION_EXPIRED');
+    assert(cm.sent.length === 0, `${cm.sent.length} tx sent`);
+
+    const opened = await relay.relayOpen(wallet.address, '0.1', { deadline, signature: await sign(wallet, '0.1') }, payment, { casinoDeposit: '1.0' });
+    const [open, fund] = cm.sent;
+    assert(open.method === 'openChannelFor' && open.args[0] === wallet.address && open.args[3].value === toWei('0.1'), 'Wrong openChannelFor');
+    assert(fund.method === 'fundCasinoSide' && fund.args[1].value === toWei('1.0'), 'Casino side not funded');
+    assert(opened.txHash === open.hash && opened.fundTxHash === fund.hash, 'Tx hashes not returned');
+    assert(ledger.getAccount(payer.address).balance === 0n, 'Deposit not paid from credits');
+    fs.rmSync(dir, { recursive: true, force: true });
+  })();
+
+  await test('Relayed close settles the engine state at the next nonce and leaves no channel to play', async () => {
+    const cm = new FakeRelayTarget(contract, 84532);
+    const casino = ethers.Wallet.createRandom();
+    const engine = new GamingEngine(casino, contract, 84532);
+    engine.registerGame(new CoinflipGame());
+    const handler = new CasinoA2AHandler(engine, new RelayService(null, null, { channelManager: cm }));
+    const call = async content => (await handler.handle({ message: { content } })).message.content;
+
+    await engine.openChannel(wallet.address, '0.1', '1.0');
+    await engine.handleGameAction('coinflip_commit', wallet.address, { betAmount: '0.001', choice: 'heads' });
+    await engine.handleGameAction('coinflip_reveal', wallet.address, { agentSeed: 'meta' });
+    const status = await call({ action: 'channel_status', stealthAddress: wallet.address });
+    assert(status.chainId === 84532, `chainId ${status.chainId}`);
+
+    const authorize = async agentBalance => ({ deadline, signature: await wallet.signTypedData(domain, closeTypes, {
+      agent: wallet.address,
+      epoch: 0,
+      agentBalance: toWei(agentBalance),
+      casinoBalance: toWei(status.agentBalance) + toWei(status.casinoBalance) - toWei(agentBalance),
+      nonce: status.nonce + 1,
+      deadline,
+    }) });
+
+    const greedy = await call({ action: 'close_channel', stealthAddress: wallet.address, closeAuthorization: await authorize('0.2') });
+    assert(greedy.error && greedy.message.includes('INVALID_AUTHORIZATION'), `Greedy close: ${greedy.message}`);
+    assert(engine.channels.has(wallet.address) && cm.sent.length === 0, 'Rejected close touched the channel');
+
+    const closed = await call({ action: 'close_channel', stealthAddress: wallet.address, closeAuthorization: await authorize(status.agentBalance) });
+    assert(closed.relayed === true && closed.closeTxHash === cm.sent[0].hash, `Not relayed: ${closed.relayError}`);
+    const [agent, agentBalance, casinoBalance, nonce, , casinoSig] = cm.sent[0].args;
+    assert(agentBalance === toWei(status.agentBalance) && casinoBalance === toWei(status.casinoBalance), 'Relayed other balances');
+    assert(nonce === BigInt(status.nonce + 1), `Relayed nonce ${nonce}`);
+    const state = { agentBalance: toEth(agentBalance), casinoBalance: toEth(casinoBalance), signature: casinoSig };
+    assert(recoverSigner(state, { agent, chainId: 84532, contract }, Number(nonce)) === casino.address, 'Casino signature does not recover');
+    await assertThrows(() => engine.handleGameAction('coinflip_commit', wallet.address, { betAmount: '0.001', choice: 'heads' }), 'Channel not found');
+  })();
+
+  await test('Relayed close holds the channel until the chain settles it, across a dropped tx', async () => {
+    const cm = new FakeRelayTarget(contract, 84532);
+    const engine = new GamingEngine(ethers.Wallet.createRandom(), contract, 84532);
+    engine.registerGame(new CoinflipGame());
+    const handler = new CasinoA2AHandler(engine, new RelayService(null, null, { channelManager: cm }));
+    const call = async content => (await handler.handle({ message: { content } })).message.content;
+    const agent = ethers.Wallet.createRandom();
+    await engine.openChannel(agent.address, '0.1', '1.0');
+    cm.channels[agent.address] = { state: 1n, agentDeposit: toWei('0.1'), casinoDeposit: toWei('1.0'), nonce: 0n };
+    const closeAuthorization = { deadline, signature: await agent.signTypedData(domain, closeTypes, {
+      agent: agent.address, epoch: 0, agentBalance: toWei('0.1'), casinoBalance: toWei('1.0'), nonce: 1, deadline,
+    }) };
+    const close = () => call({ action: 'close_channel', stealthAddress: agent.address, closeAuthorization });
+    const bet = () => engine.handleGameAction('coinflip_commit', agent.address, { betAmount: '0.001', choice: 'heads' });
+
+    cm.fail.closeChannelWithSig = 'revert';
+    let reply = await close();
+    assert(reply.error && reply.message.includes('RELAY_TX_FAILED'), `Reverted close: ${JSON.stringify(reply)}`);
+    assert(engine.channels.has(agent.address) && !engine.isClosing(agent.address), 'Reverted close left the channel locked or closed');
+
+    cm.fail.closeChannelWithSig = 'dropped';
+    reply = await close();
+    assert(reply.error && reply.message.includes('stays closing'), `Dropped close: ${JSON.stringify(reply)}`);
+    assert(engine.channels.has(agent.address) && engine.getChannelStatus(agent.address).status === 'closing', 'Channel not held closing');
+    await assertThrows(() => bet(), 'Channel is closing');
+    await assertThrows(() => engine.setClientSeed(agent.address, 'late'), 'Channel is closing');
+    reply = await call({ action: 'close_channel', stealthAddress: agent.address, signature: '0x' });
+    assert(reply.error && reply.message.includes('closing onchain'), 'Plain close taken while the relayed one is in flight');
+
+    reply = await close();
+    assert(reply.relayed === true && reply.nonce === 0, `Retry did not finish the close: ${JSON.stringify(reply)}`);
+    assert(cm.sent.filter(t => t.method === 'closeChannelWithSig').length === 1, 'Landed close sent again');
+    assert(!engine.channels.has(agent.address) && !engine.isClosing(agent.address), 'Channel left behind');
+  })();
+
+  await test('Relayed close in flight survives a restart: the channel comes back closing', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'casino-closing-'));
+    const file = path.join(dir, 'engine-state.json');
+    const casino = ethers.Wallet.createRandom();
+    const cm = new FakeRelayTarget(contract, 84532);
+    const boot = async () => {
+      const engine = new GamingEngine(casino, contract, 84532, new FileStore(file));
+      engine.registerGame(new CoinflipGame());
+      await engine.restore();
+      const handler = new CasinoA2AHandler(engine, new RelayService(null, null, { channelManager: cm }));
+      return { engine, call: async content => (await handler.handle({ message: { content } })).message.content };
+    };
+    const agent = ethers.Wallet.createRandom();
+    const closeAuthorization = { deadline, signature: await agent.signTypedData(domain, closeTypes, {
+      agent: agent.address, epoch: 0, agentBalance: toWei('0.1'), casinoBalance: toWei('1.0'), nonce: 1, deadline,
+    }) };
+    const close = { action: 'close_channel', stealthAddress: agent.address, closeAuthorization };
+
+    const first = await boot();
+    await first.engine.openChannel(agent.address, '0.1', '1.0');
+    cm.channels[agent.address] = { state: 1n, agentDeposit: toWei('0.1'), casinoDeposit: toWei('1.0'), nonce: 0n };
+    cm.fail.closeChannelWithSig = 'dropped';
+    let reply = await first.call(close);
+    assert(reply.error && reply.message.includes('stays closing'), `Dropped close: ${JSON.stringify(reply)}`);
+
+    const second = await boot();
+    assert(second.engine.isClosing(agent.address), 'Restart forgot the close in flight');
+    await assertThrows(() => second.engine.handleGameAction('coinflip_commit', agent.address, { betAmount: '0.001', choice: 'heads' }), 'Channel is closing');
+    reply = await second.call(close);
+    assert(reply.relayed === true && cm.sent.filter(t => t.method === 'closeChannelWithSig').length === 1, `Retry after restart: ${JSON.stringify(reply)}`);
+    assert(!(await boot()).engine.channels.has(agent.address), 'Closed channel came back');
+
+    const third = await boot();
+    await third.engine.openChannel(agent.address, '0.1', '1.0');
+    await third.engine.lockChannel(agent.address);
+    await third.engine.unlockChannel(agent.address);
+    assert(!(await boot()).engine.isClosing(agent.address), 'Unlock not written');
+    fs.rmSync(dir, { recursive: true, force: true });
+  })();
+
+  await test('Open that failed after openChannelFor is picked up again, not charged twice', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'casino-meta-'));
+    const ledger = await new PaymentLedger({ path: path.join(dir, 'payments.json') }).load();
+    await ledger.credit(payer.address, toWei('0.1'));
+    const cm = new FakeRelayTarget(contract, 84532);
+    const engine = new GamingEngine(ethers.Wallet.createRandom(), contract, 84532);
+    const handler = new CasinoA2AHandler(engine, new RelayService(null, null, { channelManager: cm, ledger }));
+    const call = async content => (await handler.handle({ message: { content } })).message.content;
+    const agent = ethers.Wallet.createRandom();
+    const open = async () => call({
+      action: 'open_channel', stealthAddress: agent.address, agentDeposit: '0.1', casinoDeposit: '1.0',
+      openAuthorization: { deadline, signature: await agent.signTypedData(domain, openTypes, { agent: agent.address, deposit: toWei('0.1'), deadline }) },
+      payment: { type: 'prepaid', account: payer.address, signature: await payer.signMessage(`relay_prepaid:${agent.address}:${toWei('0.1')}:${ledger.getAccount(payer.address).nonce}`) },
+    });
+
+    cm.fail.fundCasinoSide = 'revert';
+    let reply = await open();
+    const [opened] = cm.sent;
+    assert(reply.error && reply.message.includes('RELAY_OPEN_INCOMPLETE') && reply.message.includes(opened.hash), `Orphaned open not surfaced: ${reply.message}`);
+    assert(!engine.channels.has(agent.address), 'Engine opened a channel without its casino side');
+
+    reply = await open();
+    assert(reply.status === 'open' && reply.resumed === true && reply.fundTxHash, `Not resumed: ${JSON.stringify(reply)}`);
+    assert(cm.sent.filter(t => t.method === 'openChannelFor').length === 1, 'Second channel opened');
+    assert(cm.channels[agent.address].casinoDeposit === toWei('1.0'), 'Casino side not funded');
+    assert(ledger.getAccount(payer.address).balance === 0n, 'Payment charged twice or refunded');
+
+    reply = await open();
+    assert(reply.error && /already exists|CHANNEL_EXISTS/.test(reply.message), 'Open channel resumed twice');
+    fs.rmSync(dir, { recursive: true, force: true });
+  })();
+
+  await test('Close signed for an earlier channel does not settle the next one at the same state', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'casino-meta-'));
+    const ledger = await new PaymentLedger({ path: path.join(dir, 'payments.json') }).load();
+    await ledger.credit(payer.address, toWei('0.2'));
+    const cm = new FakeRelayTarget(contract, 84532);
+    const casino = ethers.Wallet.createRandom();
+    const engine = new GamingEngine(casino, contract, 84532);
+    const handler = new CasinoA2AHandler(engine, new RelayService(null, null, { channelManager: cm, ledger }));
+    const call = async content => (await handler.handle({ message: { content } })).message.content;
+    const agent = ethers.Wallet.createRandom();
+    const open = async () => call({
+      action: 'open_channel', stealthAddress: agent.address, agentDeposit: '0.1', casinoDeposit: '1.0',
+      openAuthorization: { deadline, signature: await agent.signTypedData(domain, openTypes, { agent: agent.address, deposit: toWei('0.1'), deadline }) },
+      payment: { type: 'prepaid', account: payer.address, signature: await payer.signMessage(`relay_prepaid:${agent.address}:${toWei('0.1')}:${ledger.getAccount(payer.address).nonce}`) },
+    });
+    const authorize = async epoch => ({ deadline, signature: await agent.signTypedData(domain, closeTypes, {
+      agent: agent.address, epoch, agentBalance: toWei('0.1'), casinoBalance: toWei('1.0'), nonce: 1, deadline,
+    }) });
+    const closes = () => cm.sent.filter(t => t.method === 'closeChannelWithSig');
+
+    let reply = await open();
+    assert(reply.status === 'open' && reply.epoch === 1, `First channel: ${JSON.stringify(reply)}`);
+    const earlier = await authorize(1);
+    reply = await call({ action: 'close_channel', stealthAddress: agent.address, closeAuthorization: earlier });
+    assert(reply.relayed === true, `First close: ${JSON.stringify(reply)}`);
+    const [, agentBalance, casinoBalance, nonce, , casinoSig] = closes()[0].args;
+
+    reply = await open();
+    assert(reply.status === 'open' && reply.epoch === 2, `Second channel: ${JSON.stringify(reply)}`);
+    reply = await call({ action: 'close_channel', stealthAddress: agent.address, closeAuthorization: earlier });
+    assert(reply.error && reply.message.includes('INVALID_AUTHORIZATION'), `Replayed close: ${JSON.stringify(reply)}`);
+    assert(closes().length === 1 && engine.channels.has(agent.address), 'Replayed authorization reached the chain');
+    const state = { agentBalance: toEth(agentBalance), casinoBalance: toEth(casinoBalance), signature: casinoSig };
+    assert(recoverSigner(state, { agent: agent.address, chainId: 84532, contract, epoch: 1 }, Number(nonce)) === casino.address, 'First close not signed for its epoch');
+    assert(recoverSigner(state, { agent: agent.address, chainId: 84532, contract, epoch: 2 }, Number(nonce)) !== casino.address, 'Casino signature fits the next channel');
+
+    reply = await call({ action: 'close_channel', stealthAddress: agent.address, closeAuthorization: await authorize(2) });
+    assert(reply.relayed === true && closes().length === 2, `Second close: ${JSON.stringify(reply)}`);
+    fs.rmSync(dir, { recursive: true, force: true });
+  })();
+}
+
+// ─── ATTACK 36: Forged Relay Payments ────────────────────
+// relay_fund and the gasless open spend casino ETH on the strength of a
+// payment proof. Self-declared flags, a transfer to someone else, one
+// that is too small or unconfirmed, a receipt nobody trusted signed, or
+// the same payment twice must fund nothing.
+
+async function attackForgedPayments() {
+  console.log('\n🔴 ATTACK 36: Forged Relay Payments');
+
+  const casino = ethers.Wallet.createRandom();
+  const facilitator = ethers.Wallet.createRandom();
+  const payer = ethers.Wallet.createRandom();
+  const stealth = ethers.Wallet.createRandom().address;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'casino-payments-'));
+  const ledgerPath = path.join(dir, 'payments.json');
+
+  const chain = { head: 100, txs: {} };
+  const provider = {
+    getTransaction: async hash => chain.txs[hash]?.tx || null,
+    getTransactionReceipt: async hash => chain.txs[hash]?.receipt || null,
+    getBlockNumber: async () => chain.head,
+    getNetwork: async () => ({ chainId: 84532n }),
+  };
+  const transfer = (to, value, block, status = 1) => {
+    const hash = ethers.hexlify(ethers.randomBytes(32));
+    chain.txs[hash] = { tx: { hash, from: payer.address, to, value: toWei(value) }, receipt: { status, blockNumber: block } };
+    return hash;
+  };
+  // The sender of the transfer names the stealth address it pays for
+  const byTransfer = async (txHash, amount, to = stealth, signer = payer) => ({
+    type: 'direct_transfer', txHash, signature: await signer.signMessage(`relay_transfer:${txHash.toLowerCase()}:${to}:${toWei(amount)}`),
+  });
+
+  const funded = [];
+  let revertNext = false;
+  const target = {
+    relayFund: async (to, { value }) => {
+      if (revertNext) { revertNext = false; throw Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' }); }
+      funded.push({ to, value });
+      return { hash: ethers.hexlify(ethers.randomBytes(32)), wait: async () => ({ blockNumber: chain.head, gasUsed: 21000n }) };
+    },
+  };
+  const ledger = await new PaymentLedger({ path: ledgerPath }).load();
+  const relay = new RelayService(casino, target, { ledger, provider, x402Facilitator: facilitator.address });
+
+  await test('Self-declared payment proofs fund nothing', async () => {
+    await assertThrows(() => relay.fundStealth(stealth, '0.1', { type: 'prepaid', credits: 999 }), 'not verified');
+    await assertThrows(() => relay.fundStealth(stealth, '0.1', { type: 'x402', verified: true, amount: 1 }), 'not verified');
+    const elsewhere = transfer(payer.address, '1', 90);
+    await assertThrows(async () => relay.fundStealth(stealth, '0.1', { ...(await byTransfer(elsewhere, '0.1')), amount: 1, confirmed: true }), 'not sent to the casino');
+    assert(funded.length === 0, `${funded.length} stealth address(es) funded`);
+  })();
+
+  await test('Transfer must be large enough, confirmed, successful and unspent', async () => {
+    await assertThrows(async () => relay.fundStealth(stealth, '0.1', await byTransfer(transfer(casino.address, '0.05', 90), '0.1')), 'below');
+    await assertThrows(async () => relay.fundStealth(stealth, '0.1', await byTransfer(transfer(casino.address, '0.1', 99), '0.1')), 'confirmations');
+    await assertThrows(async () => relay.fundStealth(stealth, '0.1', await byTransfer(transfer(casino.address, '0.1', 90, 0), '0.1')), 'reverted');
+
+    const paid = transfer(casino.address, '0.15', 90);
+    await relay.fundStealth(stealth, '0.1', await byTransfer(paid, '0.1'));
+    const elsewhereStealth = ethers.Wallet.createRandom().address;
+    await assertThrows(async () => relay.fundStealth(elsewhereStealth, '0.1', await byTransfer(paid, '0.1', elsewhereStealth)), 'already used');
+    assert(funded.length === 1 && funded[0].value === toWei('0.1'), 'Funded the wrong amount');
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const query = { issuedAt, signature: await payer.signMessage(`relay_credits:${payer.address}:${issuedAt}`) };
+    assert(relay.getCredits(payer.address, query).credits === '0.05', 'Surplus not credited');
+  })();
+
+  await test('A transfer seen onchain is spent by its sender only, for the stealth address it signed', async () => {
+    const thief = ethers.Wallet.createRandom();
+    const theirs = ethers.Wallet.createRandom().address;
+    const paid = transfer(casino.address, '0.1', 90);
+
+    await assertThrows(() => relay.fundStealth(theirs, '0.1', { type: 'direct_transfer', txHash: paid }), 'needs { txHash, signature }');
+    await assertThrows(async () => relay.fundStealth(theirs, '0.1', await byTransfer(paid, '0.1', theirs, thief)), 'sender of the transfer');
+    await assertThrows(async () => relay.fundStealth(theirs, '0.1', await byTransfer(paid, '0.1')), 'sender of the transfer');
+    assert(!ledger.getPayment(`tx:${paid}`) && funded.length === 1, 'Someone else spent the transfer');
+
+    await relay.fundStealth(stealth, '0.1', await byTransfer(paid, '0.1'));
+    assert(funded.length === 2 && funded[1].to === stealth, 'Sender could not spend their own transfer');
+  })();
+
+  await test('x402 receipt must be signed by the facilitator and spent once', async () => {
+    const receipt = { id: 'rcpt-1', payer: payer.address, payTo: casino.address, amount: toWei('0.1'), chainId: 84532, issuedAt: Math.floor(Date.now() / 1000) };
+    const types = { PaymentReceipt: [
+      { name: 'id', type: 'string' }, { name: 'payer', type: 'address' }, { name: 'payTo', type: 'address' },
+      { name: 'amount', type: 'uint256' }, { name: 'chainId', type: 'uint256' }, { name: 'issuedAt', type: 'uint256' },
+    ] };
+    const x402Domain = { name: 'x402', version: '1' };
+    const selfSigned = await payer.signTypedData(x402Domain, types, receipt);
+    await assertThrows(() => relay.fundStealth(stealth, '0.1', { type: 'x402', receipt, signature: selfSigned }), 'facilitator');
+    const inflated = await facilitator.signTypedData(x402Domain, types, receipt);
+    await assertThrows(() => relay.fundStealth(stealth, '0.1', { type: 'x402', receipt: { ...receipt, amount: toWei('1') }, signature: inflated }), 'facilitator');
+
+    const offline = new RelayService(casino, target, { ledger, x402Facilitator: facilitator.address });
+    await assertThrows(() => offline.fundStealth(stealth, '0.1', { type: 'x402', receipt, signature: inflated }), 'no provider');
+
+    await relay.fundStealth(stealth, '0.1', { type: 'x402', receipt, signature: inflated });
+    await assertThrows(() => relay.fundStealth(stealth, '0.1', { type: 'x402', receipt, signature: inflated }), 'already used');
+    assert(funded.length === 3, `${funded.length} fundings`);
+  })();
+
+  await test('Prepaid credits: owner-signed, not replayable, refunded on a reverted relay, persisted', async () => {
+    const sign = async (amount, nonce) => ({ type: 'prepaid', account: payer.address, signature: await payer.signMessage(`relay_prepaid:${stealth}:${toWei(amount)}:${nonce}`) });
+    const stranger = { ...(await sign('0.02', 0)), signature: await ethers.Wallet.createRandom().signMessage(`relay_prepaid:${stealth}:${toWei('0.02')}:0`) };
+    await assertThrows(() => relay.fundStealth(stealth, '0.02', stranger), 'sign');
+
+    const first = await sign('0.02', 0);
+    await relay.fundStealth(stealth, '0.02', first);
+    await assertThrows(() => relay.fundStealth(stealth, '0.02', first), 'sign');
+    await assertThrows(async () => relay.fundStealth(stealth, '0.1', await sign('0.1', 1)), 'Insufficient');
+
+    revertNext = true;
+    await assertThrows(async () => relay.fundStealth(stealth, '0.02', await sign('0.02', 1)), 'reverted');
+    const reloaded = await new PaymentLedger({ path: ledgerPath }).load();
+    const account = reloaded.getAccount(payer.address);
+    assert(account.balance === toWei('0.03') && account.nonce === 2, `Credits ${toEth(account.balance)} nonce ${account.nonce}`);
+    assert(reloaded.getPayment('x402:rcpt-1') && funded.length === 4, 'Spent payments not persisted');
+    const spent = JSON.stringify(reloaded._doc.payments).toLowerCase();
+    assert(!spent.includes(payer.address.toLowerCase().slice(2)) && !spent.includes(stealth.toLowerCase().slice(2)), 'Spent payments link a payer to a stealth address');
+    assert(Object.keys(reloaded.getPayment('x402:rcpt-1')).sort().join() === 'amount,at,type', 'Spent payment keeps more than type, amount, time');
+  })();
+
+  await test('Credits and nonce are shown to the account alone, on a fresh signature', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const query = async (signer, issuedAt) => ({ issuedAt, signature: await signer.signMessage(`relay_credits:${payer.address}:${issuedAt}`) });
+    await assertThrows(() => relay.getCredits(payer.address), 'Sign');
+    await assertThrows(async () => relay.getCredits(payer.address, await query(ethers.Wallet.createRandom(), now)), 'Sign');
+    await assertThrows(async () => relay.getCredits(payer.address, { ...(await query(payer, now)), issuedAt: now + 1 }), 'Sign');
+    await assertThrows(async () => relay.getCredits(payer.address, await query(payer, now - 3600)), 'expired');
+    assert(relay.getCredits(payer.address, await query(payer, now)).nonce === 2, 'Signed query refused');
+  })();
+
+  await test('A payment, its surplus or a refund the ledger failed to write is taken back, not kept in memory', async () => {
+    const flush = ledger._flush;
+    const failWrite = nth => {
+      let writes = 0;
+      ledger._flush = async function () {
+        if (++writes < nth) return flush.call(this);
+        ledger._flush = flush;
+        throw new Error('disk full');
+      };
+    };
+
+    const paid = transfer(casino.address, '0.1', 90);
+    failWrite(1);
+    await assertThrows(async () => relay.fundStealth(stealth, '0.1', await byTransfer(paid, '0.1')), 'disk full');
+    assert(!ledger.getPayment(`tx:${paid}`) && funded.length === 4, 'Unwritten claim left the payment spent');
+    await relay.fundStealth(stealth, '0.1', await byTransfer(paid, '0.1'));
+    assert(funded.length === 5, 'Payment not usable again after the failed write');
+
+    const before = ledger.getAccount(payer.address).balance;
+    const overpaid = transfer(casino.address, '0.15', 90);
+    failWrite(1);
+    await assertThrows(async () => relay.fundStealth(stealth, '0.1', await byTransfer(overpaid, '0.1')), 'disk full');
+    assert(!ledger.getPayment(`tx:${overpaid}`) && ledger.getAccount(payer.address).balance === before, 'Surplus credited for an unspent payment');
+    await relay.fundStealth(stealth, '0.1', await byTransfer(overpaid, '0.1'));
+    const reloaded = await new PaymentLedger({ path: ledgerPath }).load();
+    assert(reloaded.getPayment(`tx:${overpaid}`) && reloaded.getAccount(payer.address).balance === before + toWei('0.05'), 'Payment and surplus not written together');
+
+    revertNext = true;
+    failWrite(2); // the claim is written, the refund is not
+    await assertThrows(async () => relay.fundStealth(stealth, '0.1', await byTransfer(transfer(casino.address, '0.1', 90), '0.1')), 'refund of 0.1 ETH not recorded');
+    assert(ledger.getAccount(payer.address).balance === before + toWei('0.05'), 'Unwritten refund credited in memory');
+  })();
+
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// ─── ATTACK 37: Paid Entropy Request Replay ──────────────
+// An entropy commit pays for an onchain request before it answers. If
+// the handler fails after the tx, or forgets the idempotency key, a
+// client retry buys a second request. Runs the serverless handler end
+// to end: PostgREST-style tables and Hardhat's in-process chain behind
+// one local HTTP server.
+
+function postgrest(tables) {
+  const matches = (row, filters) => filters.every(([col, op]) => (
+    op.startsWith('eq.') ? String(row[col]) === decodeURIComponent(op.slice(3))
+      : op === 'not.is.null' ? row[col] != null
+        : true
+  ));
+  return (method, url, body) => {
+    const [pathname, query = ''] = url.split('?');
+    const table = pathname.split('/').pop();
+    const filters = query.split('&').map(p => p.split('=')).filter(([col]) => !['select', 'order', 'limit'].includes(col));
+    const rows = tables[table] || (tables[table] = []);
+    if (method === 'POST') { rows.push(...body); return body; }
+    const hit = rows.filter(row => matches(row, filters));
+    if (method === 'PATCH') hit.forEach(row => Object.assign(row, body));
+    return hit;
+  };
+}
+
+async function attackEntropyReplay() {
+  console.log('\n🔴 ATTACK 37: Paid Entropy Request Replay');
+
+  const hre = require('hardhat');
+  const http = require('http');
+  const chain = hre.network.provider;
+  const casino = ethers.Wallet.createRandom();
+  const entropyDice = ethers.Wallet.createRandom().address;
+  const agent = ethers.getAddress(AGENT2);
+
+  // EntropyDice stand-in: every call returns ten zero words (quoteFee 0, empty getRound)
+  await chain.request({ method: 'hardhat_setCode', params: [entropyDice, '0x6101406000f3'] });
+  await chain.request({ method: 'hardhat_setBalance', params: [casino.address, '0x' + toWei('1').toString(16)] });
+
+  const tables = {
+    casino_channels: [{
+      id: 1, agent, status: 'open', agent_deposit: '1', casino_deposit: '1', agent_balance: '1', casino_balance: '1',
+      nonce: 0, games_played: 0, opened_at: new Date().toISOString(), engine_meta: null,
+    }],
+  };
+  const supabase = postgrest(tables);
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      const body = raw ? JSON.parse(raw) : null;
+      let out;
+      if (req.url === '/rpc') {
+        const call = ({ id, method, params }) => chain.request({ method, params }).then(
+          result => ({ jsonrpc: '2.0', id, result }),
+          e => ({ jsonrpc: '2.0', id, error: { code: e.code || -32000, message: e.message, data: e.data } })
+        );
+        out = Array.isArray(body) ? await Promise.all(body.map(call)) : await call(body);
+      } else {
+        out = supabase(req.method, req.url, body);
+      }
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(out));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  Object.assign(process.env, {
+    SUPABASE_URL: base, SUPABASE_SERVICE_ROLE_KEY: 'test', CASINO_PRIVATE_KEY: casino.privateKey,
+    CHANNEL_MANAGER: '0x' + 'ab'.repeat(20), ONCHAIN_RPC_URL: `${base}/rpc`, ENTROPY_DICE: entropyDice,
+  });
+  const handler = require('../frontend/api/a2a/casino');
+  const call = async (content, idemKey) => {
+    const res = { status(code) { this.code = code; return this; }, json(body) { this.body = body; return this; } };
+    await handler({ headers: { 'x-idempotency-key': idemKey }, body: { message: { content } } }, res);
+    return { code: res.code, content: res.body.message.content };
+  };
+  const requests = async () => Number(await chain.request({ method: 'eth_getTransactionCount', params: [casino.address, 'latest'] }));
+
+  await test('Dice entropy commit answers once per paid request, and a retry replays it', async () => {
+    const commit = { action: 'dice_entropy_commit', stealthAddress: agent, betAmount: '0.1', choice: 'over', target: 50 };
+    const first = await call(commit, 'dice-entropy-1');
+    assert(first.code === 200, `Commit failed (${first.code}): ${first.content.message}`);
+    assert(first.content.multiplier === new DiceGame()._calculateMultiplier('over', 50).toFixed(2), `Multiplier ${first.content.multiplier}`);
+    assert(tables.casino_entropy_rounds.length === 1 && tables.casino_entropy_rounds[0].choice === 'over:50', 'Round not recorded');
+
+    const retry = await call(commit, 'dice-entropy-1');
+    assert(retry.code === 200 && retry.content.roundId === first.content.roundId, 'Retry did not replay the stored response');
+    assert(await requests() === 1, `${await requests()} paid entropy requests for one commit`);
+  })();
+
+  await test('Dice entropy commit over the bankroll limit pays for nothing', async () => {
+    const over = await call({ action: 'dice_entropy_commit', stealthAddress: agent, betAmount: '0.3', choice: 'over', target: 50 }, 'dice-entropy-2');
+    assert(over.code === 400 && over.content.code === 'MAX_BET_EXCEEDED', `Got ${over.code} ${over.content.code}`);
+    assert(await requests() === 1, 'Refused bet still sent a request');
+  })();
+
+  await new Promise(resolve => server.close(resolve));
+}
+
 async function main() {
   console.log('═══════════════════════════════════════════');
   console.log('  AGENT CASINO — ADVERSARIAL ATTACK SUITE');
@@ -644,6 +2938,30 @@ async function main() {
   await attackCommitTimeout();
   await attackStressTest();
   await attackWeiDust();
+  await attackRestartAmnesia();
+  await attackEntropySettle();
+  await attackFloatResidue();
+  await attackStaleWriter();
+  await attackLottoDraw();
+  await attackBlackjackWalkAway();
+  await attackRouletteSlip();
+  await attackCrashPrecision();
+  await attackPlinkoTables();
+  await attackKenoPicks();
+  await attackMinesLayout();
+  await attackVideoPoker();
+  await attackDuelSettlement();
+  await attackBatchChain();
+  await attackSeedChain();
+  await attackSeedHistory();
+  await attackForgedRecords();
+  await attackDisputeState();
+  await attackStaleChallenge();
+  await attackSilentClose();
+  await attackRelayedClose();
+  await attackMetaTransactions();
+  await attackForgedPayments();
+  await attackEntropyReplay();
 
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
 
@@ -0,0 +1,250 @@
+/**
+ * ChannelManager Gasless Authorization Tests
+ *
+ * openChannelFor / closeChannelWithSig are sent by the casino's relayer
+ * on the strength of an EIP-712 signature from the stealth address.
+ *
+ * Run: npx hardhat test test/channel-manager-authorizations.js
+ */
+
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { time } = require('@nomicfoundation/hardhat-network-helpers');
+
+const OPEN_TYPES = {
+  OpenAuthorization: [
+    { name: 'agent', type: 'address' },
+    { name: 'deposit', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+const CLOSE_TYPES = {
+  CloseAuthorization: [
+    { name: 'agent', type: 'address' },
+    { name: 'epoch', type: 'uint256' },
+    { name: 'agentBalance', type: 'uint256' },
+    { name: 'casinoBalance', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+const STATE_TYPES = {
+  ChannelState: [
+    { name: 'agent', type: 'address' },
+    { name: 'epoch', type: 'uint256' },
+    { name: 'agentBalance', type: 'uint256' },
+    { name: 'casinoBalance', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+};
+
+describe('ChannelManager — Gasless Authorizations', function () {
+  let manager, casino, relayer, stranger, agent, domain;
+  const DEPOSIT = ethers.parseEther('0.1');
+  const COLLATERAL = ethers.parseEther('0.5');
+  const HOUR = 60 * 60;
+
+  beforeEach(async function () {
+    [casino, relayer, stranger] = await ethers.getSigners();
+    // A stealth address: signs, never holds ETH for gas
+    agent = ethers.Wallet.createRandom();
+
+    // Modules need the manager's address, the manager needs theirs
+    const bankroll = await (await ethers.getContractFactory('BankrollManager')).deploy(casino.address, casino.address, ethers.parseEther('100'));
+    const insurance = await (await ethers.getContractFactory('InsuranceFund')).deploy(casino.address, casino.address);
+    manager = await (await ethers.getContractFactory('ChannelManager')).deploy(
+      casino.address, await insurance.getAddress(), await bankroll.getAddress()
+    );
+    await manager.waitForDeployment();
+    await bankroll.setChannelManager(await manager.getAddress());
+    await insurance.setChannelManager(await manager.getAddress());
+
+    const { chainId } = await ethers.provider.getNetwork();
+    domain = { name: 'AgentCasino', version: '1', chainId, verifyingContract: await manager.getAddress() };
+  });
+
+  async function deadlineIn(seconds) {
+    return (await time.latest()) + seconds;
+  }
+
+  function signOpen(signer, { deposit = DEPOSIT, deadline, domain: d = domain } = {}) {
+    return signer.signTypedData(d, OPEN_TYPES, { agent: agent.address, deposit, deadline });
+  }
+
+  async function openFor() {
+    const deadline = await deadlineIn(HOUR);
+    await manager.connect(relayer).openChannelFor(agent.address, deadline, await signOpen(agent, { deadline }), { value: DEPOSIT });
+    await manager.connect(casino).fundCasinoSide(agent.address, { value: COLLATERAL });
+  }
+
+  describe('openChannelFor', function () {
+    it('opens the channel the agent authorized, paid by the relayer', async function () {
+      const deadline = await deadlineIn(HOUR);
+      await expect(manager.connect(relayer).openChannelFor(agent.address, deadline, await signOpen(agent, { deadline }), { value: DEPOSIT }))
+        .to.emit(manager, 'ChannelOpened')
+        .withArgs(agent.address, DEPOSIT);
+
+      const channel = await manager.getChannel(agent.address);
+      expect(channel.state).to.equal(1n); // Open
+      expect(channel.agentDeposit).to.equal(DEPOSIT);
+      expect(await manager.channelEpoch(agent.address)).to.equal(1n);
+      expect(await ethers.provider.getBalance(agent.address)).to.equal(0n);
+    });
+
+    it('rejects an expired authorization', async function () {
+      const deadline = await deadlineIn(HOUR);
+      const signature = await signOpen(agent, { deadline });
+      await time.increaseTo(deadline + 1);
+
+      await expect(manager.connect(relayer).openChannelFor(agent.address, deadline, signature, { value: DEPOSIT }))
+        .to.be.revertedWithCustomError(manager, 'AuthorizationExpired');
+    });
+
+    it('rejects a replay while the channel is open', async function () {
+      const deadline = await deadlineIn(HOUR);
+      const signature = await signOpen(agent, { deadline });
+      await manager.connect(relayer).openChannelFor(agent.address, deadline, signature, { value: DEPOSIT });
+
+      await expect(manager.connect(relayer).openChannelFor(agent.address, deadline, signature, { value: DEPOSIT }))
+        .to.be.revertedWithCustomError(manager, 'ChannelExists');
+    });
+
+    it('rejects a signature from anyone but the agent', async function () {
+      const deadline = await deadlineIn(HOUR);
+      await expect(manager.connect(relayer).openChannelFor(agent.address, deadline, await signOpen(stranger, { deadline }), { value: DEPOSIT }))
+        .to.be.revertedWithCustomError(manager, 'InvalidSignature');
+    });
+
+    it('rejects a deposit other than the one signed', async function () {
+      const deadline = await deadlineIn(HOUR);
+      const signature = await signOpen(agent, { deadline });
+      await expect(manager.connect(relayer).openChannelFor(agent.address, deadline, signature, { value: DEPOSIT * 2n }))
+        .to.be.revertedWithCustomError(manager, 'InvalidSignature');
+    });
+
+    it('rejects an authorization for another chain or contract', async function () {
+      const deadline = await deadlineIn(HOUR);
+      const otherChain = await signOpen(agent, { deadline, domain: { ...domain, chainId: domain.chainId + 1n } });
+      const otherContract = await signOpen(agent, { deadline, domain: { ...domain, verifyingContract: stranger.address } });
+
+      await expect(manager.connect(relayer).openChannelFor(agent.address, deadline, otherChain, { value: DEPOSIT }))
+        .to.be.revertedWithCustomError(manager, 'InvalidSignature');
+      await expect(manager.connect(relayer).openChannelFor(agent.address, deadline, otherContract, { value: DEPOSIT }))
+        .to.be.revertedWithCustomError(manager, 'InvalidSignature');
+    });
+  });
+
+  describe('closeChannelWithSig', function () {
+    // Final state at nonce 4: the agent is up 0.05 ETH
+    const AGENT_BALANCE = DEPOSIT + ethers.parseEther('0.05');
+    const CASINO_BALANCE = COLLATERAL - ethers.parseEther('0.05');
+    const NONCE = 4n;
+
+    beforeEach(async function () {
+      await openFor();
+    });
+
+    // Both signatures name the current channel's epoch unless `epoch` says otherwise
+    async function closeArgs({ signer = agent, agentBalance = AGENT_BALANCE, casinoBalance = CASINO_BALANCE, nonce = NONCE, deadline, epoch, domain: d = domain } = {}) {
+      deadline = deadline || await deadlineIn(HOUR);
+      const current = await manager.channelEpoch(agent.address);
+      const state = { agent: agent.address, epoch: current, agentBalance: AGENT_BALANCE, casinoBalance: CASINO_BALANCE, nonce };
+      const casinoSig = await casino.signTypedData(domain, STATE_TYPES, state);
+      const agentSig = await signer.signTypedData(d, CLOSE_TYPES, { agent: agent.address, epoch: epoch ?? current, agentBalance, casinoBalance, nonce, deadline });
+      return [agent.address, AGENT_BALANCE, CASINO_BALANCE, nonce, deadline, casinoSig, agentSig];
+    }
+
+    it('settles the casino-signed state the agent authorized', async function () {
+      const args = await closeArgs();
+      await expect(manager.connect(relayer).closeChannelWithSig(...args))
+        .to.emit(manager, 'ChannelClosed')
+        .withArgs(agent.address, AGENT_BALANCE, CASINO_BALANCE);
+
+      expect((await manager.getChannel(agent.address)).state).to.equal(0n); // deleted
+      expect(await ethers.provider.getBalance(agent.address)).to.equal(AGENT_BALANCE);
+    });
+
+    it('rejects a replay of a settled close', async function () {
+      const args = await closeArgs();
+      await manager.connect(relayer).closeChannelWithSig(...args);
+
+      await expect(manager.connect(relayer).closeChannelWithSig(...args))
+        .to.be.revertedWithCustomError(manager, 'ChannelNotOpen');
+    });
+
+    it('rejects a replay on a later channel once the deadline has passed', async function () {
+      const args = await closeArgs();
+      await manager.connect(relayer).closeChannelWithSig(...args);
+      await time.increaseTo(Number(args[4]) + 1);
+      await openFor();
+
+      await expect(manager.connect(relayer).closeChannelWithSig(...args))
+        .to.be.revertedWithCustomError(manager, 'AuthorizationExpired');
+    });
+
+    it('rejects a replay on a later channel inside the deadline', async function () {
+      const args = await closeArgs();
+      await manager.connect(relayer).closeChannelWithSig(...args);
+      await openFor();
+      expect(await manager.channelEpoch(agent.address)).to.equal(2n);
+
+      // Same balances and nonce, deadline still ahead: only the epoch differs
+      await expect(manager.connect(relayer).closeChannelWithSig(...args))
+        .to.be.revertedWithCustomError(manager, 'InvalidSignature');
+
+      // Nor does the earlier channel's casino signature pass with a fresh authorization
+      const fresh = await closeArgs({ deadline: args[4] });
+      fresh[5] = args[5];
+      await expect(manager.connect(relayer).closeChannelWithSig(...fresh))
+        .to.be.revertedWithCustomError(manager, 'InvalidSignature');
+    });
+
+    it('rejects an authorization signed for another channel epoch', async function () {
+      await expect(manager.connect(relayer).closeChannelWithSig(...await closeArgs({ epoch: 2n })))
+        .to.be.revertedWithCustomError(manager, 'InvalidSignature');
+    });
+
+    it('rejects an expired authorization', async function () {
+      const args = await closeArgs();
+      await time.increaseTo(Number(args[4]) + 1);
+
+      await expect(manager.connect(relayer).closeChannelWithSig(...args))
+        .to.be.revertedWithCustomError(manager, 'AuthorizationExpired');
+    });
+
+    it('rejects a state at or below the channel nonce', async function () {
+      await expect(manager.connect(relayer).closeChannelWithSig(...await closeArgs({ nonce: 0n })))
+        .to.be.revertedWithCustomError(manager, 'StaleNonce');
+    });
+
+    it('rejects a signature from anyone but the agent', async function () {
+      await expect(manager.connect(relayer).closeChannelWithSig(...await closeArgs({ signer: stranger })))
+        .to.be.revertedWithCustomError(manager, 'InvalidSignature');
+    });
+
+    it('rejects an authorization for other balances than the ones settled', async function () {
+      const args = await closeArgs({ agentBalance: DEPOSIT, casinoBalance: COLLATERAL });
+      await expect(manager.connect(relayer).closeChannelWithSig(...args))
+        .to.be.revertedWithCustomError(manager, 'InvalidSignature');
+    });
+
+    it('rejects an authorization for another chain or contract', async function () {
+      const otherChain = await closeArgs({ domain: { ...domain, chainId: domain.chainId + 1n } });
+      const otherContract = await closeArgs({ domain: { ...domain, verifyingContract: stranger.address } });
+
+      await expect(manager.connect(relayer).closeChannelWithSig(...otherChain))
+        .to.be.revertedWithCustomError(manager, 'InvalidSignature');
+      await expect(manager.connect(relayer).closeChannelWithSig(...otherContract))
+        .to.be.revertedWithCustomError(manager, 'InvalidSignature');
+    });
+
+    it('rejects a casino signature from another key', async function () {
+      const args = await closeArgs();
+      args[5] = await stranger.signTypedData(domain, STATE_TYPES, { agent: agent.address, epoch: 1n, agentBalance: AGENT_BALANCE, casinoBalance: CASINO_BALANCE, nonce: NONCE });
+      await expect(manager.connect(relayer).closeChannelWithSig(...args))
+        .to.be.revertedWithCustomError(manager, 'InvalidSignature');
+    });
+  });
+});